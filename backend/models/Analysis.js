@@ -1,5 +1,51 @@
 const mongoose = require('mongoose');
 
+// Pipeline stages in run order; weights add up to 100 and drive progress.percentage
+const ANALYSIS_STAGES = [
+  { name: 'clone', weight: 20 },
+  { name: 'structure', weight: 10 },
+  { name: 'languages', weight: 10 },
+  { name: 'dependencies', weight: 15 },
+  { name: 'metrics', weight: 15 },
+  { name: 'ai', weight: 30 }
+];
+
+// How an application builds and runs; drives the generators
+const runtimeProfileFields = {
+  language: String,
+  appRoot: String,
+  runtime: {
+    name: {
+      type: String,
+      enum: ['node', 'python', 'go', 'java', 'ruby', 'php', 'rust']
+    },
+    version: String,
+    constraint: String,
+    source: String
+  },
+  packageManager: String,
+  framework: String,
+  frameworks: [{
+    _id: false,
+    name: String,
+    category: String,
+    evidence: String
+  }],
+  type: {
+    type: String,
+    enum: ['web', 'static', 'worker']
+  },
+  commands: {
+    install: String,
+    build: String,
+    start: String,
+    test: String
+  },
+  port: Number,
+  portSource: String,
+  outputDir: String
+};
+
 const analysisSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,11 +61,42 @@ const analysisSchema = new mongoose.Schema({
     type: String,
     default: 'main'
   },
+  // Commit the analysis ran against; builds check out the same one
+  commit: {
+    type: String
+  },
   status: {
     type: String,
     enum: ['pending', 'analyzing', 'completed', 'failed'],
     default: 'pending'
   },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', ...ANALYSIS_STAGES.map(s => s.name), 'done'],
+      default: 'queued'
+    },
+    percentage: {
+      type: Number,
+      default: 0
+    },
+    stages: [{
+      name: String,
+      status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed'],
+        default: 'pending'
+      },
+      startedAt: Date,
+      completedAt: Date
+    }],
+    startedAt: Date,
+    completedAt: Date
+  },
   analysisData: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -28,7 +105,19 @@ const analysisSchema = new mongoose.Schema({
     analysisDuration: Number,
     totalLines: Number,
     totalFiles: Number,
-    languageDistribution: [String],
+    primaryLanguage: String,
+    languageDistribution: [{
+      _id: false,
+      name: String,
+      type: {
+        type: String,
+        enum: ['programming', 'markup']
+      },
+      files: Number,
+      bytes: Number,
+      lines: Number,
+      percentage: Number
+    }],
     dependencyCount: Number,
     complexity: {
       cyclomatic: Number,
@@ -36,11 +125,62 @@ const analysisSchema = new mongoose.Schema({
       maintainability: Number
     }
   },
+  dependencyAudit: {
+    scannedAt: Date,
+    advisoryCount: Number,
+    summary: {
+      dependencies: Number,
+      audited: Number,
+      unresolved: Number,
+      vulnerable: Number,
+      critical: Number,
+      high: Number,
+      medium: Number,
+      low: Number,
+      unknown: Number
+    },
+    findings: [{
+      _id: false,
+      name: String,
+      ecosystem: String,
+      version: String,
+      manifest: String,
+      scope: String,
+      severity: {
+        type: String,
+        enum: ['critical', 'high', 'medium', 'low', 'unknown']
+      },
+      advisories: [{
+        _id: false,
+        id: String,
+        aliases: [String],
+        summary: String,
+        severity: String,
+        score: Number,
+        fixedVersion: String,
+        url: String
+      }]
+    }]
+  },
+  // The main application
+  runtimeProfile: runtimeProfileFields,
+  // Every application found in the repository, for multi-service layouts
+  services: [{
+    _id: false,
+    name: String,
+    ...runtimeProfileFields,
+    datastores: [{
+      _id: false,
+      name: String,
+      evidence: String
+    }]
+  }],
   suggestions: [{
     type: String
   }],
   generatedFiles: {
     dockerfile: String,
+    dockerignore: String,
     dockerCompose: String,
     kubernetes: String,
     cicd: String
@@ -57,6 +197,16 @@ analysisSchema.index({ userId: 1, createdAt: -1 });
 analysisSchema.index({ repositoryUrl: 1 });
 analysisSchema.index({ status: 1 });
 
+// Analyses stored before the byte-weighted breakdown kept language names only
+analysisSchema.pre('init', function(raw) {
+  const distribution = raw.metrics?.languageDistribution;
+  if (Array.isArray(distribution)) {
+    raw.metrics.languageDistribution = distribution.map(entry => (
+      typeof entry === 'string' ? { name: entry } : entry
+    ));
+  }
+});
+
 // Static methods
 analysisSchema.statics.findByUser = function(userId, options = {}) {
   const { limit = 20, skip = 0, sort = '-createdAt' } = options;
@@ -110,6 +260,71 @@ analysisSchema.methods.updateStatus = function(status, data = {}) {
   return this.save();
 };
 
+analysisSchema.methods.startStage = function(name) {
+  if (!this.progress.stages.length) {
+    this.progress.stages = ANALYSIS_STAGES.map(stage => ({ name: stage.name }));
+  }
+
+  const now = new Date();
+
+  this.progress.stages.forEach(stage => {
+    if (stage.status === 'running') {
+      stage.status = 'completed';
+      stage.completedAt = now;
+    }
+    if (stage.name === name) {
+      stage.status = 'running';
+      stage.startedAt = now;
+    }
+  });
+
+  this.progress.stage = name;
+  this.progress.startedAt = this.progress.startedAt || now;
+  this.progress.percentage = completedPercentage(this.progress.stages);
+
+  return this.save();
+};
+
+analysisSchema.methods.completeStages = function() {
+  const now = new Date();
+
+  this.progress.stages.forEach(stage => {
+    if (stage.status !== 'completed') {
+      stage.status = 'completed';
+      stage.completedAt = stage.completedAt || now;
+    }
+  });
+
+  this.progress.stage = 'done';
+  this.progress.percentage = 100;
+  this.progress.completedAt = now;
+};
+
+analysisSchema.methods.failStage = function() {
+  const running = this.progress.stages.find(stage => stage.status === 'running');
+
+  if (running) {
+    running.status = 'failed';
+    running.completedAt = new Date();
+  }
+
+  this.progress.completedAt = new Date();
+};
+
+analysisSchema.methods.resetProgress = function() {
+  this.progress = {
+    stage: 'queued',
+    percentage: 0,
+    stages: ANALYSIS_STAGES.map(stage => ({ name: stage.name }))
+  };
+};
+
+// Plain runtimeProfile, or null for analyses without a detected runtime
+analysisSchema.methods.getRuntimeProfile = function() {
+  const { runtimeProfile } = this.toObject();
+  return runtimeProfile?.runtime?.name ? runtimeProfile : null;
+};
+
 analysisSchema.methods.addGeneratedFile = function(type, content) {
   if (!this.generatedFiles) {
     this.generatedFiles = {};
@@ -144,12 +359,19 @@ function getDateFilter(timeframe) {
   return { $gte: startDate };
 }
 
+function completedPercentage(stages) {
+  return ANALYSIS_STAGES
+    .filter(stage => stages.some(s => s.name === stage.name && s.status === 'completed'))
+    .reduce((sum, stage) => sum + stage.weight, 0);
+}
+
 function calculateMetrics(analysisData) {
   return {
     analysisDuration: Math.floor(Math.random() * 300) + 60,
     totalLines: analysisData.metrics?.totalLines || 0,
     totalFiles: analysisData.files?.length || 0,
-    languageDistribution: analysisData.languages || [],
+    primaryLanguage: analysisData.primaryLanguage,
+    languageDistribution: analysisData.languageBreakdown?.languages || [],
     dependencyCount: analysisData.dependencies?.length || 0,
     complexity: {
       cyclomatic: Math.floor(Math.random() * 50) + 10,
@@ -161,4 +383,5 @@ function calculateMetrics(analysisData) {
 
 const Analysis = mongoose.model('Analysis', analysisSchema);
 
-module.exports = Analysis;
\ No newline at end of file
+module.exports = Analysis;
+module.exports.ANALYSIS_STAGES = ANALYSIS_STAGES;
\ No newline at end of file
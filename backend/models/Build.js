@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Older lines are dropped past this; the daemon keeps the full build output in its cache anyway
+const MAX_LOG_LINES = 1000;
+
+const buildSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis'
+  },
+  // Set for builds of an analyzed repository: the context is re-cloned at this commit
+  source: {
+    repositoryUrl: String,
+    branch: String,
+    commit: String
+  },
+  imageName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tags: [{
+    type: String
+  }],
+  dockerfile: {
+    type: String,
+    required: true
+  },
+  dockerignore: String,
+  buildArgs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'building', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    step: { type: Number, default: 0 },
+    totalSteps: { type: Number, default: 0 },
+    percentage: { type: Number, default: 0 }
+  },
+  steps: [{
+    _id: false,
+    number: Number,
+    instruction: String,
+    cached: { type: Boolean, default: false },
+    layer: String,
+    startedAt: Date,
+    completedAt: Date
+  }],
+  logs: [{
+    _id: false,
+    timestamp: Date,
+    message: String,
+    level: {
+      type: String,
+      enum: ['info', 'warning', 'error'],
+      default: 'info'
+    }
+  }],
+  image: {
+    id: String,
+    size: Number,
+    tags: [String]
+  },
+  error: {
+    message: String,
+    code: Number
+  },
+  startedAt: Date,
+  completedAt: Date,
+  duration: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+buildSchema.index({ userId: 1, createdAt: -1 });
+buildSchema.index({ status: 1 });
+
+// Instance methods
+buildSchema.methods.isActive = function() {
+  return ['queued', 'building'].includes(this.status);
+};
+
+buildSchema.methods.appendLog = function(message, level = 'info') {
+  this.logs.push({ timestamp: new Date(), message, level });
+
+  if (this.logs.length > MAX_LOG_LINES) {
+    this.logs.splice(0, this.logs.length - MAX_LOG_LINES);
+  }
+};
+
+buildSchema.methods.startStep = function(number, totalSteps, instruction) {
+  const now = new Date();
+  const current = this.steps[this.steps.length - 1];
+  if (current && !current.completedAt) current.completedAt = now;
+
+  this.steps.push({ number, instruction, startedAt: now });
+  this.progress = {
+    step: number,
+    totalSteps,
+    percentage: Math.round(((number - 1) / totalSteps) * 100)
+  };
+};
+
+buildSchema.methods.finish = function(status, error = null) {
+  const now = new Date();
+  const current = this.steps[this.steps.length - 1];
+  if (current && !current.completedAt) current.completedAt = now;
+
+  this.status = status;
+  this.completedAt = now;
+  this.duration = this.startedAt ? now - this.startedAt : 0;
+  if (status === 'succeeded') this.progress.percentage = 100;
+  if (error) this.error = error;
+};
+
+const Build = mongoose.model('Build', buildSchema);
+
+module.exports = Build;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Retention rules for the build host's Docker disk; there is one policy, named 'default'
+const cleanupPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  intervalHours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
+  // Newest tags kept per repository, by image creation time; 0 disables the rule
+  keepTags: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  removeDangling: {
+    type: Boolean,
+    default: true
+  },
+  // Stopped containers are removed this long after they exited; 0 disables the rule
+  containerMaxAgeHours: {
+    type: Number,
+    default: 72,
+    min: 0
+  },
+  // Image references never removed; `*` matches any characters (e.g. "postgres:*")
+  protect: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastRun: {
+    trigger: {
+      type: String,
+      enum: ['schedule', 'api']
+    },
+    startedAt: Date,
+    completedAt: Date,
+    containersRemoved: Number,
+    imagesRemoved: Number,
+    reclaimedBytes: Number,
+    failures: [{
+      _id: false,
+      target: String,
+      message: String
+    }]
+  },
+  nextRunAt: Date
+}, {
+  timestamps: true
+});
+
+const CleanupPolicy = mongoose.model('CleanupPolicy', cleanupPolicySchema);
+
+module.exports = CleanupPolicy;
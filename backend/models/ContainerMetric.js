@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// How long buckets of each resolution are kept, in seconds
+const RETENTION = {
+  minute: 2 * 24 * 60 * 60,
+  hour: 8 * 24 * 60 * 60,
+  day: 35 * 24 * 60 * 60
+};
+
+/**
+ * One time bucket of a deployment container's resource usage. Gauges keep
+ * a sum and a peak so averages stay exact when samples are added with $inc;
+ * network and block IO hold the bytes transferred within the bucket.
+ */
+const containerMetricSchema = new mongoose.Schema({
+  deploymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: true
+  },
+  containerId: {
+    type: String,
+    required: true
+  },
+  resolution: {
+    type: String,
+    enum: Object.keys(RETENTION),
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  samples: {
+    type: Number,
+    default: 0
+  },
+  cpu: {
+    sum: { type: Number, default: 0 },
+    max: { type: Number, default: 0 }
+  },
+  memory: {
+    sum: { type: Number, default: 0 },
+    max: { type: Number, default: 0 },
+    limit: Number
+  },
+  network: {
+    rx: { type: Number, default: 0 },
+    tx: { type: Number, default: 0 }
+  },
+  blockIo: {
+    read: { type: Number, default: 0 },
+    write: { type: Number, default: 0 }
+  }
+});
+
+// Indexes
+containerMetricSchema.index({ deploymentId: 1, resolution: 1, timestamp: 1, containerId: 1 }, { unique: true });
+containerMetricSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+containerMetricSchema.statics.RETENTION = RETENTION;
+
+const ContainerMetric = mongoose.model('ContainerMetric', containerMetricSchema);
+
+module.exports = ContainerMetric;
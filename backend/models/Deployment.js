@@ -36,6 +36,11 @@ const deploymentSchema = new mongoose.Schema({
   ports: [{
     type: Number
   }],
+  container: {
+    id: String,
+    name: String,
+    image: String
+  },
   logs: [{
     timestamp: Date,
     message: String,
@@ -74,6 +79,12 @@ const deploymentSchema = new mongoose.Schema({
     type: String,
     default: '1.0.0'
   },
+  startedAt: {
+    type: Date
+  },
+  stoppedAt: {
+    type: Date
+  },
   metadata: {
     region: String,
     zone: String,
@@ -204,7 +215,11 @@ deploymentSchema.methods.scale = function(replicas) {
   
   this.replicas = replicas;
   this.status = 'scaling';
-  this.addLog(`Scaling to ${replicas} replicas`, 'info');
+  this.logs.push({
+    timestamp: new Date(),
+    message: `Scaling to ${replicas} replicas`,
+    level: 'info'
+  });
   
   return this.save();
 };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Audit record of an interactive shell opened in a container; input itself is never stored
+const execSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  containerId: {
+    type: String,
+    required: true
+  },
+  containerName: String,
+  image: String,
+  command: [{
+    type: String
+  }],
+  execId: String,
+  status: {
+    type: String,
+    enum: ['active', 'closed', 'failed'],
+    default: 'active'
+  },
+  remoteAddress: String,
+  userAgent: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  duration: Number,
+  exitCode: Number,
+  closeReason: String,
+  error: String,
+  bytesIn: {
+    type: Number,
+    default: 0
+  },
+  bytesOut: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+execSessionSchema.index({ containerId: 1, startedAt: -1 });
+execSessionSchema.index({ userId: 1, startedAt: -1 });
+execSessionSchema.index({ status: 1 });
+
+// Instance methods
+execSessionSchema.methods.end = function(status, details = {}) {
+  const now = new Date();
+
+  this.status = status;
+  this.endedAt = now;
+  this.duration = now - this.startedAt;
+  if (details.exitCode !== undefined && details.exitCode !== null) this.exitCode = details.exitCode;
+  if (details.reason) this.closeReason = details.reason;
+  if (details.error) this.error = details.error;
+};
+
+const ExecSession = mongoose.model('ExecSession', execSessionSchema);
+
+module.exports = ExecSession;
@@ -20,6 +20,12 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Binary files (packaged charts) are stored base64 encoded
+  encoding: {
+    type: String,
+    enum: ['utf8', 'base64'],
+    default: 'utf8'
+  },
   language: {
     type: String,
     default: 'text'
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+
+const vulnerabilitySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  aliases: [String],
+  package: {
+    type: String,
+    required: true
+  },
+  packageType: String,
+  installedVersion: String,
+  fixedVersion: String,
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'UNKNOWN'
+  },
+  title: String,
+  url: String,
+  target: String
+}, { _id: false });
+
+const imageScanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  image: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  repository: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    default: 'latest'
+  },
+  imageId: String,
+  digest: String,
+  os: {
+    family: String,
+    name: String
+  },
+  source: {
+    type: String,
+    enum: ['image', 'archive'],
+    default: 'image'
+  },
+  scanner: {
+    name: {
+      type: String,
+      enum: ['trivy', 'grype'],
+      required: true
+    },
+    version: String
+  },
+  threshold: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'LOW'
+  },
+  exitCode: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: true
+  },
+  summary: {
+    critical: { type: Number, default: 0 },
+    high: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    low: { type: Number, default: 0 },
+    unknown: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    fixable: { type: Number, default: 0 }
+  },
+  vulnerabilities: [vulnerabilitySchema],
+  previousScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImageScan'
+  },
+  duration: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+imageScanSchema.index({ userId: 1, repository: 1, tag: 1, createdAt: -1 });
+imageScanSchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+imageScanSchema.statics.findLatest = function(userId, repository, tag, before = null) {
+  const query = { userId, repository, tag };
+  if (before) query.createdAt = { $lt: before };
+
+  return this.findOne(query).sort('-createdAt');
+};
+
+imageScanSchema.statics.findHistory = function(userId, options = {}) {
+  const { repository, tag, limit = 20, skip = 0 } = options;
+
+  const query = { userId };
+  if (repository) query.repository = repository;
+  if (tag) query.tag = tag;
+
+  return this.find(query)
+    .select('-vulnerabilities')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limit)
+    .lean();
+};
+
+// Instance methods
+
+/**
+ * Vulnerabilities introduced and fixed relative to another scan, keyed by
+ * vulnerability ID and package so a CVE moving between packages counts as both.
+ */
+imageScanSchema.methods.compareWith = function(previous) {
+  const key = (vulnerability) => `${vulnerability.id}|${vulnerability.package}`;
+  const before = new Map((previous?.vulnerabilities || []).map(vulnerability => [key(vulnerability), vulnerability]));
+  const after = new Map(this.vulnerabilities.map(vulnerability => [key(vulnerability), vulnerability]));
+
+  const introduced = [...after.entries()].filter(([id]) => !before.has(id)).map(([, vulnerability]) => vulnerability);
+  const fixed = [...before.entries()].filter(([id]) => !after.has(id)).map(([, vulnerability]) => vulnerability);
+
+  return {
+    previousScanId: previous?._id || null,
+    previousImageId: previous?.imageId || null,
+    introduced,
+    fixed,
+    unchanged: after.size - introduced.length
+  };
+};
+
+const ImageScan = mongoose.model('ImageScan', imageScanSchema);
+
+module.exports = ImageScan;
+module.exports.SEVERITIES = SEVERITIES;
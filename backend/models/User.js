@@ -55,6 +55,8 @@ const userSchema = new mongoose.Schema({
       username: String
     },
     docker: {
+      // Registry URL or host[:port] the credentials belong to; Docker Hub when unset
+      registry: String,
       username: String,
       token: String
     },
@@ -3,10 +3,20 @@ const User = require('./User');
 const Analysis = require('./Analysis');
 const Deployment = require('./Deployment');
 const File = require('./File');
+const ImageScan = require('./ImageScan');
+const Build = require('./Build');
+const ExecSession = require('./ExecSession');
+const ContainerMetric = require('./ContainerMetric');
+const CleanupPolicy = require('./CleanupPolicy');
 
 module.exports = {
   User,
   Analysis,
   Deployment,
-  File
+  File,
+  ImageScan,
+  Build,
+  ExecSession,
+  ContainerMetric,
+  CleanupPolicy
 };
\ No newline at end of file
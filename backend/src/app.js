@@ -4,16 +4,11 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+const expressWs = require('express-ws');
 const path = require('path');
+const { EventEmitter } = require('events');
 require('dotenv').config();
 
-// Import routes
-const analyzeRoutes = require('./routes/analyzeRoutes');
-const dockerRoutes = require('./routes/dockerRoutes');
-const k8sRoutes = require('./routes/k8sRoutes');
-const cicdRoutes = require('./routes/cicdRoutes');
-const deployRoutes = require('./routes/deployRoutes');
-
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFoundHandler = require('./middleware/notFoundHandler');
@@ -25,11 +20,19 @@ const config = require('./config/appConfig');
 class App {
   constructor() {
     this.app = express();
+    this.initializeWebSockets();
     this.initializeMiddlewares();
     this.initializeRoutes();
     this.initializeErrorHandling();
   }
 
+  // Adds router.ws. server.js forwards every upgrade outside socket.io's path to this emitter
+  initializeWebSockets() {
+    const upgrades = new EventEmitter();
+    expressWs(this.app, upgrades);
+    this.app.set('websocketUpgrades', upgrades);
+  }
+
   initializeMiddlewares() {
     // Security middleware
     this.app.use(helmet());
@@ -87,6 +90,13 @@ class App {
   }
 
   initializeRoutes() {
+    // Loaded here rather than at the top: the route modules call router.ws, which express-ws adds
+    const analyzeRoutes = require('./routes/analyzeRoutes');
+    const dockerRoutes = require('./routes/dockerRoutes');
+    const k8sRoutes = require('./routes/k8sRoutes');
+    const cicdRoutes = require('./routes/cicdRoutes');
+    const deployRoutes = require('./routes/deployRoutes');
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.status(200).json({
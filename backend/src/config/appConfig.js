@@ -74,13 +74,43 @@ const appConfig = {
       enabled: !process.env.DOCKER_DISABLED,
       username: process.env.DOCKER_USERNAME,
       password: process.env.DOCKER_PASSWORD,
-      registry: process.env.DOCKER_REGISTRY_URL || 'https://index.docker.io/v1/'
+      registry: process.env.DOCKER_REGISTRY_URL || 'https://index.docker.io/v1/',
+      // Registries users may point the server at, besides Docker Hub and DOCKER_REGISTRY_URL
+      allowedRegistries: process.env.DOCKER_REGISTRY_ALLOWED_HOSTS
+        ? process.env.DOCKER_REGISTRY_ALLOWED_HOSTS.split(',')
+        : [],
+      scanner: process.env.IMAGE_SCANNER || 'auto', // auto, trivy, grype
+      scanTimeout: parseInt(process.env.IMAGE_SCAN_TIMEOUT) || 10 * 60 * 1000, // 10 minutes
+      // Defaults for the cleanup policy until an admin changes it through the API
+      cleanup: {
+        enabled: process.env.IMAGE_GC_ENABLED === 'true',
+        intervalHours: parseInt(process.env.IMAGE_GC_INTERVAL_HOURS) || 24,
+        keepTags: parseInt(process.env.IMAGE_GC_KEEP_TAGS) || 5,
+        containerMaxAgeHours: parseInt(process.env.IMAGE_GC_CONTAINER_MAX_AGE_HOURS) || 72
+      }
     },
     
     kubernetes: {
       enabled: !process.env.K8S_DISABLED,
       configPath: process.env.KUBECONFIG_PATH || '~/.kube/config',
-      namespace: process.env.K8S_NAMESPACE || 'default'
+      // kubeconfig context to use, e.g. kind-dev or k3d-dev; the current context otherwise
+      context: process.env.K8S_CONTEXT,
+      // Plain API server URL (a kubectl proxy or a mock server), used instead of the kubeconfig
+      apiServer: process.env.K8S_API_SERVER,
+      // CA bundle for an https K8S_API_SERVER, as a file or base64 PEM; without one the system CAs are trusted
+      caFile: process.env.K8S_CA_FILE,
+      caData: process.env.K8S_CA_DATA,
+      namespace: process.env.K8S_NAMESPACE || 'default',
+      fieldManager: process.env.K8S_FIELD_MANAGER || 'autopilotdev',
+      // What POST /kubernetes/apply may create or change
+      apply: {
+        kinds: process.env.K8S_APPLY_KINDS
+          ? process.env.K8S_APPLY_KINDS.split(',')
+          : ['Deployment', 'Service', 'Ingress', 'ConfigMap', 'HorizontalPodAutoscaler', 'PodDisruptionBudget', 'NetworkPolicy'],
+        namespaces: process.env.K8S_APPLY_NAMESPACES
+          ? process.env.K8S_APPLY_NAMESPACES.split(',')
+          : [process.env.K8S_NAMESPACE || 'default']
+      }
     },
     
     cloud: {
@@ -105,6 +135,11 @@ const appConfig = {
     }
   },
 
+  analysis: {
+    concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY) || 2,
+    advisoryDbPath: process.env.ADVISORY_DB_PATH || './data/advisories'
+  },
+
   monitoring: {
     enabled: process.env.MONITORING_ENABLED === 'true',
     metricsPort: parseInt(process.env.METRICS_PORT) || 9090,
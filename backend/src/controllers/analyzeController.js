@@ -1,86 +1,55 @@
-const Analysis = require('../models/Analysis');
+const Analysis = require('../../models/Analysis');
 const RepositoryService = require('../services/repoAnalyzer');
 const AIService = require('../services/ai/openaiService');
+const AnalysisQueue = require('../services/analysisQueue');
+const VulnerabilityAuditor = require('../services/vulnerabilityAuditor');
+const ComplexityAnalyzer = require('../services/complexityAnalyzer');
 const logger = require('../utils/logger');
 
 class AnalyzeController {
   /**
-   * Analyze a GitHub repository
+   * Queue a repository analysis and return its id immediately
    */
   async analyzeRepository(req, res) {
     try {
-      const { url, branch = 'main', depth = 3, includeDependencies = true } = req.body;
+      const {
+        url,
+        branch = 'main',
+        depth = 3,
+        includeDependencies = true,
+        include = [],
+        exclude = []
+      } = req.body;
       const userId = req.user.id;
 
-      logger.info(`Analyzing repository: ${url} by user ${userId}`);
-
-      // Emit analysis started event
-      req.app.get('io').emit('analysis-started', { url, userId });
-
-      // Clone and analyze repository
-      const analysisResult = await RepositoryService.analyzeRepository(url, {
-        branch,
-        depth,
-        includeDependencies
-      });
-
-      // Get AI insights
-      const aiInsights = await AIService.getRepositoryInsights(analysisResult);
+      logger.info(`Queueing analysis of repository: ${url} by user ${userId}`);
 
-      // Combine results
-      const fullAnalysis = {
-        ...analysisResult,
-        aiInsights,
-        summary: this.generateSummary(analysisResult, aiInsights)
-      };
-
-      // Save to database
       const analysis = new Analysis({
         userId,
         repositoryUrl: url,
         branch,
-        analysisData: fullAnalysis,
-        status: 'completed',
-        metrics: this.calculateMetrics(fullAnalysis)
+        status: 'pending',
+        options: { depth, includeDependencies, include, exclude }
       });
-
+      analysis.resetProgress();
       await analysis.save();
 
-      logger.info(`Analysis completed for ${url}, ID: ${analysis._id}`);
-
-      // Emit analysis completed event
-      req.app.get('io').emit('analysis-completed', {
-        analysisId: analysis._id,
-        url,
-        userId
-      });
+      const queuePosition = AnalysisQueue.enqueue(analysis._id);
 
-      res.status(200).json({
+      res.status(202).json({
         success: true,
         data: {
           analysisId: analysis._id,
           repository: url,
-          summary: fullAnalysis.summary,
-          insights: aiInsights.recommendations,
-          metrics: analysis.metrics,
+          branch,
+          status: analysis.status,
+          queuePosition,
           createdAt: analysis.createdAt
         }
       });
 
     } catch (error) {
-      logger.error(`Repository analysis failed: ${error.message}`);
-      
-      // Save failed analysis
-      if (req.body.url) {
-        const failedAnalysis = new Analysis({
-          userId: req.user?.id,
-          repositoryUrl: req.body.url,
-          status: 'failed',
-          error: error.message
-        });
-        await failedAnalysis.save();
-      }
-
+      logger.error(`Queueing repository analysis failed: ${error.message}`);
       res.status(500).json({
         success: false,
         error: 'Repository analysis failed',
@@ -117,7 +86,10 @@ class AnalyzeController {
         analysisId: analysis._id,
         repositoryUrl: analysis.repositoryUrl,
         branch: analysis.branch,
+        commit: analysis.commit,
         status: analysis.status,
+        progress: AnalysisQueue.toProgress(analysis),
+        error: analysis.error,
         createdAt: analysis.createdAt,
         updatedAt: analysis.updatedAt,
         summary: analysis.analysisData?.summary || {},
@@ -136,6 +108,19 @@ class AnalyzeController {
         responseData.structure = analysis.analysisData.structure;
       }
 
+      if (analysis.dependencyAudit?.scannedAt) {
+        responseData.dependencyAudit = analysis.dependencyAudit;
+      }
+
+      const runtimeProfile = analysis.getRuntimeProfile();
+      if (runtimeProfile) {
+        responseData.runtimeProfile = runtimeProfile;
+      }
+
+      if (analysis.services?.length) {
+        responseData.services = analysis.toObject().services;
+      }
+
       res.status(200).json({
         success: true,
         data: responseData
@@ -345,15 +330,14 @@ class AnalyzeController {
   }
 
   /**
-   * Analyze dependencies
+   * Audit the analyzed dependencies against the local OSV advisory database
    */
   async analyzeDependencies(req, res) {
     try {
       const { analysisId } = req.params;
-      const { checkVulnerabilities = true, checkUpdates = true } = req.query;
       const userId = req.user.id;
 
-      logger.info(`Analyzing dependencies for ${analysisId}`);
+      logger.info(`Auditing dependencies for ${analysisId}`);
 
       const analysis = await Analysis.findOne({
         _id: analysisId,
@@ -367,29 +351,33 @@ class AnalyzeController {
         });
       }
 
-      // Analyze dependencies using AI
-      const dependencyAnalysis = await AIService.analyzeDependencies(
-        analysis.analysisData,
-        { checkVulnerabilities, checkUpdates }
-      );
+      if (analysis.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'Analysis has not completed yet'
+        });
+      }
 
-      // Update analysis with dependency data
-      analysis.analysisData.dependencies = dependencyAnalysis;
+      const dependencies = Array.isArray(analysis.analysisData?.dependencies)
+        ? analysis.analysisData.dependencies
+        : [];
+
+      analysis.dependencyAudit = await VulnerabilityAuditor.audit(dependencies);
       await analysis.save();
 
       res.status(200).json({
         success: true,
         data: {
           analysisId,
-          dependencyAnalysis
+          dependencyAudit: analysis.dependencyAudit
         }
       });
 
     } catch (error) {
-      logger.error(`Dependency analysis failed: ${error.message}`);
+      logger.error(`Dependency audit failed: ${error.message}`);
       res.status(500).json({
         success: false,
-        error: 'Dependency analysis failed'
+        error: 'Dependency audit failed'
       });
     }
   }
@@ -416,10 +404,18 @@ class AnalyzeController {
         });
       }
 
-      // Calculate complexity metrics
-      const complexityMetrics = this.calculateComplexityMetrics(analysis.analysisData);
+      // Per-function metrics are computed while the clone exists, during the metrics stage
+      const complexity = analysis.analysisData?.complexity;
+      if (!complexity) {
+        return res.status(409).json({
+          success: false,
+          error: analysis.status === 'completed'
+            ? 'Complexity data is not available for this analysis; re-run the analysis'
+            : 'Analysis has not completed yet'
+        });
+      }
 
-      // Update analysis
+      const complexityMetrics = ComplexityAnalyzer.toMetrics(complexity);
       analysis.metrics.complexity = complexityMetrics;
       await analysis.save();
 
@@ -427,7 +423,12 @@ class AnalyzeController {
         success: true,
         data: {
           analysisId,
-          complexity: complexityMetrics
+          complexity: {
+            ...complexityMetrics,
+            summary: complexity.summary,
+            hotspots: complexity.hotspots,
+            files: complexity.files.map(({ functions, ...file }) => file)
+          }
         }
       });
 
@@ -640,64 +641,42 @@ class AnalyzeController {
   }
 
   /**
-   * Get analysis progress (for WebSocket)
+   * Get progress of one of the user's analyses (for WebSocket)
    */
-  async getAnalysisProgress(analysisId) {
-    // Mock progress for demo
+  async getAnalysisProgress(analysisId, userId) {
+    if (!userId) {
+      throw new Error('A user is required to read analysis progress');
+    }
+
+    const analysis = await Analysis.findOne({ _id: analysisId, userId }).select('-analysisData');
+
+    if (!analysis) {
+      throw new Error(`Analysis ${analysisId} not found`);
+    }
+
+    const progress = AnalysisQueue.toProgress(analysis);
+
     return {
-      analysisId,
-      progress: 75,
-      status: 'analyzing',
-      currentStep: 'AI analysis',
-      estimatedTimeRemaining: '2 minutes'
+      ...progress,
+      progress: progress.percentage,
+      currentStep: progress.stage,
+      estimatedTimeRemaining: this.estimateTimeRemaining(analysis)
     };
   }
 
   // Helper Methods
 
-  generateSummary(analysisResult, aiInsights) {
-    return {
-      totalFiles: analysisResult.files?.length || 0,
-      totalLines: analysisResult.metrics?.totalLines || 0,
-      languages: analysisResult.languages || [],
-      dependencies: analysisResult.dependencies?.length || 0,
-      complexity: aiInsights.complexity || 'medium',
-      qualityScore: this.calculateQualityScore(analysisResult, aiInsights)
-    };
-  }
+  estimateTimeRemaining(analysis) {
+    const { startedAt, percentage } = analysis.progress || {};
 
-  calculateMetrics(analysisData) {
-    return {
-      analysisDuration: Math.floor(Math.random() * 300) + 60, // 1-5 minutes
-      totalLines: analysisData.metrics?.totalLines || 0,
-      totalFiles: analysisData.files?.length || 0,
-      languageDistribution: analysisData.languages || [],
-      dependencyCount: analysisData.dependencies?.length || 0
-    };
-  }
+    if (analysis.status !== 'analyzing' || !startedAt || !percentage) {
+      return null;
+    }
 
-  calculateComplexityMetrics(analysisData) {
-    return {
-      cyclomaticComplexity: Math.floor(Math.random() * 50) + 10,
-      cognitiveComplexity: Math.floor(Math.random() * 100) + 20,
-      maintainabilityIndex: Math.floor(Math.random() * 40) + 60, // 60-100
-      halsteadMetrics: {
-        vocabulary: Math.floor(Math.random() * 500) + 100,
-        length: Math.floor(Math.random() * 2000) + 500,
-        volume: Math.floor(Math.random() * 10000) + 1000,
-        difficulty: Math.floor(Math.random() * 50) + 10,
-        effort: Math.floor(Math.random() * 500000) + 100000
-      }
-    };
-  }
+    const elapsed = Date.now() - startedAt.getTime();
+    const remaining = Math.round((elapsed / percentage) * (100 - percentage) / 1000);
 
-  calculateQualityScore(analysisResult, aiInsights) {
-    // Mock quality score calculation
-    const baseScore = 80;
-    const improvements = aiInsights.recommendations?.length || 0;
-    const issues = aiInsights.issues?.length || 0;
-    
-    return Math.max(0, Math.min(100, baseScore - (issues * 5) + (improvements * 2)));
+    return remaining >= 60 ? `${Math.ceil(remaining / 60)} minutes` : `${remaining} seconds`;
   }
 
   getDateFilter(timeframe) {
@@ -1,15 +1,26 @@
 const logger = require('../utils/logger');
 const AIService = require('../services/ai/openaiService');
+const Analysis = require('../../models/Analysis');
 
 class CICDController {
   async generatePipeline(req, res) {
     try {
       const { analysisId, provider = 'github', stages = [], options = {} } = req.body;
       
-      // Get AI-generated pipeline
+      const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found'
+        });
+      }
+      
+      // Get AI-generated pipeline for the analyzed primary language
       const pipeline = await AIService.generateCICDPipeline(analysisId, {
         provider,
         stages,
+        language: options.language || analysis.analysisData?.primaryLanguage,
+        runtimeProfile: analysis.getRuntimeProfile(),
         options
       });
       
@@ -364,48 +375,6 @@ deploy:
     
     return templates[provider] || templates.github;
   }
-
-  // WebSocket methods
-  async getPipelineStatus(pipelineId) {
-    return {
-      id: pipelineId,
-      status: 'running',
-      progress: 65,
-      currentStage: 'test',
-      startedAt: new Date(Date.now() - 120000).toISOString(),
-      estimatedCompletion: new Date(Date.now() + 60000).toISOString()
-    };
-  }
-
-  async streamPipelineLogs(pipelineId, jobId) {
-    const { Readable } = require('stream');
-    const stream = new Readable({
-      read() {
-        const logs = [
-          `Starting pipeline ${pipelineId}`,
-          'Initializing environment...',
-          'Installing dependencies...',
-          'Running tests...',
-          '✓ Tests passed',
-          'Building artifacts...',
-          '✓ Build successful',
-          'Deploying to staging...',
-          '✓ Deployment complete'
-        ];
-        
-        logs.forEach((log, i) => {
-          setTimeout(() => {
-            this.push(log + '\n');
-            if (i === logs.length - 1) {
-              this.push(null);
-            }
-          }, i * 800);
-        });
-      }
-    });
-    
-    return stream;
-  }
 }
 
 module.exports = new CICDController();
\ No newline at end of file
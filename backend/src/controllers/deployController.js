@@ -1,61 +1,30 @@
 const logger = require('../utils/logger');
+const deployService = require('../services/deployService');
+const statsCollector = require('../services/statsCollector');
 
 class DeployController {
   async deployApplication(req, res) {
     try {
       const { type, config, name, environment = 'development', version } = req.body;
       const userId = req.user.id;
-      const deploymentId = `deploy_${Date.now()}`;
       
       logger.info(`Deploying ${name} (${type}) by user ${userId}`);
       
-      // Start deployment process
-      const deployment = {
-        deploymentId,
-        userId,
-        name,
+      const deployment = await deployService.deployApplication(userId, {
         type,
-        environment,
-        version: version || '1.0.0',
         config,
-        status: 'deploying',
-        createdAt: new Date().toISOString(),
-        logs: [
-          `[${new Date().toISOString()}] Deployment started`,
-          `[${new Date().toISOString()}] Environment: ${environment}`,
-          `[${new Date().toISOString()}] Type: ${type}`
-        ]
-      };
-      
-      // Simulate deployment process
-      setTimeout(async () => {
-        deployment.status = 'running';
-        deployment.logs.push(`[${new Date().toISOString()}] Deployment completed successfully`);
-        deployment.url = `http://${name}.${environment}.example.com`;
-        deployment.ports = config.ports || [3000];
-        
-        logger.info(`Deployment ${deploymentId} completed`);
-        
-        // Emit WebSocket event
-        if (req.app.get('io')) {
-          req.app.get('io').emit('deployment-updated', {
-            deploymentId,
-            status: 'running',
-            url: deployment.url
-          });
-        }
-      }, 3000);
+        name,
+        environment,
+        version
+      });
       
       res.json({
         success: true,
-        data: deployment
+        data: this.formatDeployment(deployment, { includeLogs: true })
       });
     } catch (error) {
       logger.error('Deployment failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to deploy application'
-      });
+      this.sendError(res, error, 'Failed to deploy application');
     }
   }
 
@@ -64,67 +33,29 @@ class DeployController {
       const userId = req.user.id;
       const { status, type, environment, limit = 10, page = 1 } = req.query;
       
-      // Mock deployments for demo
-      const deployments = [
-        {
-          deploymentId: 'deploy_123',
-          name: 'api-service',
-          type: type || 'docker',
-          environment: environment || 'production',
-          status: status || 'running',
-          url: 'http://api.example.com',
-          createdAt: new Date(Date.now() - 86400000).toISOString(),
-          updatedAt: new Date(Date.now() - 3600000).toISOString()
-        },
-        {
-          deploymentId: 'deploy_456',
-          name: 'web-app',
-          type: 'kubernetes',
-          environment: 'staging',
-          status: 'stopped',
-          url: 'http://staging.example.com',
-          createdAt: new Date(Date.now() - 172800000).toISOString(),
-          updatedAt: new Date(Date.now() - 7200000).toISOString()
-        }
-      ];
-      
-      // Filter deployments
-      let filtered = deployments.filter(d => d.userId === userId);
-      
-      if (status) {
-        filtered = filtered.filter(d => d.status === status);
-      }
-      
-      if (type) {
-        filtered = filtered.filter(d => d.type === type);
-      }
-      
-      if (environment) {
-        filtered = filtered.filter(d => d.environment === environment);
-      }
-      
-      // Pagination
-      const start = (page - 1) * limit;
-      const paginated = filtered.slice(start, start + limit);
+      const result = await deployService.listDeployments(userId, {
+        status,
+        type,
+        environment,
+        limit,
+        page
+      });
       
       res.json({
         success: true,
         data: {
-          deployments: paginated,
+          deployments: result.deployments.map(d => this.formatDeployment(d)),
           pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: filtered.length,
-            pages: Math.ceil(filtered.length / limit)
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+            pages: result.pages
           }
         }
       });
     } catch (error) {
       logger.error('List deployments failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to list deployments'
-      });
+      this.sendError(res, error, 'Failed to list deployments');
     }
   }
 
@@ -133,143 +64,141 @@ class DeployController {
       const { deploymentId } = req.params;
       const userId = req.user.id;
       
-      // Mock deployment data
-      const deployment = {
-        deploymentId,
-        userId,
-        name: 'api-service',
-        type: 'docker',
-        environment: 'production',
-        status: 'running',
-        url: 'http://api.example.com',
-        ports: [3000, 3001],
-        config: {
-          image: 'node:18-alpine',
-          ports: [3000, 3001],
-          environment: ['NODE_ENV=production'],
-          volumes: ['/data:/app/data']
-        },
-        metrics: {
-          cpu: '45%',
-          memory: '320MB',
-          network: '15KB/s',
-          uptime: '2d 5h'
-        },
-        logs: [
-          '[2024-01-20T10:30:00Z] Deployment started',
-          '[2024-01-20T10:30:15Z] Pulling image...',
-          '[2024-01-20T10:30:30Z] Starting container...',
-          '[2024-01-20T10:30:45Z] Container running',
-          '[2024-01-20T10:31:00Z] Health check passed'
-        ],
-        createdAt: new Date(Date.now() - 86400000).toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      const deployment = await deployService.getDeployment(deploymentId, userId);
       
       res.json({
         success: true,
-        data: deployment
+        data: this.formatDeployment(deployment, { includeLogs: true })
       });
     } catch (error) {
       logger.error('Get deployment failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get deployment'
-      });
+      this.sendError(res, error, 'Failed to get deployment');
     }
   }
 
   async getDeploymentStatus(req, res) {
     try {
       const { deploymentId } = req.params;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.getDeployment(deploymentId, userId);
       
       res.json({
         success: true,
         data: {
-          deploymentId,
-          status: 'running',
-          health: 'healthy',
-          uptime: '2d 5h',
-          lastCheck: new Date().toISOString()
+          deploymentId: deployment.id,
+          status: deployment.status,
+          health: deployment.health?.status || 'unknown',
+          uptime: this.formatUptime(deployment),
+          lastCheck: deployment.health?.lastCheck || null,
+          error: deployment.error?.message || null
         }
       });
     } catch (error) {
       logger.error('Get deployment status failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get deployment status'
-      });
+      this.sendError(res, error, 'Failed to get deployment status');
     }
   }
 
   async getDeploymentLogs(req, res) {
     try {
       const { deploymentId } = req.params;
-      const { tail = 50 } = req.query;
+      const { tail = 50, since, until } = req.query;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.getDeployment(deploymentId, userId);
+      
+      let logs = deployment.logs;
+      
+      if (since) {
+        logs = logs.filter(log => log.timestamp >= new Date(since));
+      }
       
-      // Mock logs
-      const logs = Array.from({ length: 100 }, (_, i) => 
-        `[${new Date(Date.now() - i * 60000).toISOString()}] Log entry ${i + 1}`
-      ).slice(-tail);
+      if (until) {
+        logs = logs.filter(log => log.timestamp <= new Date(until));
+      }
       
       res.json({
         success: true,
         data: {
-          deploymentId,
-          logs,
-          total: 100
+          deploymentId: deployment.id,
+          logs: logs.slice(-parseInt(tail)).map(log => ({
+            timestamp: log.timestamp,
+            level: log.level,
+            message: log.message
+          })),
+          total: logs.length
         }
       });
     } catch (error) {
       logger.error('Get deployment logs failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get deployment logs'
-      });
+      this.sendError(res, error, 'Failed to get deployment logs');
     }
   }
 
   async stopDeployment(req, res) {
     try {
       const { deploymentId } = req.params;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.stopDeployment(deploymentId, userId);
       
       res.json({
         success: true,
         data: {
-          deploymentId,
-          status: 'stopped',
-          stoppedAt: new Date().toISOString(),
+          deploymentId: deployment.id,
+          status: deployment.status,
+          stoppedAt: deployment.stoppedAt,
           message: 'Deployment stopped successfully'
         }
       });
     } catch (error) {
       logger.error('Stop deployment failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to stop deployment'
-      });
+      this.sendError(res, error, 'Failed to stop deployment');
     }
   }
 
   async startDeployment(req, res) {
     try {
       const { deploymentId } = req.params;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.startDeployment(deploymentId, userId);
       
       res.json({
         success: true,
         data: {
-          deploymentId,
-          status: 'running',
-          startedAt: new Date().toISOString(),
+          deploymentId: deployment.id,
+          status: deployment.status,
+          startedAt: deployment.startedAt,
           message: 'Deployment started successfully'
         }
       });
     } catch (error) {
       logger.error('Start deployment failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to start deployment'
+      this.sendError(res, error, 'Failed to start deployment');
+    }
+  }
+
+  async restartDeployment(req, res) {
+    try {
+      const { deploymentId } = req.params;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.restartDeployment(deploymentId, userId);
+      
+      res.json({
+        success: true,
+        data: {
+          deploymentId: deployment.id,
+          status: deployment.status,
+          startedAt: deployment.startedAt,
+          message: 'Deployment restarted successfully'
+        }
       });
+    } catch (error) {
+      logger.error('Restart deployment failed:', error);
+      this.sendError(res, error, 'Failed to restart deployment');
     }
   }
 
@@ -277,58 +206,68 @@ class DeployController {
     try {
       const { deploymentId } = req.params;
       const { replicas } = req.body;
+      const userId = req.user.id;
+      
+      const deployment = await deployService.scaleDeployment(deploymentId, userId, replicas);
       
       res.json({
         success: true,
         data: {
-          deploymentId,
-          replicas: parseInt(replicas),
-          status: 'scaled',
-          message: `Deployment scaled to ${replicas} replicas`
+          deploymentId: deployment.id,
+          replicas: deployment.replicas,
+          status: deployment.status,
+          message: `Deployment scaled to ${deployment.replicas} replicas`
         }
       });
     } catch (error) {
       logger.error('Scale deployment failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to scale deployment'
-      });
+      this.sendError(res, error, 'Failed to scale deployment');
     }
   }
 
-  async getDeploymentMetrics(req, res) {
+  async deleteDeployment(req, res) {
     try {
       const { deploymentId } = req.params;
-      const { timeframe = '1h', metric = 'all' } = req.query;
+      const { force = false } = req.query;
+      const userId = req.user.id;
       
-      const metrics = {
+      const result = await deployService.deleteDeployment(
         deploymentId,
-        timeframe,
-        metric,
+        userId,
+        force === true || force === 'true'
+      );
+      
+      res.json({
+        success: true,
         data: {
-          cpu: this.generateTimeSeriesData(60, 20, 80),
-          memory: this.generateTimeSeriesData(60, 256, 512),
-          network: this.generateTimeSeriesData(60, 10, 100),
-          requests: this.generateTimeSeriesData(60, 100, 1000)
-        },
-        summary: {
-          avgCpu: '45%',
-          avgMemory: '320MB',
-          peakCpu: '78%',
-          peakMemory: '450MB'
+          deploymentId,
+          ...result
         }
-      };
+      });
+    } catch (error) {
+      logger.error('Delete deployment failed:', error);
+      this.sendError(res, error, 'Failed to delete deployment');
+    }
+  }
+
+  async getDeploymentMetrics(req, res) {
+    try {
+      const { deploymentId } = req.params;
+      const { timeframe = '1h', metric = 'all' } = req.query;
+      const userId = req.user.id;
+      
+      const metrics = await deployService.getDeploymentMetrics(deploymentId, userId, timeframe);
       
       res.json({
         success: true,
-        data: metrics
+        data: {
+          ...metrics,
+          metric
+        }
       });
     } catch (error) {
       logger.error('Get deployment metrics failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get deployment metrics'
-      });
+      this.sendError(res, error, 'Failed to get deployment metrics');
     }
   }
 
@@ -416,11 +355,59 @@ class DeployController {
   }
 
   // Helper methods
-  generateTimeSeriesData(points, min, max) {
-    return Array.from({ length: points }, (_, i) => ({
-      timestamp: new Date(Date.now() - (points - i) * 60000).toISOString(),
-      value: Math.floor(Math.random() * (max - min) + min)
-    }));
+  formatDeployment(deployment, { includeLogs = false } = {}) {
+    const data = {
+      deploymentId: deployment._id,
+      name: deployment.name,
+      type: deployment.type,
+      environment: deployment.environment,
+      version: deployment.version,
+      status: deployment.status,
+      url: deployment.url,
+      ports: deployment.ports,
+      replicas: deployment.replicas,
+      config: deployment.config,
+      health: deployment.health?.status || 'unknown',
+      metrics: deployment.metrics,
+      error: deployment.error?.message,
+      startedAt: deployment.startedAt,
+      stoppedAt: deployment.stoppedAt,
+      createdAt: deployment.createdAt,
+      updatedAt: deployment.updatedAt
+    };
+    
+    if (includeLogs) {
+      data.logs = (deployment.logs || []).map(log => ({
+        timestamp: log.timestamp,
+        level: log.level,
+        message: log.message
+      }));
+    }
+    
+    return data;
+  }
+
+  formatUptime(deployment) {
+    if (deployment.status !== 'running' || !deployment.startedAt) {
+      return '0m';
+    }
+    
+    const minutes = Math.floor((Date.now() - deployment.startedAt.getTime()) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+  }
+
+  sendError(res, error, fallbackMessage) {
+    const status = error.status || 500;
+    
+    res.status(status).json({
+      success: false,
+      error: status < 500 ? error.message : fallbackMessage
+    });
   }
 
   estimateCost(type, config) {
@@ -444,57 +431,25 @@ class DeployController {
   }
 
   // WebSocket methods
-  async getRealtimeStatus(deploymentId) {
+
+  // Stored status and health of one of the user's deployments
+  async getRealtimeStatus(deploymentId, userId) {
+    const deployment = await deployService.getDeployment(deploymentId, userId);
     return {
       deploymentId,
-      status: 'running',
-      health: 'healthy',
-      uptime: '2d 5h',
-      metrics: {
-        cpu: '45%',
-        memory: '320MB',
-        requests: '125/sec'
-      }
+      status: deployment.status,
+      health: deployment.health?.status || 'unknown'
     };
   }
 
-  async streamDeploymentLogs(deploymentId) {
-    const { Readable } = require('stream');
-    const stream = new Readable({
-      read() {
-        const logs = [
-          `Streaming logs for ${deploymentId}`,
-          'Application starting up...',
-          'Database connection established',
-          'Cache initialized',
-          'Server listening on port 3000',
-          'Health check passed',
-          'Ready to serve requests'
-        ];
-        
-        logs.forEach((log, i) => {
-          setTimeout(() => {
-            this.push(log + '\n');
-            if (i === logs.length - 1) {
-              this.push(null);
-            }
-          }, i * 1000);
-        });
-      }
-    });
-    
-    return stream;
-  }
-
-  async getRealtimeMetrics(deploymentId) {
-    return {
+  // Latest per-second reading of one of the user's deployments; null while its stats are not being collected
+  async getRealtimeMetrics(deploymentId, userId) {
+    await deployService.getDeployment(deploymentId, userId);
+    const latest = statsCollector.latest(deploymentId);
+    return latest && {
       deploymentId,
-      timestamp: new Date().toISOString(),
-      cpu: Math.floor(Math.random() * 50) + 20,
-      memory: Math.floor(Math.random() * 256) + 128,
-      networkIn: Math.floor(Math.random() * 100) + 10,
-      networkOut: Math.floor(Math.random() * 100) + 10,
-      requests: Math.floor(Math.random() * 200) + 50
+      ...latest,
+      timestamp: latest.timestamp.toISOString()
     };
   }
 }
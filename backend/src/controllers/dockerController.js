@@ -1,8 +1,20 @@
 const Docker = require('dockerode');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
 const AIService = require('../services/ai/openaiService');
+const DockerfileGenerator = require('../services/dockerfileGenerator');
+const ImageScanner = require('../services/imageScanner');
+const BuildService = require('../services/buildService');
+const ComposeGenerator = require('../services/composeGenerator');
+const RegistryService = require('../services/registryService');
+const ExecService = require('../services/execService');
+const ImageCleanupService = require('../services/imageCleanupService');
+const dockerService = require('../services/dockerService');
+const { computeStats } = require('../services/statsCollector');
+const { lint: lintDockerfile } = require('../services/dockerfile/linter');
+const { parseImageReference } = require('../services/dockerfile/parser');
+const authMiddleware = require('../middleware/authMiddleware');
+const Analysis = require('../../models/Analysis');
+const ImageScan = require('../../models/ImageScan');
 
 class DockerController {
   constructor() {
@@ -13,15 +25,57 @@ class DockerController {
     try {
       const { analysisId, options = {} } = req.body;
       
-      // Get AI-generated Dockerfile
-      const dockerfile = await AIService.generateDockerfile(analysisId, options);
+      const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found'
+        });
+      }
+      
+      // The analyzed primary language picks the toolchain unless the caller overrides it
+      const language = options.language || analysis.analysisData?.primaryLanguage;
+      const runtimeProfile = analysis.getRuntimeProfile();
+      const generationOptions = { ...options, language, runtimeProfile };
+      
+      // The template output is the baseline; the AI only refines it when configured
+      const baseline = DockerfileGenerator.generate(generationOptions);
+      if (!baseline) {
+        return res.status(422).json({
+          success: false,
+          error: `No Dockerfile template for ${language || 'this repository'}`
+        });
+      }
+      
+      let dockerfile = baseline.dockerfile;
+      let refined = false;
+      
+      if (options.refine !== false) {
+        const refinement = await AIService.refineDockerfile(analysisId, baseline.dockerfile, generationOptions);
+        if (refinement) {
+          dockerfile = refinement;
+          refined = true;
+        }
+      }
+      
+      analysis.generatedFiles = {
+        ...analysis.toObject().generatedFiles,
+        dockerfile,
+        dockerignore: baseline.dockerignore
+      };
+      await analysis.save();
       
       res.json({
         success: true,
         data: {
           dockerfile,
+          dockerignore: baseline.dockerignore,
           filename: 'Dockerfile',
-          language: 'dockerfile'
+          language: 'dockerfile',
+          primaryLanguage: language || null,
+          template: baseline.template,
+          parameters: baseline.parameters,
+          refined
         }
       });
     } catch (error) {
@@ -35,53 +89,20 @@ class DockerController {
 
   async validateDockerfile(req, res) {
     try {
-      const { dockerfile } = req.body;
-      
-      const issues = [];
-      const warnings = [];
-      
-      // Basic validation rules
-      const lines = dockerfile.split('\n');
-      
-      lines.forEach((line, index) => {
-        const trimmed = line.trim();
-        
-        if (trimmed.startsWith('FROM')) {
-          if (!trimmed.includes(':')) {
-            warnings.push(`Line ${index + 1}: Consider specifying a tag in FROM instruction`);
-          }
-        }
-        
-        if (trimmed.startsWith('RUN') && trimmed.includes('apt-get')) {
-          if (!trimmed.includes('clean')) {
-            warnings.push(`Line ${index + 1}: Add 'apt-get clean' to reduce image size`);
-          }
-        }
-        
-        if (trimmed.startsWith('COPY') && trimmed.includes('*')) {
-          warnings.push(`Line ${index + 1}: Consider using .dockerignore with COPY *`);
-        }
-      });
-      
-      // Check for exposed ports
-      const hasExpose = lines.some(line => line.trim().startsWith('EXPOSE'));
-      if (!hasExpose) {
-        warnings.push('No EXPOSE instruction found');
-      }
-      
-      // Check for WORKDIR
-      const hasWorkdir = lines.some(line => line.trim().startsWith('WORKDIR'));
-      if (!hasWorkdir) {
-        warnings.push('Consider adding WORKDIR instruction');
-      }
-      
+      const { dockerfile, ignore = [], checkSyntax = true, checkBestPractices = true } = req.body;
+
+      const result = lintDockerfile(dockerfile, { ignore, checkSyntax, checkBestPractices });
+
       res.json({
         success: true,
         data: {
-          valid: issues.length === 0,
-          issues,
-          warnings,
-          lineCount: lines.length
+          valid: result.valid,
+          findings: result.findings,
+          issues: result.findings.filter(finding => finding.severity === 'error'),
+          warnings: result.findings.filter(finding => finding.severity !== 'error'),
+          summary: result.summary,
+          stages: result.stages,
+          lineCount: result.lineCount
         }
       });
     } catch (error) {
@@ -95,31 +116,78 @@ class DockerController {
 
   async generateComposeFile(req, res) {
     try {
-      const { services, version = '3.8', networks = {}, volumes = {} } = req.body;
-      
+      const { analysisId } = req.body;
+
+      if (analysisId) {
+        const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+        if (!analysis) {
+          return res.status(404).json({
+            success: false,
+            error: 'Analysis not found'
+          });
+        }
+
+        const services = this.analysisServices(analysis);
+        if (!services.length) {
+          return res.status(422).json({
+            success: false,
+            error: 'No runnable services were detected for this analysis'
+          });
+        }
+
+        const result = ComposeGenerator.generate(services);
+
+        analysis.generatedFiles = { ...analysis.toObject().generatedFiles, dockerCompose: result.yaml };
+        await analysis.save();
+
+        return res.json({
+          success: true,
+          data: {
+            ...result,
+            filename: 'docker-compose.yml',
+            services: services.map(({ name, appRoot, type, framework, port, datastores }) => ({
+              name, appRoot, type, framework, port, datastores
+            }))
+          }
+        });
+      }
+
+      const { services, version, networks = {}, volumes = {} } = req.body;
+
       const composeConfig = {
         version,
         services: {},
         networks,
         volumes
       };
-      
+
       services.forEach(service => {
         composeConfig.services[service.name] = {
-          image: service.image || `${service.name}:latest`,
-          build: service.build || undefined,
-          ports: service.ports || [],
-          environment: service.environment || [],
-          depends_on: service.depends_on || [],
-          volumes: service.volumes || []
+          image: service.image || (service.build ? undefined : `${service.name}:latest`),
+          build: service.build,
+          ports: service.ports,
+          environment: service.environment,
+          depends_on: service.depends_on,
+          volumes: service.volumes
         };
       });
-      
+
+      const config = ComposeGenerator.clean(composeConfig);
+      const validation = ComposeGenerator.validate(config);
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: 'Compose file does not match the Compose specification',
+          errors: validation.errors
+        });
+      }
+
       res.json({
         success: true,
         data: {
-          config: composeConfig,
-          yaml: this.objectToYaml(composeConfig)
+          config,
+          yaml: ComposeGenerator.toYaml(config),
+          validation
         }
       });
     } catch (error) {
@@ -131,46 +199,159 @@ class DockerController {
     }
   }
 
+  // Analyses from before service detection only have the main application's profile
+  analysisServices(analysis) {
+    const { services = [] } = analysis.toObject();
+    if (services.length) return services;
+
+    const runtimeProfile = analysis.getRuntimeProfile();
+    return runtimeProfile ? [{ name: 'app', ...runtimeProfile, datastores: [] }] : [];
+  }
+
   async buildImage(req, res) {
     try {
-      const { dockerfile, imageName, tags = ['latest'], buildArgs = {} } = req.body;
-      const buildId = `build_${Date.now()}`;
-      
-      // Create temp directory for build context
-      const tempDir = path.join(__dirname, '../../temp', buildId);
-      fs.mkdirSync(tempDir, { recursive: true });
-      
-      // Save Dockerfile
-      fs.writeFileSync(path.join(tempDir, 'Dockerfile'), dockerfile);
-      
-      // Start build
-      const stream = await this.docker.buildImage({
-        context: tempDir,
-        src: ['.']
-      }, {
-        t: tags.map(tag => `${imageName}:${tag}`),
-        buildargs: buildArgs
-      });
-      
-      // Clean up temp directory after build
-      setTimeout(() => {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      }, 60000);
-      
-      res.json({
+      const { analysisId, buildArgs = {} } = req.body;
+      let options = {
+        dockerfile: req.body.dockerfile,
+        imageName: req.body.imageName,
+        tags: req.body.tags || ['latest']
+      };
+
+      if (analysisId) {
+        const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+        if (!analysis) {
+          return res.status(404).json({
+            success: false,
+            error: 'Analysis not found'
+          });
+        }
+
+        options = await this.analysisBuildOptions(analysis, req.body);
+        if (!options) {
+          return res.status(422).json({
+            success: false,
+            error: 'No Dockerfile was generated for this analysis and none can be generated from it'
+          });
+        }
+      }
+
+      const build = await BuildService.startBuild(req.user.id, { ...options, buildArgs, analysisId });
+
+      res.status(202).json({
         success: true,
         data: {
-          buildId,
-          imageName,
-          tags,
-          status: 'building'
+          buildId: build._id,
+          imageName: build.imageName,
+          tags: build.tags,
+          source: build.source,
+          status: build.status,
+          room: `build-${build._id}`
         }
       });
     } catch (error) {
       logger.error('Image build failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to build image'
+      });
+    }
+  }
+
+  /**
+   * Build options for an analyzed repository: its generated Dockerfile and
+   * .dockerignore (rendered from the template and saved when the analysis has
+   * none yet), the analyzed commit, and an image named after the repository
+   * tagged with that commit.
+   */
+  async analysisBuildOptions(analysis, body) {
+    let { dockerfile, dockerignore } = analysis.generatedFiles || {};
+
+    if (!dockerfile) {
+      const generated = DockerfileGenerator.generate({
+        runtimeProfile: analysis.getRuntimeProfile(),
+        language: analysis.analysisData?.primaryLanguage
+      });
+      if (!generated) return null;
+
+      ({ dockerfile, dockerignore } = generated);
+      analysis.generatedFiles = { ...analysis.toObject().generatedFiles, dockerfile, dockerignore };
+      await analysis.save();
+    }
+
+    const repository = analysis.analysisData?.repository?.repo
+      || analysis.repositoryUrl.replace(/\.git$/, '').split('/').pop();
+    const imageName = body.imageName || repository.toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+    const defaultTags = analysis.commit ? [analysis.commit.slice(0, 12), 'latest'] : ['latest'];
+
+    return {
+      dockerfile: body.dockerfile || dockerfile,
+      dockerignore,
+      imageName,
+      tags: body.tags || defaultTags,
+      source: {
+        repositoryUrl: analysis.repositoryUrl,
+        branch: analysis.branch,
+        commit: analysis.commit
+      }
+    };
+  }
+
+  async getBuild(req, res) {
+    try {
+      const build = await BuildService.getBuild(req.params.buildId, req.user.id);
+
+      res.json({
+        success: true,
+        data: build
+      });
+    } catch (error) {
+      logger.error('Get build failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to get build'
+      });
+    }
+  }
+
+  async listBuilds(req, res) {
+    try {
+      const { status, limit = 20, skip = 0 } = req.query;
+
+      const builds = await BuildService.listBuilds(req.user.id, {
+        status,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: builds
+      });
+    } catch (error) {
+      logger.error('List builds failed:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to build image'
+        error: 'Failed to list builds'
+      });
+    }
+  }
+
+  async cancelBuild(req, res) {
+    try {
+      const build = await BuildService.cancelBuild(req.params.buildId, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          buildId: build._id,
+          status: 'cancelling'
+        }
+      });
+    } catch (error) {
+      logger.error('Cancel build failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to cancel build'
       });
     }
   }
@@ -296,12 +477,442 @@ class DockerController {
     }
   }
 
-  // Helper methods
-  objectToYaml(obj) {
-    const yaml = require('js-yaml');
-    return yaml.dump(obj);
+  /**
+   * One computed stats reading, or with `stream=true` newline-delimited
+   * readings about once a second until the client disconnects
+   */
+  async getContainerStats(req, res) {
+    try {
+      const { containerId } = req.params;
+      const stream = req.query.stream === 'true';
+
+      if (!stream) {
+        const stats = await dockerService.getContainerStats(containerId);
+        return res.json({
+          success: true,
+          data: {
+            containerId,
+            ...computeStats(stats)
+          }
+        });
+      }
+
+      const source = await dockerService.getContainerStats(containerId, { stream: true });
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      req.on('close', () => source.destroy());
+
+      let buffer = '';
+      source.on('data', (chunk) => {
+        const lines = (buffer + chunk.toString()).split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => {
+          try {
+            const stats = computeStats(JSON.parse(line));
+            if (stats.cpu !== null) res.write(JSON.stringify({ containerId, ...stats }) + '\n');
+          } catch (error) {
+            logger.debug(`Unreadable stats sample for ${containerId}: ${error.message}`);
+          }
+        });
+      });
+      source.on('end', () => res.end());
+      source.on('error', (error) => {
+        logger.warn(`Stats stream of ${containerId} failed: ${error.message}`);
+        res.end();
+      });
+    } catch (error) {
+      logger.error('Get container stats failed:', error);
+      const status = error.status || (error.statusCode === 404 ? 404 : 500);
+      res.status(status).json({
+        success: false,
+        error: status === 404 ? `Container ${req.params.containerId} not found` : error.status ? error.message : 'Failed to get container stats'
+      });
+    }
   }
 
+  async scanImage(req, res) {
+    try {
+      const { image, severity, exitCode, archive = false, scanner } = req.body;
+
+      const { scan, comparison } = await ImageScanner.scanImage(req.user.id, image, {
+        severity,
+        exitCode,
+        archive,
+        scanner
+      });
+
+      res.json({
+        success: true,
+        data: {
+          scanId: scan._id,
+          image: scan.image,
+          repository: scan.repository,
+          tag: scan.tag,
+          imageId: scan.imageId,
+          scanner: scan.scanner,
+          threshold: scan.threshold,
+          passed: scan.passed,
+          exitCode: scan.exitCode,
+          summary: scan.summary,
+          vulnerabilities: scan.vulnerabilities,
+          comparison: {
+            previousScanId: comparison.previousScanId,
+            introduced: comparison.introduced.length,
+            fixed: comparison.fixed.length,
+            unchanged: comparison.unchanged
+          },
+          scannedAt: scan.createdAt
+        }
+      });
+    } catch (error) {
+      logger.error('Image scan failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to scan image'
+      });
+    }
+  }
+
+  async listScans(req, res) {
+    try {
+      const { image, limit = 20, skip = 0 } = req.query;
+      const reference = image ? parseImageReference(image) : null;
+
+      const scans = await ImageScan.findHistory(req.user.id, {
+        repository: reference?.name,
+        tag: reference?.tag,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: scans
+      });
+    } catch (error) {
+      logger.error('List image scans failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list image scans'
+      });
+    }
+  }
+
+  async getScan(req, res) {
+    try {
+      const { scanId } = req.params;
+      const { compareTo } = req.query;
+
+      const scan = await ImageScan.findOne({ _id: scanId, userId: req.user.id });
+      if (!scan) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scan not found'
+        });
+      }
+
+      // Defaults to the previous scan of the same tag; any other scan can be the baseline
+      const baselineId = compareTo || scan.previousScanId;
+      const baseline = baselineId
+        ? await ImageScan.findOne({ _id: baselineId, userId: req.user.id })
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          scan,
+          comparison: scan.compareWith(baseline)
+        }
+      });
+    } catch (error) {
+      logger.error('Get image scan failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get image scan'
+      });
+    }
+  }
+
+  async pushImage(req, res) {
+    try {
+      const { imageName, registry, tags = ['latest'] } = req.body;
+
+      const pushed = await RegistryService.pushImage(req.user.id, imageName, { registry, tags });
+
+      res.json({
+        success: true,
+        data: { pushed }
+      });
+    } catch (error) {
+      logger.error('Image push failed:', error);
+      res.status(error.status || error.statusCode || 500).json({
+        success: false,
+        error: error.status || error.statusCode ? error.message : 'Failed to push image'
+      });
+    }
+  }
+
+  async listRegistryImages(req, res) {
+    try {
+      const { registry, limit = 100, last } = req.query;
+
+      const client = await RegistryService.clientFor(req.user.id, registry);
+      const catalog = await client.catalog({ limit: parseInt(limit), last });
+
+      res.json({
+        success: true,
+        data: {
+          registry: client.endpoint.host,
+          ...catalog
+        }
+      });
+    } catch (error) {
+      logger.error('List registry images failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to list registry images'
+      });
+    }
+  }
+
+  async listRegistryTags(req, res) {
+    try {
+      const { registry, repository } = req.query;
+
+      const client = await RegistryService.clientFor(req.user.id, registry);
+      const result = await client.listTags(repository);
+
+      res.json({
+        success: true,
+        data: {
+          registry: client.endpoint.host,
+          ...result
+        }
+      });
+    } catch (error) {
+      logger.error('List registry tags failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to list registry tags'
+      });
+    }
+  }
+
+  async getRegistryManifest(req, res) {
+    try {
+      const { registry, repository, reference = 'latest' } = req.query;
+
+      const client = await RegistryService.clientFor(req.user.id, registry);
+      const manifest = await client.getManifest(repository, reference);
+
+      res.json({
+        success: true,
+        data: {
+          registry: client.endpoint.host,
+          ...manifest
+        }
+      });
+    } catch (error) {
+      logger.error('Registry manifest inspection failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to inspect manifest'
+      });
+    }
+  }
+
+  async deleteRegistryTag(req, res) {
+    try {
+      const { registry, repository, tag } = req.query;
+
+      const client = await RegistryService.clientFor(req.user.id, registry);
+      const deleted = await client.deleteTag(repository, tag);
+
+      res.json({
+        success: true,
+        data: {
+          registry: client.endpoint.host,
+          ...deleted
+        }
+      });
+    } catch (error) {
+      logger.error('Registry tag deletion failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to delete tag'
+      });
+    }
+  }
+
+  async getRegistryCredentials(req, res) {
+    try {
+      const credentials = await RegistryService.getCredentials(req.user.id);
+
+      res.json({
+        success: true,
+        data: credentials
+      });
+    } catch (error) {
+      logger.error('Get registry credentials failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get registry credentials'
+      });
+    }
+  }
+
+  async saveRegistryCredentials(req, res) {
+    try {
+      const { registry, username, token } = req.body;
+
+      const credentials = await RegistryService.saveCredentials(req.user.id, { registry, username, token });
+
+      res.json({
+        success: true,
+        data: credentials
+      });
+    } catch (error) {
+      logger.error('Save registry credentials failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to save registry credentials'
+      });
+    }
+  }
+
+  async deleteRegistryCredentials(req, res) {
+    try {
+      await RegistryService.clearCredentials(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Registry credentials removed'
+      });
+    } catch (error) {
+      logger.error('Delete registry credentials failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove registry credentials'
+      });
+    }
+  }
+
+  async getCleanupPolicy(req, res) {
+    try {
+      const policy = await ImageCleanupService.getPolicy();
+
+      res.json({
+        success: true,
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Get cleanup policy failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get cleanup policy'
+      });
+    }
+  }
+
+  async updateCleanupPolicy(req, res) {
+    try {
+      const policy = await ImageCleanupService.updatePolicy(req.body, req.user.id);
+
+      res.json({
+        success: true,
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Update cleanup policy failed:', error);
+      const invalid = error.name === 'ValidationError';
+      res.status(invalid ? 400 : 500).json({
+        success: false,
+        error: invalid ? error.message : 'Failed to update cleanup policy'
+      });
+    }
+  }
+
+  async dryRunCleanup(req, res) {
+    try {
+      const overrides = {};
+      ['keepTags', 'removeDangling', 'containerMaxAgeHours'].forEach(field => {
+        if (req.query[field] !== undefined) overrides[field] = req.query[field];
+      });
+
+      const report = await ImageCleanupService.run({ dryRun: true, overrides });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Cleanup dry run failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to plan image cleanup'
+      });
+    }
+  }
+
+  async runCleanup(req, res) {
+    try {
+      logger.info(`Image cleanup started by ${req.user.id}`);
+      const report = await ImageCleanupService.run({ trigger: 'api' });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Image cleanup failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to run image cleanup'
+      });
+    }
+  }
+
+  async createExecTicket(req, res) {
+    try {
+      const { containerId } = req.params;
+      await ExecService.authorize(req.user, containerId);
+
+      res.status(201).json({
+        success: true,
+        data: authMiddleware.issueTicket(req.user, `${req.baseUrl}/containers/${containerId}/exec`)
+      });
+    } catch (error) {
+      logger.error('Create exec ticket failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to create exec ticket'
+      });
+    }
+  }
+
+  async listExecSessions(req, res) {
+    try {
+      const { limit = 50, skip = 0 } = req.query;
+
+      const sessions = await ExecService.listSessions(req.user, {
+        containerId: req.params.containerId,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      logger.error('List exec sessions failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list exec sessions'
+      });
+    }
+  }
+
+  // Helper methods
   formatBytes(bytes) {
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
     if (bytes === 0) return '0 Byte';
@@ -310,35 +921,107 @@ class DockerController {
   }
 
   // WebSocket methods
-  async streamBuildLogs(buildId) {
-    // Mock stream for demo
+
+  // Status of one of the user's builds; 404 for anyone else's
+  async getBuildStatus(buildId, userId) {
+    const build = await BuildService.getBuild(buildId, userId);
+    return { buildId, status: build.status };
+  }
+
+  /**
+   * Stored log lines of one of the user's builds followed by live ones until it finishes
+   */
+  async streamBuildLogs(buildId, userId) {
     const { Readable } = require('stream');
-    const stream = new Readable({
-      read() {
-        const messages = [
-          'Step 1/10 : FROM node:18-alpine',
-          'Step 2/10 : WORKDIR /app',
-          'Step 3/10 : COPY package*.json ./',
-          'Step 4/10 : RUN npm ci --only=production',
-          'Step 5/10 : COPY . .',
-          'Step 6/10 : EXPOSE 3000',
-          'Step 7/10 : CMD ["node", "server.js"]',
-          'Build completed successfully'
-        ];
-        
-        messages.forEach((msg, i) => {
-          setTimeout(() => {
-            this.push(msg + '\n');
-            if (i === messages.length - 1) {
-              this.push(null);
-            }
-          }, i * 1000);
-        });
+
+    const build = await BuildService.getBuild(buildId, userId);
+    const stream = new Readable({ read() {} });
+    (build.logs || []).forEach(log => stream.push(log.message + '\n'));
+
+    const unsubscribe = BuildService.follow(buildId, (event) => {
+      if (!event) {
+        unsubscribe();
+        stream.push(null);
+      } else if (event.type === 'step') {
+        stream.push(`Step ${event.step}/${event.totalSteps} : ${event.instruction}\n`);
+      } else if (event.message) {
+        stream.push(event.message + '\n');
       }
     });
-    
+
+    if (!unsubscribe) stream.push(null);
     return stream;
   }
+
+  /**
+   * Bridge a WebSocket to a shell in the container. Client messages are
+   * {type: 'input', data} and {type: 'resize', cols, rows}; the server sends
+   * ready, output, exit and error messages.
+   */
+  async openTerminal(ws, req, user) {
+    const send = (message) => {
+      if (ws.readyState === 1) ws.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+    };
+
+    // Input that arrives while the exec is being created is replayed once it is ready
+    let session = null;
+    const pending = [];
+    let clientClosed = false;
+
+    const handleMessage = (data) => {
+      switch (data.type) {
+        case 'input':
+          if (typeof data.data === 'string') session.write(data.data);
+          break;
+        case 'resize':
+          session.resize(data.cols, data.rows);
+          break;
+        default:
+          send({ type: 'error', message: 'Unknown message type' });
+      }
+    };
+
+    ws.on('message', (message) => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        return send({ type: 'error', message: 'Messages must be JSON' });
+      }
+      if (session) handleMessage(data);
+      else pending.push(data);
+    });
+
+    ws.on('close', () => {
+      clientClosed = true;
+      if (session) ExecService.closeSession(session.id, 'Client disconnected').catch(() => {});
+    });
+
+    try {
+      session = await ExecService.openSession(user, req.params.containerId, {
+        cols: req.query.cols,
+        rows: req.query.rows,
+        remoteAddress: req.ip || req.socket?.remoteAddress,
+        userAgent: req.get?.('User-Agent'),
+        onOutput: (data) => send({ type: 'output', data }),
+        onExit: (record) => {
+          send({ type: 'exit', exitCode: record.exitCode ?? null });
+          if (ws.readyState === 1) ws.close(1000, 'Process exited');
+        }
+      });
+    } catch (error) {
+      logger.error(`Opening terminal in ${req.params.containerId} failed: ${error.message}`);
+      send({ type: 'error', message: error.status || error.statusCode ? error.message : 'Failed to open terminal' });
+      return ws.close(1011, 'Exec failed');
+    }
+
+    if (clientClosed) {
+      return ExecService.closeSession(session.id, 'Client disconnected');
+    }
+
+    send({ type: 'ready', sessionId: session.id, container: session.record.containerName });
+    pending.splice(0).forEach(handleMessage);
+  }
 }
 
 module.exports = new DockerController();
\ No newline at end of file
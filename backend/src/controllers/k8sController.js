@@ -1,6 +1,24 @@
 const k8s = require('@kubernetes/client-node');
 const logger = require('../utils/logger');
-const AIService = require('../services/ai/openaiService');
+const DockerfileGenerator = require('../services/dockerfileGenerator');
+const K8sManifestGenerator = require('../services/k8sManifestGenerator');
+const HelmChartGenerator = require('../services/helmChartGenerator');
+const KustomizeGenerator = require('../services/kustomizeGenerator');
+const k8sService = require('../services/k8sService');
+const { validate: validateKubernetes } = require('../services/kubernetes/validator');
+const Analysis = require('../../models/Analysis');
+const File = require('../../models/File');
+
+// `type` values of the generate route and the bundle keys they select
+const MANIFEST_TYPES = {
+  deployment: 'deployment',
+  service: 'service',
+  ingress: 'ingress',
+  configmap: 'configMap',
+  hpa: 'hpa',
+  pdb: 'pdb',
+  networkpolicy: 'networkPolicy'
+};
 
 class K8sController {
   constructor() {
@@ -12,27 +30,30 @@ class K8sController {
 
   async generateManifests(req, res) {
     try {
-      const { analysisId, type = 'all', options = {} } = req.body;
-      
-      const manifests = {};
+      const { analysisId, type = 'all' } = req.body;
       
-      if (type === 'deployment' || type === 'all') {
-        manifests.deployment = await this.generateDeployment(analysisId, options);
+      const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found'
+        });
       }
       
-      if (type === 'service' || type === 'all') {
-        manifests.service = await this.generateService(analysisId, options);
-      }
+      const result = this.generateBundle(analysis, req.body.options);
       
-      if (type === 'ingress' || type === 'all') {
-        manifests.ingress = await this.generateIngress(analysisId, options);
-      }
+      // The whole bundle is kept on the analysis; `type` only narrows the response
+      analysis.generatedFiles = { ...analysis.toObject().generatedFiles, kubernetes: result.yaml };
+      await analysis.save();
+      
+      const manifests = this.selectManifests(result.manifests, type);
       
       res.json({
         success: true,
         data: {
           manifests,
-          yaml: this.manifestsToYaml(manifests)
+          yaml: type === 'all' ? result.yaml : K8sManifestGenerator.toYaml(manifests),
+          warnings: result.warnings
         }
       });
     } catch (error) {
@@ -44,6 +65,69 @@ class K8sController {
     }
   }
 
+  async validateManifests(req, res) {
+    try {
+      const { yaml, manifests, kubernetesVersion, ignore = [] } = req.body;
+
+      const result = validateKubernetes(yaml !== undefined ? yaml : manifests, { kubernetesVersion, ignore });
+
+      res.json({
+        success: true,
+        data: {
+          ...result,
+          issues: result.findings.filter(finding => finding.severity === 'error'),
+          warnings: result.findings.filter(finding => finding.severity !== 'error')
+        }
+      });
+    } catch (error) {
+      logger.error('K8s manifest validation failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to validate manifests'
+      });
+    }
+  }
+
+  async applyConfiguration(req, res) {
+    try {
+      const { yaml, namespace, dryRun = false, force = false } = req.body;
+
+      const manifests = k8sService.parseManifests(yaml);
+      if (!manifests.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'No Kubernetes objects found in the YAML'
+        });
+      }
+
+      const validation = validateKubernetes(manifests);
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: 'Manifests failed validation',
+          data: { issues: validation.findings.filter(finding => finding.severity === 'error') }
+        });
+      }
+      // The policy has to judge the namespace the objects will actually land in
+      const target = await k8sService.applyNamespace(namespace);
+      k8sService.checkApplyPolicy(manifests, target);
+
+      const result = await k8sService.apply(manifests, { namespace: target, dryRun, force });
+
+      logger.info(`${dryRun ? 'Dry-run apply' : 'Apply'} by user ${req.user.id}: ${JSON.stringify(result.summary)}`);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('K8s apply failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to apply configuration'
+      });
+    }
+  }
+
   async deployToCluster(req, res) {
     try {
       const { manifests, namespace = 'default', dryRun = false } = req.body;
@@ -245,157 +329,179 @@ class K8sController {
     }
   }
 
-  // Helper methods
-  async generateDeployment(analysisId, options) {
-    const aiTemplate = await AIService.generateK8sDeployment(analysisId, options);
-    
-    return {
-      apiVersion: 'apps/v1',
-      kind: 'Deployment',
-      metadata: {
-        name: options.name || 'app-deployment',
-        namespace: options.namespace || 'default'
-      },
-      spec: {
-        replicas: options.replicas || 1,
-        selector: {
-          matchLabels: {
-            app: options.name || 'app'
-          }
-        },
-        template: {
+  async exportHelmChart(req, res) {
+    try {
+      const { analysisId, options, chart: chartOptions = {}, format = 'json', save = true } = req.body;
+
+      const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found'
+        });
+      }
+
+      const bundle = this.generateBundle(analysis, options);
+      const chart = HelmChartGenerator.generate(bundle.manifests, chartOptions);
+      if (!chart.lint.valid) {
+        return res.status(422).json({
+          success: false,
+          error: 'Generated chart failed lint',
+          data: { lint: chart.lint }
+        });
+      }
+
+      const archive = await HelmChartGenerator.package(chart);
+      const filename = `${chart.name}-${chart.version}.tgz`;
+
+      let file = null;
+      if (save) {
+        file = await File.create({
+          userId: req.user.id,
+          name: filename,
+          type: 'kubernetes',
+          content: archive.toString('base64'),
+          encoding: 'base64',
+          language: 'helm',
+          size: archive.length,
+          tags: ['helm', 'chart'],
           metadata: {
-            labels: {
-              app: options.name || 'app'
-            }
-          },
-          spec: {
-            containers: [{
-              name: options.name || 'app',
-              image: options.image || 'nginx:latest',
-              ports: (options.ports || [80]).map(p => ({
-                containerPort: p
-              })),
-              env: (options.env || []).map(e => ({
-                name: e.name,
-                value: e.value
-              }))
-            }]
+            analysisId: analysis._id,
+            repository: analysis.repositoryUrl,
+            branch: analysis.branch,
+            generatedBy: 'template'
           }
-        }
+        });
       }
-    };
-  }
 
-  async generateService(analysisId, options) {
-    return {
-      apiVersion: 'v1',
-      kind: 'Service',
-      metadata: {
-        name: `${options.name || 'app'}-service`,
-        namespace: options.namespace || 'default'
-      },
-      spec: {
-        selector: {
-          app: options.name || 'app'
-        },
-        ports: (options.ports || [80]).map(p => ({
-          port: p,
-          targetPort: p
-        })),
-        type: options.serviceType || 'ClusterIP'
+      if (format === 'tgz') {
+        res.set({
+          'Content-Type': 'application/gzip',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          ...(file && { 'X-File-Id': file.id })
+        });
+        return res.send(archive);
       }
-    };
-  }
 
-  async generateIngress(analysisId, options) {
-    return {
-      apiVersion: 'networking.k8s.io/v1',
-      kind: 'Ingress',
-      metadata: {
-        name: `${options.name || 'app'}-ingress`,
-        namespace: options.namespace || 'default',
-        annotations: {
-          'nginx.ingress.kubernetes.io/rewrite-target': '/'
+      res.json({
+        success: true,
+        data: {
+          chart: { name: chart.name, version: chart.version, appVersion: chart.appVersion },
+          filename,
+          size: archive.length,
+          fileId: file?.id,
+          files: chart.files,
+          values: chart.values,
+          lint: chart.lint,
+          warnings: bundle.warnings
         }
-      },
-      spec: {
-        rules: [{
-          host: options.host || 'app.local',
-          http: {
-            paths: [{
-              path: '/',
-              pathType: 'Prefix',
-              backend: {
-                service: {
-                  name: `${options.name || 'app'}-service`,
-                  port: {
-                    number: options.ports?.[0] || 80
-                  }
-                }
-              }
-            }]
-          }
-        }]
-      }
-    };
+      });
+    } catch (error) {
+      logger.error('Helm chart export failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to export Helm chart'
+      });
+    }
   }
 
-  manifestsToYaml(manifests) {
-    const yaml = require('js-yaml');
-    let yamlOutput = '';
-    
-    for (const manifest of Object.values(manifests)) {
-      yamlOutput += '---\n';
-      yamlOutput += yaml.dump(manifest);
+  async downloadHelmChart(req, res) {
+    try {
+      const file = await File.findOne({ _id: req.params.fileId, userId: req.user.id, language: 'helm' });
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      await File.incrementDownload(file._id);
+
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${file.name}"`
+      });
+      res.send(Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8'));
+    } catch (error) {
+      logger.error('Helm chart download failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download Helm chart'
+      });
     }
-    
-    return yamlOutput;
   }
 
-  // WebSocket methods
-  async getDeploymentStatus(name, namespace) {
-    return {
-      name,
-      namespace,
-      status: 'Running',
-      replicas: 3,
-      available: 3,
-      unavailable: 0,
-      conditions: [
-        {
-          type: 'Available',
-          status: 'True',
-          lastUpdateTime: new Date().toISOString()
-        }
-      ]
-    };
-  }
+  async generateKustomize(req, res) {
+    try {
+      const { analysisId, options, environments, format = 'json' } = req.body;
 
-  async streamPodLogs(podName, namespace) {
-    const { Readable } = require('stream');
-    const stream = new Readable({
-      read() {
-        const logs = [
-          `[INFO] Starting pod ${podName}`,
-          '[INFO] Container starting up',
-          '[INFO] Application initialized',
-          '[INFO] Listening on port 3000',
-          '[INFO] Health check passed'
-        ];
-        
-        logs.forEach((log, i) => {
-          setTimeout(() => {
-            this.push(log + '\n');
-            if (i === logs.length - 1) {
-              this.push(null);
-            }
-          }, i * 1000);
+      const analysis = await Analysis.findOne({ _id: analysisId, userId: req.user.id });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found'
         });
       }
+
+      const bundle = this.generateBundle(analysis, options);
+      const layout = KustomizeGenerator.generate(bundle.manifests, { environments });
+
+      if (format === 'zip') {
+        const archive = await KustomizeGenerator.package(layout);
+        res.set({
+          'Content-Type': 'application/zip',
+          'Content-Disposition': `attachment; filename="${layout.name}-kustomize.zip"`
+        });
+        return res.send(archive);
+      }
+
+      const overlays = {};
+      Object.entries(layout.overlays).forEach(([environment, overlay]) => {
+        overlays[environment] = {
+          namespace: overlay.namespace,
+          settings: overlay.settings,
+          rendered: overlay.yaml
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          name: layout.name,
+          files: layout.files,
+          overlays,
+          warnings: bundle.warnings
+        }
+      });
+    } catch (error) {
+      logger.error('Kustomize generation failed:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to generate Kustomize layout'
+      });
+    }
+  }
+
+  // Helper methods
+  generateBundle(analysis, options = {}) {
+    const runtimeProfile = analysis.getRuntimeProfile() || DockerfileGenerator.defaultProfile(analysis.language);
+    return K8sManifestGenerator.generate(runtimeProfile, {
+      name: this.applicationName(analysis),
+      ...options
     });
-    
-    return stream;
+  }
+
+  selectManifests(manifests, type) {
+    if (type === 'all') return manifests;
+
+    const key = MANIFEST_TYPES[type];
+    return manifests[key] ? { [key]: manifests[key] } : {};
+  }
+
+  // Repository name, made safe for object names by the generator
+  applicationName(analysis) {
+    const repository = (analysis.repositoryUrl || '').replace(/\.git$/, '').replace(/\/+$/, '');
+    return repository.split('/').pop() || 'app';
   }
 }
 
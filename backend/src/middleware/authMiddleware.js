@@ -1,25 +1,45 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/appConfig');
-const User = require('../models/User');
+const User = require('../../models/User');
 const logger = require('../utils/logger');
 
+const TICKET_TTL_MS = 30 * 1000;
+
+// Single-use WebSocket tickets: ticket -> {userId, path, expiresAt}
+const tickets = new Map();
+
+// The URL a WebSocket route is reached at, without express-ws's /.websocket suffix
+const websocketPath = req => req.originalUrl.split('?')[0].replace(/\/\.websocket$/, '');
+
 const authMiddleware = {
   // Verify JWT token
   verifyToken: async (req, res, next) => {
     try {
+      // Browsers cannot set headers on a WebSocket upgrade; those pass a ticket, never the JWT itself
+      const upgrade = req.header('Upgrade')?.toLowerCase() === 'websocket';
       const token = req.header('Authorization')?.replace('Bearer ', '');
-      
-      if (!token) {
+      let userId;
+
+      if (token) {
+        userId = jwt.verify(token, config.security.jwtSecret).userId;
+      } else if (upgrade && req.query.ticket) {
+        userId = authMiddleware.redeemTicket(String(req.query.ticket), websocketPath(req));
+        if (!userId) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired ticket.'
+          });
+        }
+      } else {
         return res.status(401).json({
           success: false,
           error: 'Access denied. No token provided.'
         });
       }
-
-      const decoded = jwt.verify(token, config.security.jwtSecret);
       
       // Find user by ID
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = await User.findById(userId).select('-password');
       
       if (!user) {
         return res.status(401).json({
@@ -64,6 +84,31 @@ const authMiddleware = {
     }
   },
 
+  /**
+   * Issue a ticket that opens one WebSocket at `path` within the next 30 seconds.
+   * @param {Object} user - Authenticated User document
+   * @param {string} path - Full request path of the WebSocket route
+   * @returns {{ticket: string, expiresIn: number}}
+   */
+  issueTicket: (user, path) => {
+    const now = Date.now();
+    tickets.forEach((entry, ticket) => {
+      if (entry.expiresAt <= now) tickets.delete(ticket);
+    });
+
+    const ticket = crypto.randomBytes(32).toString('hex');
+    tickets.set(ticket, { userId: String(user._id), path, expiresAt: now + TICKET_TTL_MS });
+    return { ticket, expiresIn: TICKET_TTL_MS / 1000 };
+  },
+
+  // Consumed whether or not it matches, so a leaked ticket is tried at most once
+  redeemTicket: (ticket, path) => {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!entry || entry.expiresAt <= Date.now() || entry.path !== path) return null;
+    return entry.userId;
+  },
+
   // Check if user has specific role
   requireRole: (...roles) => {
     return (req, res, next) => {
@@ -85,6 +130,27 @@ const authMiddleware = {
     };
   },
 
+  // socket.io handshake: clients connect with io(url, { auth: { token } })
+  verifySocket: async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const { userId } = jwt.verify(token, config.security.jwtSecret);
+      const user = await User.findById(userId).select('-password');
+      if (!user || !user.isActive) {
+        return next(new Error('Invalid token.'));
+      }
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      next(new Error(error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.'));
+    }
+  },
+
   // Check if user can perform analysis (rate limiting)
   canAnalyze: async (req, res, next) => {
     try {
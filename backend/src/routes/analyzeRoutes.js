@@ -18,9 +18,13 @@ router.post(
   [
     authMiddleware.verifyToken,
     body('url').isURL().withMessage('Valid repository URL is required'),
-    body('branch').optional().isString(),
+    body('branch').optional().isString().matches(/^(?!-)[\w./-]{1,255}$/).withMessage('Invalid branch name'),
     body('depth').optional().isInt({ min: 1, max: 10 }),
     body('includeDependencies').optional().isBoolean(),
+    body('include').optional().isArray({ max: 50 }),
+    body('include.*').isString().isLength({ min: 1, max: 200 }),
+    body('exclude').optional().isArray({ max: 50 }),
+    body('exclude.*').isString().isLength({ min: 1, max: 200 }),
   ],
   async (req, res, next) => {
     try {
@@ -181,25 +185,16 @@ router.post(
 
 /**
  * @route POST /api/v1/analyze/:analysisId/dependencies
- * @desc Analyze dependencies
+ * @desc Audit analyzed dependencies against the local advisory database
  * @access Private
  */
 router.post(
   '/:analysisId/dependencies',
   [
     authMiddleware.verifyToken,
-    query('checkVulnerabilities').optional().isBoolean(),
-    query('checkUpdates').optional().isBoolean(),
   ],
   async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array()
-        });
-      }
       await analyzeController.analyzeDependencies(req, res);
     } catch (error) {
       next(error);
@@ -319,9 +314,14 @@ router.get(
   }
 );
 
-// WebSocket endpoint for real-time analysis updates
+/**
+ * @route WS /api/v1/analyze/:analysisId/stream
+ * @desc Progress of an analysis
+ * @access Private (own analyses)
+ */
 router.ws('/:analysisId/stream', (ws, req) => {
   const { analysisId } = req.params;
+  const userId = req.user.id;
   
   ws.on('message', async (message) => {
     try {
@@ -330,6 +330,7 @@ router.ws('/:analysisId/stream', (ws, req) => {
       switch (data.type) {
         case 'subscribe':
           // Subscribe to analysis updates
+          await analyzeController.getAnalysisProgress(analysisId, userId);
           ws.analysisId = analysisId;
           ws.send(JSON.stringify({
             type: 'subscribed',
@@ -340,7 +341,7 @@ router.ws('/:analysisId/stream', (ws, req) => {
           
         case 'get-progress':
           // Get analysis progress
-          const progress = await analyzeController.getAnalysisProgress(analysisId);
+          const progress = await analyzeController.getAnalysisProgress(analysisId, userId);
           ws.send(JSON.stringify({
             type: 'progress',
             progress,
@@ -361,10 +362,6 @@ router.ws('/:analysisId/stream', (ws, req) => {
       }));
     }
   });
-  
-  ws.on('close', () => {
-    console.log(`WebSocket closed for analysis ${analysisId}`);
-  });
 });
 
 module.exports = router;
\ No newline at end of file
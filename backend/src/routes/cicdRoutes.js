@@ -19,6 +19,7 @@ router.post(
     body('stages.*.name').isString(),
     body('stages.*.steps').isArray(),
     body('options.environment').optional().isString(),
+    body('options.language').optional().isString(),
     body('options.branch').optional().isString().default('main'),
     body('options.cache').optional().isBoolean().default(true),
   ],
@@ -477,63 +478,4 @@ router.get(
   }
 );
 
-// WebSocket endpoint for real-time CI/CD updates
-router.ws('/pipelines/:pipelineId/stream', (ws, req) => {
-  const { pipelineId } = req.params;
-  
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      
-      switch (data.type) {
-        case 'subscribe':
-          ws.pipelineId = pipelineId;
-          ws.send(JSON.stringify({
-            type: 'subscribed',
-            pipelineId,
-            timestamp: new Date().toISOString()
-          }));
-          break;
-          
-        case 'get-status':
-          const status = await cicdController.getPipelineStatus(pipelineId);
-          ws.send(JSON.stringify({
-            type: 'status',
-            status,
-            timestamp: new Date().toISOString()
-          }));
-          break;
-          
-        case 'get-logs':
-          const jobId = data.jobId;
-          const logs = await cicdController.streamPipelineLogs(pipelineId, jobId);
-          logs.on('data', (chunk) => {
-            ws.send(JSON.stringify({
-              type: 'log',
-              data: chunk.toString(),
-              jobId,
-              timestamp: new Date().toISOString()
-            }));
-          });
-          break;
-          
-        default:
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Unknown message type'
-          }));
-      }
-    } catch (error) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: error.message
-      }));
-    }
-  });
-  
-  ws.on('close', () => {
-    console.log(`WebSocket closed for pipeline ${pipelineId}`);
-  });
-});
-
 module.exports = router;
\ No newline at end of file
@@ -508,9 +508,14 @@ router.post(
   }
 );
 
-// WebSocket endpoint for real-time deployment updates
+/**
+ * @route WS /api/v1/deploy/:deploymentId/stream
+ * @desc Status, health and per-second metrics of a deployment
+ * @access Private (own deployments)
+ */
 router.ws('/:deploymentId/stream', (ws, req) => {
   const { deploymentId } = req.params;
+  const userId = req.user.id;
   
   ws.on('message', async (message) => {
     try {
@@ -518,6 +523,7 @@ router.ws('/:deploymentId/stream', (ws, req) => {
       
       switch (data.type) {
         case 'subscribe':
+          await deployController.getRealtimeStatus(deploymentId, userId);
           ws.deploymentId = deploymentId;
           ws.send(JSON.stringify({
             type: 'subscribed',
@@ -527,7 +533,7 @@ router.ws('/:deploymentId/stream', (ws, req) => {
           break;
           
         case 'get-status':
-          const status = await deployController.getRealtimeStatus(deploymentId);
+          const status = await deployController.getRealtimeStatus(deploymentId, userId);
           ws.send(JSON.stringify({
             type: 'status',
             status,
@@ -535,19 +541,8 @@ router.ws('/:deploymentId/stream', (ws, req) => {
           }));
           break;
           
-        case 'get-logs':
-          const logs = await deployController.streamDeploymentLogs(deploymentId);
-          logs.on('data', (chunk) => {
-            ws.send(JSON.stringify({
-              type: 'log',
-              data: chunk.toString(),
-              timestamp: new Date().toISOString()
-            }));
-          });
-          break;
-          
         case 'get-metrics':
-          const metrics = await deployController.getRealtimeMetrics(deploymentId);
+          const metrics = await deployController.getRealtimeMetrics(deploymentId, userId);
           ws.send(JSON.stringify({
             type: 'metrics',
             metrics,
@@ -568,10 +563,6 @@ router.ws('/:deploymentId/stream', (ws, req) => {
       }));
     }
   });
-  
-  ws.on('close', () => {
-    console.log(`WebSocket closed for deployment ${deploymentId}`);
-  });
 });
 
 module.exports = router;
\ No newline at end of file
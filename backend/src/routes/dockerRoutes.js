@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const dockerController = require('../controllers/dockerController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { TAG_PATTERN, DIGEST_PATTERN } = require('../services/registryService');
 const multer = require('multer');
 const path = require('path');
 
@@ -51,6 +52,8 @@ router.post(
     body('options.environment').optional().isArray(),
     body('options.volumes').optional().isArray(),
     body('options.command').optional().isString(),
+    body('options.language').optional().isString(),
+    body('options.refine').optional().isBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -80,6 +83,8 @@ router.post(
     body('dockerfile').isString().withMessage('Dockerfile content is required'),
     body('checkSyntax').optional().isBoolean(),
     body('checkBestPractices').optional().isBoolean(),
+    body('ignore').optional().isArray().withMessage('ignore must be a list of rule IDs'),
+    body('ignore.*').isString(),
   ],
   async (req, res, next) => {
     try {
@@ -99,14 +104,17 @@ router.post(
 
 /**
  * @route POST /api/v1/docker/compose/generate
- * @desc Generate Docker Compose file
+ * @desc Generate Docker Compose file from an analysis' services, or from the given services
  * @access Private
  */
 router.post(
   '/compose/generate',
   [
     authMiddleware.verifyToken,
-    body('services').isArray().withMessage('Services array is required'),
+    body('analysisId').optional().isMongoId(),
+    body('services')
+      .if(body('analysisId').not().exists())
+      .isArray().withMessage('Services array is required'),
     body('services.*.name').isString(),
     body('services.*.image').optional().isString(),
     body('services.*.build').optional().isObject(),
@@ -135,18 +143,25 @@ router.post(
 
 /**
  * @route POST /api/v1/docker/build
- * @desc Build Docker image
+ * @desc Build Docker image from a Dockerfile, or from an analysis' repository and generated files
  * @access Private
  */
 router.post(
   '/build',
   [
     authMiddleware.verifyToken,
-    body('dockerfile').isString().withMessage('Dockerfile content is required'),
-    body('imageName').isString().withMessage('Image name is required'),
+    body('analysisId').optional().isMongoId(),
+    body('dockerfile')
+      .if(body('analysisId').not().exists())
+      .isString().withMessage('Dockerfile content is required'),
+    body('dockerfile').optional().isString(),
+    body('imageName')
+      .if(body('analysisId').not().exists())
+      .isString().withMessage('Image name is required'),
+    body('imageName').optional().matches(/^[a-z0-9]+(?:[._\/-][a-z0-9]+)*$/),
     body('tags').optional().isArray(),
+    body('tags.*').matches(/^[\w][\w.-]{0,127}$/),
     body('buildArgs').optional().isObject(),
-    body('context').optional().isString(),
   ],
   async (req, res, next) => {
     try {
@@ -164,9 +179,92 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/v1/docker/builds
+ * @desc List image builds
+ * @access Private
+ */
+router.get(
+  '/builds',
+  [
+    authMiddleware.verifyToken,
+    query('status').optional().isIn(['queued', 'building', 'succeeded', 'failed', 'cancelled']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.listBuilds(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/builds/:buildId
+ * @desc Get a build with its steps, logs and resulting image
+ * @access Private
+ */
+router.get(
+  '/builds/:buildId',
+  [
+    authMiddleware.verifyToken,
+    param('buildId').isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.getBuild(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/docker/builds/:buildId/cancel
+ * @desc Cancel a running build
+ * @access Private
+ */
+router.post(
+  '/builds/:buildId/cancel',
+  [
+    authMiddleware.verifyToken,
+    param('buildId').isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.cancelBuild(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route POST /api/v1/docker/push
- * @desc Push Docker image to registry
+ * @desc Push Docker image to registry with the stored credentials
  * @access Private
  */
 router.post(
@@ -176,6 +274,7 @@ router.post(
     body('imageName').isString().withMessage('Image name is required'),
     body('registry').optional().isString(),
     body('tags').optional().isArray(),
+    body('tags.*').isString().matches(TAG_PATTERN).withMessage('Invalid tag'),
   ],
   async (req, res, next) => {
     try {
@@ -381,6 +480,70 @@ router.get(
   }
 );
 
+/**
+ * @route POST /api/v1/docker/containers/:containerId/exec/ticket
+ * @desc Single-use ticket for opening the exec WebSocket, valid for 30 seconds
+ * @access Private (own deployments' containers, or admin)
+ */
+router.post(
+  '/containers/:containerId/exec/ticket',
+  [
+    authMiddleware.verifyToken,
+  ],
+  async (req, res, next) => {
+    try {
+      await dockerController.createExecTicket(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route WS /api/v1/docker/containers/:containerId/exec
+ * @desc Interactive shell in a running container (TTY); browsers authenticate with ?ticket=
+ * @access Private (own deployments' containers, or admin)
+ */
+router.ws('/containers/:containerId/exec', async (ws, req) => {
+  if (!req.user) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Authentication required'
+    }));
+    return ws.close(1008, 'Authentication required');
+  }
+
+  await dockerController.openTerminal(ws, req, req.user);
+});
+
+/**
+ * @route GET /api/v1/docker/containers/:containerId/exec/sessions
+ * @desc Audit trail of shells opened in a container
+ * @access Private
+ */
+router.get(
+  '/containers/:containerId/exec/sessions',
+  [
+    authMiddleware.verifyToken,
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.listExecSessions(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/v1/docker/containers/:containerId/stats
  * @desc Get container statistics
@@ -446,6 +609,8 @@ router.post(
     body('image').isString().withMessage('Image name is required'),
     body('severity').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']),
     body('exitCode').optional().isInt(),
+    body('archive').optional().isBoolean(),
+    body('scanner').optional().isIn(['auto', 'trivy', 'grype']),
   ],
   async (req, res, next) => {
     try {
@@ -463,9 +628,66 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/v1/docker/scans
+ * @desc List image scan reports, optionally for one image
+ * @access Private
+ */
+router.get(
+  '/scans',
+  [
+    authMiddleware.verifyToken,
+    query('image').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.listScans(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/scans/:scanId
+ * @desc Get a scan report compared with the previous scan of the same tag
+ * @access Private
+ */
+router.get(
+  '/scans/:scanId',
+  [
+    authMiddleware.verifyToken,
+    param('scanId').isMongoId(),
+    query('compareTo').optional().isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.getScan(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/v1/docker/registry/list
- * @desc List images in registry
+ * @desc List repositories in the registry catalog, with the stored credentials
  * @access Private
  */
 router.get(
@@ -473,8 +695,8 @@ router.get(
   [
     authMiddleware.verifyToken,
     query('registry').optional().isString(),
-    query('username').optional().isString(),
-    query('password').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+    query('last').optional().isString(),
   ],
   async (req, res, next) => {
     try {
@@ -492,6 +714,280 @@ router.get(
   }
 );
 
+/**
+ * @route GET /api/v1/docker/registry/tags
+ * @desc List tags of a registry repository
+ * @access Private
+ */
+router.get(
+  '/registry/tags',
+  [
+    authMiddleware.verifyToken,
+    query('registry').optional().isString(),
+    query('repository').isString().notEmpty().withMessage('Repository is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.listRegistryTags(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/registry/manifest
+ * @desc Inspect the manifest of a tag or digest
+ * @access Private
+ */
+router.get(
+  '/registry/manifest',
+  [
+    authMiddleware.verifyToken,
+    query('registry').optional().isString(),
+    query('repository').isString().notEmpty().withMessage('Repository is required'),
+    query('reference').optional().isString()
+      .custom(reference => TAG_PATTERN.test(reference) || DIGEST_PATTERN.test(reference))
+      .withMessage('Reference must be a tag or a sha256 digest'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.getRegistryManifest(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v1/docker/registry/tags
+ * @desc Delete a tag (its manifest) from the registry
+ * @access Private
+ */
+router.delete(
+  '/registry/tags',
+  [
+    authMiddleware.verifyToken,
+    query('registry').optional().isString(),
+    query('repository').isString().notEmpty().withMessage('Repository is required'),
+    query('tag').isString().matches(TAG_PATTERN).withMessage('A valid tag is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.deleteRegistryTag(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/registry/credentials
+ * @desc Get the stored registry integration (without the token)
+ * @access Private
+ */
+router.get(
+  '/registry/credentials',
+  [
+    authMiddleware.verifyToken,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.getRegistryCredentials(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/docker/registry/credentials
+ * @desc Verify and store registry credentials
+ * @access Private
+ */
+router.put(
+  '/registry/credentials',
+  [
+    authMiddleware.verifyToken,
+    body('registry').optional().isString(),
+    body('username').isString().notEmpty().withMessage('Username is required'),
+    body('token').isString().notEmpty().withMessage('Password or access token is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.saveRegistryCredentials(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v1/docker/registry/credentials
+ * @desc Remove the stored registry credentials
+ * @access Private
+ */
+router.delete(
+  '/registry/credentials',
+  [
+    authMiddleware.verifyToken,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.deleteRegistryCredentials(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/cleanup/policy
+ * @desc Get the image cleanup policy and its last run
+ * @access Private (admin)
+ */
+router.get(
+  '/cleanup/policy',
+  [
+    authMiddleware.verifyToken,
+    authMiddleware.requireRole('admin'),
+  ],
+  async (req, res, next) => {
+    try {
+      await dockerController.getCleanupPolicy(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/docker/cleanup/policy
+ * @desc Update the image cleanup policy and its schedule
+ * @access Private (admin)
+ */
+router.put(
+  '/cleanup/policy',
+  [
+    authMiddleware.verifyToken,
+    authMiddleware.requireRole('admin'),
+    body('enabled').optional().isBoolean(),
+    body('intervalHours').optional().isInt({ min: 1, max: 24 * 90 }),
+    body('keepTags').optional().isInt({ min: 0, max: 1000 }),
+    body('removeDangling').optional().isBoolean(),
+    body('containerMaxAgeHours').optional().isInt({ min: 0 }),
+    body('protect').optional().isArray(),
+    body('protect.*').isString().notEmpty(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.updateCleanupPolicy(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/docker/cleanup/dry-run
+ * @desc Report what the cleanup policy would remove and how much space it would reclaim;
+ *       policy fields given in the query are tried out instead of the stored ones
+ * @access Private (admin)
+ */
+router.get(
+  '/cleanup/dry-run',
+  [
+    authMiddleware.verifyToken,
+    authMiddleware.requireRole('admin'),
+    query('keepTags').optional().isInt({ min: 0, max: 1000 }).toInt(),
+    query('removeDangling').optional().isBoolean().toBoolean(),
+    query('containerMaxAgeHours').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await dockerController.dryRunCleanup(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/docker/cleanup/run
+ * @desc Apply the image cleanup policy now
+ * @access Private (admin)
+ */
+router.post(
+  '/cleanup/run',
+  [
+    authMiddleware.verifyToken,
+    authMiddleware.requireRole('admin'),
+  ],
+  async (req, res, next) => {
+    try {
+      await dockerController.runCleanup(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/v1/docker/templates
  * @desc Get Docker templates
@@ -520,7 +1016,11 @@ router.get(
   }
 );
 
-// WebSocket endpoint for real-time Docker operations
+/**
+ * @route WS /api/v1/docker/build/:buildId/stream
+ * @desc Stored and live log lines of a build
+ * @access Private (own builds)
+ */
 router.ws('/build/:buildId/stream', (ws, req) => {
   const { buildId } = req.params;
   
@@ -530,6 +1030,7 @@ router.ws('/build/:buildId/stream', (ws, req) => {
       
       switch (data.type) {
         case 'subscribe-build':
+          await dockerController.getBuildStatus(buildId, req.user.id);
           ws.buildId = buildId;
           ws.send(JSON.stringify({
             type: 'subscribed',
@@ -540,7 +1041,7 @@ router.ws('/build/:buildId/stream', (ws, req) => {
           
         case 'get-build-logs':
           // Stream build logs
-          const logs = await dockerController.streamBuildLogs(buildId);
+          const logs = await dockerController.streamBuildLogs(buildId, req.user.id);
           logs.on('data', (chunk) => {
             ws.send(JSON.stringify({
               type: 'log',
@@ -563,10 +1064,6 @@ router.ws('/build/:buildId/stream', (ws, req) => {
       }));
     }
   });
-  
-  ws.on('close', () => {
-    console.log(`WebSocket closed for Docker build ${buildId}`);
-  });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const k8sController = require('../controllers/k8sController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { SUPPORTED_VERSIONS } = require('../services/kubernetes/validator');
+const { ENVIRONMENTS } = require('../services/kustomizeGenerator');
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+// Options of the generated bundle, shared by every route that generates one
+const bundleOptions = [
+  body('options').optional().isObject(),
+  body('options.name').optional().matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).isLength({ max: 63 }),
+  body('options.namespace').optional().matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).isLength({ max: 63 }),
+  body('options.replicas').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('options.image').optional().isString(),
+  body('options.port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('options.env')
+    .optional()
+    .custom(value => (Array.isArray(value)
+      ? value.every(variable => variable !== null && typeof variable === 'object' && typeof variable.name === 'string' && ENV_NAME.test(variable.name))
+      : value !== null && typeof value === 'object' && Object.keys(value).every(name => ENV_NAME.test(name))))
+    .withMessage('Env must be a list of {name, value} or a map of names to values'),
+  body('options.resources').optional().isObject(),
+  body('options.probes').optional().custom(value => value === false || typeof value === 'object'),
+  body('options.readOnlyRootFilesystem').optional().isBoolean().toBoolean(),
+  body(['configMap', 'secret', 'service', 'ingress', 'hpa', 'pdb', 'networkPolicy'].map(piece => `options.${piece}`))
+    .optional()
+    .custom(value => typeof value === 'boolean' || (value !== null && typeof value === 'object'))
+    .withMessage('Must be a boolean or an object of settings'),
+  body('options.ingress.host').optional().isFQDN(),
+  body('options.hpa.minReplicas').optional().isInt({ min: 1 }).toInt(),
+  body('options.hpa.maxReplicas').optional().isInt({ min: 1 }).toInt(),
+];
 
 /**
  * @route POST /api/v1/kubernetes/generate
@@ -14,12 +44,8 @@ router.post(
   [
     authMiddleware.verifyToken,
     body('analysisId').isMongoId().withMessage('Valid analysis ID is required'),
-    body('type').isIn(['deployment', 'service', 'ingress', 'configmap', 'secret', 'all']),
-    body('options.namespace').optional().isString().default('default'),
-    body('options.replicas').optional().isInt({ min: 1 }).default(1),
-    body('options.image').optional().isString(),
-    body('options.ports').optional().isArray(),
-    body('options.env').optional().isArray(),
+    body('type').optional().isIn(['deployment', 'service', 'ingress', 'configmap', 'hpa', 'pdb', 'networkpolicy', 'all']),
+    ...bundleOptions,
   ],
   async (req, res, next) => {
     try {
@@ -39,17 +65,19 @@ router.post(
 
 /**
  * @route POST /api/v1/kubernetes/validate
- * @desc Validate Kubernetes manifests
+ * @desc Validate manifests against a Kubernetes version's schemas and policy rules
  * @access Private
  */
 router.post(
   '/validate',
   [
     authMiddleware.verifyToken,
-    body('manifests').isArray().withMessage('Manifests array is required'),
-    body('manifests.*.apiVersion').isString(),
-    body('manifests.*.kind').isString(),
-    body('manifests.*.metadata').isObject(),
+    body('yaml').optional().isString().isLength({ max: 1024 * 1024 }),
+    body('manifests').optional().isArray({ max: 500 }),
+    body('yaml').custom((value, { req }) => value !== undefined || req.body.manifests !== undefined)
+      .withMessage('Multi-document YAML or a manifests array is required'),
+    body('kubernetesVersion').optional().isIn(SUPPORTED_VERSIONS),
+    body('ignore').optional().isArray(),
   ],
   async (req, res, next) => {
     try {
@@ -429,15 +457,18 @@ router.get(
 
 /**
  * @route POST /api/v1/kubernetes/apply
- * @desc Apply Kubernetes configuration
- * @access Private
+ * @desc Server-side apply multi-document YAML of the allowed kinds and namespaces; with dryRun, only report what would change
+ * @access Private (admin)
  */
 router.post(
   '/apply',
   [
     authMiddleware.verifyToken,
-    body('yaml').isString().withMessage('YAML configuration is required'),
-    body('namespace').optional().isString(),
+    authMiddleware.requireRole('admin'),
+    body('yaml').isString().isLength({ min: 1, max: 1024 * 1024 }).withMessage('YAML configuration is required'),
+    body('namespace').optional().matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).isLength({ max: 63 }),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('force').optional().isBoolean().toBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -455,6 +486,110 @@ router.post(
   }
 );
 
+/**
+ * @route POST /api/v1/kubernetes/helm
+ * @desc Export the generated manifests as a linted Helm chart; format=tgz downloads the package
+ * @access Private
+ */
+router.post(
+  '/helm',
+  [
+    authMiddleware.verifyToken,
+    body('analysisId').isMongoId().withMessage('Valid analysis ID is required'),
+    ...bundleOptions,
+    body('chart.name').optional().matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).isLength({ max: 53 }),
+    body('chart.version').optional().isSemVer().withMessage('Chart version must be SemVer 2'),
+    body('chart.appVersion').optional().isString().isLength({ max: 64 }),
+    body('chart.description').optional().isString().isLength({ max: 500 }),
+    body('format').optional().isIn(['json', 'tgz']),
+    body('save').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await k8sController.exportHelmChart(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/kubernetes/helm/:fileId
+ * @desc Download a saved Helm chart package
+ * @access Private
+ */
+router.get(
+  '/helm/:fileId',
+  [
+    authMiddleware.verifyToken,
+    param('fileId').isMongoId().withMessage('Valid file ID is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await k8sController.downloadHelmChart(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/kubernetes/kustomize
+ * @desc Generate a Kustomize base with per-environment overlays and their rendered output; format=zip downloads it
+ * @access Private
+ */
+router.post(
+  '/kustomize',
+  [
+    authMiddleware.verifyToken,
+    body('analysisId').isMongoId().withMessage('Valid analysis ID is required'),
+    ...bundleOptions,
+    body('environments')
+      .optional()
+      .custom(value => {
+        const names = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.keys(value) : null;
+        return names && names.length > 0 && names.every(name => ENVIRONMENTS.includes(name));
+      })
+      .withMessage(`Environments must be a list or map of ${ENVIRONMENTS.join(', ')}`),
+    body('environments.*.namespace').optional().matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).isLength({ max: 63 }),
+    body('environments.*.replicas').optional().isInt({ min: 0, max: 100 }).toInt(),
+    body('environments.*.maxReplicas').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    body('environments.*.resources').optional().isObject(),
+    body('environments.*.host').optional().isFQDN(),
+    body('environments.*.imageTag').optional().matches(/^[\w][\w.-]{0,127}$/).withMessage('Invalid image tag'),
+    body('environments.*.config').optional().isObject(),
+    body('format').optional().isIn(['json', 'zip']),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      await k8sController.generateKustomize(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/v1/kubernetes/templates
  * @desc Get Kubernetes templates
@@ -511,66 +646,4 @@ router.post(
   }
 );
 
-// WebSocket endpoint for real-time K8s updates
-router.ws('/deployments/:name/watch', (ws, req) => {
-  const { name } = req.params;
-  const namespace = req.query.namespace || 'default';
-  
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      
-      switch (data.type) {
-        case 'subscribe':
-          ws.deploymentName = name;
-          ws.namespace = namespace;
-          ws.send(JSON.stringify({
-            type: 'subscribed',
-            deployment: name,
-            namespace,
-            timestamp: new Date().toISOString()
-          }));
-          break;
-          
-        case 'get-status':
-          const status = await k8sController.getDeploymentStatus(name, namespace);
-          ws.send(JSON.stringify({
-            type: 'status',
-            status,
-            timestamp: new Date().toISOString()
-          }));
-          break;
-          
-        case 'get-logs':
-          const podName = data.podName;
-          const logs = await k8sController.streamPodLogs(podName, namespace);
-          logs.on('data', (chunk) => {
-            ws.send(JSON.stringify({
-              type: 'log',
-              data: chunk.toString(),
-              pod: podName,
-              timestamp: new Date().toISOString()
-            }));
-          });
-          break;
-          
-        default:
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Unknown message type'
-          }));
-      }
-    } catch (error) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: error.message
-      }));
-    }
-  });
-  
-  ws.on('close', () => {
-    console.log(`WebSocket closed for deployment ${name} in namespace ${namespace}`);
-  });
-});
-
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,10 @@ const socketIo = require('socket.io');
 const app = require('./app');
 const config = require('./config/appConfig');
 const logger = require('./utils/logger');
+const authMiddleware = require('./middleware/authMiddleware');
+const Analysis = require('../models/Analysis');
+const Build = require('../models/Build');
+const Deployment = require('../models/Deployment');
 
 class Server {
   constructor() {
@@ -17,16 +21,18 @@ class Server {
     });
     this.port = config.server.port;
     this.setupSocketIO();
+    this.setupWebSockets();
   }
 
   setupSocketIO() {
+    this.io.use(authMiddleware.verifySocket);
+
     this.io.on('connection', (socket) => {
       logger.info(`Socket connected: ${socket.id}`);
 
       // Join deployment room
       socket.on('join-deployment', (deploymentId) => {
-        socket.join(`deployment-${deploymentId}`);
-        logger.info(`Socket ${socket.id} joined deployment-${deploymentId}`);
+        this.joinOwned(socket, Deployment, deploymentId, `deployment-${deploymentId}`);
       });
 
       // Leave deployment room
@@ -35,6 +41,26 @@ class Server {
         logger.info(`Socket ${socket.id} left deployment-${deploymentId}`);
       });
 
+      // Join analysis room
+      socket.on('join-analysis', (analysisId) => {
+        this.joinOwned(socket, Analysis, analysisId, `analysis-${analysisId}`);
+      });
+
+      // Leave analysis room
+      socket.on('leave-analysis', (analysisId) => {
+        socket.leave(`analysis-${analysisId}`);
+      });
+
+      // Join build room
+      socket.on('join-build', (buildId) => {
+        this.joinOwned(socket, Build, buildId, `build-${buildId}`);
+      });
+
+      // Leave build room
+      socket.on('leave-build', (buildId) => {
+        socket.leave(`build-${buildId}`);
+      });
+
       // Code generation updates
       socket.on('subscribe-codegen', (sessionId) => {
         socket.join(`codegen-${sessionId}`);
@@ -50,6 +76,33 @@ class Server {
     this.app.set('io', this.io);
   }
 
+  // Rooms carry one object's events, so only its owner may join them
+  async joinOwned(socket, Model, id, room) {
+    try {
+      const owned = mongoose.Types.ObjectId.isValid(String(id))
+        && await Model.exists({ _id: id, userId: socket.user._id });
+
+      if (!owned) {
+        socket.emit('join-error', { room, error: 'Not found' });
+        return;
+      }
+
+      socket.join(room);
+      logger.info(`Socket ${socket.id} joined ${room}`);
+    } catch (error) {
+      logger.error(`Socket ${socket.id} could not join ${room}: ${error.message}`);
+      socket.emit('join-error', { room, error: 'Failed to join' });
+    }
+  }
+
+  // socket.io answers its own upgrades; the rest go to the express-ws routes
+  setupWebSockets() {
+    const upgrades = this.app.get('websocketUpgrades');
+    this.server.on('upgrade', (req, socket, head) => {
+      if (!req.url.startsWith('/socket.io/')) upgrades.emit('upgrade', req, socket, head);
+    });
+  }
+
   async connectDatabase() {
     try {
       await mongoose.connect(config.database.uri, {
@@ -75,6 +128,74 @@ class Server {
     }
   }
 
+  async reconcileDeployments() {
+    try {
+      const deployService = require('./services/deployService');
+      deployService.setSocketServer(this.io);
+      
+      const reconciled = await deployService.reconcileDeployments();
+      logger.info(`✅ Deployments reconciled (${reconciled} interrupted)`);
+    } catch (error) {
+      logger.error(`Deployment reconciliation failed: ${error.message}`);
+    }
+  }
+
+  async startAnalysisQueue() {
+    try {
+      const analysisQueue = require('./services/analysisQueue');
+      analysisQueue.setSocketServer(this.io);
+      await analysisQueue.initialize();
+    } catch (error) {
+      logger.error(`Analysis queue start failed: ${error.message}`);
+    }
+  }
+
+  async startBuildService() {
+    try {
+      const buildService = require('./services/buildService');
+      buildService.setSocketServer(this.io);
+      await buildService.initialize();
+    } catch (error) {
+      logger.error(`Build service start failed: ${error.message}`);
+    }
+  }
+
+  async startExecService() {
+    try {
+      const execService = require('./services/execService');
+      await execService.initialize();
+    } catch (error) {
+      logger.error(`Exec service start failed: ${error.message}`);
+    }
+  }
+
+  async startEventWatcher() {
+    try {
+      const dockerEventWatcher = require('./services/dockerEventWatcher');
+      await dockerEventWatcher.initialize();
+    } catch (error) {
+      logger.error(`Docker event watcher start failed: ${error.message}`);
+    }
+  }
+
+  async startImageCleanup() {
+    try {
+      const imageCleanupService = require('./services/imageCleanupService');
+      await imageCleanupService.initialize();
+    } catch (error) {
+      logger.error(`Image cleanup start failed: ${error.message}`);
+    }
+  }
+
+  async startStatsCollector() {
+    try {
+      const statsCollector = require('./services/statsCollector');
+      await statsCollector.initialize();
+    } catch (error) {
+      logger.error(`Stats collector start failed: ${error.message}`);
+    }
+  }
+
   async initializeServices() {
     try {
       // Initialize AI service
@@ -92,6 +213,16 @@ class Server {
       await dockerService.initialize();
       logger.info('✅ Docker service initialized');
       
+      // Initialize Kubernetes service; applies retry the connection when no cluster is up yet
+      const k8sService = require('./services/k8sService');
+      await k8sService.initialize();
+
+      // Index the advisory database in the background; audits wait for it
+      const vulnerabilityAuditor = require('./services/vulnerabilityAuditor');
+      vulnerabilityAuditor.loadDatabase().catch((error) => {
+        logger.error(`Advisory database failed to load: ${error.message}`);
+      });
+      
     } catch (error) {
       logger.error(`Service initialization failed: ${error.message}`);
       // Don't exit, some services might be optional
@@ -103,9 +234,30 @@ class Server {
       // Connect to database
       await this.connectDatabase();
       
+      // Settle deployments interrupted by the previous shutdown
+      await this.reconcileDeployments();
+      
+      // Resume analyses that were queued or running
+      await this.startAnalysisQueue();
+      
+      // Fail builds whose daemon requests died with the previous process
+      await this.startBuildService();
+      
+      // Close audit records of shells whose clients went with the previous process
+      await this.startExecService();
+      
       // Initialize services
       await this.initializeServices();
       
+      // Keep deployment status in step with container events, once Docker is connected
+      await this.startEventWatcher();
+      
+      // Follow the stats of running deployments, once Docker is connected
+      await this.startStatsCollector();
+      
+      // Schedule the retention policy for images and stopped containers
+      await this.startImageCleanup();
+      
       // Start server
       this.server.listen(this.port, () => {
         logger.info(`
@@ -2,16 +2,91 @@ const { OpenAI } = require('openai');
 const config = require('../../config/openaiConfig');
 const logger = require('../../utils/logger');
 
+// CI toolchain and commands per primary language, used by the fallback pipelines
+const LANGUAGE_TOOLCHAINS = {
+  JavaScript: {
+    ciImage: 'node:18',
+    setup: { uses: 'actions/setup-node@v4', with: { 'node-version': '18' } },
+    install: 'npm ci',
+    build: 'npm run build',
+    test: 'npm test'
+  },
+  Python: {
+    ciImage: 'python:3.12',
+    setup: { uses: 'actions/setup-python@v5', with: { 'python-version': '3.12' } },
+    install: 'pip install --no-cache-dir -r requirements.txt',
+    test: 'pytest'
+  },
+  Go: {
+    ciImage: 'golang:1.22',
+    setup: { uses: 'actions/setup-go@v5', with: { 'go-version': '1.22' } },
+    install: 'go mod download',
+    build: 'go build -o /app/server .',
+    test: 'go test ./...'
+  },
+  Java: {
+    ciImage: 'eclipse-temurin:21-jdk',
+    setup: { uses: 'actions/setup-java@v4', with: { distribution: 'temurin', 'java-version': '21' } },
+    install: './mvnw -B dependency:go-offline',
+    build: './mvnw -B package -DskipTests',
+    test: './mvnw -B test'
+  },
+  Ruby: {
+    ciImage: 'ruby:3.3',
+    setup: { uses: 'ruby/setup-ruby@v1', with: { 'ruby-version': '3.3' } },
+    install: 'bundle install',
+    test: 'bundle exec rake test'
+  },
+  PHP: {
+    ciImage: 'php:8.3-cli',
+    setup: { uses: 'shivammathur/setup-php@v2', with: { 'php-version': '8.3' } },
+    install: 'composer install --no-interaction --no-dev',
+    test: 'vendor/bin/phpunit'
+  },
+  Rust: {
+    ciImage: 'rust:1.77',
+    setup: { uses: 'dtolnay/rust-toolchain@stable', with: {} },
+    install: 'cargo fetch',
+    build: 'cargo build --release',
+    test: 'cargo test'
+  }
+};
+LANGUAGE_TOOLCHAINS.TypeScript = LANGUAGE_TOOLCHAINS.JavaScript;
+LANGUAGE_TOOLCHAINS.Kotlin = LANGUAGE_TOOLCHAINS.Java;
+
+// runtimeProfile.runtime.name -> LANGUAGE_TOOLCHAINS key
+const RUNTIME_LANGUAGES = {
+  node: 'JavaScript',
+  python: 'Python',
+  go: 'Go',
+  java: 'Java',
+  ruby: 'Ruby',
+  php: 'PHP',
+  rust: 'Rust'
+};
+
 class OpenAIService {
   constructor() {
-    this.client = new OpenAI({
-      apiKey: config.apiKey,
-      organization: config.organization,
-      timeout: config.timeout
-    });
+    // The client refuses to construct without a key; offline installs run without it
+    this.client = config.apiKey
+      ? new OpenAI({
+        apiKey: config.apiKey,
+        organization: config.organization,
+        timeout: config.timeout
+      })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
   }
 
   async initialize() {
+    if (!this.isConfigured()) {
+      logger.warn('⚠️ OPENAI_API_KEY not set, using offline generators and mock responses');
+      return false;
+    }
+
     try {
       // Test connection
       await this.client.models.list();
@@ -44,9 +119,16 @@ class OpenAIService {
     }
   }
 
-  async generateDockerfile(analysisId, options) {
+  /**
+   * Ask the model to improve a template-generated Dockerfile. Resolves to
+   * null when no key is configured or the call fails; callers keep the
+   * baseline in that case.
+   */
+  async refineDockerfile(analysisId, dockerfile, options) {
+    if (!this.isConfigured()) return null;
+
     try {
-      const prompt = this.createDockerfilePrompt(analysisId, options);
+      const prompt = this.createDockerfilePrompt(analysisId, dockerfile, options);
       
       const response = await this.client.chat.completions.create({
         model: config.model,
@@ -58,10 +140,10 @@ class OpenAIService {
         max_tokens: 1000
       });
 
-      return response.choices[0].message.content.trim();
+      return this.stripCodeFence(response.choices[0].message.content) || null;
     } catch (error) {
-      logger.error('Dockerfile generation failed:', error);
-      return this.getMockDockerfile(options);
+      logger.error('Dockerfile refinement failed:', error);
+      return null;
     }
   }
 
@@ -88,9 +170,9 @@ class OpenAIService {
 
   async generateCICDPipeline(analysisId, options) {
     try {
-      const { provider, stages, options: pipelineOptions } = options;
+      const { provider, stages, language, runtimeProfile, options: pipelineOptions } = options;
       
-      const prompt = this.createCICDPrompt(analysisId, provider, stages, pipelineOptions);
+      const prompt = this.createCICDPrompt(analysisId, provider, stages, { ...pipelineOptions, language, runtimeProfile });
       
       const response = await this.client.chat.completions.create({
         model: config.model,
@@ -105,7 +187,7 @@ class OpenAIService {
       return this.parsePipelineResponse(response.choices[0].message.content, provider);
     } catch (error) {
       logger.error('CI/CD generation failed:', error);
-      return this.getMockPipeline(provider);
+      return this.getMockPipeline(options.provider, options.language, options.runtimeProfile);
     }
   }
 
@@ -197,19 +279,19 @@ class OpenAIService {
     `;
   }
 
-  createDockerfilePrompt(analysisId, options) {
+  createDockerfilePrompt(analysisId, dockerfile, options) {
     return `
-    Generate an optimized Dockerfile with these requirements:
+    Refine this Dockerfile, which was generated from a template for the analyzed repository:
+    
+    ${dockerfile.split('\n').join('\n    ')}
     
-    Base image: ${options.baseImage || 'auto-select'}
-    Workdir: ${options.workdir || '/app'}
-    Ports: ${options.ports?.join(', ') || '3000'}
-    Environment: ${options.environment?.join(', ') || 'NODE_ENV=production'}
+    Primary language: ${options.language || 'auto-detect'}
+    Runtime profile: ${this.describeRuntimeProfile(options.runtimeProfile)}
     
     Requirements:
-    1. Use multi-stage builds if applicable
-    2. Minimize image size
-    3. Include health checks
+    1. Keep the base image versions, install/build/start commands and exposed ports
+    2. Minimize image size and layer count
+    3. Include health checks where the runtime image has a suitable tool
     4. Follow security best practices
     5. Add labels for metadata
     
@@ -217,6 +299,28 @@ class OpenAIService {
     `;
   }
 
+  createCICDPrompt(analysisId, provider, stages = [], options = {}) {
+    const { runtimeProfile, ...pipelineOptions } = options;
+    
+    return `
+    Generate a ${provider} CI/CD pipeline configuration with:
+    
+    Primary language: ${options.language || 'auto-detect'}
+    Runtime profile: ${this.describeRuntimeProfile(runtimeProfile)}
+    Stages: ${stages.length ? stages.map(stage => stage.name || stage).join(', ') : 'test, build, deploy'}
+    Options: ${JSON.stringify(pipelineOptions)}
+    
+    Requirements:
+    1. Install the toolchain at the runtime profile's version and use its install, build and test commands
+    2. Cache dependencies between runs
+    3. Run tests before building
+    4. Build and tag a Docker image
+    5. Deploy only from the default branch
+    
+    Return only the pipeline configuration.
+    `;
+  }
+
   createK8sPrompt(analysisId, options) {
     return `
     Generate Kubernetes manifests for deployment with:
@@ -226,6 +330,7 @@ class OpenAIService {
     Replicas: ${options.replicas || 1}
     Image: ${options.image || 'nginx:latest'}
     Ports: ${options.ports?.join(', ') || '80'}
+    Runtime profile: ${this.describeRuntimeProfile(options.runtimeProfile)}
     
     Include:
     1. Deployment with proper labels and selectors
@@ -238,6 +343,39 @@ class OpenAIService {
     `;
   }
 
+  describeRuntimeProfile(profile) {
+    if (!profile) return 'not detected';
+    
+    const { runtime, framework, packageManager, type, commands, port, appRoot } = profile;
+    return JSON.stringify({ runtime, framework, packageManager, type, commands, port, appRoot });
+  }
+
+  /**
+   * The language's toolchain with the analyzed runtime profile laid over it:
+   * the pinned runtime version and the repo's own commands.
+   */
+  resolveToolchain(language, profile) {
+    const toolchain = LANGUAGE_TOOLCHAINS[language] || LANGUAGE_TOOLCHAINS[RUNTIME_LANGUAGES[profile?.runtime?.name]];
+    if (!toolchain || !profile) return toolchain;
+    
+    const version = profile.runtime?.version;
+    const pin = (image) => version ? image.replace(/:[\d.]+/, `:${version}`) : image;
+    const versionKey = Object.keys(toolchain.setup.with).find(key => key.endsWith('-version'));
+    const commands = profile.commands || {};
+    
+    return {
+      ...toolchain,
+      ciImage: pin(toolchain.ciImage),
+      setup: {
+        ...toolchain.setup,
+        with: version && versionKey ? { ...toolchain.setup.with, [versionKey]: version } : toolchain.setup.with
+      },
+      install: commands.install || toolchain.install,
+      build: commands.build || null,
+      test: commands.test || toolchain.test
+    };
+  }
+  
   // Mock Responses (Fallback when OpenAI is unavailable)
   getMockInsights(analysisData) {
     return {
@@ -261,28 +399,6 @@ class OpenAIService {
     };
   }
 
-  getMockDockerfile(options) {
-    return `# Generated by AutoPilotDev
-FROM node:18-alpine AS builder
-WORKDIR /app
-COPY package*.json ./
-RUN npm ci
-COPY . .
-RUN npm run build
-
-FROM node:18-alpine
-WORKDIR /app
-COPY --from=builder /app/dist ./dist
-COPY --from=builder /app/node_modules ./node_modules
-COPY --from=builder /app/package.json ./
-
-EXPOSE ${options.ports?.[0] || 3000}
-HEALTHCHECK --interval=30s --timeout=3s \\
-  CMD curl -f http://localhost:${options.ports?.[0] || 3000}/health || exit 1
-
-CMD ["node", "dist/server.js"]`;
-  }
-
   getMockK8sManifest(options) {
     return `apiVersion: apps/v1
 kind: Deployment
@@ -332,7 +448,13 @@ spec:
   type: ClusterIP`;
   }
 
-  getMockPipeline(provider) {
+  getMockPipeline(provider, language, runtimeProfile) {
+    const toolchain = this.resolveToolchain(language, runtimeProfile);
+    
+    if (toolchain && (runtimeProfile || toolchain !== LANGUAGE_TOOLCHAINS.JavaScript)) {
+      return this.getMockLanguagePipeline(provider, toolchain);
+    }
+    
     const pipelines = {
       github: `name: CI/CD Pipeline
 on: [push, pull_request]
@@ -394,7 +516,73 @@ deploy:
     return pipelines[provider] || pipelines.github;
   }
 
+  getMockLanguagePipeline(provider, toolchain) {
+    const setupWith = Object.entries(toolchain.setup.with)
+      .map(([key, value]) => `\n          ${key}: '${value}'`)
+      .join('');
+    const buildSteps = toolchain.build ? [toolchain.install, toolchain.build] : [toolchain.install];
+    
+    if (provider === 'gitlab') {
+      return `stages:
+  - test
+  - build
+  - deploy
+
+test:
+  stage: test
+  image: ${toolchain.ciImage}
+  script:
+    - ${toolchain.install}
+    - ${toolchain.test}
+
+build:
+  stage: build
+  image: docker:latest
+  services:
+    - docker:dind
+  script:
+    - docker build -t app:latest .
+
+deploy:
+  stage: deploy
+  script:
+    - echo "Deploying to production"`;
+    }
+    
+    return `name: CI/CD Pipeline
+on: [push, pull_request]
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: Setup toolchain
+        uses: ${toolchain.setup.uses}${setupWith ? `\n        with:${setupWith}` : ''}
+${buildSteps.map(step => `      - run: ${step}`).join('\n')}
+      - name: Run tests
+        run: ${toolchain.test}
+  
+  build:
+    runs-on: ubuntu-latest
+    needs: test
+    steps:
+      - uses: actions/checkout@v4
+      - name: Build Docker image
+        run: docker build -t app:latest .
+  
+  deploy:
+    runs-on: ubuntu-latest
+    needs: build
+    steps:
+      - name: Deploy to production
+        run: echo "Deploying..."`;
+  }
+
   // Response Parsing
+  stripCodeFence(content) {
+    return content.trim().replace(/^```[\w-]*\n([\s\S]*?)\n```$/, '$1').trim();
+  }
+
   parseAIResponse(content) {
     try {
       return JSON.parse(content);
@@ -0,0 +1,214 @@
+const Analysis = require('../../models/Analysis');
+const RepoAnalyzer = require('./repoAnalyzer');
+const AIService = require('./ai/openaiService');
+const VulnerabilityAuditor = require('./vulnerabilityAuditor');
+const ComplexityAnalyzer = require('./complexityAnalyzer');
+const config = require('../config/appConfig');
+const logger = require('../utils/logger');
+
+class AnalysisQueue {
+  constructor() {
+    this.pending = [];
+    this.running = new Set();
+    this.concurrency = config.analysis.concurrency;
+    this.io = null;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Re-queue analyses that were waiting or running when the previous
+   * process stopped. Their clones were temporary, so they start over.
+   */
+  async initialize() {
+    try {
+      const interrupted = await Analysis.find({
+        status: { $in: ['pending', 'analyzing'] }
+      }).sort('createdAt');
+
+      for (const analysis of interrupted) {
+        analysis.status = 'pending';
+        analysis.resetProgress();
+        await analysis.save();
+        this.enqueue(analysis.id);
+      }
+
+      logger.info(`✅ Analysis queue initialized (${interrupted.length} re-queued)`);
+      return interrupted.length;
+    } catch (error) {
+      logger.error('Analysis queue initialization failed:', error);
+      throw error;
+    }
+  }
+
+  enqueue(analysisId) {
+    const id = String(analysisId);
+
+    if (this.pending.includes(id) || this.running.has(id)) {
+      return this.getQueuePosition(id);
+    }
+
+    this.pending.push(id);
+    logger.info(`Queued analysis ${id} (${this.pending.length} waiting)`);
+
+    setImmediate(() => this.drain());
+    return this.getQueuePosition(id);
+  }
+
+  getQueuePosition(analysisId) {
+    const id = String(analysisId);
+
+    if (this.running.has(id)) return 0;
+
+    const index = this.pending.indexOf(id);
+    return index === -1 ? null : index + 1;
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      this.running.add(id);
+
+      this.runJob(id)
+        .catch(error => logger.error(`Analysis job ${id} crashed:`, error))
+        .finally(() => {
+          this.running.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  async runJob(analysisId) {
+    const analysis = await Analysis.findById(analysisId);
+    if (!analysis) return;
+
+    const startedAt = Date.now();
+    const { repositoryUrl: url, branch, options = {} } = analysis;
+
+    try {
+      analysis.status = 'analyzing';
+      this.emit('analysis-started', analysis);
+
+      const analysisResult = await RepoAnalyzer.analyzeRepository(url, {
+        ...options,
+        branch,
+        onStage: async (stage) => {
+          await analysis.startStage(stage);
+          this.emitProgress(analysis);
+        }
+      });
+
+      if (options.includeDependencies !== false) {
+        analysis.dependencyAudit = await VulnerabilityAuditor.audit(analysisResult.dependencies);
+      }
+
+      await analysis.startStage('ai');
+      this.emitProgress(analysis);
+
+      const aiInsights = await AIService.getRepositoryInsights(analysisResult);
+
+      const fullAnalysis = {
+        ...analysisResult,
+        aiInsights,
+        summary: this.generateSummary(analysisResult, aiInsights)
+      };
+
+      analysis.analysisData = fullAnalysis;
+      analysis.commit = analysisResult.commit || undefined;
+      analysis.runtimeProfile = analysisResult.runtimeProfile || undefined;
+      analysis.services = analysisResult.services || [];
+      analysis.metrics = this.calculateMetrics(fullAnalysis, Date.now() - startedAt);
+      analysis.status = 'completed';
+      analysis.completeStages();
+      await analysis.save();
+
+      logger.info(`Analysis completed for ${url}, ID: ${analysis._id}`);
+      this.emitProgress(analysis);
+      this.emit('analysis-completed', analysis);
+    } catch (error) {
+      logger.error(`Repository analysis failed for ${analysis._id}: ${error.message}`);
+
+      analysis.status = 'failed';
+      analysis.error = error.message;
+      analysis.failStage();
+      await analysis.save();
+
+      this.emitProgress(analysis);
+      this.emit('analysis-failed', analysis, { error: error.message });
+    }
+  }
+
+  // Helper Methods
+
+  toProgress(analysis) {
+    const { progress = {} } = analysis;
+
+    return {
+      analysisId: analysis._id,
+      status: analysis.status,
+      stage: progress.stage,
+      percentage: progress.percentage || 0,
+      stages: (progress.stages || []).map(stage => ({
+        name: stage.name,
+        status: stage.status,
+        startedAt: stage.startedAt,
+        completedAt: stage.completedAt
+      })),
+      queuePosition: this.getQueuePosition(analysis._id),
+      error: analysis.error
+    };
+  }
+
+  emitProgress(analysis) {
+    if (!this.io) return;
+    this.io.to(`analysis-${analysis._id}`).emit('analysis-progress', this.toProgress(analysis));
+  }
+
+  emit(event, analysis, data = {}) {
+    if (!this.io) return;
+
+    const payload = {
+      analysisId: analysis._id,
+      url: analysis.repositoryUrl,
+      userId: analysis.userId,
+      ...data
+    };
+
+    this.io.to(`analysis-${analysis._id}`).emit(event, payload);
+  }
+
+  generateSummary(analysisResult, aiInsights) {
+    return {
+      totalFiles: analysisResult.files?.length || 0,
+      totalLines: analysisResult.metrics?.totalLines || 0,
+      languages: analysisResult.languages || [],
+      dependencies: analysisResult.dependencies?.length || 0,
+      complexity: aiInsights.complexity || 'medium',
+      qualityScore: this.calculateQualityScore(analysisResult, aiInsights)
+    };
+  }
+
+  calculateMetrics(analysisData, duration) {
+    return {
+      analysisDuration: Math.round(duration / 1000),
+      totalLines: analysisData.metrics?.totalLines || 0,
+      totalFiles: analysisData.files?.length || 0,
+      primaryLanguage: analysisData.primaryLanguage,
+      languageDistribution: analysisData.languageBreakdown?.languages || [],
+      dependencyCount: analysisData.dependencies?.length || 0,
+      complexity: analysisData.complexity ? ComplexityAnalyzer.toMetrics(analysisData.complexity) : undefined
+    };
+  }
+
+  calculateQualityScore(analysisResult, aiInsights) {
+    const baseScore = 80;
+    const improvements = aiInsights.recommendations?.length || 0;
+    const issues = aiInsights.issues?.length || 0;
+
+    return Math.max(0, Math.min(100, baseScore - (issues * 5) + (improvements * 2)));
+  }
+}
+
+module.exports = new AnalysisQueue();
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Build = require('../../models/Build');
+const dockerService = require('./dockerService');
+const RepoAnalyzer = require('./repoAnalyzer');
+const { packContext } = require('./dockerfile/buildContext');
+const logger = require('../utils/logger');
+
+/**
+ * Turn one message of the classic builder's JSON stream into a typed event.
+ * Returns null for messages with nothing to report (blank stream lines).
+ */
+function parseBuildMessage(message) {
+  if (message.errorDetail || message.error) {
+    return {
+      type: 'error',
+      message: (message.errorDetail?.message || message.error || '').trim(),
+      code: message.errorDetail?.code
+    };
+  }
+
+  if (message.aux?.ID) {
+    return { type: 'image', imageId: message.aux.ID };
+  }
+
+  // Base image pulls triggered by FROM
+  if (message.status) {
+    return {
+      type: 'pull',
+      id: message.id || null,
+      status: message.status,
+      current: message.progressDetail?.current,
+      total: message.progressDetail?.total
+    };
+  }
+
+  const line = (message.stream || '').replace(/\n$/, '');
+  if (!line.trim()) return null;
+
+  let match;
+  if ((match = line.match(/^Step (\d+)\/(\d+) : (.*)$/))) {
+    return { type: 'step', step: Number(match[1]), totalSteps: Number(match[2]), instruction: match[3] };
+  }
+  if (/^ ---> Using cache$/.test(line)) {
+    return { type: 'cache' };
+  }
+  if ((match = line.match(/^ ---> ([0-9a-f]{12,})$/))) {
+    return { type: 'layer', layer: match[1] };
+  }
+  if ((match = line.match(/^Successfully built ([0-9a-f]+)$/))) {
+    return { type: 'image', imageId: match[1] };
+  }
+  if ((match = line.match(/^Successfully tagged (.+)$/))) {
+    return { type: 'tagged', tag: match[1] };
+  }
+
+  return { type: 'log', message: line };
+}
+
+/**
+ * Runs docker builds as tracked jobs. Parsed stream events go to the
+ * `build-<id>` socket.io room as they arrive; the Build record keeps the
+ * steps, a bounded log, and the resulting image.
+ */
+class BuildService {
+  constructor() {
+    this.jobs = new Map();
+    this.io = null;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Builds in flight when the previous process stopped cannot be resumed:
+   * their daemon requests died with it.
+   */
+  async initialize() {
+    try {
+      const interrupted = await Build.find({ status: { $in: ['queued', 'building'] } });
+
+      for (const build of interrupted) {
+        build.appendLog('Build interrupted by a backend restart', 'error');
+        build.finish('failed', { message: 'Build interrupted by a backend restart' });
+        await build.save();
+      }
+
+      logger.info(`✅ Build service initialized (${interrupted.length} interrupted)`);
+      return interrupted.length;
+    } catch (error) {
+      logger.error('Build service initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Build record and start building in the background.
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} options.dockerfile - Dockerfile content
+   * @param {string} [options.dockerignore] - .dockerignore content applied to the context
+   * @param {string} options.imageName - Repository name for the tags
+   * @param {string[]} [options.tags=['latest']]
+   * @param {Object} [options.buildArgs]
+   * @param {Object} [options.source] - {repositoryUrl, branch, commit} to clone as the context;
+   *   without it the context holds only the Dockerfile
+   * @returns {Promise<Object>} The queued Build document
+   */
+  async startBuild(userId, options) {
+    if (!dockerService.connected && !(await dockerService.initialize())) {
+      const error = new Error('Docker daemon is not reachable');
+      error.status = 503;
+      throw error;
+    }
+
+    const { dockerfile, dockerignore, imageName, tags = ['latest'], buildArgs = {}, source } = options;
+
+    const build = new Build({
+      userId,
+      analysisId: options.analysisId,
+      source,
+      imageName,
+      tags,
+      dockerfile,
+      dockerignore,
+      buildArgs
+    });
+    await build.save();
+
+    const job = {
+      build,
+      controller: new AbortController(),
+      cancelled: false,
+      saving: Promise.resolve(),
+      followers: new Set()
+    };
+    this.jobs.set(build.id, job);
+
+    this.runBuild(job)
+      .catch(error => logger.error(`Build job ${build.id} crashed:`, error))
+      .finally(() => this.jobs.delete(build.id));
+
+    return build;
+  }
+
+  async runBuild(job) {
+    const { build } = job;
+    let contextDir = null;
+
+    try {
+      build.status = 'building';
+      build.startedAt = new Date();
+      this.persist(job);
+      this.emit(build, 'build-started', { imageName: build.imageName, tags: build.tags, source: build.source });
+
+      contextDir = await this.prepareContext(job);
+      if (job.cancelled) throw new Error('Build cancelled');
+
+      const context = packContext(contextDir);
+      this.log(job, `Sending build context (${context.files} files)`);
+
+      await dockerService.buildImage(context.stream, {
+        tags: build.tags.map(tag => `${build.imageName}:${tag}`),
+        buildArgs: build.buildArgs,
+        abortSignal: job.controller.signal,
+        onProgress: (message) => this.handleMessage(job, message)
+      });
+
+      const image = await dockerService.inspectImage(build.image.id || `${build.imageName}:${build.tags[0]}`);
+      build.image = {
+        id: image.Id,
+        size: image.Size,
+        tags: image.RepoTags || []
+      };
+      build.finish('succeeded');
+      build.appendLog(`Built ${build.image.id} in ${Math.round(build.duration / 1000)}s`);
+
+      logger.info(`Build ${build.id} succeeded: ${build.image.id}`);
+      this.emit(build, 'build-completed', {
+        image: build.image,
+        duration: build.duration,
+        cachedSteps: build.steps.filter(step => step.cached).length
+      });
+    } catch (error) {
+      if (job.cancelled) {
+        build.appendLog('Build cancelled', 'warning');
+        build.finish('cancelled');
+        this.emit(build, 'build-cancelled', { duration: build.duration });
+      } else {
+        logger.error(`Build ${build.id} failed: ${error.message}`);
+        build.appendLog(error.message, 'error');
+        build.finish('failed', { message: error.message, code: build.error?.code });
+        this.emit(build, 'build-failed', { error: error.message, step: build.progress.step });
+      }
+    } finally {
+      if (contextDir) fs.rmSync(contextDir, { recursive: true, force: true });
+      await this.persist(job);
+      job.followers.forEach(follower => follower(null));
+    }
+  }
+
+  /**
+   * Directory holding the build context: the analyzed repository at its
+   * commit when the build has a source, otherwise an empty directory. The
+   * build's Dockerfile and .dockerignore replace any the repository has.
+   */
+  async prepareContext(job) {
+    const { build } = job;
+    let contextDir;
+
+    if (build.source?.repositoryUrl) {
+      const { repositoryUrl, branch, commit } = build.source;
+      this.log(job, `Cloning ${repositoryUrl} at ${commit || `${branch} (commit not recorded)`}`);
+      contextDir = await RepoAnalyzer.checkoutCommit(repositoryUrl, commit, branch);
+    } else {
+      contextDir = fs.mkdtempSync(path.join(os.tmpdir(), `build-${build.id}-`));
+    }
+
+    fs.writeFileSync(path.join(contextDir, 'Dockerfile'), build.dockerfile);
+    if (build.dockerignore) {
+      fs.writeFileSync(path.join(contextDir, '.dockerignore'), build.dockerignore);
+    }
+
+    return contextDir;
+  }
+
+  log(job, message, level = 'info') {
+    job.build.appendLog(message, level);
+    this.emit(job.build, 'build-log', { message, level });
+    job.followers.forEach(follower => follower({ type: 'log', message }));
+  }
+
+  handleMessage(job, message) {
+    const { build } = job;
+    const event = parseBuildMessage(message);
+    if (!event) return;
+
+    switch (event.type) {
+      case 'step':
+        build.startStep(event.step, event.totalSteps, event.instruction);
+        build.appendLog(`Step ${event.step}/${event.totalSteps} : ${event.instruction}`);
+        this.persist(job);
+        this.emit(build, 'build-step', { ...event, percentage: build.progress.percentage });
+        break;
+
+      case 'cache':
+        if (build.steps.length) build.steps[build.steps.length - 1].cached = true;
+        this.emit(build, 'build-step-cached', { step: build.progress.step });
+        break;
+
+      case 'layer':
+        if (build.steps.length) build.steps[build.steps.length - 1].layer = event.layer;
+        break;
+
+      case 'image':
+        // The aux message carries the full sha256 ID; "Successfully built" only the short one
+        if (!build.image.id || event.imageId.startsWith('sha256:')) build.image.id = event.imageId;
+        break;
+
+      case 'error':
+        // Logged when the stream rejects with the same message
+        build.error = { message: event.message, code: event.code };
+        this.emit(build, 'build-log', { message: event.message, level: 'error' });
+        break;
+
+      case 'pull':
+        // Per-layer download progress is only forwarded, not stored
+        this.emit(build, 'build-pull', event);
+        break;
+
+      case 'tagged':
+      case 'log':
+        build.appendLog(event.message || `Tagged ${event.tag}`);
+        this.emit(build, 'build-log', { message: event.message || `Tagged ${event.tag}`, level: 'info' });
+        break;
+
+      default:
+        break;
+    }
+
+    if (event.type !== 'pull') {
+      job.followers.forEach(follower => follower(event));
+    }
+  }
+
+  /**
+   * Stop a running build. The daemon cancels the build when its request is aborted.
+   */
+  async cancelBuild(buildId, userId) {
+    const build = await this.getBuild(buildId, userId);
+    const job = this.jobs.get(build.id);
+
+    if (!job || !build.isActive()) {
+      const error = new Error(`Build is ${build.status} and cannot be cancelled`);
+      error.status = 409;
+      throw error;
+    }
+
+    job.cancelled = true;
+    job.controller.abort();
+    logger.info(`Cancelling build ${build.id}`);
+
+    return job.build;
+  }
+
+  async getBuild(buildId, userId) {
+    const job = this.jobs.get(String(buildId));
+    if (job && String(job.build.userId) === String(userId)) {
+      return job.build;
+    }
+
+    const build = await Build.findOne({ _id: buildId, userId });
+    if (!build) {
+      const error = new Error('Build not found');
+      error.status = 404;
+      throw error;
+    }
+    return build;
+  }
+
+  listBuilds(userId, { limit = 20, skip = 0, status } = {}) {
+    const query = { userId };
+    if (status) query.status = status;
+
+    return Build.find(query)
+      .select('-dockerfile -logs -steps')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Subscribe to parsed events of a running build; `onEvent(null)` marks the end.
+   * Returns an unsubscribe function, or null when the build is not running here.
+   */
+  follow(buildId, onEvent) {
+    const job = this.jobs.get(String(buildId));
+    if (!job) return null;
+
+    job.followers.add(onEvent);
+    return () => job.followers.delete(onEvent);
+  }
+
+  // Saves are chained so concurrent stream events never save the same document in parallel
+  persist(job) {
+    job.saving = job.saving
+      .then(() => job.build.save())
+      .catch(error => logger.error(`Saving build ${job.build.id} failed: ${error.message}`));
+    return job.saving;
+  }
+
+  emit(build, event, data = {}) {
+    if (!this.io) return;
+
+    this.io.to(`build-${build._id}`).emit(event, {
+      buildId: build._id,
+      status: build.status,
+      progress: build.progress,
+      ...data
+    });
+  }
+}
+
+module.exports = new BuildService();
+module.exports.parseBuildMessage = parseBuildMessage;
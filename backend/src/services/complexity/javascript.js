@@ -0,0 +1,221 @@
+const { parse } = require('@babel/parser');
+const { halstead } = require('./metrics');
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'TSDeclareMethod'
+]);
+
+const LOOP_TYPES = new Set([
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement'
+]);
+
+const OPERAND_LABELS = new Set([
+  'name', 'num', 'bigint', 'decimal', 'string', 'regexp', 'template',
+  'jsxName', 'jsxText', 'privateName', 'true', 'false', 'null', 'this', 'super'
+]);
+
+const SKIPPED_KEYS = new Set([
+  'type', 'start', 'end', 'loc', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+function parserPlugins(filePath) {
+  if (/\.[cm]?tsx$/.test(filePath)) return ['typescript', 'jsx', 'decorators-legacy'];
+  if (/\.[cm]?ts$/.test(filePath)) return ['typescript', 'decorators-legacy'];
+  return ['jsx', 'decorators-legacy'];
+}
+
+function functionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if (node.key) {
+    return node.key.name || node.key.value || (node.key.id?.name ? `#${node.key.id.name}` : '<computed>');
+  }
+
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id?.name || '<anonymous>';
+    case 'AssignmentExpression':
+      return parent.left?.property?.name || parent.left?.name || '<anonymous>';
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return parent.key?.name || parent.key?.value || parent.key?.id?.name || '<anonymous>';
+    default:
+      return '<anonymous>';
+  }
+}
+
+// Operators of a mixed &&/||/?? chain in source order, e.g. a && b || c -> [&&, &&, ||]
+function logicalOperators(node) {
+  if (node?.type !== 'LogicalExpression') return [];
+  return [...logicalOperators(node.left), node.operator, ...logicalOperators(node.right)];
+}
+
+/**
+ * Per-function cyclomatic (McCabe) and cognitive (SonarSource) complexity for
+ * a JavaScript/TypeScript source file. Nested functions are reported as
+ * functions of their own.
+ */
+function analyze(source, filePath) {
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    tokens: true,
+    allowReturnOutsideFunction: true,
+    plugins: parserPlugins(filePath)
+  });
+
+  const tokens = (ast.tokens || []).filter(token => token.type && typeof token.type === 'object' && token.type.label !== 'eof');
+  const codeLines = new Set(tokens.map(token => token.loc.start.line));
+  const moduleScope = { cyclomatic: 1, cognitive: 0 };
+  const functions = [];
+
+  const visitChildren = (node, nesting, record) => {
+    Object.keys(node).forEach(key => {
+      if (SKIPPED_KEYS.has(key)) return;
+
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => visit(child, node, nesting, record));
+      } else if (value && typeof value.type === 'string') {
+        visit(value, node, nesting, record);
+      }
+    });
+  };
+
+  const visit = (node, parent, nesting, record) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const fn = {
+        name: functionName(node, parent),
+        line: node.loc.start.line,
+        endLine: node.loc.end.line,
+        start: node.start,
+        end: node.end,
+        cyclomatic: 1,
+        cognitive: 0
+      };
+      functions.push(fn);
+      visitChildren(node, 0, fn);
+      return;
+    }
+
+    if (node.type === 'IfStatement') {
+      const isElseIf = parent?.type === 'IfStatement' && parent.alternate === node;
+      record.cyclomatic++;
+      record.cognitive += isElseIf ? 1 : 1 + nesting;
+
+      visit(node.test, node, nesting, record);
+      visit(node.consequent, node, nesting + 1, record);
+
+      if (node.alternate?.type === 'IfStatement') {
+        visit(node.alternate, node, nesting, record);
+      } else if (node.alternate) {
+        record.cognitive++;
+        visit(node.alternate, node, nesting + 1, record);
+      }
+      return;
+    }
+
+    if (LOOP_TYPES.has(node.type) || node.type === 'ConditionalExpression' || node.type === 'CatchClause') {
+      record.cyclomatic++;
+      record.cognitive += 1 + nesting;
+      visitChildren(node, nesting + 1, record);
+      return;
+    }
+
+    if (node.type === 'SwitchStatement') {
+      record.cognitive += 1 + nesting;
+      visitChildren(node, nesting + 1, record);
+      return;
+    }
+
+    if (node.type === 'SwitchCase' && node.test) {
+      record.cyclomatic++;
+    }
+
+    if (node.type === 'LogicalExpression') {
+      record.cyclomatic++;
+
+      // Each run of identical operators counts once, at the root of the chain
+      if (parent?.type !== 'LogicalExpression') {
+        record.cognitive += logicalOperators(node)
+          .filter((operator, index, operators) => operator !== operators[index - 1])
+          .length;
+      }
+    }
+
+    if (node.type === 'AssignmentExpression' && ['&&=', '||=', '??='].includes(node.operator)) {
+      record.cyclomatic++;
+    }
+
+    if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+      record.cognitive++;
+    }
+
+    visitChildren(node, nesting, record);
+  };
+
+  visit(ast.program, null, 0, moduleScope);
+
+  const classify = (token) => {
+    const label = token.type.label;
+    return {
+      kind: OPERAND_LABELS.has(label) ? 'operand' : 'operator',
+      value: token.value !== undefined ? String(token.value) : label
+    };
+  };
+
+  // Tokens are sorted, so each function's slice starts at a binary-searched index
+  const tokensWithin = (start, end) => {
+    let low = 0;
+    let high = tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tokens[mid].start < start) low = mid + 1;
+      else high = mid;
+    }
+
+    const slice = [];
+    for (let i = low; i < tokens.length && tokens[i].end <= end; i++) {
+      slice.push(tokens[i]);
+    }
+    return slice;
+  };
+
+  const countLines = (from, to) => {
+    let count = 0;
+    for (let line = from; line <= to; line++) {
+      if (codeLines.has(line)) count++;
+    }
+    return count;
+  };
+
+  return {
+    sloc: codeLines.size,
+    halstead: halstead(tokens.map(classify)),
+    moduleScope,
+    functions: functions.map(fn => ({
+      name: fn.name,
+      line: fn.line,
+      endLine: fn.endLine,
+      cyclomatic: fn.cyclomatic,
+      cognitive: fn.cognitive,
+      sloc: countLines(fn.line, fn.endLine),
+      halstead: halstead(tokensWithin(fn.start, fn.end).map(classify))
+    }))
+  };
+}
+
+module.exports = { analyze };
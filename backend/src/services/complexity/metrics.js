@@ -0,0 +1,63 @@
+/**
+ * Language-independent metric formulas shared by the per-language analyzers.
+ */
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Halstead measures from a stream of classified tokens
+ * @param {Array<{kind: 'operator'|'operand', value: string}>} tokens
+ */
+function halstead(tokens) {
+  const operators = new Set();
+  const operands = new Set();
+  let totalOperators = 0;
+  let totalOperands = 0;
+
+  tokens.forEach(token => {
+    if (token.kind === 'operand') {
+      operands.add(token.value);
+      totalOperands++;
+    } else {
+      operators.add(token.value);
+      totalOperators++;
+    }
+  });
+
+  const vocabulary = operators.size + operands.size;
+  const length = totalOperators + totalOperands;
+  const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+  const difficulty = operands.size > 0 ? (operators.size / 2) * (totalOperands / operands.size) : 0;
+
+  return {
+    vocabulary,
+    length,
+    volume: round(volume),
+    difficulty: round(difficulty),
+    effort: round(difficulty * volume)
+  };
+}
+
+/**
+ * Maintainability index on the 0-100 scale used by Visual Studio and radon:
+ * (171 - 5.2 ln(V) - 0.23 CC - 16.2 ln(SLOC)) * 100 / 171
+ */
+function maintainabilityIndex(volume, cyclomatic, sloc) {
+  if (sloc <= 0) return 100;
+
+  const raw = 171
+    - (5.2 * Math.log(Math.max(volume, 1)))
+    - (0.23 * cyclomatic)
+    - (16.2 * Math.log(sloc));
+
+  return round(Math.max(0, Math.min(100, (raw * 100) / 171)));
+}
+
+module.exports = {
+  halstead,
+  maintainabilityIndex,
+  round
+};
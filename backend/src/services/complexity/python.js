@@ -0,0 +1,221 @@
+const { halstead } = require('./metrics');
+
+const KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+  'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for',
+  'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+  'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+// Keyword literals are values, not operators
+const KEYWORD_OPERANDS = new Set(['True', 'False', 'None']);
+
+// Statements whose body raises the cognitive nesting level
+const NESTING_STATEMENTS = new Set(['if', 'elif', 'else', 'for', 'while', 'except', 'match']);
+
+const TOKEN_PATTERN = new RegExp([
+  '(?<newline>\\r?\\n)',
+  '(?<continuation>\\\\\\r?\\n)',
+  '(?<space>[ \\t\\f]+)',
+  '(?<comment>#[^\\r\\n]*)',
+  '(?<string>(?:[rRbBuUfF]{1,2})?(?:"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:\\\\.|[^"\\\\\\r\\n])*"|\'(?:\\\\.|[^\'\\\\\\r\\n])*\'))',
+  '(?<number>(?:\\d[\\d_]*\\.?[\\d_]*|\\.\\d[\\d_]*)(?:[eE][+-]?\\d+)?[jJ]?|0[xXoObB][\\da-fA-F_]+)',
+  '(?<name>[A-Za-z_\\u00C0-\\uFFFF][\\w\\u00C0-\\uFFFF]*)',
+  '(?<operator>\\*\\*=?|//=?|>>=?|<<=?|->|:=|!=|\\.\\.\\.|[-+*/%&|^@=<>]=?|[()[\\]{},:.;~])',
+  '(?<other>\\S)'
+].join('|'), 'gy');
+
+/**
+ * Split source into logical lines (newlines inside brackets and after a
+ * backslash continue the line), each with its indentation and tokens.
+ */
+function logicalLines(source) {
+  const lines = [];
+  let current = null;
+  let depth = 0;
+  let line = 1;
+  let lineStart = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const { groups } = match;
+    const text = match[0];
+    const startLine = line;
+    const column = match.index - lineStart;
+
+    const newlines = text.split('\n').length - 1;
+    if (newlines > 0) {
+      line += newlines;
+      lineStart = match.index + text.lastIndexOf('\n') + 1;
+    }
+
+    if (groups.newline) {
+      if (depth === 0 && current) {
+        lines.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (groups.space || groups.comment || groups.continuation) continue;
+
+    let kind;
+    if (groups.string) kind = 'string';
+    else if (groups.number) kind = 'number';
+    else if (groups.name) kind = KEYWORDS.has(text) ? 'keyword' : 'name';
+    else kind = 'operator';
+
+    if (kind === 'operator') {
+      if ('([{'.includes(text)) depth++;
+      else if (')]}'.includes(text)) depth = Math.max(0, depth - 1);
+    }
+
+    if (!current) {
+      current = { indent: column, line: startLine, endLine: line, tokens: [] };
+    }
+    current.endLine = line;
+    current.tokens.push({ kind, value: text, line: startLine });
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+function statementKeyword(tokens) {
+  const first = tokens[0]?.value === 'async' ? tokens[1] : tokens[0];
+  if (!first) return null;
+
+  // match/case are soft keywords: only statements when they open a block
+  if (first.kind === 'name' && (first.value === 'match' || first.value === 'case')) {
+    const next = tokens[tokens.indexOf(first) + 1];
+    const opensBlock = tokens.some(token => token.value === ':');
+    return opensBlock && next && !['=', '.', ':'].includes(next.value) ? first.value : null;
+  }
+
+  return first.kind === 'keyword' ? first.value : null;
+}
+
+/**
+ * Per-function cyclomatic and cognitive complexity for a Python source file,
+ * derived from its token stream and indentation structure.
+ */
+function analyze(source) {
+  const lines = logicalLines(source);
+  const moduleScope = { cyclomatic: 1, cognitive: 0, controls: [] };
+  const functions = [];
+  const scopes = [];
+  const classes = [];
+  let sloc = 0;
+
+  lines.forEach(logical => {
+    const { tokens, indent } = logical;
+
+    // A docstring or bare string expression is documentation, not code
+    const isDocstring = tokens.length === 1 && tokens[0].kind === 'string';
+    if (!isDocstring) sloc += logical.endLine - logical.line + 1;
+
+    while (scopes.length && indent <= scopes[scopes.length - 1].indent) scopes.pop();
+    while (classes.length && indent <= classes[classes.length - 1].indent) classes.pop();
+
+    const keyword = statementKeyword(tokens);
+
+    if (keyword === 'class') {
+      classes.push({ indent, name: tokens[1]?.value });
+    }
+
+    if (keyword === 'def') {
+      const nameToken = tokens[tokens.findIndex(token => token.value === 'def') + 1];
+      const enclosingClass = classes[classes.length - 1];
+      const enclosingFunction = scopes[scopes.length - 1];
+      const owner = enclosingClass && (!enclosingFunction || enclosingClass.indent > enclosingFunction.indent)
+        ? `${enclosingClass.name}.`
+        : '';
+      const fn = {
+        name: `${owner}${nameToken?.value || '<anonymous>'}`,
+        line: logical.line,
+        endLine: logical.endLine,
+        indent,
+        cyclomatic: 1,
+        cognitive: 0,
+        controls: [],
+        tokens: [],
+        sloc: 0
+      };
+
+      functions.push(fn);
+      scopes.push(fn);
+    }
+
+    const record = scopes.length ? scopes[scopes.length - 1] : moduleScope;
+    if (record !== moduleScope) {
+      record.tokens.push(...tokens);
+      record.endLine = logical.endLine;
+      if (!isDocstring) record.sloc += logical.endLine - logical.line + 1;
+    }
+
+    // Control statements this line sits inside (same or deeper indent ones are closed)
+    while (record.controls.length && record.controls[record.controls.length - 1] >= indent) {
+      record.controls.pop();
+    }
+    const nesting = record.controls.length;
+
+    if (keyword === 'if' || keyword === 'for' || keyword === 'while' || keyword === 'except' || keyword === 'match') {
+      record.cognitive += 1 + nesting;
+    } else if (keyword === 'elif' || keyword === 'else') {
+      record.cognitive += 1;
+    }
+
+    if (['if', 'elif', 'for', 'while', 'except', 'case'].includes(keyword)) {
+      record.cyclomatic++;
+    }
+
+    // Expression-level branches: ternaries, comprehensions and boolean chains
+    let previousBoolean = null;
+    tokens.forEach((token, position) => {
+      const isStatementKeyword = position === 0 || (position === 1 && tokens[0].value === 'async');
+
+      if (token.kind === 'keyword' && (token.value === 'if' || token.value === 'for') && !isStatementKeyword) {
+        record.cyclomatic++;
+        record.cognitive += 1 + nesting;
+      }
+
+      if (token.value === 'and' || token.value === 'or') {
+        record.cyclomatic++;
+        if (token.value !== previousBoolean) record.cognitive++;
+        previousBoolean = token.value;
+      } else if (token.kind === 'operator' && (token.value === ',' || token.value === ':' || token.value === '=')) {
+        previousBoolean = null;
+      }
+    });
+
+    if (NESTING_STATEMENTS.has(keyword)) {
+      record.controls.push(indent);
+    }
+  });
+
+  const classify = (token) => ({
+    kind: token.kind === 'operator' || (token.kind === 'keyword' && !KEYWORD_OPERANDS.has(token.value))
+      ? 'operator'
+      : 'operand',
+    value: token.value
+  });
+
+  const allTokens = lines.flatMap(logical => logical.tokens);
+
+  return {
+    sloc,
+    halstead: halstead(allTokens.map(classify)),
+    moduleScope: { cyclomatic: moduleScope.cyclomatic, cognitive: moduleScope.cognitive },
+    functions: functions.map(fn => ({
+      name: fn.name,
+      line: fn.line,
+      endLine: fn.endLine,
+      cyclomatic: fn.cyclomatic,
+      cognitive: fn.cognitive,
+      sloc: fn.sloc,
+      halstead: halstead(fn.tokens.map(classify))
+    }))
+  };
+}
+
+module.exports = { analyze };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const javascript = require('./complexity/javascript');
+const python = require('./complexity/python');
+const { maintainabilityIndex, round } = require('./complexity/metrics');
+const RepoWalker = require('./repoWalker');
+const logger = require('../utils/logger');
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.py': 'python'
+};
+
+const MAX_FILE_SIZE = 512 * 1024;
+const HOTSPOT_LIMIT = 20;
+
+// Spreading into Math.max overflows the stack on very large repositories
+const maxOf = (values) => values.reduce((max, value) => Math.max(max, value), 0);
+
+class ComplexityAnalyzer {
+  /**
+   * Analyze every JS/TS and Python source file in a checked-out repository
+   * @param {string} repoPath - Repository root
+   * @param {string[]} [files] - Repo-relative paths; defaults to a RepoWalker walk
+   */
+  async analyzeRepository(repoPath, files = null) {
+    const candidates = (files || RepoWalker.walk(repoPath).files.map(file => file.path))
+      .filter(filePath => this.languageOf(filePath));
+    const reports = [];
+    const skipped = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const relativePath = candidates[i];
+      const fullPath = path.join(repoPath, relativePath);
+
+      try {
+        const { size } = fs.statSync(fullPath);
+        if (size > MAX_FILE_SIZE) {
+          skipped.push({ path: relativePath, reason: 'too large' });
+          continue;
+        }
+
+        reports.push(this.analyzeFile(relativePath, fs.readFileSync(fullPath, 'utf8')));
+      } catch (error) {
+        skipped.push({ path: relativePath, reason: error.message });
+      }
+
+      // Parsing is synchronous; yield now and then so the event loop keeps serving requests
+      if (i % 25 === 24) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    if (skipped.length > 0) {
+      logger.warn(`Complexity analysis skipped ${skipped.length} file(s)`);
+    }
+
+    return {
+      summary: this.summarize(reports),
+      hotspots: this.rankHotspots(reports),
+      files: reports,
+      skipped
+    };
+  }
+
+  analyzeFile(relativePath, source) {
+    const language = this.languageOf(relativePath);
+    const result = language === 'python'
+      ? python.analyze(source, relativePath)
+      : javascript.analyze(source, relativePath);
+
+    const functions = result.functions.map(fn => ({
+      ...fn,
+      maintainability: maintainabilityIndex(fn.halstead.volume, fn.cyclomatic, fn.sloc)
+    }));
+
+    // File cyclomatic complexity is every function's plus the decisions in module-level code
+    const cyclomatic = functions.reduce((sum, fn) => sum + fn.cyclomatic, 0) + result.moduleScope.cyclomatic - 1;
+    const cognitive = functions.reduce((sum, fn) => sum + fn.cognitive, 0) + result.moduleScope.cognitive;
+
+    return {
+      path: relativePath.split(path.sep).join('/'),
+      language,
+      sloc: result.sloc,
+      functionCount: functions.length,
+      cyclomatic,
+      cognitive,
+      maxCyclomatic: maxOf(functions.map(fn => fn.cyclomatic)),
+      maxCognitive: maxOf(functions.map(fn => fn.cognitive)),
+      maintainability: maintainabilityIndex(result.halstead.volume, cyclomatic, result.sloc),
+      halstead: result.halstead,
+      functions: functions.map(fn => ({
+        name: fn.name,
+        line: fn.line,
+        endLine: fn.endLine,
+        sloc: fn.sloc,
+        cyclomatic: fn.cyclomatic,
+        cognitive: fn.cognitive,
+        maintainability: fn.maintainability
+      }))
+    };
+  }
+
+  summarize(reports) {
+    const functions = reports.flatMap(report => report.functions);
+    const sloc = reports.reduce((sum, report) => sum + report.sloc, 0);
+    const average = (values) => (values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : 0);
+    const byLanguage = {};
+
+    reports.forEach(report => {
+      const entry = byLanguage[report.language] || (byLanguage[report.language] = { files: 0, functions: 0, sloc: 0 });
+      entry.files++;
+      entry.functions += report.functionCount;
+      entry.sloc += report.sloc;
+    });
+
+    return {
+      files: reports.length,
+      functions: functions.length,
+      sloc,
+      cyclomatic: {
+        average: average(functions.map(fn => fn.cyclomatic)),
+        max: maxOf(functions.map(fn => fn.cyclomatic)),
+        total: reports.reduce((sum, report) => sum + report.cyclomatic, 0)
+      },
+      cognitive: {
+        average: average(functions.map(fn => fn.cognitive)),
+        max: maxOf(functions.map(fn => fn.cognitive)),
+        total: reports.reduce((sum, report) => sum + report.cognitive, 0)
+      },
+      // Weighted by size so a thousand-line module outweighs a one-line index file
+      maintainability: sloc > 0
+        ? round(reports.reduce((sum, report) => sum + (report.maintainability * report.sloc), 0) / sloc)
+        : 100,
+      halstead: {
+        length: reports.reduce((sum, report) => sum + report.halstead.length, 0),
+        volume: round(reports.reduce((sum, report) => sum + report.halstead.volume, 0)),
+        difficulty: average(reports.map(report => report.halstead.difficulty)),
+        effort: round(reports.reduce((sum, report) => sum + report.halstead.effort, 0))
+      },
+      byLanguage
+    };
+  }
+
+  /**
+   * Worst functions first: cognitive complexity, then cyclomatic, then
+   * lowest maintainability
+   */
+  rankHotspots(reports, limit = HOTSPOT_LIMIT) {
+    return reports
+      .flatMap(report => report.functions.map(fn => ({
+        path: report.path,
+        language: report.language,
+        function: fn.name,
+        line: fn.line,
+        cyclomatic: fn.cyclomatic,
+        cognitive: fn.cognitive,
+        maintainability: fn.maintainability
+      })))
+      .sort((a, b) => (b.cognitive - a.cognitive)
+        || (b.cyclomatic - a.cyclomatic)
+        || (a.maintainability - b.maintainability))
+      .slice(0, limit);
+  }
+
+  /**
+   * Condense a report into the metrics.complexity fields on Analysis
+   */
+  toMetrics(report) {
+    return {
+      cyclomatic: report.summary.cyclomatic.average,
+      cognitive: report.summary.cognitive.average,
+      maintainability: report.summary.maintainability
+    };
+  }
+
+  languageOf(filePath) {
+    if (/\.min\.js$|\.d\.[cm]?ts$/.test(filePath)) return null;
+    return LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+  }
+}
+
+module.exports = new ComplexityAnalyzer();
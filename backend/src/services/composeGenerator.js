@@ -0,0 +1,262 @@
+const yaml = require('js-yaml');
+const Ajv2019 = require('ajv/dist/2019');
+const { composeSchema } = require('compose-spec-schema');
+const DockerfileGenerator = require('./dockerfileGenerator');
+
+/**
+ * Compose services for the datastores RuntimeDetector recognizes. `env` is
+ * what an application gets to reach the store; passwords are interpolated
+ * so a local .env can override the development defaults.
+ */
+const DATASTORE_SERVICES = {
+  mongodb: {
+    image: 'mongo:7',
+    port: 27017,
+    volume: '/data/db',
+    healthcheck: ['CMD', 'mongosh', '--quiet', '--eval', "db.adminCommand('ping').ok"],
+    startPeriod: '20s',
+    env: (host) => ({ MONGODB_URI: `mongodb://${host}:27017/app` })
+  },
+  postgres: {
+    image: 'postgres:16-alpine',
+    port: 5432,
+    volume: '/var/lib/postgresql/data',
+    environment: {
+      POSTGRES_USER: 'app',
+      POSTGRES_PASSWORD: '${POSTGRES_PASSWORD:-app}',
+      POSTGRES_DB: 'app'
+    },
+    healthcheck: ['CMD-SHELL', 'pg_isready -U app -d app'],
+    env: (host) => ({ DATABASE_URL: `postgres://app:\${POSTGRES_PASSWORD:-app}@${host}:5432/app` })
+  },
+  mysql: {
+    image: 'mysql:8.4',
+    port: 3306,
+    volume: '/var/lib/mysql',
+    environment: {
+      MYSQL_DATABASE: 'app',
+      MYSQL_USER: 'app',
+      MYSQL_PASSWORD: '${MYSQL_PASSWORD:-app}',
+      MYSQL_ROOT_PASSWORD: '${MYSQL_ROOT_PASSWORD:-root}'
+    },
+    healthcheck: ['CMD', 'mysqladmin', 'ping', '-h', 'localhost'],
+    startPeriod: '30s',
+    env: (host) => ({ DATABASE_URL: `mysql://app:\${MYSQL_PASSWORD:-app}@${host}:3306/app` })
+  },
+  redis: {
+    image: 'redis:7-alpine',
+    port: 6379,
+    volume: '/data',
+    healthcheck: ['CMD', 'redis-cli', 'ping'],
+    env: (host) => ({ REDIS_URL: `redis://${host}:6379` })
+  }
+};
+
+// Format names the Compose schema uses; the compose CLI checks them, Ajv only needs to know them
+const SCHEMA_FORMATS = {
+  duration: /^(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/,
+  expose: /^\d+(-\d+)?(\/(tcp|udp|sctp))?$/,
+  ports: true,
+  subnet_ip_address: true
+};
+
+/**
+ * Turns the services found by repository analysis into a docker-compose.yml
+ * and checks compose files against the Compose specification schema.
+ */
+class ComposeGenerator {
+  constructor() {
+    this.validator = null;
+  }
+
+  /**
+   * Compose configuration for an analysis' services. Applications build
+   * from the repository root with the Dockerfile DockerfileGenerator writes
+   * into their directory, so workspace lockfiles stay in the context.
+   * @param {Object[]} services - Analysis.services
+   * @returns {{config: Object, yaml: string, dockerfiles: Object[], validation: Object}}
+   */
+  generate(services) {
+    const config = { services: {}, networks: {}, volumes: {} };
+    const dockerfiles = [];
+    const names = new Set(services.map(service => service.name));
+    const hostPorts = new Set();
+
+    // One container per datastore kind, shared by every service that uses it
+    const datastores = new Map();
+    services.forEach(service => (service.datastores || []).forEach(store => {
+      if (datastores.has(store.name) || !DATASTORE_SERVICES[store.name]) return;
+      const host = names.has(store.name) ? `${store.name}-db` : store.name;
+      datastores.set(store.name, host);
+    }));
+
+    datastores.forEach((host, kind) => {
+      const definition = DATASTORE_SERVICES[kind];
+      const volume = `${host}-data`;
+
+      config.services[host] = {
+        image: definition.image,
+        restart: 'unless-stopped',
+        environment: definition.environment,
+        volumes: [`${volume}:${definition.volume}`],
+        networks: ['backend'],
+        healthcheck: {
+          test: definition.healthcheck,
+          interval: '10s',
+          timeout: '5s',
+          retries: 5,
+          start_period: definition.startPeriod || '10s'
+        }
+      };
+      config.volumes[volume] = {};
+    });
+
+    const backends = services.filter(service => !this.isFrontend(service) && service.type !== 'worker' && service.port);
+
+    services.forEach(service => {
+      const prefix = service.appRoot && service.appRoot !== '.' ? `${service.appRoot}/` : '';
+      const generated = DockerfileGenerator.generate({ runtimeProfile: service });
+      if (generated) {
+        dockerfiles.push({ service: service.name, path: `${prefix}Dockerfile`, content: generated.dockerfile });
+      }
+
+      const environment = {};
+      const dependsOn = {};
+
+      (service.datastores || []).forEach(store => {
+        const host = datastores.get(store.name);
+        if (!host) return;
+        Object.entries(DATASTORE_SERVICES[store.name].env(host)).forEach(([key, value]) => {
+          if (!(key in environment)) environment[key] = value;
+        });
+        dependsOn[host] = { condition: 'service_healthy' };
+      });
+
+      // Frontends reach the APIs by service name on the shared network
+      if (this.isFrontend(service)) {
+        backends.forEach(backend => {
+          const key = `${backend.name.toUpperCase().replace(/-/g, '_')}_URL`;
+          if (service.type !== 'static') environment[key] = `http://${backend.name}:${backend.port}`;
+          dependsOn[backend.name] = { condition: 'service_started' };
+        });
+      }
+
+      // Datastores sit on the backend network only, out of the frontends' reach
+      const usesDatastore = (service.datastores || []).some(store => datastores.has(store.name));
+      let networks = ['frontend', 'backend'];
+      if (service.type === 'worker') networks = ['backend'];
+      else if (this.isFrontend(service) && (service.type === 'static' || !usesDatastore)) networks = ['frontend'];
+
+      config.services[service.name] = {
+        build: {
+          context: '.',
+          dockerfile: `${prefix}Dockerfile`
+        },
+        restart: 'unless-stopped',
+        ports: service.type === 'worker' || !service.port ? undefined : [`${this.hostPort(service.port, hostPorts)}:${service.port}`],
+        environment: Object.keys(environment).length ? environment : undefined,
+        depends_on: Object.keys(dependsOn).length ? dependsOn : undefined,
+        networks
+      };
+    });
+
+    const used = new Set(Object.values(config.services).flatMap(service => service.networks));
+    ['frontend', 'backend'].filter(network => used.has(network)).forEach(network => {
+      config.networks[network] = {};
+    });
+
+    const cleaned = this.clean(config);
+    return {
+      config: cleaned,
+      yaml: this.toYaml(cleaned),
+      dockerfiles,
+      validation: this.validate(cleaned)
+    };
+  }
+
+  // Static sites and SSR frameworks call the APIs rather than serve them
+  isFrontend(service) {
+    return service.type === 'static' || (service.frameworks || []).some(fw => fw.category === 'fullstack');
+  }
+
+  // Host ports are the container ports unless two services listen on the same one
+  hostPort(port, taken) {
+    let hostPort = port;
+    while (taken.has(hostPort)) hostPort++;
+    taken.add(hostPort);
+    return hostPort;
+  }
+
+  /**
+   * Check a compose configuration against the Compose specification and
+   * for references the schema cannot see (undeclared networks, volumes,
+   * and depends_on targets).
+   * @param {Object} config - Parsed compose file
+   * @returns {{valid: boolean, errors: {path: string, message: string}[]}}
+   */
+  validate(config) {
+    const validator = this.getValidator();
+    const errors = [];
+
+    if (!validator(config)) {
+      validator.errors.forEach(error => {
+        errors.push({ path: error.instancePath || '/', message: error.message });
+      });
+    }
+
+    Object.entries(config.services || {}).forEach(([name, service]) => {
+      const dependsOn = Array.isArray(service.depends_on) ? service.depends_on : Object.keys(service.depends_on || {});
+      dependsOn.filter(target => !config.services[target]).forEach(target => {
+        errors.push({ path: `/services/${name}/depends_on`, message: `depends on undefined service ${target}` });
+      });
+
+      const networks = Array.isArray(service.networks) ? service.networks : Object.keys(service.networks || {});
+      networks.filter(network => network !== 'default' && !(config.networks || {})[network]).forEach(network => {
+        errors.push({ path: `/services/${name}/networks`, message: `uses undefined network ${network}` });
+      });
+
+      (service.volumes || []).forEach(volume => {
+        const source = typeof volume === 'string' ? volume.split(':')[0] : volume.source;
+        const named = source && !/^[./~]/.test(source) && (typeof volume === 'string' ? volume.includes(':') : volume.type === 'volume');
+        if (named && !(config.volumes || {})[source]) {
+          errors.push({ path: `/services/${name}/volumes`, message: `uses undefined volume ${source}` });
+        }
+      });
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // The published schema carries draft-04 `id`s and a $schema URI Ajv does not resolve
+  getValidator() {
+    if (!this.validator) {
+      const ajv = new Ajv2019({ strict: false, allErrors: true, formats: SCHEMA_FORMATS });
+      this.validator = ajv.compile(this.stripIds(composeSchema));
+    }
+    return this.validator;
+  }
+
+  stripIds(node) {
+    if (Array.isArray(node)) return node.map(item => this.stripIds(item));
+    if (!node || typeof node !== 'object') return node;
+
+    return Object.fromEntries(Object.entries(node)
+      .filter(([key, value]) => !((key === 'id' || key === '$schema') && typeof value === 'string'))
+      .map(([key, value]) => [key, this.stripIds(value)]));
+  }
+
+  // Drop unset keys and empty top-level sections so the YAML stays readable
+  clean(config) {
+    const cleaned = JSON.parse(JSON.stringify(config));
+    ['networks', 'volumes'].forEach(section => {
+      if (cleaned[section] && !Object.keys(cleaned[section]).length) delete cleaned[section];
+    });
+    return cleaned;
+  }
+
+  toYaml(config) {
+    return yaml.dump(config, { noRefs: true, lineWidth: -1 });
+  }
+}
+
+module.exports = new ComposeGenerator();
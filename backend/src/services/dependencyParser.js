@@ -0,0 +1,814 @@
+const fs = require('fs');
+const path = require('path');
+const TOML = require('smol-toml');
+const yaml = require('js-yaml');
+const { XMLParser } = require('fast-xml-parser');
+const logger = require('../utils/logger');
+
+// Manifest file name -> parser method
+const MANIFEST_PARSERS = {
+  'package.json': 'parsePackageJson',
+  'pyproject.toml': 'parsePyproject',
+  'Pipfile': 'parsePipfile',
+  'go.mod': 'parseGoMod',
+  'Cargo.toml': 'parseCargoToml',
+  'pom.xml': 'parsePomXml',
+  'build.gradle': 'parseGradle',
+  'build.gradle.kts': 'parseGradle',
+  'composer.json': 'parseComposerJson'
+};
+
+const NPM_SECTIONS = [
+  ['dependencies', 'runtime'],
+  ['optionalDependencies', 'runtime'],
+  ['devDependencies', 'dev']
+];
+
+const CARGO_SECTIONS = [
+  ['dependencies', 'runtime'],
+  ['dev-dependencies', 'dev'],
+  ['build-dependencies', 'build']
+];
+
+const GRADLE_SCOPES = {
+  implementation: 'runtime',
+  api: 'runtime',
+  compile: 'runtime',
+  runtimeOnly: 'runtime',
+  runtime: 'runtime',
+  compileOnly: 'build',
+  compileOnlyApi: 'build',
+  annotationProcessor: 'build',
+  kapt: 'build',
+  ksp: 'build',
+  classpath: 'build',
+  testImplementation: 'dev',
+  testCompile: 'dev',
+  testCompileOnly: 'dev',
+  testRuntimeOnly: 'dev',
+  androidTestImplementation: 'dev',
+  debugImplementation: 'dev'
+};
+
+const DEV_GROUP_PATTERN = /^(dev|develop|development|test|tests|testing|lint|docs?|typing|types)$/i;
+
+class DependencyParser {
+  /**
+   * Whether a repo-relative path is a manifest this parser understands
+   */
+  isManifest(relativePath) {
+    const name = path.basename(relativePath);
+    return Boolean(MANIFEST_PARSERS[name]) || this.isRequirementsFile(relativePath);
+  }
+
+  isRequirementsFile(relativePath) {
+    const name = path.basename(relativePath);
+    const parent = path.basename(path.dirname(relativePath));
+
+    return /requirements.*\.(txt|in)$/i.test(name)
+      || (/^requirements$/i.test(parent) && /\.(txt|in)$/i.test(name));
+  }
+
+  /**
+   * Parse every manifest and return one flat list of dependency entries:
+   * { name, ecosystem, manager, manifest, scope, constraint, version, lockfile }
+   * `version` is the lockfile-resolved version, or the exact pin when the
+   * manifest format itself is the source of truth (go.mod, `==` pins).
+   */
+  parseManifests(repoPath, manifestPaths) {
+    this.lockCache = new Map();
+    const dependencies = [];
+
+    manifestPaths.forEach(relativePath => {
+      try {
+        dependencies.push(...this.parseManifest(repoPath, relativePath));
+      } catch (error) {
+        logger.warn(`Skipping unparseable manifest ${relativePath}: ${error.message}`);
+      }
+    });
+
+    this.lockCache = null;
+    return dependencies;
+  }
+
+  parseManifest(repoPath, relativePath) {
+    const fullPath = path.join(repoPath, relativePath);
+    const content = fs.readFileSync(fullPath, 'utf8');
+    const context = {
+      repoPath,
+      manifest: relativePath.split(path.sep).join('/'),
+      dir: path.dirname(fullPath)
+    };
+
+    if (this.isRequirementsFile(relativePath)) {
+      return this.parseRequirements(content, context);
+    }
+
+    const parser = MANIFEST_PARSERS[path.basename(relativePath)];
+    return parser ? this[parser](content, context) : [];
+  }
+
+  // npm / yarn / pnpm
+
+  parsePackageJson(content, context) {
+    const pkg = JSON.parse(content);
+    const lock = this.findNpmLock(context);
+    const dependencies = [];
+
+    // Workspace members are separate package.json files and get parsed on
+    // their own; references between members are local and skipped here.
+    NPM_SECTIONS.forEach(([section, scope]) => {
+      Object.entries(pkg[section] || {}).forEach(([name, constraint]) => {
+        if (/^(workspace|file|link|portal):/.test(constraint)) return;
+
+        const resolved = lock ? lock.resolve(name, constraint) : null;
+        if (resolved?.local) return;
+
+        dependencies.push(this.entry(context, {
+          name,
+          ecosystem: 'npm',
+          manager: lock ? lock.manager : 'npm',
+          scope,
+          constraint,
+          version: resolved?.version,
+          lockfile: resolved?.version ? lock.path : null
+        }));
+      });
+    });
+
+    return dependencies;
+  }
+
+  findNpmLock(context) {
+    const found = this.findUp(context, ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml']);
+    if (!found) return null;
+
+    const lockDir = path.dirname(found.fullPath);
+    const importer = path.relative(lockDir, context.dir).split(path.sep).join('/');
+
+    switch (path.basename(found.fullPath)) {
+      case 'yarn.lock': {
+        const entries = this.loadLock(found.fullPath, content => this.parseYarnLock(content));
+        if (!entries) return null;
+
+        return {
+          manager: 'yarn',
+          path: found.relativePath,
+          resolve: (name, constraint) => {
+            const version = entries.get(`${name}@${constraint}`) || entries.get(`${name}@npm:${constraint}`);
+            if (version && version.includes('use.local')) return { local: true };
+            return version ? { version } : null;
+          }
+        };
+      }
+
+      case 'pnpm-lock.yaml': {
+        const lock = this.loadLock(found.fullPath, content => yaml.load(content));
+        if (!lock) return null;
+
+        return {
+          manager: 'pnpm',
+          path: found.relativePath,
+          resolve: (name) => this.resolvePnpm(lock, importer || '.', name)
+        };
+      }
+
+      default: {
+        const lock = this.loadLock(found.fullPath, content => JSON.parse(content));
+        if (!lock) return null;
+
+        return {
+          manager: 'npm',
+          path: found.relativePath,
+          resolve: (name) => this.resolvePackageLock(lock, importer, name)
+        };
+      }
+    }
+  }
+
+  resolvePackageLock(lock, importer, name) {
+    const packages = lock.packages || {};
+    const keys = importer
+      ? [`${importer}/node_modules/${name}`, `node_modules/${name}`]
+      : [`node_modules/${name}`];
+
+    for (const key of keys) {
+      const entry = packages[key];
+      if (entry) {
+        return entry.link ? { local: true } : { version: entry.version };
+      }
+    }
+
+    // lockfileVersion 1
+    const legacy = lock.dependencies?.[name];
+    return legacy?.version ? { version: legacy.version } : null;
+  }
+
+  resolvePnpm(lock, importer, name) {
+    const target = lock.importers ? lock.importers[importer] : (importer === '.' ? lock : null);
+    if (!target) return null;
+
+    for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      const dep = target[section]?.[name];
+      if (dep === undefined) continue;
+
+      const version = String(typeof dep === 'object' ? dep.version : dep);
+      if (/^(link|file|workspace):/.test(version)) return { local: true };
+
+      // Strip peer-dependency suffixes: 1.0.0(react@18.2.0) or 1.0.0_react@18.2.0
+      return { version: version.replace(/[(_].*$/, '') };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map every "name@range" descriptor to its locked version. Handles the
+   * classic (v1) format and the YAML-like Berry format.
+   */
+  parseYarnLock(content) {
+    const entries = new Map();
+    let descriptors = null;
+
+    content.split('\n').forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+
+      if (!/^\s/.test(line)) {
+        descriptors = line
+          .replace(/:\s*$/, '')
+          .split(/,\s*/)
+          .map(descriptor => descriptor.trim().replace(/^"|"$/g, ''));
+        return;
+      }
+
+      const match = line.match(/^ {2}version:?\s+"?([^"\s]+)"?/);
+      if (match && descriptors) {
+        descriptors.forEach(descriptor => entries.set(descriptor, match[1]));
+        descriptors = null;
+      }
+    });
+
+    return entries;
+  }
+
+  // Python
+
+  parseRequirements(content, context) {
+    const scope = DEV_GROUP_PATTERN.test(this.requirementsGroup(context.manifest)) ? 'dev' : 'runtime';
+    const dependencies = [];
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+
+      // Options (-r, -c, -e, --index-url ...) and bare URLs are not packages
+      if (!line || line.startsWith('-') || /^[a-z+]+:\/\//i.test(line)) return;
+
+      const requirement = this.parsePep508(line);
+      if (!requirement) return;
+
+      dependencies.push(this.entry(context, {
+        name: requirement.name,
+        ecosystem: 'PyPI',
+        manager: 'pip',
+        scope,
+        constraint: requirement.constraint,
+        version: this.exactPin(requirement.constraint)
+      }));
+    });
+
+    return dependencies;
+  }
+
+  requirementsGroup(manifest) {
+    const name = path.basename(manifest).replace(/\.(txt|in)$/i, '');
+    const group = name.replace(/requirements/i, '').replace(/^[-_.]+|[-_.]+$/g, '');
+
+    return group || (/^requirements$/i.test(path.basename(path.dirname(manifest))) ? name : '');
+  }
+
+  parsePyproject(content, context) {
+    const data = TOML.parse(content);
+    const poetry = data.tool?.poetry;
+    const lock = this.findPythonLock(context);
+    const manager = lock?.manager || (poetry ? 'poetry' : 'pip');
+    const dependencies = [];
+
+    const add = (name, constraint, scope, pin = this.exactPin(constraint)) => {
+      const version = lock?.versions.get(this.normalizePythonName(name));
+      dependencies.push(this.entry(context, {
+        name,
+        ecosystem: 'PyPI',
+        manager,
+        scope,
+        constraint,
+        version: version || pin,
+        lockfile: version ? lock.path : null
+      }));
+    };
+
+    const addPep508 = (specs, scope) => {
+      (specs || []).forEach(spec => {
+        if (typeof spec !== 'string') return;
+        const requirement = this.parsePep508(spec);
+        if (requirement) add(requirement.name, requirement.constraint, scope);
+      });
+    };
+
+    // PEP 621
+    addPep508(data.project?.dependencies, 'runtime');
+    Object.entries(data.project?.['optional-dependencies'] || {}).forEach(([group, specs]) => {
+      addPep508(specs, DEV_GROUP_PATTERN.test(group) ? 'dev' : 'runtime');
+    });
+
+    // PEP 735 dependency groups are never installed with the package
+    Object.values(data['dependency-groups'] || {}).forEach(specs => addPep508(specs, 'dev'));
+
+    addPep508(data['build-system']?.requires, 'build');
+
+    if (poetry) {
+      const addPoetry = (section, scope) => {
+        Object.entries(section || {}).forEach(([name, spec]) => {
+          if (name.toLowerCase() === 'python') return;
+
+          const constraint = this.poetryConstraint(spec);
+          if (constraint !== undefined) add(name, constraint, scope, this.poetryPin(constraint));
+        });
+      };
+
+      addPoetry(poetry.dependencies, 'runtime');
+      addPoetry(poetry['dev-dependencies'], 'dev');
+      Object.entries(poetry.group || {}).forEach(([group, definition]) => {
+        addPoetry(definition.dependencies, group === 'main' ? 'runtime' : 'dev');
+      });
+    }
+
+    return dependencies;
+  }
+
+  parsePipfile(content, context) {
+    const data = TOML.parse(content);
+    const lockPath = path.join(context.dir, 'Pipfile.lock');
+    const lock = fs.existsSync(lockPath)
+      ? this.loadLock(lockPath, text => JSON.parse(text))
+      : null;
+    const dependencies = [];
+
+    [['packages', 'runtime', 'default'], ['dev-packages', 'dev', 'develop']].forEach(([section, scope, lockSection]) => {
+      Object.entries(data[section] || {}).forEach(([name, spec]) => {
+        const constraint = this.poetryConstraint(spec);
+        if (constraint === undefined) return;
+
+        const locked = lock?.[lockSection]?.[name] || lock?.[lockSection]?.[this.normalizePythonName(name)];
+        const version = locked?.version ? locked.version.replace(/^==/, '') : null;
+
+        dependencies.push(this.entry(context, {
+          name,
+          ecosystem: 'PyPI',
+          manager: 'pipenv',
+          scope,
+          constraint,
+          version: version || this.exactPin(constraint),
+          lockfile: version ? path.relative(context.repoPath, lockPath).split(path.sep).join('/') : null
+        }));
+      });
+    });
+
+    return dependencies;
+  }
+
+  findPythonLock(context) {
+    const found = this.findUp(context, ['poetry.lock', 'uv.lock', 'pdm.lock']);
+    if (!found) return null;
+
+    const versions = this.loadLock(found.fullPath, content => {
+      const map = new Map();
+      (TOML.parse(content).package || []).forEach(pkg => {
+        map.set(this.normalizePythonName(pkg.name), pkg.version);
+      });
+      return map;
+    });
+    if (!versions) return null;
+
+    return {
+      manager: path.basename(found.fullPath).replace('.lock', ''),
+      path: found.relativePath,
+      versions
+    };
+  }
+
+  /**
+   * Split a PEP 508 requirement into name and version constraint.
+   * Extras and environment markers are dropped.
+   */
+  parsePep508(spec) {
+    const match = spec.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+    if (!match) return null;
+
+    let constraint = match[3].split(';')[0].trim();
+    if (constraint.startsWith('(') && constraint.endsWith(')')) {
+      constraint = constraint.slice(1, -1).trim();
+    }
+    if (constraint.startsWith('@')) {
+      constraint = constraint.slice(1).trim();
+    }
+
+    return {
+      name: match[1],
+      constraint: constraint || null
+    };
+  }
+
+  // Poetry and Pipenv share the "string or table" dependency syntax
+  poetryConstraint(spec) {
+    if (typeof spec === 'string') return spec;
+    if (Array.isArray(spec)) return spec.map(s => this.poetryConstraint(s)).filter(Boolean).join(' || ') || null;
+    if (!spec || typeof spec !== 'object') return null;
+    if (spec.path) return undefined;
+    if (spec.version) return spec.version;
+    if (spec.git) return `git+${spec.git}${spec.tag || spec.rev || spec.ref ? `@${spec.tag || spec.rev || spec.ref}` : ''}`;
+    return spec.url || null;
+  }
+
+  normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+
+  exactPin(constraint) {
+    const match = (constraint || '').match(/^===?\s*([^\s,;*]+)$/);
+    return match ? match[1] : null;
+  }
+
+  // Poetry reads a bare version ("23.1.0") as ==23.1.0
+  poetryPin(constraint) {
+    return /^\d[^\s,;*|^~<>=!]*$/.test(constraint || '') ? constraint : this.exactPin(constraint);
+  }
+
+  // Go
+
+  parseGoMod(content, context) {
+    const requires = [];
+    const replacements = new Map();
+    let block = null;
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) return;
+
+      if (/^(require|replace)\s*\($/.test(line)) {
+        block = line.split(/\s/)[0];
+        return;
+      }
+      if (line === ')') {
+        block = null;
+        return;
+      }
+
+      const single = line.match(/^(require|replace)\s+(.+)$/);
+      const directive = single ? single[1] : block;
+      const body = single ? single[2] : line;
+
+      if (directive === 'require') {
+        const [module, version] = body.split(/\s+/);
+        if (module && version) requires.push({ module, version });
+      } else if (directive === 'replace') {
+        const [from, to] = body.split('=>').map(part => part.trim().split(/\s+/));
+        if (from && to) replacements.set(from[0], { module: to[0], version: to[1] });
+      }
+    });
+
+    const goSum = path.join(context.dir, 'go.sum');
+
+    return requires
+      .filter(({ module }) => {
+        const replacement = replacements.get(module);
+        return !replacement || !/^[./]/.test(replacement.module);
+      })
+      .map(({ module, version }) => {
+        const replacement = replacements.get(module);
+        const resolved = replacement?.version || version;
+
+        return this.entry(context, {
+          name: module,
+          ecosystem: 'Go',
+          manager: 'go',
+          scope: 'runtime',
+          constraint: version,
+          version: resolved,
+          lockfile: fs.existsSync(goSum) ? path.relative(context.repoPath, goSum).split(path.sep).join('/') : context.manifest
+        });
+      });
+  }
+
+  // Rust
+
+  parseCargoToml(content, context) {
+    const data = TOML.parse(content);
+    const lock = this.findCargoLock(context);
+    const workspaceDeps = this.findCargoWorkspaceDeps(context);
+    const dependencies = [];
+
+    const addSection = (section, scope) => {
+      Object.entries(section || {}).forEach(([key, spec]) => {
+        const definition = spec?.workspace === true ? workspaceDeps[key] : spec;
+        const name = (typeof definition === 'object' && definition?.package) || key;
+        let constraint;
+
+        if (typeof definition === 'string') {
+          constraint = definition;
+        } else if (definition && typeof definition === 'object') {
+          if (definition.path && !definition.version) return;
+          constraint = definition.version || (definition.git ? `git+${definition.git}` : null);
+        } else {
+          constraint = null;
+        }
+
+        const version = lock ? this.pickCargoVersion(lock.versions.get(name), constraint) : null;
+
+        dependencies.push(this.entry(context, {
+          name,
+          ecosystem: 'crates.io',
+          manager: 'cargo',
+          scope,
+          constraint,
+          version,
+          lockfile: version ? lock.path : null
+        }));
+      });
+    };
+
+    CARGO_SECTIONS.forEach(([section, scope]) => addSection(data[section], scope));
+    Object.values(data.target || {}).forEach(target => {
+      CARGO_SECTIONS.forEach(([section, scope]) => addSection(target[section], scope));
+    });
+
+    return dependencies;
+  }
+
+  findCargoLock(context) {
+    const found = this.findUp(context, ['Cargo.lock']);
+    if (!found) return null;
+
+    const versions = this.loadLock(found.fullPath, content => {
+      const map = new Map();
+      (TOML.parse(content).package || []).forEach(pkg => {
+        if (!map.has(pkg.name)) map.set(pkg.name, []);
+        map.get(pkg.name).push(pkg.version);
+      });
+      return map;
+    });
+    if (!versions) return null;
+
+    return { path: found.relativePath, versions };
+  }
+
+  findCargoWorkspaceDeps(context) {
+    const found = this.findUp(context, ['Cargo.toml'], manifest => {
+      return /^\[workspace(\.dependencies)?\]/m.test(fs.readFileSync(manifest, 'utf8'));
+    });
+    if (!found) return {};
+
+    const data = this.loadLock(found.fullPath, content => TOML.parse(content));
+    return data?.workspace?.dependencies || {};
+  }
+
+  // A lockfile can hold several semver-incompatible copies of one crate
+  pickCargoVersion(candidates, constraint) {
+    if (!candidates || candidates.length === 0) return null;
+    if (candidates.length === 1) return candidates[0];
+
+    const match = (constraint || '').match(/(\d+)(?:\.(\d+))?/);
+    if (!match) return null;
+
+    const prefix = match[1] === '0' ? `0.${match[2] || 0}.` : `${match[1]}.`;
+    return candidates.find(version => version.startsWith(prefix)) || null;
+  }
+
+  // Java
+
+  parsePomXml(content, context) {
+    const parser = new XMLParser({ ignoreAttributes: true, parseTagValue: false });
+    const project = parser.parse(content).project || {};
+    const properties = {
+      ...(project.properties || {}),
+      'project.version': project.version || project.parent?.version,
+      'project.groupId': project.groupId || project.parent?.groupId,
+      'project.parent.version': project.parent?.version
+    };
+    const substitute = (value) => typeof value === 'string'
+      ? value.replace(/\$\{([^}]+)\}/g, (placeholder, key) => properties[key] || placeholder)
+      : value;
+
+    const managed = new Map();
+    this.asArray(project.dependencyManagement?.dependencies?.dependency).forEach(dep => {
+      managed.set(`${substitute(dep.groupId)}:${substitute(dep.artifactId)}`, substitute(dep.version));
+    });
+
+    const toEntry = (dep, scope, defaultGroup) => {
+      const name = `${substitute(dep.groupId) || defaultGroup}:${substitute(dep.artifactId)}`;
+      const constraint = substitute(dep.version) || managed.get(name) || null;
+      const exact = constraint && !/^[[(]/.test(constraint) && !constraint.includes('${') ? constraint : null;
+
+      return this.entry(context, {
+        name,
+        ecosystem: 'Maven',
+        manager: 'maven',
+        scope,
+        constraint,
+        version: exact,
+        lockfile: null
+      });
+    };
+
+    const dependencies = this.asArray(project.dependencies?.dependency).map(dep => {
+      return toEntry(dep, dep.scope === 'test' ? 'dev' : 'runtime');
+    });
+
+    this.asArray(project.build?.plugins?.plugin).forEach(plugin => {
+      dependencies.push(toEntry(plugin, 'build', 'org.apache.maven.plugins'));
+    });
+
+    return dependencies;
+  }
+
+  parseGradle(content, context) {
+    const variables = this.gradleVariables(content, context);
+    const lockPath = path.join(context.dir, 'gradle.lockfile');
+    const locked = (fs.existsSync(lockPath) && this.loadLock(lockPath, text => this.parseGradleLock(text))) || new Map();
+    const configurations = Object.keys(GRADLE_SCOPES).join('|');
+    const stringNotation = new RegExp(
+      `^\\s*(${configurations})\\s*\\(?\\s*(?:(?:enforcedPlatform|platform)\\s*\\(\\s*)?["']([^"']+)["']`
+    );
+    const mapNotation = new RegExp(
+      `^\\s*(${configurations})\\s*\\(?\\s*group\\s*[:=]\\s*["']([^"']+)["']\\s*,\\s*name\\s*[:=]\\s*["']([^"']+)["'](?:\\s*,\\s*version\\s*[:=]\\s*["']([^"']+)["'])?`
+    );
+    const resolveVariables = (value) => value && value.replace(/\$\{?(\w+(?:\.\w+)*)\}?/g, (placeholder, key) => variables[key] || placeholder);
+    const dependencies = [];
+
+    content.split('\n').forEach(line => {
+      let configuration, group, artifact, version;
+      const stringMatch = line.match(stringNotation);
+      const mapMatch = line.match(mapNotation);
+
+      if (mapMatch) {
+        [, configuration, group, artifact, version] = mapMatch;
+      } else if (stringMatch) {
+        [, configuration] = stringMatch;
+        [group, artifact, version] = stringMatch[2].replace(/@\w+$/, '').split(':');
+      } else {
+        return;
+      }
+
+      if (!group || !artifact) return;
+
+      const name = `${group}:${artifact}`;
+      const constraint = resolveVariables(version) || null;
+      const lockedVersion = locked.get(name);
+
+      dependencies.push(this.entry(context, {
+        name,
+        ecosystem: 'Maven',
+        manager: 'gradle',
+        scope: GRADLE_SCOPES[configuration],
+        constraint,
+        version: lockedVersion || (constraint && /^[\w.-]+$/.test(constraint) && !constraint.includes('+') ? constraint : null),
+        lockfile: lockedVersion ? path.relative(context.repoPath, lockPath).split(path.sep).join('/') : null
+      }));
+    });
+
+    return dependencies;
+  }
+
+  gradleVariables(content, context) {
+    const variables = {};
+    const propertiesPath = path.join(context.dir, 'gradle.properties');
+
+    if (fs.existsSync(propertiesPath)) {
+      fs.readFileSync(propertiesPath, 'utf8').split('\n').forEach(line => {
+        const match = line.match(/^\s*([\w.]+)\s*[=:]\s*(.+?)\s*$/);
+        if (match) variables[match[1]] = match[2];
+      });
+    }
+
+    const assignment = /(?:def|val|var|ext\.|set\()?\s*["']?(\w+)["']?\s*[=,]\s*["']([^"'$]+)["']/g;
+    let match;
+    while ((match = assignment.exec(content)) !== null) {
+      variables[match[1]] = match[2];
+    }
+
+    return variables;
+  }
+
+  parseGradleLock(content) {
+    const versions = new Map();
+
+    content.split('\n').forEach(line => {
+      const match = line.match(/^([^#:=\s]+):([^:=\s]+):([^=\s]+)=/);
+      if (match) versions.set(`${match[1]}:${match[2]}`, match[3]);
+    });
+
+    return versions;
+  }
+
+  // PHP
+
+  parseComposerJson(content, context) {
+    const composer = JSON.parse(content);
+    const lockPath = path.join(context.dir, 'composer.lock');
+    const locked = new Map();
+
+    if (fs.existsSync(lockPath)) {
+      const lock = this.loadLock(lockPath, text => JSON.parse(text)) || {};
+      [...(lock.packages || []), ...(lock['packages-dev'] || [])].forEach(pkg => {
+        locked.set(pkg.name.toLowerCase(), String(pkg.version).replace(/^v/, ''));
+      });
+    }
+
+    const dependencies = [];
+
+    [['require', 'runtime'], ['require-dev', 'dev']].forEach(([section, scope]) => {
+      Object.entries(composer[section] || {}).forEach(([name, constraint]) => {
+        // Platform requirements are not installable packages
+        if (name === 'php' || /^(ext|lib)-/.test(name) || name === 'composer-plugin-api') return;
+
+        const version = locked.get(name.toLowerCase());
+
+        dependencies.push(this.entry(context, {
+          name,
+          ecosystem: 'Packagist',
+          manager: 'composer',
+          scope,
+          constraint,
+          version,
+          lockfile: version ? path.relative(context.repoPath, lockPath).split(path.sep).join('/') : null
+        }));
+      });
+    });
+
+    return dependencies;
+  }
+
+  // Helper Methods
+
+  entry(context, fields) {
+    return {
+      name: fields.name,
+      ecosystem: fields.ecosystem,
+      manager: fields.manager,
+      manifest: context.manifest,
+      scope: fields.scope,
+      constraint: fields.constraint ?? null,
+      version: fields.version ?? null,
+      lockfile: fields.lockfile ?? null
+    };
+  }
+
+  /**
+   * Look for the first of `names` in the manifest directory and then each
+   * parent directory up to the repository root (workspace roots hold the
+   * lockfile for all their members).
+   */
+  findUp(context, names, accept = () => true) {
+    let dir = path.resolve(context.dir);
+    const root = path.resolve(context.repoPath);
+
+    while (dir.startsWith(root)) {
+      for (const name of names) {
+        const fullPath = path.join(dir, name);
+        if (fs.existsSync(fullPath) && accept(fullPath)) {
+          return {
+            fullPath,
+            relativePath: path.relative(context.repoPath, fullPath).split(path.sep).join('/')
+          };
+        }
+      }
+
+      if (dir === root) break;
+      dir = path.dirname(dir);
+    }
+
+    return null;
+  }
+
+  // Lockfiles are shared between workspace members, so parse each once
+  loadLock(fullPath, parse) {
+    const cache = this.lockCache || new Map();
+
+    if (!cache.has(fullPath)) {
+      try {
+        cache.set(fullPath, parse(fs.readFileSync(fullPath, 'utf8')));
+      } catch (error) {
+        logger.warn(`Ignoring unparseable lockfile ${fullPath}: ${error.message}`);
+        cache.set(fullPath, null);
+      }
+    }
+
+    return cache.get(fullPath);
+  }
+
+  asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = new DependencyParser();
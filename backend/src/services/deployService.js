@@ -1,9 +1,15 @@
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Deployment = require('../../models/Deployment');
+const dockerService = require('./dockerService');
+const statsCollector = require('./statsCollector');
 const logger = require('../utils/logger');
 
 class DeployService {
   constructor() {
-    this.deployments = new Map();
     this.activeDeployments = new Set();
+    this.expectedEvents = new Set();
+    this.io = null;
   }
 
   async initialize() {
@@ -11,36 +17,72 @@ class DeployService {
     return true;
   }
 
-  async deployApplication(deploymentConfig) {
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Give deployments left in flight by a previous process a final state.
+   * Called once on startup, before any new deployment can be started.
+   */
+  async reconcileDeployments() {
+    try {
+      const stale = await Deployment.find({
+        status: { $in: ['pending', 'deploying', 'scaling'] }
+      });
+
+      for (const deployment of stale) {
+        if (deployment.status === 'scaling') {
+          deployment.status = 'running';
+          this.pushLog(deployment, 'Scaling interrupted by a backend restart', 'warning');
+        } else {
+          deployment.status = 'failed';
+          deployment.error = {
+            message: 'Deployment interrupted by a backend restart',
+            timestamp: new Date()
+          };
+          this.pushLog(deployment, 'Deployment interrupted by a backend restart', 'error');
+        }
+
+        await deployment.save();
+      }
+
+      if (stale.length > 0) {
+        logger.warn(`Reconciled ${stale.length} interrupted deployment(s)`);
+      }
+
+      return stale.length;
+    } catch (error) {
+      logger.error('Reconcile deployments failed:', error);
+      throw error;
+    }
+  }
+
+  async deployApplication(userId, deploymentConfig) {
     try {
       const { type, config, name, environment, version } = deploymentConfig;
-      const deploymentId = `deploy_${Date.now()}`;
-      
-      const deployment = {
-        id: deploymentId,
+
+      const deployment = new Deployment({
+        userId,
         name,
         type,
         environment: environment || 'development',
         version: version || '1.0.0',
         config,
         status: 'deploying',
-        createdAt: new Date().toISOString(),
-        logs: [],
-        metrics: {
-          cpu: 0,
-          memory: 0,
-          network: 0
-        }
-      };
+        ports: this.extractPorts(config),
+        replicas: config.replicas || 1
+      });
 
-      // Store deployment
-      this.deployments.set(deploymentId, deployment);
-      this.activeDeployments.add(deploymentId);
+      this.pushLog(deployment, `Deployment of ${name} (${type}) to ${deployment.environment} requested`);
+      await deployment.save();
+
+      this.activeDeployments.add(deployment.id);
 
       // Start deployment process
-      this.startDeploymentProcess(deploymentId);
+      this.startDeploymentProcess(deployment.id);
 
-      logger.info(`Started deployment ${deploymentId} for ${name}`);
+      logger.info(`Started deployment ${deployment.id} for ${name}`);
       return deployment;
     } catch (error) {
       logger.error('Deploy application failed:', error);
@@ -48,18 +90,16 @@ class DeployService {
     }
   }
 
-  async getDeployment(deploymentId) {
+  async getDeployment(deploymentId, userId) {
     try {
-      const deployment = this.deployments.get(deploymentId);
-      
-      if (!deployment) {
-        throw new Error(`Deployment ${deploymentId} not found`);
+      if (!mongoose.Types.ObjectId.isValid(deploymentId)) {
+        throw this.notFound(deploymentId);
       }
 
-      // Update metrics if deployment is active
-      if (this.activeDeployments.has(deploymentId)) {
-        deployment.metrics = this.generateMockMetrics();
-        deployment.updatedAt = new Date().toISOString();
+      const deployment = await Deployment.findOne({ _id: deploymentId, userId });
+
+      if (!deployment) {
+        throw this.notFound(deploymentId);
       }
 
       return deployment;
@@ -69,38 +109,31 @@ class DeployService {
     }
   }
 
-  async listDeployments(filter = {}) {
+  async listDeployments(userId, filter = {}) {
     try {
-      let deployments = Array.from(this.deployments.values());
-      
-      // Apply filters
-      if (filter.status) {
-        deployments = deployments.filter(d => d.status === filter.status);
-      }
-      
-      if (filter.type) {
-        deployments = deployments.filter(d => d.type === filter.type);
-      }
-      
-      if (filter.environment) {
-        deployments = deployments.filter(d => d.environment === filter.environment);
-      }
-      
-      // Sort by creation date (newest first)
-      deployments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      
-      // Pagination
-      const limit = filter.limit || 10;
-      const page = filter.page || 1;
-      const start = (page - 1) * limit;
-      const paginated = deployments.slice(start, start + limit);
-      
+      const limit = parseInt(filter.limit) || 10;
+      const page = parseInt(filter.page) || 1;
+
+      const query = { userId };
+      if (filter.status) query.status = filter.status;
+      if (filter.type) query.type = filter.type;
+      if (filter.environment) query.environment = filter.environment;
+
+      const [deployments, total] = await Promise.all([
+        Deployment.findByUser(userId, {
+          ...filter,
+          limit,
+          skip: (page - 1) * limit
+        }).select('-logs -health.checks'),
+        Deployment.countDocuments(query)
+      ]);
+
       return {
-        deployments: paginated,
-        total: deployments.length,
+        deployments,
+        total,
         page,
         limit,
-        pages: Math.ceil(deployments.length / limit)
+        pages: Math.ceil(total / limit)
       };
     } catch (error) {
       logger.error('List deployments failed:', error);
@@ -108,21 +141,25 @@ class DeployService {
     }
   }
 
-  async updateDeployment(deploymentId, updates) {
+  async updateDeployment(deploymentId, userId, updates) {
     try {
-      const deployment = this.deployments.get(deploymentId);
-      
-      if (!deployment) {
-        throw new Error(`Deployment ${deploymentId} not found`);
-      }
+      const deployment = await this.getDeployment(deploymentId, userId);
+      const allowed = ['name', 'environment', 'version', 'config', 'metadata'];
 
-      // Update deployment
-      Object.assign(deployment, updates, {
-        updatedAt: new Date().toISOString()
+      allowed.forEach(field => {
+        if (updates[field] !== undefined) {
+          deployment[field] = updates[field];
+        }
       });
 
-      this.deployments.set(deploymentId, deployment);
-      
+      if (updates.config) {
+        deployment.markModified('config');
+        deployment.ports = this.extractPorts(updates.config);
+      }
+
+      this.pushLog(deployment, 'Deployment configuration updated');
+      await deployment.save();
+
       logger.info(`Updated deployment ${deploymentId}`);
       return deployment;
     } catch (error) {
@@ -131,26 +168,28 @@ class DeployService {
     }
   }
 
-  async stopDeployment(deploymentId) {
+  async stopDeployment(deploymentId, userId) {
     try {
-      const deployment = await this.getDeployment(deploymentId);
-      
+      const deployment = await this.getDeployment(deploymentId, userId);
+
       if (deployment.status === 'stopped') {
         return deployment;
       }
 
+      if (deployment.container?.id) {
+        // 304: the container had already stopped on its own
+        this.expectContainerEvent(deployment.container.id, 'die');
+        await this.runDockerOperation(() => dockerService.stopContainer(deployment.container.id), [304]);
+      }
+
       deployment.status = 'stopped';
-      deployment.stoppedAt = new Date().toISOString();
-      this.activeDeployments.delete(deploymentId);
-      
-      deployment.logs.push({
-        timestamp: new Date().toISOString(),
-        message: 'Deployment stopped by user',
-        level: 'info'
-      });
+      deployment.stoppedAt = new Date();
+      this.activeDeployments.delete(deployment.id);
+      await statsCollector.unwatch(deployment.id);
+
+      await deployment.addLog('Deployment stopped by user', 'info');
+      this.emitUpdate(deployment);
 
-      this.deployments.set(deploymentId, deployment);
-      
       logger.info(`Stopped deployment ${deploymentId}`);
       return deployment;
     } catch (error) {
@@ -159,26 +198,40 @@ class DeployService {
     }
   }
 
-  async startDeployment(deploymentId) {
+  async startDeployment(deploymentId, userId) {
     try {
-      const deployment = await this.getDeployment(deploymentId);
-      
+      const deployment = await this.getDeployment(deploymentId, userId);
+
       if (deployment.status === 'running') {
         return deployment;
       }
 
+      if (deployment.container?.id) {
+        this.expectContainerEvent(deployment.container.id, 'start');
+        try {
+          await this.runDockerOperation(() => dockerService.startContainer(deployment.container.id), [304]);
+        } catch (error) {
+          if (error.statusCode !== 404) throw error;
+          // Removed outside the app; recreated below
+          deployment.container = undefined;
+        }
+      }
+
+      // A failed run removes its container, so there may be none to start
+      if (deployment.type === 'docker' && !deployment.container?.id) {
+        await deployment.addLog('No container to start, creating a new one');
+        await this.executeDockerDeployment(deployment);
+      }
+
       deployment.status = 'running';
-      deployment.startedAt = new Date().toISOString();
-      this.activeDeployments.add(deploymentId);
-      
-      deployment.logs.push({
-        timestamp: new Date().toISOString(),
-        message: 'Deployment started',
-        level: 'info'
-      });
+      deployment.startedAt = new Date();
+      deployment.error = undefined;
+      this.activeDeployments.add(deployment.id);
+
+      await deployment.addLog('Deployment started', 'info');
+      this.emitUpdate(deployment);
+      if (deployment.type === 'docker') await statsCollector.watch(deployment);
 
-      this.deployments.set(deploymentId, deployment);
-      
       logger.info(`Started deployment ${deploymentId}`);
       return deployment;
     } catch (error) {
@@ -187,32 +240,35 @@ class DeployService {
     }
   }
 
-  async restartDeployment(deploymentId) {
+  async restartDeployment(deploymentId, userId) {
     try {
-      await this.stopDeployment(deploymentId);
+      await this.stopDeployment(deploymentId, userId);
       await new Promise(resolve => setTimeout(resolve, 1000));
-      return await this.startDeployment(deploymentId);
+      return await this.startDeployment(deploymentId, userId);
     } catch (error) {
       logger.error('Restart deployment failed:', error);
       throw error;
     }
   }
 
-  async deleteDeployment(deploymentId, force = false) {
+  async deleteDeployment(deploymentId, userId, force = false) {
     try {
-      const deployment = this.deployments.get(deploymentId);
-      
-      if (!deployment) {
-        throw new Error(`Deployment ${deploymentId} not found`);
-      }
+      const deployment = await this.getDeployment(deploymentId, userId);
 
       if (!force && deployment.status === 'running') {
-        throw new Error('Cannot delete running deployment without force flag');
+        const error = new Error('Cannot delete running deployment without force flag');
+        error.status = 409;
+        throw error;
       }
 
-      this.deployments.delete(deploymentId);
-      this.activeDeployments.delete(deploymentId);
-      
+      if (deployment.container?.id) {
+        await this.removeDeploymentContainer(deployment);
+      }
+
+      await deployment.deleteOne();
+      this.activeDeployments.delete(deployment.id);
+      await statsCollector.removeSeries(deployment.id);
+
       logger.info(`Deleted deployment ${deploymentId}`);
       return { success: true, message: 'Deployment deleted' };
     } catch (error) {
@@ -221,22 +277,26 @@ class DeployService {
     }
   }
 
-  async scaleDeployment(deploymentId, replicas) {
+  async scaleDeployment(deploymentId, userId, replicas) {
     try {
-      const deployment = await this.getDeployment(deploymentId);
-      
-      deployment.config.replicas = parseInt(replicas);
-      deployment.updatedAt = new Date().toISOString();
-      
-      deployment.logs.push({
-        timestamp: new Date().toISOString(),
-        message: `Scaled to ${replicas} replicas`,
-        level: 'info'
-      });
+      const deployment = await this.getDeployment(deploymentId, userId);
+      const count = parseInt(replicas);
+
+      if (!(count >= 1 && count <= 10)) {
+        const error = new Error('Replicas must be between 1 and 10');
+        error.status = 400;
+        throw error;
+      }
 
-      this.deployments.set(deploymentId, deployment);
-      
-      logger.info(`Scaled deployment ${deploymentId} to ${replicas} replicas`);
+      const previousStatus = deployment.status;
+      await deployment.scale(count);
+
+      deployment.status = previousStatus;
+      deployment.config = { ...deployment.config, replicas: count };
+      await deployment.addLog(`Scaled to ${count} replicas`, 'success');
+      this.emitUpdate(deployment);
+
+      logger.info(`Scaled deployment ${deploymentId} to ${count} replicas`);
       return deployment;
     } catch (error) {
       logger.error('Scale deployment failed:', error);
@@ -244,28 +304,67 @@ class DeployService {
     }
   }
 
-  async getDeploymentMetrics(deploymentId, timeframe = '1h') {
+  /**
+   * Collected resource usage over a timeframe. Series values are null for
+   * buckets in which the container was not running.
+   */
+  async getDeploymentMetrics(deploymentId, userId, timeframe = '1h') {
     try {
-      const deployment = await this.getDeployment(deploymentId);
-      
+      const deployment = await this.getDeployment(deploymentId, userId);
+      const series = await statsCollector.getSeries(deployment.id, timeframe);
+      const sampled = series.points.filter(point => point.samples);
+      const seconds = series.interval / 1000;
+      const mb = (bytes) => Math.round(bytes / 1024 / 1024);
+
       const metrics = {
         deploymentId,
         name: deployment.name,
         timeframe,
+        resolution: series.resolution,
+        collecting: statsCollector.isCollecting(deployment.id),
+        current: statsCollector.latest(deployment.id),
         data: {
-          cpu: this.generateTimeSeriesData(timeframe, 20, 80),
-          memory: this.generateTimeSeriesData(timeframe, 128, 512),
-          network: this.generateTimeSeriesData(timeframe, 10, 100),
-          requests: this.generateTimeSeriesData(timeframe, 50, 500)
+          cpu: series.points.map(point => ({
+            timestamp: point.timestamp,
+            value: point.samples ? point.cpu.avg : null,
+            max: point.samples ? point.cpu.max : null
+          })),
+          memory: series.points.map(point => ({
+            timestamp: point.timestamp,
+            value: point.samples ? mb(point.memory.avg) : null,
+            max: point.samples ? mb(point.memory.max) : null,
+            limit: point.samples && point.memory.limit ? mb(point.memory.limit) : null
+          })),
+          // Bytes per second averaged over the bucket
+          network: series.points.map(point => ({
+            timestamp: point.timestamp,
+            rx: point.samples ? Math.round(point.network.rx / seconds) : null,
+            tx: point.samples ? Math.round(point.network.tx / seconds) : null
+          })),
+          blockIo: series.points.map(point => ({
+            timestamp: point.timestamp,
+            read: point.samples ? Math.round(point.blockIo.read / seconds) : null,
+            write: point.samples ? Math.round(point.blockIo.write / seconds) : null
+          }))
         },
-        summary: {
-          avgCpu: `${Math.floor(Math.random() * 50) + 20}%`,
-          avgMemory: `${Math.floor(Math.random() * 256) + 128}MB`,
-          peakCpu: `${Math.floor(Math.random() * 30) + 70}%`,
-          peakMemory: `${Math.floor(Math.random() * 128) + 384}MB`
-        }
+        summary: null
       };
 
+      if (sampled.length) {
+        const samples = sampled.reduce((sum, point) => sum + point.samples, 0);
+        const weighted = (field) => sampled.reduce((sum, point) => sum + point[field].avg * point.samples, 0) / samples;
+        const peak = (field) => Math.max(...sampled.map(point => point[field].max));
+
+        metrics.summary = {
+          avgCpu: `${Math.round(weighted('cpu') * 100) / 100}%`,
+          avgMemory: `${mb(weighted('memory'))}MB`,
+          peakCpu: `${peak('cpu')}%`,
+          peakMemory: `${mb(peak('memory'))}MB`,
+          networkIn: dockerService.formatBytes(sampled.reduce((sum, point) => sum + point.network.rx, 0)),
+          networkOut: dockerService.formatBytes(sampled.reduce((sum, point) => sum + point.network.tx, 0))
+        };
+      }
+
       return metrics;
     } catch (error) {
       logger.error('Get deployment metrics failed:', error);
@@ -333,56 +432,330 @@ class DeployService {
   startDeploymentProcess(deploymentId) {
     setTimeout(async () => {
       try {
-        const deployment = this.deployments.get(deploymentId);
+        const deployment = await Deployment.findById(deploymentId);
         
         if (!deployment) return;
 
-        // Simulate deployment steps
-        const steps = [
-          'Initializing deployment...',
-          'Pulling container image...',
-          'Starting containers...',
-          'Configuring network...',
-          'Running health checks...',
-          'Deployment completed successfully'
-        ];
-
-        for (const step of steps) {
-          deployment.logs.push({
-            timestamp: new Date().toISOString(),
-            message: step,
-            level: 'info'
-          });
-          
-          await new Promise(resolve => setTimeout(resolve, 1000));
+        if (deployment.type === 'docker') {
+          await this.executeDockerDeployment(deployment);
+        } else {
+          await this.simulateDeployment(deployment);
         }
 
         deployment.status = 'running';
-        deployment.startedAt = new Date().toISOString();
+        deployment.startedAt = new Date();
+        deployment.error = undefined;
         deployment.url = this.generateDeploymentUrl(deployment);
-        
-        this.deployments.set(deploymentId, deployment);
+        await deployment.addLog('Deployment completed successfully', 'success');
+        this.emitUpdate(deployment);
+        if (deployment.type === 'docker') await statsCollector.watch(deployment);
         
         logger.info(`Deployment ${deploymentId} completed successfully`);
       } catch (error) {
         logger.error(`Deployment process failed for ${deploymentId}:`, error);
-        
-        const deployment = this.deployments.get(deploymentId);
-        if (deployment) {
-          deployment.status = 'failed';
-          deployment.error = error.message;
-          this.deployments.set(deploymentId, deployment);
-          this.activeDeployments.delete(deploymentId);
-        }
+        await this.markFailed(deploymentId, error);
       }
     }, 100);
   }
 
+  async simulateDeployment(deployment) {
+    const steps = [
+      'Initializing deployment...',
+      'Provisioning resources...',
+      'Configuring network...',
+      'Running health checks...'
+    ];
+
+    for (const step of steps) {
+      await deployment.addLog(step, 'info');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  /**
+   * Pull or build the image, run it as a labelled container and wait for
+   * it to pass its health check. Every step lands in deployment.logs.
+   */
+  async executeDockerDeployment(deployment) {
+    const { config } = deployment;
+
+    if (!config.image) {
+      throw new Error('Docker image is required');
+    }
+
+    if (!dockerService.connected && !(await dockerService.initialize())) {
+      throw new Error('Docker daemon is not reachable');
+    }
+
+    await this.runDockerOperation(async () => {
+      if (config.build?.context) {
+        await deployment.addLog(`Building image ${config.image} from ${config.build.context}`);
+        await dockerService.buildImage(config.build.context, {
+          tags: [config.image],
+          dockerfile: config.build.dockerfile,
+          buildArgs: config.build.buildArgs
+        });
+        await deployment.addLog(`Built image ${config.image}`, 'success');
+      } else {
+        await deployment.addLog(`Pulling image ${config.image}`);
+        const pulled = await dockerService.pullImage(config.image);
+        await deployment.addLog(pulled.status, 'success');
+      }
+
+      if (deployment.container?.id) {
+        await this.removeDeploymentContainer(deployment);
+      }
+
+      const containerName = this.containerName(deployment);
+      await deployment.addLog(`Creating container ${containerName}`);
+
+      const container = await dockerService.createContainer({
+        image: config.image,
+        name: containerName,
+        ports: config.ports || [],
+        environment: this.containerEnv(config),
+        volumes: config.volumes || [],
+        command: config.command,
+        restartPolicy: config.restartPolicy,
+        labels: {
+          'autopilotdev.deployment': deployment.id,
+          'autopilotdev.user': String(deployment.userId),
+          'autopilotdev.environment': deployment.environment
+        }
+      });
+
+      deployment.container = {
+        id: container.id,
+        name: containerName,
+        image: config.image
+      };
+      await deployment.addLog(`Created container ${container.id.substring(0, 12)}`);
+    });
+
+    let health;
+    try {
+      await this.runDockerOperation(() => dockerService.startContainer(deployment.container.id));
+      await deployment.addLog('Container started');
+
+      await deployment.addLog('Running health check');
+      health = await this.checkContainerHealth(deployment);
+    } catch (error) {
+      // A failed container would keep holding its host port; its output is already in the error
+      await this.removeDeploymentContainer(deployment).catch((removeError) => {
+        logger.warn(`Could not remove failed container ${deployment.container.id}: ${removeError.message}`);
+      });
+      throw error;
+    }
+
+    await deployment.updateHealth('healthy', health.responseTime);
+    await deployment.addLog(health.message, 'success');
+  }
+
+  /**
+   * Resolve once the container is healthy. Uses the image HEALTHCHECK when
+   * there is one, an HTTP probe when config.healthCheck.path is set, and
+   * otherwise requires the container to stay up for the grace period.
+   */
+  async checkContainerHealth(deployment) {
+    const healthCheck = deployment.config.healthCheck || {};
+    const timeout = healthCheck.timeout || 60000;
+    const interval = healthCheck.interval || 2000;
+    const gracePeriod = healthCheck.gracePeriod || 5000;
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < timeout) {
+      const info = await this.runDockerOperation(
+        () => dockerService.inspectContainer(deployment.container.id)
+      );
+      const state = info.State || {};
+
+      if (!state.Running) {
+        const output = await this.containerOutput(deployment.container.id);
+        throw new Error(
+          `Container exited with code ${state.ExitCode}${state.Error ? `: ${state.Error}` : ''}${output}`
+        );
+      }
+
+      if (state.Health) {
+        if (state.Health.Status === 'healthy') {
+          return { message: 'Container reported healthy' };
+        }
+        if (state.Health.Status === 'unhealthy') {
+          const lastProbe = state.Health.Log?.[state.Health.Log.length - 1];
+          throw new Error(`Container health check failed: ${lastProbe?.Output?.trim() || 'unhealthy'}`);
+        }
+      } else if (healthCheck.path) {
+        const probe = await this.probeHttp(deployment, healthCheck);
+        if (probe) return probe;
+      } else if (Date.now() - startedAt >= gracePeriod) {
+        return { message: `Container running for ${Math.round(gracePeriod / 1000)}s` };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new Error(`Health check did not pass within ${Math.round(timeout / 1000)}s`);
+  }
+
+  async probeHttp(deployment, healthCheck) {
+    const mapping = dockerService.parsePortMapping(
+      healthCheck.port || deployment.config.ports?.[0] || 3000
+    );
+    const url = `http://${healthCheck.host || 'localhost'}:${mapping.host}${healthCheck.path}`;
+    const start = Date.now();
+
+    try {
+      const response = await axios.get(url, {
+        timeout: 5000,
+        validateStatus: () => true
+      });
+
+      if (response.status < 400) {
+        return {
+          message: `GET ${url} returned ${response.status}`,
+          responseTime: Date.now() - start
+        };
+      }
+    } catch (error) {
+      // Not accepting connections yet
+    }
+
+    return null;
+  }
+
+  async containerOutput(containerId) {
+    try {
+      const logs = await dockerService.getContainerLogs(containerId, { tail: 20 });
+      // Strip the 8-byte stream headers the daemon puts on non-TTY logs
+      const text = logs.replace(/[\x01\x02]\x00\x00\x00[\s\S]{4}/g, '').trim();
+      return text ? `\n${text}` : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Also forgets the container, so the next start creates a new one
+  async removeDeploymentContainer(deployment) {
+    const { id } = deployment.container;
+
+    try {
+      this.expectContainerEvent(id, 'die');
+      await dockerService.removeContainer(id, { force: true });
+      await deployment.addLog(`Removed container ${id.substring(0, 12)}`);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw this.daemonError(error);
+      }
+    }
+
+    deployment.container = undefined;
+    await deployment.save();
+  }
+
+  async runDockerOperation(operation, ignoredStatusCodes = []) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (ignoredStatusCodes.includes(error.statusCode)) {
+        return null;
+      }
+      throw this.daemonError(error);
+    }
+  }
+
+  // Surface the daemon's own message instead of dockerode's HTTP wrapper
+  daemonError(error) {
+    const message = error.json?.message || error.reason || error.message;
+    const wrapped = new Error(message);
+    wrapped.statusCode = error.statusCode;
+    wrapped.stack = error.stack;
+    return wrapped;
+  }
+
+  containerName(deployment) {
+    const base = deployment.name.toLowerCase().replace(/[^a-z0-9_.-]/g, '-');
+    return `${base}-${deployment.environment}-${deployment.id.slice(-6)}`;
+  }
+
+  containerEnv(config) {
+    const env = config.env || config.environment || [];
+
+    if (Array.isArray(env)) {
+      return env;
+    }
+
+    return Object.entries(env).map(([key, value]) => `${key}=${value}`);
+  }
+
+  /**
+   * Tell the event watcher that a container is about to die or start at
+   * our request, so the event is not taken for a crash or an outside restart
+   */
+  expectContainerEvent(containerId, action) {
+    const key = `${action}:${containerId}`;
+    this.expectedEvents.add(key);
+    setTimeout(() => this.expectedEvents.delete(key), 60000).unref();
+  }
+
+  async markFailed(deploymentId, error) {
+    try {
+      const deployment = await Deployment.findById(deploymentId);
+      if (!deployment) return;
+
+      deployment.status = 'failed';
+      deployment.error = {
+        message: error.message,
+        stack: error.stack,
+        timestamp: new Date()
+      };
+      this.activeDeployments.delete(deployment.id);
+
+      await deployment.addLog(`Deployment failed: ${error.message}`, 'error');
+      this.emitUpdate(deployment);
+    } catch (saveError) {
+      logger.error(`Failed to record failure for ${deploymentId}:`, saveError);
+    }
+  }
+
+  pushLog(deployment, message, level = 'info') {
+    deployment.logs.push({
+      timestamp: new Date(),
+      message,
+      level
+    });
+  }
+
+  emitUpdate(deployment) {
+    if (!this.io) return;
+
+    const update = {
+      deploymentId: deployment.id,
+      status: deployment.status,
+      url: deployment.url,
+      health: deployment.health?.status,
+      error: deployment.error?.message
+    };
+
+    this.io.to(`deployment-${deployment.id}`).emit('deployment-updated', update);
+  }
+
+  notFound(deploymentId) {
+    const error = new Error(`Deployment ${deploymentId} not found`);
+    error.status = 404;
+    return error;
+  }
+
+  extractPorts(config = {}) {
+    return (config.ports || [])
+      .map(port => parseInt(String(port).split(':').pop()))
+      .filter(port => !isNaN(port));
+  }
+
   generateDeploymentUrl(deployment) {
     const { type, name, environment } = deployment;
     
     const urls = {
-      docker: `http://${name}.localhost:${deployment.config.ports?.[0] || 3000}`,
+      docker: `http://localhost:${dockerService.parsePortMapping(deployment.config.ports?.[0] || 3000).host}`,
       kubernetes: `http://${name}.${environment}.cluster.example.com`,
       cloud: `https://${name}.${environment}.cloud-provider.com`,
       serverless: `https://${name}.serverless-provider.com`
@@ -391,53 +764,6 @@ class DeployService {
     return urls[type] || 'http://localhost:3000';
   }
 
-  generateMockMetrics() {
-    return {
-      cpu: Math.floor(Math.random() * 50) + 20,
-      memory: Math.floor(Math.random() * 256) + 128,
-      network: Math.floor(Math.random() * 100) + 10,
-      uptime: `${Math.floor(Math.random() * 24)}h ${Math.floor(Math.random() * 60)}m`
-    };
-  }
-
-  generateTimeSeriesData(timeframe, min, max) {
-    let points = 60; // Default: 1 hour with 1-minute intervals
-    
-    switch (timeframe) {
-      case '24h':
-        points = 24; // 24 hours with 1-hour intervals
-        break;
-      case '7d':
-        points = 7; // 7 days with 1-day intervals
-        break;
-      case '30d':
-        points = 30; // 30 days with 1-day intervals
-        break;
-    }
-    
-    const now = new Date();
-    return Array.from({ length: points }, (_, i) => {
-      const timestamp = new Date(now);
-      
-      switch (timeframe) {
-        case '24h':
-          timestamp.setHours(timestamp.getHours() - (points - i - 1));
-          break;
-        case '7d':
-        case '30d':
-          timestamp.setDate(timestamp.getDate() - (points - i - 1));
-          break;
-        default: // 1h
-          timestamp.setMinutes(timestamp.getMinutes() - (points - i - 1));
-      }
-      
-      return {
-        timestamp: timestamp.toISOString(),
-        value: Math.floor(Math.random() * (max - min) + min)
-      };
-    });
-  }
-
   estimateCost(type, config) {
     const baseCosts = {
       docker: 0.05, // per hour
@@ -0,0 +1,258 @@
+const Deployment = require('../../models/Deployment');
+const dockerService = require('./dockerService');
+const deployService = require('./deployService');
+const statsCollector = require('./statsCollector');
+const logger = require('../utils/logger');
+
+const DEPLOYMENT_LABEL = 'autopilotdev.deployment';
+const WATCHED_EVENTS = ['die', 'oom', 'health_status', 'restart', 'start'];
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+// Deployments still being rolled out report container failures through their health check
+const SETTLING_STATUSES = ['pending', 'deploying'];
+
+/**
+ * Follows the daemon's container events for deployment containers (found
+ * by their `autopilotdev.deployment` label) and keeps each Deployment's
+ * status and health in step with what actually happens to its container.
+ * Changes are logged on the deployment and emitted to its socket.io room.
+ */
+class DockerEventWatcher {
+  constructor() {
+    this.stream = null;
+    this.since = null;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+    this.oomKilled = new Set();
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      const reconciled = await this.reconcile();
+      await this.connect();
+
+      logger.info(`✅ Docker event watcher initialized (${reconciled} deployments out of sync)`);
+      return reconciled;
+    } catch (error) {
+      logger.error('Docker event watcher initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Catch up on what happened while no one was watching: running
+   * deployments whose container has stopped or is gone are marked failed.
+   */
+  async reconcile() {
+    if (!dockerService.connected) return 0;
+
+    const running = await Deployment.find({
+      type: 'docker',
+      status: 'running',
+      'container.id': { $exists: true }
+    });
+
+    let changed = 0;
+    for (const deployment of running) {
+      let state;
+      try {
+        state = (await dockerService.inspectContainer(deployment.container.id)).State || {};
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        state = null;
+      }
+
+      if (state?.Running) continue;
+
+      const message = state
+        ? `Container exited with code ${state.ExitCode}${state.OOMKilled ? ' after running out of memory' : ''} while the backend was down`
+        : 'Container was removed while the backend was down';
+      this.markFailed(deployment, message);
+      await deployment.save();
+      deployService.emitUpdate(deployment);
+      changed++;
+    }
+
+    return changed;
+  }
+
+  async connect() {
+    this.reconnectTimer = null;
+
+    if (!dockerService.connected && !(await dockerService.initialize())) {
+      this.scheduleReconnect();
+      return;
+    }
+
+    try {
+      this.stream = await dockerService.getEvents({
+        since: this.since,
+        filters: {
+          type: ['container'],
+          label: [DEPLOYMENT_LABEL],
+          event: WATCHED_EVENTS
+        }
+      });
+    } catch (error) {
+      logger.warn(`Cannot watch docker events: ${error.message}`);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.reconnectDelay = 1000;
+    let buffer = '';
+
+    this.stream.on('data', (chunk) => {
+      const lines = (buffer + chunk.toString()).split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          logger.debug(`Unreadable docker event: ${error.message}`);
+          return;
+        }
+
+        this.since = event.time;
+        // Handled one at a time so two events never save the same deployment in parallel
+        this.queue = this.queue
+          .then(() => this.handleEvent(event))
+          .catch(error => logger.error(`Handling docker ${event.Action} event failed: ${error.message}`));
+      });
+    });
+
+    // The stream ends when the daemon restarts; events since the last one seen are replayed
+    const lost = (reason) => {
+      if (this.stream === null) return;
+      this.stream = null;
+      logger.warn(`Docker event stream ${reason}, reconnecting`);
+      this.scheduleReconnect();
+    };
+    this.stream.on('end', () => lost('ended'));
+    this.stream.on('error', (error) => lost(`failed: ${error.message}`));
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().catch(error => {
+        logger.error(`Reconnecting to docker events failed: ${error.message}`);
+        this.scheduleReconnect();
+      });
+    }, this.reconnectDelay);
+    this.reconnectTimer.unref();
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  async handleEvent(event) {
+    const containerId = event.Actor?.ID || event.id;
+    const attributes = event.Actor?.Attributes || {};
+    // Health events arrive as "health_status: healthy"
+    const [action, detail] = (event.Action || event.status || '').split(': ');
+
+    // The kernel's OOM kill is reported just before the container's die
+    if (action === 'oom') this.oomKilled.add(containerId);
+
+    if (deployService.expectedEvents.delete(`${action}:${containerId}`)) {
+      if (action === 'die') this.oomKilled.delete(containerId);
+      return;
+    }
+
+    const deploymentId = attributes[DEPLOYMENT_LABEL];
+    const deployment = deploymentId && await Deployment.findById(deploymentId).catch(() => null);
+
+    // Containers replaced by a redeploy still report their own events
+    if (!deployment || deployment.container?.id !== containerId || SETTLING_STATUSES.includes(deployment.status)) {
+      if (action === 'die') this.oomKilled.delete(containerId);
+      return;
+    }
+
+    let changed = false;
+    switch (action) {
+      case 'oom':
+        deployService.pushLog(deployment, 'Container reached its memory limit (out of memory)', 'warning');
+        changed = true;
+        break;
+
+      case 'die': {
+        const oom = this.oomKilled.delete(containerId);
+        if (deployment.status === 'failed' || deployment.status === 'stopped') break;
+
+        const exitCode = attributes.exitCode;
+        this.markFailed(deployment, oom
+          ? `Container was killed after running out of memory (exit code ${exitCode})`
+          : `Container exited unexpectedly with code ${exitCode}`);
+        changed = true;
+        break;
+      }
+
+      case 'restart':
+      case 'start':
+        if (deployment.status === 'running') break;
+
+        // A restart policy or someone at the docker CLI brought it back
+        deployment.status = 'running';
+        deployment.startedAt = new Date();
+        deployment.error = undefined;
+        deployment.health.status = 'unknown';
+        deployment.health.lastCheck = new Date();
+        deployService.pushLog(deployment, `Container ${action === 'restart' ? 'was restarted' : 'started again'} by Docker or the docker CLI`, 'warning');
+        await statsCollector.watch(deployment);
+        changed = true;
+        break;
+
+      case 'health_status': {
+        const health = detail === 'healthy' || detail === 'unhealthy' ? detail : 'unknown';
+        if (deployment.health.status === health) break;
+
+        deployment.health.status = health;
+        deployment.health.lastCheck = new Date();
+        deployment.health.checks.push({ timestamp: new Date(), status: health });
+        if (deployment.health.checks.length > 100) {
+          deployment.health.checks = deployment.health.checks.slice(-100);
+        }
+        deployService.pushLog(
+          deployment,
+          `Container health check reports ${detail}`,
+          health === 'unhealthy' ? 'error' : health === 'healthy' ? 'success' : 'info'
+        );
+        changed = true;
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (!changed) return;
+
+    await deployment.save();
+    deployService.emitUpdate(deployment);
+    deployService.io?.to(`deployment-${deployment.id}`).emit('deployment-event', {
+      deploymentId: deployment.id,
+      containerId,
+      event: action,
+      detail: detail || attributes.exitCode,
+      status: deployment.status,
+      health: deployment.health.status,
+      timestamp: new Date((event.time || Date.now() / 1000) * 1000).toISOString()
+    });
+
+    logger.info(`Deployment ${deployment.id}: container ${action}${detail ? ` (${detail})` : ''}, now ${deployment.status}/${deployment.health.status}`);
+  }
+
+  markFailed(deployment, message) {
+    deployment.status = 'failed';
+    deployment.stoppedAt = new Date();
+    deployment.error = { message, timestamp: new Date() };
+    deployment.health.status = 'unhealthy';
+    deployment.health.lastCheck = new Date();
+    deployService.activeDeployments.delete(deployment.id);
+    deployService.pushLog(deployment, message, 'error');
+  }
+}
+
+module.exports = new DockerEventWatcher();
@@ -1,4 +1,5 @@
 const Docker = require('dockerode');
+const fs = require('fs');
 const logger = require('../utils/logger');
 
 class DockerService {
@@ -103,27 +104,144 @@ class DockerService {
     }
 
     try {
-      const stream = await this.docker.buildImage({
-        context: context,
-        src: ['Dockerfile', '.']
-      }, {
+      // A directory is sent whole; a tar stream is sent as already filtered
+      const file = typeof context === 'string'
+        ? { context, src: ['Dockerfile', '.'] }
+        : context;
+
+      const stream = await this.docker.buildImage(file, {
         t: options.tags || ['latest'],
         buildargs: options.buildArgs || {},
-        dockerfile: options.dockerfile || 'Dockerfile'
+        dockerfile: options.dockerfile || 'Dockerfile',
+        // Aborting the request makes the daemon stop the build
+        abortSignal: options.abortSignal
       });
 
-      return new Promise((resolve, reject) => {
-        this.docker.modem.followProgress(stream, (err, res) => {
-          if (err) reject(err);
-          else resolve(res);
-        });
-      });
+      return await this.followStream(stream, options.onProgress);
     } catch (error) {
       logger.error('Build image failed:', error);
       throw error;
     }
   }
 
+  async inspectImage(image) {
+    if (!this.connected) {
+      return this.mockInspectImage(image);
+    }
+
+    try {
+      return await this.docker.getImage(image).inspect();
+    } catch (error) {
+      logger.error('Inspect image failed:', error);
+      throw error;
+    }
+  }
+
+  async pullImage(image, onProgress) {
+    if (!this.connected) {
+      return this.mockPullImage(image);
+    }
+
+    try {
+      const stream = await this.docker.pull(image);
+      const output = await this.followStream(stream, onProgress);
+      const summary = output
+        .map(event => event.status)
+        .filter(status => status && status.startsWith('Status:'))
+        .pop();
+
+      return {
+        image,
+        status: summary ? summary.replace('Status: ', '') : `Pulled ${image}`
+      };
+    } catch (error) {
+      logger.error('Pull image failed:', error);
+      throw error;
+    }
+  }
+
+  async tagImage(image, repository, tag) {
+    if (!this.connected) {
+      return this.mockTagImage(image, repository, tag);
+    }
+
+    try {
+      await this.docker.getImage(image).tag({ repo: repository, tag });
+      return { image, reference: `${repository}:${tag}` };
+    } catch (error) {
+      logger.error('Tag image failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push a tag with explicit registry credentials rather than the host's docker login
+   */
+  async pushImage(repository, options = {}) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to push the image');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      const stream = await this.docker.getImage(repository).push({
+        tag: options.tag || 'latest',
+        authconfig: options.authconfig
+      });
+      return await this.followStream(stream, options.onProgress);
+    } catch (error) {
+      logger.error('Push image failed:', error);
+      throw error;
+    }
+  }
+
+  async createContainer(config) {
+    if (!this.connected) {
+      return this.mockCreateContainer(config);
+    }
+
+    try {
+      const ports = config.ports || [];
+      const container = await this.docker.createContainer({
+        Image: config.image,
+        name: config.name || `container_${Date.now()}`,
+        Env: config.environment || [],
+        Labels: config.labels || {},
+        ExposedPorts: this.createExposedPorts(ports),
+        HostConfig: {
+          PortBindings: this.createPortBindings(ports),
+          Binds: config.volumes || [],
+          RestartPolicy: config.restartPolicy ? { Name: config.restartPolicy } : undefined
+        },
+        Cmd: config.command && config.command.length ? config.command : undefined
+      });
+
+      return {
+        id: container.id,
+        name: config.name
+      };
+    } catch (error) {
+      logger.error('Create container failed:', error);
+      throw error;
+    }
+  }
+
+  async startContainer(containerId) {
+    if (!this.connected) {
+      return this.mockStartContainer(containerId);
+    }
+
+    try {
+      const container = this.docker.getContainer(containerId);
+      await container.start();
+      return { success: true, message: 'Container started' };
+    } catch (error) {
+      logger.error('Start container failed:', error);
+      throw error;
+    }
+  }
+
   async getContainerLogs(containerId, options = {}) {
     if (!this.connected) {
       return this.mockGetContainerLogs(containerId, options);
@@ -193,18 +311,191 @@ class DockerService {
     }
   }
 
+  /**
+   * Raw stats from the daemon: one sample, or with `stream` a readable of
+   * newline-delimited samples roughly once a second until the container stops
+   */
+  async getContainerStats(containerId, options = {}) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to read container stats');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      const container = this.docker.getContainer(containerId);
+      return await container.stats({ stream: options.stream || false });
+    } catch (error) {
+      logger.error('Get container stats failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The daemon's `docker system df` view: every image with its size, shared
+   * size and container count, and every container with its writable layer size
+   */
+  async diskUsage() {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to report disk usage');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      return await this.docker.df();
+    } catch (error) {
+      logger.error('Docker disk usage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an image by ID, or a single tag when given a reference. Never
+   * forced, so images used by containers are left to the daemon to refuse.
+   */
+  async removeImage(image) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to remove the image');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      return await this.docker.getImage(image).remove({ force: false });
+    } catch (error) {
+      logger.error('Remove image failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Readable of newline-delimited daemon events, optionally filtered
+   * (e.g. {type: ['container'], event: ['die']}) and replayed from `since`
+   */
+  async getEvents(options = {}) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to watch events');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      const query = {};
+      if (options.since) query.since = options.since;
+      if (options.filters) query.filters = options.filters;
+      return await this.docker.getEvents(query);
+    } catch (error) {
+      logger.error('Get docker events failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a process in a running container with a TTY; returns the exec
+   * and its hijacked duplex stream (raw, since a TTY does not multiplex)
+   */
+  async execInContainer(containerId, options = {}) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to open a shell');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      const exec = await this.docker.getContainer(containerId).exec({
+        Cmd: options.command,
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        Env: options.env || [],
+        User: options.user || undefined
+      });
+
+      const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+      return { exec, stream };
+    } catch (error) {
+      logger.error('Container exec failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write `docker save` output for an image to a tarball on disk
+   */
+  async saveImage(image, destination) {
+    if (!this.connected) {
+      const error = new Error('Docker is not available to export the image');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      const stream = await this.docker.getImage(image).get();
+
+      await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(destination);
+        stream.on('error', reject);
+        file.on('error', reject);
+        file.on('finish', resolve);
+        stream.pipe(file);
+      });
+
+      return destination;
+    } catch (error) {
+      logger.error('Save image failed:', error);
+      throw error;
+    }
+  }
+
   // Helper Methods
+  followStream(stream, onProgress) {
+    return new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (err, output) => {
+        if (err) return reject(err);
+
+        // The daemon reports build and pull failures inside the stream
+        const failure = output.find(event => event.error || event.errorDetail);
+        if (failure) {
+          return reject(new Error(failure.errorDetail?.message || failure.error));
+        }
+
+        resolve(output);
+      }, onProgress);
+    });
+  }
+
+  parsePortMapping(port) {
+    const [host, container] = String(port).includes(':')
+      ? String(port).split(':')
+      : [String(port), String(port)];
+
+    return { host, container };
+  }
+
   createPortBindings(ports) {
     const bindings = {};
     
     ports.forEach(port => {
-      const [host, container] = port.split(':');
+      const { host, container } = this.parsePortMapping(port);
       bindings[`${container}/tcp`] = [{ HostPort: host }];
     });
     
     return bindings;
   }
 
+  createExposedPorts(ports) {
+    const exposed = {};
+
+    ports.forEach(port => {
+      const { container } = this.parsePortMapping(port);
+      exposed[`${container}/tcp`] = {};
+    });
+
+    return exposed;
+  }
+
   formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -268,6 +559,33 @@ class DockerService {
     };
   }
 
+  mockInspectImage(image) {
+    return {
+      Id: 'sha256:mock_image_' + Date.now().toString(36),
+      RepoTags: [image],
+      Size: 0
+    };
+  }
+
+  mockPullImage(image) {
+    return { image, status: `Mock pulled ${image}` };
+  }
+
+  mockTagImage(image, repository, tag) {
+    return { image, reference: `${repository}:${tag}` };
+  }
+
+  mockCreateContainer(config) {
+    return {
+      id: 'mock_' + Date.now().toString(36),
+      name: config.name || 'mock-container'
+    };
+  }
+
+  mockStartContainer(containerId) {
+    return { success: true, message: `Mock started container ${containerId}` };
+  }
+
   mockGetContainerLogs(containerId, options) {
     const logs = [
       `Starting container ${containerId}...`,
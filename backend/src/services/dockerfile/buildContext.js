@@ -0,0 +1,69 @@
+/**
+ * Build context tarballs. The daemon does not read .dockerignore itself —
+ * the docker CLI filters the context before sending it — so the same
+ * filtering happens here before the tar is streamed to the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { compileDockerignore } = require('./dockerignore');
+
+/**
+ * Context-relative paths of every file and symlink the build may see.
+ * The Dockerfile and .dockerignore are always sent, as the CLI does.
+ */
+function listContextFiles(contextDir, dockerfile = 'Dockerfile') {
+  const ignoreFile = path.join(contextDir, '.dockerignore');
+  const matcher = compileDockerignore(fs.existsSync(ignoreFile) ? fs.readFileSync(ignoreFile, 'utf8') : '');
+  const alwaysSent = new Set([dockerfile, '.dockerignore']);
+  const files = [];
+
+  const walk = (dir, relativeDir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const ignored = matcher.ignores(relativePath) && !alwaysSent.has(relativePath);
+
+      if (entry.isDirectory()) {
+        // An excluded directory is only entered when a `!` rule or the Dockerfile could be below it
+        const holdsAlwaysSent = [...alwaysSent].some(file => file.startsWith(`${relativePath}/`));
+        if (!ignored || matcher.hasExceptions || holdsAlwaysSent) {
+          walk(path.join(dir, entry.name), relativePath);
+        }
+      } else if (!ignored && (entry.isFile() || entry.isSymbolicLink())) {
+        files.push(relativePath);
+      }
+    });
+  };
+
+  walk(contextDir, '');
+  return files;
+}
+
+/**
+ * Stream a tar of the filtered context, ready for dockerode's buildImage.
+ * @param {string} contextDir
+ * @param {Object} [options]
+ * @param {string} [options.dockerfile='Dockerfile'] - Dockerfile path within the context
+ * @returns {{stream: import('stream').Readable, files: number}}
+ */
+function packContext(contextDir, options = {}) {
+  const files = listContextFiles(contextDir, options.dockerfile);
+  const archive = archiver('tar');
+
+  files.forEach(relativePath => {
+    const fullPath = path.join(contextDir, relativePath);
+    const stats = fs.lstatSync(fullPath);
+
+    if (stats.isSymbolicLink()) {
+      archive.symlink(relativePath, fs.readlinkSync(fullPath), stats.mode);
+    } else {
+      archive.file(fullPath, { name: relativePath, mode: stats.mode });
+    }
+  });
+
+  archive.finalize();
+  return { stream: archive, files: files.length };
+}
+
+module.exports = { listContextFiles, packContext };
@@ -0,0 +1,182 @@
+/**
+ * .dockerignore contents matching the Dockerfile templates. Everything the
+ * templates rebuild inside the image (dependencies, build output, caches)
+ * is kept out of the build context, along with VCS data and local secrets.
+ */
+
+const path = require('path');
+
+const COMMON = [
+  '.git',
+  '**/.DS_Store',
+  '.idea',
+  '.vscode',
+  'Dockerfile*',
+  '.dockerignore',
+  'docker-compose*.yml',
+  'docker-compose*.yaml',
+  'compose*.yml',
+  'compose*.yaml',
+  '**/*.log',
+  '**/.env',
+  '**/.env.*',
+  '!**/.env.example'
+];
+
+const NODE = [
+  '**/node_modules',
+  '**/coverage',
+  '**/.next',
+  '**/.nuxt',
+  '**/.output',
+  '**/.svelte-kit',
+  '**/.turbo',
+  '**/.cache'
+];
+
+const TEMPLATE_IGNORES = {
+  node: NODE,
+  static: NODE,
+  python: [
+    '**/__pycache__',
+    '**/*.py[cod]',
+    '**/.venv',
+    '**/venv',
+    '**/.pytest_cache',
+    '**/.mypy_cache',
+    '**/.tox',
+    '**/*.egg-info',
+    '**/htmlcov',
+    '**/.coverage'
+  ],
+  go: [
+    '**/*.test',
+    '**/*.out'
+  ],
+  java: [
+    '**/target',
+    '**/build',
+    '**/.gradle'
+  ],
+  ruby: [
+    '**/node_modules',
+    '.bundle',
+    'vendor/bundle',
+    'log/*',
+    'tmp/*',
+    'public/assets'
+  ],
+  php: [
+    'vendor',
+    '**/node_modules',
+    'storage/logs/*',
+    '.phpunit.result.cache'
+  ],
+  rust: [
+    '**/target'
+  ]
+};
+
+/**
+ * @param {string} template - Template name from templates.js
+ * @param {Object} params - Resolved template parameters
+ * @returns {string}
+ */
+function buildDockerignore(template, params = {}) {
+  const patterns = [...COMMON, ...(TEMPLATE_IGNORES[template] || [])];
+
+  // Local build output would otherwise shadow the fresh build in the image
+  if (params.outputDir) {
+    patterns.push(`${params.prefix || ''}${params.outputDir}`);
+  }
+
+  return [
+    '# Generated by AutoPilotDev',
+    ...new Set(patterns)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Translate one .dockerignore pattern into a RegExp. Unlike .gitignore,
+ * patterns are anchored at the context root, `*` and `?` stop at `/`, and
+ * `**` spans any number of directories.
+ */
+function patternToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile .dockerignore content into a predicate over context-relative
+ * POSIX paths. As in the docker CLI, the last matching rule wins and a
+ * pattern that matches a directory also excludes everything below it.
+ * @param {string} content
+ * @returns {{ignores: (relativePath: string) => boolean, hasExceptions: boolean}}
+ */
+function compileDockerignore(content = '') {
+  const rules = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      const pattern = path.posix.normalize((negate ? line.slice(1) : line).trim())
+        .replace(/^(\.\/|\/)+/, '')
+        .replace(/\/+$/, '');
+
+      return { negate, pattern, regex: patternToRegExp(pattern) };
+    })
+    .filter(rule => rule.pattern && rule.pattern !== '.');
+
+  const ignores = (relativePath) => {
+    const parts = relativePath.split('/');
+    const candidates = parts.map((part, index) => parts.slice(0, index + 1).join('/'));
+    let ignored = false;
+
+    rules.forEach(rule => {
+      if (candidates.some(candidate => rule.regex.test(candidate))) {
+        ignored = !rule.negate;
+      }
+    });
+
+    return ignored;
+  };
+
+  return {
+    ignores,
+    hasExceptions: rules.some(rule => rule.negate)
+  };
+}
+
+module.exports = { buildDockerignore, compileDockerignore };
@@ -0,0 +1,731 @@
+/**
+ * hadolint-style rule engine over the parsed Dockerfile. Rule IDs reuse
+ * hadolint's where the check is the same, so `# hadolint ignore=DL3008`
+ * pragmas written for hadolint also apply here; AP rules are our own.
+ */
+
+const { parse, tokenize, locate } = require('./parser');
+
+const SEVERITIES = ['error', 'warning', 'info', 'style'];
+
+const ARCHIVE_PATTERN = /\.(tar|tar\.gz|tgz|tar\.bz2|tbz2?|tar\.xz|txz|tar\.zst)$/i;
+const URL_PATTERN = /^(https?:\/\/|git@|git:\/\/)/i;
+
+// Base images that already default to an unprivileged user
+const NON_ROOT_IMAGE_PATTERN = /(nonroot|rootless|unprivileged)/i;
+
+const SECRET_NAME_PATTERN = /(PASS(WORD|WD)?|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?|AUTH)$/i;
+const SECRET_VALUE_PATTERNS = [
+  /AKIA[0-9A-Z]{16}/,
+  /gh[pousr]_[A-Za-z0-9]{36}/,
+  /xox[baprs]-[A-Za-z0-9-]{10,}/,
+  /sk-[A-Za-z0-9]{20,}/,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/
+];
+
+const DEPENDENCY_INSTALL_PATTERN = new RegExp([
+  '\\bnpm (ci|install|i)\\b',
+  '\\byarn( install)?\\s*($|&&|;)',
+  '\\bpnpm (install|i)\\b',
+  '\\bbun install\\b',
+  '\\bpip3? install\\b(?! \\.(\\s|$))',
+  '\\bpoetry install\\b',
+  '\\bpipenv install\\b',
+  '\\buv sync\\b',
+  '\\bbundle install\\b',
+  '\\bgo mod download\\b',
+  '\\bcomposer install\\b',
+  '\\bmvnw? .*dependency:',
+  '\\bcargo fetch\\b'
+].join('|'));
+
+/**
+ * Each rule reports findings through `report(instruction, message, offset)`;
+ * `offset` (into instruction.text) pins the column, otherwise the
+ * instruction's own position is used.
+ */
+const RULES = [
+  {
+    id: 'DL3006',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Always tag the version of an image explicitly',
+    check({ stages, instructionAt }, report) {
+      stages.forEach(stage => {
+        if (stage.fromStage !== null || stage.imageRef.name === 'scratch') return;
+        if (!stage.imageRef.name || stage.imageRef.name.includes('$')) return;
+        if (!stage.imageRef.tag && !stage.imageRef.digest) {
+          report(instructionAt(stage.line), `Image ${stage.resolvedImage} has no tag; pin a version`);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3007',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Using latest is prone to errors if the image will ever update',
+    check({ stages, instructionAt }, report) {
+      stages.forEach(stage => {
+        if (stage.imageRef.tag === 'latest' && !stage.imageRef.digest) {
+          report(instructionAt(stage.line), `Image ${stage.resolvedImage} uses the latest tag; pin a version`);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3002',
+    severity: 'warning',
+    category: 'security',
+    description: 'Last USER should not be root',
+    check({ stages, instructionAt }, report) {
+      const final = stages[stages.length - 1];
+      if (!final) return;
+
+      const user = effectiveUser(stages, final);
+      if (user.instruction && isRoot(user.value)) {
+        report(user.instruction, `Final stage runs as ${user.value}; switch to an unprivileged USER`);
+      } else if (!user.instruction && !NON_ROOT_IMAGE_PATTERN.test(final.resolvedImage)) {
+        report(instructionAt(final.line), 'Final stage has no USER instruction and will run as root');
+      }
+    }
+  },
+  {
+    id: 'DL3020',
+    severity: 'error',
+    category: 'best-practice',
+    description: 'Use COPY instead of ADD for files and folders',
+    check({ instructions }, report) {
+      instructions.filter(instruction => instruction.keyword === 'ADD').forEach(instruction => {
+        const sources = copySources(instruction);
+        if (sources.length && sources.every(source => !URL_PATTERN.test(source) && !ARCHIVE_PATTERN.test(source))) {
+          report(instruction, 'ADD of local files; use COPY, which has no URL or archive side effects');
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3025',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Use arguments JSON notation for CMD and ENTRYPOINT arguments',
+    check({ instructions }, report) {
+      instructions
+        .filter(instruction => ['CMD', 'ENTRYPOINT'].includes(instruction.keyword) && !instruction.json)
+        .forEach(instruction => {
+          report(instruction, `${instruction.keyword} in shell form does not receive signals; use JSON exec form`);
+        });
+    }
+  },
+  {
+    id: 'DL3000',
+    severity: 'error',
+    category: 'best-practice',
+    description: 'Use absolute WORKDIR',
+    check({ instructions }, report) {
+      instructions.filter(instruction => instruction.keyword === 'WORKDIR').forEach(instruction => {
+        const dir = instruction.expanded || instruction.body;
+        if (dir && !dir.startsWith('/') && !/^[A-Za-z]:[\\/]/.test(dir) && !instruction.body.startsWith('$')) {
+          report(instruction, `WORKDIR ${instruction.body} is relative; use an absolute path`);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3003',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Use WORKDIR to switch to a directory',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (words[0]?.value === 'cd') report(instruction, 'cd in RUN only lasts until the end of that RUN; use WORKDIR', words[0].offset);
+      });
+    }
+  },
+  {
+    id: 'DL3004',
+    severity: 'error',
+    category: 'security',
+    description: 'Do not use sudo',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (words[0]?.value === 'sudo') report(instruction, 'sudo in RUN; the build already runs as the current USER', words[0].offset);
+      });
+    }
+  },
+  {
+    id: 'DL3027',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Do not use apt as it is meant to be an end-user tool, use apt-get or apt-cache instead',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (words[0]?.value === 'apt') report(instruction, 'apt has no stable CLI; use apt-get', words[0].offset);
+      });
+    }
+  },
+  {
+    id: 'DL3008',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Pin versions in apt-get install',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        packagesOf(words, ['apt-get', 'install']).forEach(word => {
+          if (!word.value.includes('=')) {
+            report(instruction, `Pin the version of ${word.value} (apt-get install ${word.value}=<version>)`, word.offset);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3015',
+    severity: 'info',
+    category: 'best-practice',
+    description: 'Avoid additional packages by specifying --no-install-recommends',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (isInvocation(words, ['apt-get', 'install']) && !words.some(word => word.value === '--no-install-recommends')) {
+          report(instruction, 'apt-get install without --no-install-recommends', words[0].offset);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3009',
+    severity: 'info',
+    category: 'best-practice',
+    description: 'Delete the apt-get lists after installing something',
+    check({ instructions }, report) {
+      instructions.filter(instruction => instruction.keyword === 'RUN').forEach(instruction => {
+        const script = scriptOf(instruction);
+        if (/\bapt-get\b[^\n&;|]*\binstall\b/.test(script) && !/rm\s+-[a-z]*r[a-z]*f?[a-z]*\s+\/var\/lib\/apt\/lists/.test(script)) {
+          report(instruction, 'apt-get install leaves /var/lib/apt/lists in the layer; remove it in the same RUN');
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3018',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Pin versions in apk add',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        packagesOf(words, ['apk', 'add'], ['--virtual', '-t', '--repository', '-X']).forEach(word => {
+          if (!word.value.includes('=')) {
+            report(instruction, `Pin the version of ${word.value} (apk add ${word.value}=<version>)`, word.offset);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3019',
+    severity: 'info',
+    category: 'best-practice',
+    description: 'Use the --no-cache switch to avoid the need to use --update and remove /var/cache/apk/*',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words, script }) => {
+        if (isInvocation(words, ['apk', 'add']) && !words.some(word => word.value === '--no-cache') && !/\/var\/cache\/apk/.test(script)) {
+          report(instruction, 'apk add without --no-cache keeps the package index in the layer', words[0].offset);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3013',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Pin versions in pip',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        pipPackages(words).forEach(word => {
+          if (!/==|@|\.whl$|\.tar\.gz$|\.zip$/.test(word.value)) {
+            report(instruction, `Pin the version of ${word.value} (pip install ${word.value}==<version>)`, word.offset);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3042',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Avoid use of cache directory with pip. Use `pip install --no-cache-dir <package>`',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words, stage }) => {
+        if (!isPipInstall(words)) return;
+        if (words.some(word => word.value === '--no-cache-dir')) return;
+        if (stage && /^(1|true|yes|on|off|0|false|no)$/i.test(stage.vars.PIP_NO_CACHE_DIR || '')) return;
+        if (instruction.flags.mount && /type=cache/.test(String(instruction.flags.mount))) return;
+        report(instruction, 'pip install keeps its download cache in the layer; add --no-cache-dir', words[0].offset);
+      });
+    }
+  },
+  {
+    id: 'DL3016',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Pin versions in npm',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (!isInvocation(words, ['npm', 'install']) && !isInvocation(words, ['npm', 'i'])) return;
+        if (!words.some(word => word.value === '-g' || word.value === '--global')) return;
+
+        packagesOf(words, ['npm', words[1].value]).forEach(word => {
+          if (!/.@/.test(word.value)) {
+            report(instruction, `Pin the version of ${word.value} (npm install -g ${word.value}@<version>)`, word.offset);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3028',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Pin versions in gem install',
+    check({ commandsOf }, report) {
+      commandsOf('RUN').forEach(({ instruction, words }) => {
+        if (!isInvocation(words, ['gem', 'install'])) return;
+        if (words.some(word => ['-v', '--version'].includes(word.value) || word.value.startsWith('--version='))) return;
+
+        packagesOf(words, ['gem', 'install'], ['-v', '--version']).forEach(word => {
+          if (!word.value.includes(':')) {
+            report(instruction, `Pin the version of ${word.value} (gem install ${word.value}:<version>)`, word.offset);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3011',
+    severity: 'error',
+    category: 'syntax',
+    description: 'Valid UNIX ports range from 0 to 65535',
+    check({ instructions }, report) {
+      instructions.filter(instruction => instruction.keyword === 'EXPOSE').forEach(instruction => {
+        tokenize(instruction.expanded || instruction.body).forEach(word => {
+          const match = word.value.match(/^(\d+)(?:-(\d+))?(?:\/(tcp|udp|sctp))?$/i);
+          if (!match) {
+            if (!word.value.includes('$')) {
+              report(instruction, `EXPOSE ${word.value} is not a port`, instruction.bodyOffset + word.start);
+            }
+            return;
+          }
+          if ([match[1], match[2]].some(port => port !== undefined && Number(port) > 65535)) {
+            report(instruction, `Port ${word.value} is out of range`, instruction.bodyOffset + word.start);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'DL3012',
+    severity: 'error',
+    category: 'syntax',
+    description: 'Multiple HEALTHCHECK instructions',
+    check({ stages }, report) {
+      stages.forEach(stage => {
+        stage.instructions.filter(instruction => instruction.keyword === 'HEALTHCHECK').slice(1).forEach(instruction => {
+          report(instruction, 'Only the last HEALTHCHECK in a stage takes effect');
+        });
+      });
+    }
+  },
+  {
+    id: 'DL4003',
+    severity: 'warning',
+    category: 'syntax',
+    description: 'Multiple CMD instructions found',
+    check({ stages }, report) {
+      stages.forEach(stage => {
+        stage.instructions.filter(instruction => instruction.keyword === 'CMD').slice(1).forEach(instruction => {
+          report(instruction, 'Only the last CMD in a stage takes effect');
+        });
+      });
+    }
+  },
+  {
+    id: 'DL4004',
+    severity: 'error',
+    category: 'syntax',
+    description: 'Multiple ENTRYPOINT instructions found',
+    check({ stages }, report) {
+      stages.forEach(stage => {
+        stage.instructions.filter(instruction => instruction.keyword === 'ENTRYPOINT').slice(1).forEach(instruction => {
+          report(instruction, 'Only the last ENTRYPOINT in a stage takes effect');
+        });
+      });
+    }
+  },
+  {
+    id: 'DL4000',
+    severity: 'error',
+    category: 'syntax',
+    description: 'MAINTAINER is deprecated',
+    check({ instructions }, report) {
+      instructions.filter(instruction => instruction.keyword === 'MAINTAINER').forEach(instruction => {
+        report(instruction, 'MAINTAINER is deprecated; use LABEL org.opencontainers.image.authors=...');
+      });
+    }
+  },
+  {
+    id: 'DL3024',
+    severity: 'error',
+    category: 'syntax',
+    description: 'FROM aliases (stage names) must be unique',
+    check({ stages, instructionAt }, report) {
+      stages.forEach((stage, index) => {
+        if (stage.name && stages.slice(0, index).some(previous => previous.name === stage.name)) {
+          report(instructionAt(stage.line), `Stage name ${stage.name} is already used`);
+        }
+      });
+    }
+  },
+  {
+    id: 'DL3022',
+    severity: 'warning',
+    category: 'syntax',
+    description: 'COPY --from should reference a previously defined FROM alias',
+    check({ instructions, stages }, report) {
+      instructions
+        .filter(instruction => instruction.keyword === 'COPY' && typeof instruction.flags.from === 'string')
+        .forEach(instruction => {
+          const from = instruction.flags.from.toLowerCase();
+          // Image references (anything with a registry, repository path or tag) are valid sources
+          if (/[/:@]/.test(from) || from.includes('$')) return;
+
+          const known = /^\d+$/.test(from)
+            ? Number(from) < instruction.stage
+            : stages.some(stage => stage.name === from && stage.index < instruction.stage);
+
+          if (!known && !stages.some(stage => stage.name === from)) {
+            report(instruction, `COPY --from=${instruction.flags.from} does not name an earlier stage`);
+          }
+        });
+    }
+  },
+  {
+    id: 'DL3023',
+    severity: 'error',
+    category: 'syntax',
+    description: 'COPY --from cannot reference its own FROM alias',
+    check({ instructions, stages }, report) {
+      instructions
+        .filter(instruction => instruction.keyword === 'COPY' && typeof instruction.flags.from === 'string')
+        .forEach(instruction => {
+          const stage = stages[instruction.stage];
+          const from = instruction.flags.from.toLowerCase();
+          if (stage && (stage.name === from || String(stage.index) === from)) {
+            report(instruction, `COPY --from=${instruction.flags.from} refers to the stage it is in`);
+          }
+        });
+    }
+  },
+  {
+    id: 'AP001',
+    severity: 'info',
+    category: 'best-practice',
+    description: 'Final stage has no HEALTHCHECK',
+    check({ stages, instructionAt }, report) {
+      const final = stages[stages.length - 1];
+      if (!final) return;
+
+      let stage = final;
+      while (stage) {
+        if (stage.instructions.some(instruction => instruction.keyword === 'HEALTHCHECK')) return;
+        stage = stage.fromStage !== null ? stages[stage.fromStage] : null;
+      }
+
+      report(instructionAt(final.line), 'No HEALTHCHECK; orchestrators cannot tell a hung container from a healthy one');
+    }
+  },
+  {
+    id: 'AP002',
+    severity: 'error',
+    category: 'security',
+    description: 'Secrets in ENV, ARG or LABEL',
+    check({ instructions }, report) {
+      instructions
+        .filter(instruction => ['ENV', 'ARG', 'LABEL'].includes(instruction.keyword))
+        .forEach(instruction => {
+          (instruction.pairs || []).forEach(({ key, value, start }) => {
+            const offset = instruction.bodyOffset + start;
+            const literal = value && !/^\$\{?[A-Za-z_]/.test(value);
+
+            if (value && SECRET_VALUE_PATTERNS.some(pattern => pattern.test(value))) {
+              report(instruction, `${key} contains what looks like a credential`, offset);
+            } else if (instruction.keyword === 'ENV' && SECRET_NAME_PATTERN.test(key) && literal) {
+              report(instruction, `ENV ${key} bakes a secret into every layer and the image config; use a build secret or runtime env`, offset);
+            } else if (instruction.keyword === 'ARG' && SECRET_NAME_PATTERN.test(key)) {
+              report(instruction, `ARG ${key} is recorded in the image history; use RUN --mount=type=secret`, offset, 'warning');
+            }
+          });
+        });
+    }
+  },
+  {
+    id: 'AP003',
+    severity: 'warning',
+    category: 'best-practice',
+    description: 'Whole build context copied before installing dependencies',
+    check({ stages }, report) {
+      stages.forEach(stage => {
+        const broadCopy = stage.instructions.find(instruction => {
+          return instruction.keyword === 'COPY' && !instruction.flags.from && copySources(instruction).some(isWholeContext);
+        });
+        if (!broadCopy) return;
+
+        const install = stage.instructions.find(instruction => {
+          return instruction.keyword === 'RUN'
+            && stage.instructions.indexOf(instruction) > stage.instructions.indexOf(broadCopy)
+            && DEPENDENCY_INSTALL_PATTERN.test(scriptOf(instruction));
+        });
+        if (install) {
+          report(
+            broadCopy,
+            `Copying the whole context before the dependency install on line ${install.line} re-runs it on every source change; copy the manifests first`
+          );
+        }
+      });
+    }
+  }
+];
+
+// --- Helpers ------------------------------------------------------------------
+
+function effectiveUser(stages, stage) {
+  let current = stage;
+
+  while (current) {
+    const users = current.instructions.filter(instruction => instruction.keyword === 'USER');
+    if (users.length) {
+      const instruction = users[users.length - 1];
+      return { instruction, value: (instruction.expanded || instruction.body).trim() };
+    }
+    current = current.fromStage !== null ? stages[current.fromStage] : null;
+  }
+
+  return { instruction: null, value: null };
+}
+
+function isRoot(user) {
+  const name = user.split(':')[0];
+  return name === 'root' || name === '0';
+}
+
+// COPY/ADD sources: every non-flag word but the destination
+function copySources(instruction) {
+  if (instruction.json) return instruction.json.slice(0, -1);
+
+  const words = tokenize(instruction.body).map(word => word.value);
+  return words.slice(0, -1).filter(word => !word.startsWith('<<'));
+}
+
+function isWholeContext(source) {
+  return ['.', './', '*', './*'].includes(source) || /^[\w.-]+\/$/.test(source) && source !== './';
+}
+
+// The shell script a RUN executes: heredoc bodies stand in for their markers
+function scriptOf(instruction) {
+  if (instruction.json) return instruction.json.join(' ');
+  return [instruction.body, ...instruction.heredocs.map(heredoc => heredoc.content)].join('\n');
+}
+
+function isInvocation(words, command) {
+  return command.every((part, index) => words[index]?.value === part);
+}
+
+/**
+ * Arguments after `command` that are package names: not flags, not values
+ * of the flags in `valueFlags`, not variables.
+ */
+function packagesOf(words, command, valueFlags = []) {
+  if (!isInvocation(words, command)) return [];
+
+  const packages = [];
+  for (let i = command.length; i < words.length; i++) {
+    const word = words[i];
+    if (word.value.startsWith('-')) {
+      if (valueFlags.includes(word.value)) i++;
+      continue;
+    }
+    if (word.value.includes('$')) continue;
+    packages.push(word);
+  }
+  return packages;
+}
+
+function isPipInstall(words) {
+  const start = ['python', 'python3'].includes(words[0]?.value) && words[1]?.value === '-m' ? 2 : 0;
+  return /^pip3?$/.test(words[start]?.value || '') && words[start + 1]?.value === 'install';
+}
+
+function pipPackages(words) {
+  if (!isPipInstall(words)) return [];
+
+  const start = words[0].value.startsWith('python') ? 4 : 2;
+  const valueFlags = ['-r', '--requirement', '-c', '--constraint', '-e', '--editable', '-i', '--index-url',
+    '--extra-index-url', '-t', '--target', '--prefix', '-f', '--find-links', '--root'];
+  const packages = [];
+
+  for (let i = start; i < words.length; i++) {
+    const word = words[i];
+    if (word.value.startsWith('-')) {
+      if (valueFlags.includes(word.value)) i++;
+      continue;
+    }
+    // Local paths and projects
+    if (/^(\.|\/|~)/.test(word.value) || word.value.includes('$')) continue;
+    packages.push(word);
+  }
+  return packages;
+}
+
+/**
+ * Split every RUN into simple commands. Word offsets point into
+ * instruction.text for commands on the instruction line itself; heredoc
+ * commands are reported at the instruction.
+ */
+function shellCommands(instruction, escape) {
+  const commands = [];
+  const script = scriptOf(instruction);
+
+  const split = (text, baseOffset) => {
+    let words = [];
+    tokenize(text, { operators: true, escape }).forEach(token => {
+      if (token.operator) {
+        if (words.length) commands.push(words);
+        words = [];
+        return;
+      }
+      words.push({ value: token.value, offset: baseOffset === null ? null : baseOffset + token.start });
+    });
+    if (words.length) commands.push(words);
+  };
+
+  if (instruction.json) {
+    split(instruction.json.join(' '), null);
+  } else {
+    split(instruction.body, instruction.bodyOffset);
+    instruction.heredocs.forEach(heredoc => split(heredoc.content, null));
+  }
+
+  // Leading env assignments (`DEBIAN_FRONTEND=noninteractive apt-get ...`) are not the command
+  return commands.map(words => {
+    const first = words.findIndex(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word.value));
+    return { words: first === -1 ? [] : words.slice(first), script };
+  });
+}
+
+// `# hadolint ignore=DL3008,DL3009` on the line(s) directly above an instruction
+function inlineIgnores(parsed) {
+  const ignores = new Map();
+
+  parsed.comments.forEach(comment => {
+    const match = comment.text.match(/^hadolint\s+ignore\s*=\s*([\w,\s]+)$/i);
+    if (!match) return;
+
+    const rules = match[1].split(/[\s,]+/).filter(Boolean).map(rule => rule.toUpperCase());
+    const next = parsed.instructions.find(instruction => instruction.line > comment.line);
+    if (!next) return;
+
+    const between = parsed.instructions.some(instruction => instruction.line > comment.line && instruction.line < next.line);
+    if (!between) {
+      ignores.set(next.line, [...(ignores.get(next.line) || []), ...rules]);
+    }
+  });
+
+  return ignores;
+}
+
+/**
+ * Lint a Dockerfile.
+ * @param {string} content
+ * @param {Object} options
+ * @param {string[]} [options.ignore] - Rule IDs to suppress for this request
+ * @param {boolean} [options.checkSyntax=true] - Run `syntax` rules (parse errors always count)
+ * @param {boolean} [options.checkBestPractices=true] - Run `best-practice` and `security` rules
+ * @returns {{valid: boolean, findings: Object[], summary: Object, stages: Object[], lineCount: number}}
+ */
+function lint(content, options = {}) {
+  const { ignore = [], checkSyntax = true, checkBestPractices = true } = options;
+  const parsed = parse(content);
+  const suppressed = new Set(ignore.map(rule => String(rule).toUpperCase()));
+  const pragmas = inlineIgnores(parsed);
+  const findings = [];
+
+  parsed.errors.forEach(error => {
+    findings.push({ rule: 'DL1000', severity: 'error', category: 'syntax', message: error.message, line: error.line, column: error.column });
+  });
+
+  const commandCache = new Map();
+  const context = {
+    ...parsed,
+    instructionAt: (line) => parsed.instructions.find(instruction => instruction.line === line),
+    commandsOf: (keyword) => {
+      if (!commandCache.has(keyword)) {
+        commandCache.set(keyword, parsed.instructions
+          .filter(instruction => instruction.keyword === keyword)
+          .flatMap(instruction => shellCommands(instruction, parsed.escape).map(command => ({
+            ...command,
+            instruction,
+            stage: parsed.stages[instruction.stage] || null
+          })))
+          .filter(command => command.words.length));
+      }
+      return commandCache.get(keyword);
+    }
+  };
+
+  RULES
+    .filter(rule => !suppressed.has(rule.id))
+    .filter(rule => rule.category === 'syntax' ? checkSyntax : checkBestPractices)
+    .forEach(rule => {
+      rule.check(context, (instruction, message, offset, severity) => {
+        if (!instruction) return;
+        if ((pragmas.get(instruction.line) || []).includes(rule.id)) return;
+
+        const position = offset === undefined || offset === null
+          ? { line: instruction.line, column: instruction.column }
+          : locate(instruction, offset);
+
+        findings.push({
+          rule: rule.id,
+          severity: severity || rule.severity,
+          category: rule.category,
+          message,
+          line: position.line,
+          column: position.column
+        });
+      });
+    });
+
+  findings.sort((a, b) => a.line - b.line || a.column - b.column || a.rule.localeCompare(b.rule));
+
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [
+    severity,
+    findings.filter(finding => finding.severity === severity).length
+  ]));
+
+  return {
+    valid: summary.error === 0,
+    findings,
+    summary,
+    stages: parsed.stages.map(stage => ({
+      index: stage.index,
+      name: stage.name,
+      image: stage.resolvedImage,
+      line: stage.line
+    })),
+    lineCount: parsed.lineCount
+  };
+}
+
+module.exports = {
+  lint,
+  RULES: RULES.map(({ id, severity, category, description }) => ({ id, severity, category, description }))
+};
@@ -0,0 +1,433 @@
+/**
+ * Dockerfile parser following BuildKit's frontend rules: parser directives,
+ * escape-character line continuations (comment lines inside them are
+ * dropped), heredocs on RUN/COPY/ADD, exec-form JSON arguments, multi-stage
+ * `FROM ... AS name`, and ARG/ENV variable substitution.
+ */
+
+const INSTRUCTIONS = new Set([
+  'FROM', 'RUN', 'CMD', 'LABEL', 'MAINTAINER', 'EXPOSE', 'ENV', 'ADD', 'COPY',
+  'ENTRYPOINT', 'VOLUME', 'USER', 'WORKDIR', 'ARG', 'ONBUILD', 'STOPSIGNAL',
+  'HEALTHCHECK', 'SHELL'
+]);
+
+const HEREDOC_INSTRUCTIONS = new Set(['RUN', 'COPY', 'ADD']);
+
+// Instructions whose leading `--flag[=value]` words are options, not arguments
+const FLAG_INSTRUCTIONS = new Set(['FROM', 'RUN', 'COPY', 'ADD', 'HEALTHCHECK']);
+
+const HEREDOC_PATTERN = /<<(-?)(["']?)([A-Za-z_][\w.-]*)\2/g;
+
+/**
+ * Split shell-like text into words, honoring quotes and backslash escapes.
+ * With `operators`, control operators (&&, ||, ;, |, newline) come back as
+ * separate tokens with `operator: true`.
+ * @returns {Array<{value: string, start: number, end: number, operator?: boolean}>}
+ */
+function tokenize(text, { operators = false, escape = '\\' } = {}) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+  let i = 0;
+
+  const push = () => {
+    if (current) tokens.push(current);
+    current = null;
+  };
+  const append = (char, index) => {
+    if (!current) current = { value: '', start: index, end: index };
+    current.value += char;
+    current.end = index + 1;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+        current.end = i + 1;
+      } else if (quote === '"' && char === escape && i + 1 < text.length && '"$`\\'.includes(text[i + 1])) {
+        append(text[i + 1], i);
+        i++;
+      } else {
+        append(char, i);
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      quote = char;
+      if (!current) current = { value: '', start: i, end: i + 1 };
+      i++;
+      continue;
+    }
+
+    if (char === escape && i + 1 < text.length) {
+      append(text[i + 1], i);
+      i += 2;
+      continue;
+    }
+
+    if (operators) {
+      const operator = ['&&', '||'].find(op => text.startsWith(op, i)) || (';|\n&'.includes(char) ? char : null);
+      if (operator) {
+        push();
+        tokens.push({ value: operator, start: i, end: i + operator.length, operator: true });
+        i += operator.length;
+        continue;
+      }
+    }
+
+    if (/\s/.test(char)) {
+      push();
+      i++;
+      continue;
+    }
+
+    append(char, i);
+    i++;
+  }
+
+  push();
+  return tokens;
+}
+
+/**
+ * Expand $VAR, ${VAR}, ${VAR:-default} and ${VAR:+alternate}. Unknown
+ * variables expand to an empty string, as in the builder.
+ */
+function substitute(value, vars, escape = '\\') {
+  if (typeof value !== 'string' || !value.includes('$')) return value;
+
+  const pattern = new RegExp(`${escape === '\\' ? '\\\\' : '`'}\\$|\\$\\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-+])([^}]*))?\\}|\\$([A-Za-z_][A-Za-z0-9_]*)`, 'g');
+
+  return value.replace(pattern, (match, braced, modifier, word, bare) => {
+    if (!braced && !bare) return '$';
+
+    const name = braced || bare;
+    const defined = Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== undefined;
+    const current = defined ? vars[name] : '';
+
+    if (modifier === ':-' || modifier === '-') {
+      return (modifier === ':-' ? current !== '' : defined) ? current : substitute(word, vars, escape);
+    }
+    if (modifier === ':+' || modifier === '+') {
+      return (modifier === ':+' ? current !== '' : defined) ? substitute(word, vars, escape) : '';
+    }
+    return current;
+  });
+}
+
+/**
+ * registry/namespace/name:tag@digest -> parts; the tag is only recognized
+ * after the last slash so registry ports are not mistaken for tags.
+ */
+function parseImageReference(reference) {
+  const [withoutDigest, digest = null] = reference.split('@');
+  const slash = withoutDigest.lastIndexOf('/');
+  const colon = withoutDigest.lastIndexOf(':');
+  const hasTag = colon > slash;
+
+  return {
+    reference,
+    name: hasTag ? withoutDigest.slice(0, colon) : withoutDigest,
+    tag: hasTag ? withoutDigest.slice(colon + 1) : null,
+    digest
+  };
+}
+
+// key=value pairs (ENV/ARG/LABEL), or the legacy `ENV key value` form
+function parseKeyValues(instruction, escape) {
+  const words = tokenize(instruction.body, { escape });
+
+  if (instruction.keyword === 'ENV' && words.length && !words[0].value.includes('=')) {
+    const rest = instruction.body.slice(words[0].end).trim();
+    return [{ key: words[0].value, value: rest, start: words[0].start }];
+  }
+
+  return words.map(word => {
+    const index = word.value.indexOf('=');
+    return index === -1
+      ? { key: word.value, value: undefined, start: word.start }
+      : { key: word.value.slice(0, index), value: word.value.slice(index + 1), start: word.start };
+  });
+}
+
+function parseDirectives(lines) {
+  const directives = {};
+
+  for (const line of lines) {
+    const match = line.match(/^\s*#\s*([A-Za-z]+)\s*=\s*(\S+)\s*$/);
+    if (!match) break;
+
+    const key = match[1].toLowerCase();
+    if (directives[key] !== undefined || !['escape', 'syntax', 'check'].includes(key)) break;
+    directives[key] = match[2];
+  }
+
+  return directives;
+}
+
+/**
+ * Parse a Dockerfile.
+ * @param {string} content
+ * @returns {{
+ *   instructions: Object[], stages: Object[], comments: Object[],
+ *   directives: Object, globalArgs: Object, errors: Object[], lineCount: number
+ * }}
+ */
+function parse(content) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const directives = parseDirectives(lines);
+  const escape = directives.escape === '`' ? '`' : '\\';
+  const instructions = [];
+  const comments = [];
+  const errors = [];
+  let i = 0;
+
+  const continues = (line) => line.replace(/\s+$/, '').endsWith(escape);
+
+  while (i < lines.length) {
+    const first = lines[i];
+
+    if (!first.trim()) {
+      i++;
+      continue;
+    }
+    if (/^\s*#/.test(first)) {
+      comments.push({ line: i + 1, text: first.trim().replace(/^#\s*/, '') });
+      i++;
+      continue;
+    }
+
+    // Join continuation lines, remembering where each physical line landed
+    const segments = [];
+    let text = '';
+    let continued = false;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (segments.length && (/^\s*#/.test(line) || !line.trim())) {
+        i++;
+        continue;
+      }
+
+      continued = continues(line);
+      const body = continued ? line.replace(/\s+$/, '').slice(0, -1) : line;
+      segments.push({ line: i + 1, start: text.length, text: body });
+      text += body;
+      i++;
+
+      if (!continued) break;
+    }
+    const unterminated = continued;
+
+    const match = text.match(/^(\s*)(\S+)(\s*)([\s\S]*)$/);
+    const keyword = match[2].toUpperCase();
+    const instruction = {
+      keyword,
+      original: match[2],
+      args: match[4].trim(),
+      text,
+      line: segments[0].line,
+      endLine: segments[segments.length - 1].line,
+      column: match[1].length + 1,
+      argsOffset: match[1].length + match[2].length + match[3].length,
+      segments,
+      flags: {},
+      body: '',
+      bodyOffset: 0,
+      json: null,
+      heredocs: []
+    };
+
+    if (!INSTRUCTIONS.has(keyword)) {
+      errors.push({ line: instruction.line, column: instruction.column, message: `Unknown instruction: ${match[2]}` });
+    }
+    if (unterminated) {
+      errors.push({ line: instruction.endLine, column: 1, message: 'Line continuation at end of file' });
+    }
+
+    // Leading --flags
+    let body = instruction.args;
+    let bodyOffset = instruction.argsOffset;
+    if (FLAG_INSTRUCTIONS.has(keyword)) {
+      let flag;
+      while ((flag = body.match(/^--([A-Za-z][\w-]*)(?:=(\S*))?\s*/))) {
+        instruction.flags[flag[1].toLowerCase()] = flag[2] === undefined ? true : flag[2];
+        body = body.slice(flag[0].length);
+        bodyOffset += flag[0].length;
+      }
+    }
+    instruction.body = body;
+    instruction.bodyOffset = bodyOffset;
+
+    // Heredocs: the following lines up to each delimiter belong to this instruction
+    if (HEREDOC_INSTRUCTIONS.has(keyword)) {
+      for (const heredoc of body.matchAll(HEREDOC_PATTERN)) {
+        const [, strip, quote, delimiter] = heredoc;
+        const startLine = i + 1;
+        const contentLines = [];
+        let closed = false;
+
+        while (i < lines.length) {
+          const line = strip ? lines[i].replace(/^\t+/, '') : lines[i];
+          i++;
+          if (line === delimiter) {
+            closed = true;
+            break;
+          }
+          contentLines.push(line);
+        }
+
+        if (!closed) {
+          errors.push({ line: instruction.line, column: instruction.column, message: `Unterminated heredoc <<${delimiter}` });
+        }
+
+        instruction.heredocs.push({
+          delimiter,
+          expand: !quote,
+          line: startLine,
+          content: contentLines.join('\n')
+        });
+        instruction.endLine = Math.min(i, lines.length);
+      }
+    }
+
+    // Exec form
+    if (/^\s*\[/.test(body)) {
+      try {
+        const parsed = JSON.parse(body);
+        if (Array.isArray(parsed) && parsed.every(item => typeof item === 'string')) {
+          instruction.json = parsed;
+        }
+      } catch (error) {
+        // Not valid JSON: the builder runs it as a shell command
+      }
+    }
+
+    instructions.push(instruction);
+  }
+
+  const { stages, globalArgs } = resolveStages(instructions, errors, escape);
+
+  instructions.forEach(instruction => {
+    if (['ENV', 'ARG', 'LABEL'].includes(instruction.keyword)) {
+      instruction.pairs = parseKeyValues(instruction, escape);
+    }
+  });
+
+  return {
+    instructions,
+    stages,
+    comments,
+    directives,
+    globalArgs,
+    errors,
+    escape,
+    lineCount: lines.length
+  };
+}
+
+// Assign instructions to stages and expand variables the way the builder does
+function resolveStages(instructions, errors, escape) {
+  const globalArgs = {};
+  const stages = [];
+  let stage = null;
+
+  instructions.forEach(instruction => {
+    if (instruction.keyword === 'FROM') {
+      const words = tokenize(instruction.body, { escape });
+      const image = words[0]?.value || '';
+      const alias = words.length >= 3 && words[1].value.toLowerCase() === 'as' ? words[2].value : null;
+
+      if (!image) {
+        errors.push({ line: instruction.line, column: instruction.column, message: 'FROM requires an image' });
+      } else if (words.length !== 1 && !(alias && words.length === 3)) {
+        errors.push({ line: instruction.line, column: instruction.column, message: 'FROM expects "image [AS name]"' });
+      }
+
+      const resolved = substitute(image, globalArgs, escape);
+      const fromStage = stages.find(previous => previous.name && previous.name === resolved.toLowerCase()) || null;
+
+      stage = {
+        index: stages.length,
+        name: alias ? alias.toLowerCase() : null,
+        image,
+        resolvedImage: resolved,
+        imageRef: parseImageReference(resolved),
+        fromStage: fromStage ? fromStage.index : null,
+        platform: instruction.flags.platform || null,
+        line: instruction.line,
+        instructions: [],
+        vars: fromStage ? { ...fromStage.vars } : {}
+      };
+      stages.push(stage);
+      instruction.stage = stage.index;
+      instruction.expanded = resolved;
+      return;
+    }
+
+    if (!stage) {
+      if (instruction.keyword === 'ARG') {
+        parseKeyValues(instruction, escape).forEach(({ key, value }) => {
+          globalArgs[key] = value === undefined ? undefined : substitute(value, globalArgs, escape);
+        });
+      } else if (INSTRUCTIONS.has(instruction.keyword)) {
+        errors.push({
+          line: instruction.line,
+          column: instruction.column,
+          message: `${instruction.keyword} before the first FROM; only ARG may precede FROM`
+        });
+      }
+      instruction.stage = null;
+      return;
+    }
+
+    instruction.stage = stage.index;
+    instruction.expanded = substitute(instruction.body, stage.vars, escape);
+    stage.instructions.push(instruction);
+
+    // ARG inside a stage re-imports the global default; ENV persists for later instructions
+    if (instruction.keyword === 'ARG') {
+      parseKeyValues(instruction, escape).forEach(({ key, value }) => {
+        stage.vars[key] = value === undefined ? globalArgs[key] : substitute(value, stage.vars, escape);
+      });
+    } else if (instruction.keyword === 'ENV') {
+      parseKeyValues(instruction, escape).forEach(({ key, value }) => {
+        stage.vars[key] = substitute(value ?? '', stage.vars, escape);
+      });
+    }
+  });
+
+  if (!stages.length && instructions.length) {
+    errors.push({ line: 1, column: 1, message: 'No FROM instruction' });
+  }
+
+  return { stages, globalArgs };
+}
+
+/**
+ * Map an offset in instruction.text back to the physical line and column.
+ */
+function locate(instruction, offset) {
+  const segment = [...instruction.segments].reverse().find(candidate => candidate.start <= offset)
+    || instruction.segments[0];
+
+  return {
+    line: segment.line,
+    column: offset - segment.start + 1
+  };
+}
+
+module.exports = {
+  parse,
+  tokenize,
+  substitute,
+  parseImageReference,
+  locate,
+  INSTRUCTIONS
+};
@@ -0,0 +1,301 @@
+/**
+ * Parameterized multi-stage Dockerfile templates, one per runtime. Every
+ * template takes the parameters resolved by DockerfileGenerator and returns
+ * the Dockerfile text; none of them reach the network at generation time.
+ */
+
+// Lines shared by the final stage of every template
+function runtimeTail(params) {
+  const lines = [];
+
+  if (params.environment.length) {
+    lines.push(`ENV ${params.environment.join(' \\\n    ')}`);
+  }
+  if (params.user) {
+    lines.push(`USER ${params.user}`);
+  }
+  if (params.ports.length) {
+    lines.push(`EXPOSE ${params.ports.join(' ')}`);
+  }
+  if (params.start) {
+    lines.push(`CMD ${params.start}`);
+  }
+
+  return lines;
+}
+
+const render = (stages) => '# Generated by AutoPilotDev\n'
+  + stages.map(lines => lines.filter(line => line !== null).join('\n')).join('\n\n')
+  + '\n';
+
+/**
+ * Lockfiles are copied with a trailing `*` so a missing one doesn't fail the
+ * build. `runtimeSetup` installs the manager globally so the unprivileged
+ * user can run it without corepack fetching it on container start.
+ */
+const NODE_PACKAGE_MANAGERS = {
+  npm: { files: ['package-lock.json*', 'npm-shrinkwrap.json*'], prune: 'npm prune --omit=dev' },
+  yarn: { files: ['yarn.lock*', '.yarnrc.yml*'], setup: 'corepack enable', prune: null },
+  pnpm: {
+    files: ['pnpm-lock.yaml*', 'pnpm-workspace.yaml*'],
+    setup: 'corepack enable',
+    runtimeSetup: 'npm install -g pnpm',
+    prune: 'pnpm prune --prod'
+  },
+  bun: { files: ['bun.lockb*', 'bun.lock*'], setup: 'npm install -g bun', runtimeSetup: 'npm install -g bun', prune: null }
+};
+
+function node(params) {
+  const pm = NODE_PACKAGE_MANAGERS[params.packageManager] || NODE_PACKAGE_MANAGERS.npm;
+  const manifests = ['package.json', ...pm.files].map(file => `${params.prefix}${file}`).join(' ');
+
+  return render([
+    [
+      `FROM ${params.buildImage} AS deps`,
+      pm.setup ? `RUN ${pm.setup}` : null,
+      `WORKDIR ${params.workdir}`,
+      `COPY ${manifests} ./`,
+      `RUN ${params.install}`
+    ],
+    [
+      'FROM deps AS build',
+      `COPY ${params.source} .`,
+      params.build ? `RUN ${params.build}` : null,
+      pm.prune ? `RUN ${pm.prune}` : null
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      'ENV NODE_ENV=production',
+      pm.runtimeSetup ? `RUN ${pm.runtimeSetup}` : null,
+      `WORKDIR ${params.workdir}`,
+      `COPY --from=build --chown=node:node ${params.workdir} ./`,
+      ...runtimeTail({ ...params, user: 'node' })
+    ]
+  ]);
+}
+
+// Single-page app: unknown paths fall back to index.html for client-side routing
+const nginxConfig = port => [
+  'server {',
+  `    listen ${port};`,
+  '    root /usr/share/nginx/html;',
+  '    location / {',
+  '        try_files $uri $uri/ /index.html;',
+  '    }',
+  '}'
+];
+
+// Built with the same toolchain as `node`, served by nginx
+function staticSite(params) {
+  const pm = NODE_PACKAGE_MANAGERS[params.packageManager] || NODE_PACKAGE_MANAGERS.npm;
+  const manifests = ['package.json', ...pm.files].map(file => `${params.prefix}${file}`).join(' ');
+  const port = params.ports[0];
+
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      pm.setup ? `RUN ${pm.setup}` : null,
+      `WORKDIR ${params.workdir}`,
+      `COPY ${manifests} ./`,
+      `RUN ${params.install}`,
+      `COPY ${params.source} .`,
+      `RUN ${params.build}`
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      // printf rather than a heredoc: heredocs need BuildKit and builds go through the classic builder
+      "RUN printf '%s\\n' \\",
+      ...nginxConfig(port).map(line => `        '${line}' \\`),
+      '        > /etc/nginx/conf.d/default.conf',
+      `COPY --from=build ${params.workdir}/${params.outputDir} /usr/share/nginx/html`,
+      ...runtimeTail({ ...params, start: '["nginx", "-g", "daemon off;"]' })
+    ]
+  ]);
+}
+
+// How each Python package manager fills /opt/venv; recipes without `files` need the whole tree first
+const PYTHON_PACKAGE_MANAGERS = {
+  pip: {
+    files: ['requirements.txt'],
+    install: 'pip install -r requirements.txt'
+  },
+  poetry: {
+    files: ['pyproject.toml', 'poetry.lock*'],
+    install: 'pip install poetry && poetry config virtualenvs.create false && poetry install --no-root --only main'
+  },
+  uv: {
+    files: ['pyproject.toml', 'uv.lock'],
+    install: 'pip install uv && uv sync --frozen --no-dev --no-install-project'
+  },
+  pipenv: {
+    files: ['Pipfile', 'Pipfile.lock*'],
+    install: 'pip install pipenv && pipenv requirements > /tmp/requirements.txt && pip install -r /tmp/requirements.txt'
+  },
+  source: {
+    files: null,
+    install: 'pip install .'
+  }
+};
+
+function python(params) {
+  const pm = PYTHON_PACKAGE_MANAGERS[params.packageManager] || PYTHON_PACKAGE_MANAGERS.pip;
+  const venv = '/opt/venv';
+
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      'ENV PIP_NO_CACHE_DIR=1 \\',
+      '    PIP_DISABLE_PIP_VERSION_CHECK=1 \\',
+      `    VIRTUAL_ENV=${venv} \\`,
+      `    UV_PROJECT_ENVIRONMENT=${venv} \\`,
+      `    PATH="${venv}/bin:$PATH"`,
+      `RUN python -m venv ${venv}`,
+      `WORKDIR ${params.workdir}`,
+      ...(pm.files
+        ? [
+          `COPY ${pm.files.map(file => `${params.prefix}${file}`).join(' ')} ./`,
+          `RUN ${pm.install}`,
+          `COPY ${params.source} .`
+        ]
+        : [
+          `COPY ${params.source} .`,
+          `RUN ${pm.install}`
+        ]),
+      params.build ? `RUN ${params.build}` : null
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      'ENV PYTHONDONTWRITEBYTECODE=1 \\',
+      '    PYTHONUNBUFFERED=1 \\',
+      `    PATH="${venv}/bin:$PATH"`,
+      'RUN useradd --create-home --uid 10001 app',
+      `WORKDIR ${params.workdir}`,
+      `COPY --from=build ${venv} ${venv}`,
+      `COPY --from=build --chown=app:app ${params.workdir} ./`,
+      ...runtimeTail({ ...params, user: 'app' })
+    ]
+  ]);
+}
+
+function go(params) {
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      'WORKDIR /src',
+      `COPY ${params.prefix}go.mod ${params.prefix}go.sum* ./`,
+      'RUN go mod download',
+      `COPY ${params.source} .`,
+      `RUN CGO_ENABLED=0 go build -trimpath -ldflags="-s -w" -o /out/${params.binary} ${params.mainPackage}`
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      `COPY --from=build /out/${params.binary} /usr/local/bin/${params.binary}`,
+      ...runtimeTail({ ...params, user: 'nonroot:nonroot' })
+    ]
+  ]);
+}
+
+function java(params) {
+  // A glob jar path (Gradle's build/libs/*.jar) may also match the -plain jar
+  const collect = params.jar.includes('*')
+    ? `RUN cp "$(ls ${params.jar} | grep -v -- '-plain\\.jar$' | head -n 1)" /tmp/app.jar`
+    : `RUN cp ${params.jar} /tmp/app.jar`;
+
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      `WORKDIR ${params.workdir}`,
+      `COPY ${params.buildFiles.map(file => `${params.prefix}${file}`).join(' ')} ./`,
+      ...params.buildDirs.map(dir => `COPY ${params.prefix}${dir} ./${dir}`),
+      `RUN ${params.install}`,
+      `COPY ${params.source} .`,
+      `RUN ${params.build}`,
+      collect
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      'RUN useradd --no-create-home --uid 10001 app',
+      `WORKDIR ${params.workdir}`,
+      `COPY --from=build /tmp/app.jar ./app.jar`,
+      ...runtimeTail({ ...params, user: 'app' })
+    ]
+  ]);
+}
+
+function ruby(params) {
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      '# Debian package versions rotate out of the archive; pinning them breaks rebuilds',
+      '# hadolint ignore=DL3008',
+      'RUN apt-get update \\',
+      '    && apt-get install -y --no-install-recommends build-essential git \\',
+      '    && rm -rf /var/lib/apt/lists/*',
+      'ENV BUNDLE_WITHOUT="development:test"',
+      `WORKDIR ${params.workdir}`,
+      `COPY ${params.prefix}Gemfile ${params.prefix}Gemfile.lock* ./`,
+      'RUN bundle install && rm -rf /usr/local/bundle/cache',
+      `COPY ${params.source} .`,
+      params.build ? `RUN SECRET_KEY_BASE_DUMMY=1 ${params.build}` : null
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      'ENV BUNDLE_WITHOUT="development:test" \\',
+      '    RAILS_ENV=production \\',
+      '    RACK_ENV=production',
+      'RUN useradd --create-home --uid 10001 app',
+      `WORKDIR ${params.workdir}`,
+      'COPY --from=build /usr/local/bundle /usr/local/bundle',
+      `COPY --from=build --chown=app:app ${params.workdir} ./`,
+      ...runtimeTail({ ...params, user: 'app' })
+    ]
+  ]);
+}
+
+function php(params) {
+  return render([
+    [
+      `FROM ${params.buildImage} AS vendor`,
+      `WORKDIR ${params.workdir}`,
+      `COPY ${params.prefix}composer.json ${params.prefix}composer.lock* ./`,
+      'RUN composer install --no-dev --no-interaction --no-scripts --no-autoloader --prefer-dist --ignore-platform-reqs',
+      `COPY ${params.source} .`,
+      'RUN composer dump-autoload --optimize --no-dev --classmap-authoritative'
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      `WORKDIR ${params.workdir}`,
+      `COPY --from=vendor --chown=www-data:www-data ${params.workdir} ./`,
+      params.build ? `RUN ${params.build}` : null,
+      ...runtimeTail({ ...params, user: 'www-data' })
+    ]
+  ]);
+}
+
+function rust(params) {
+  return render([
+    [
+      `FROM ${params.buildImage} AS build`,
+      `WORKDIR ${params.workdir}`,
+      `COPY ${params.source} .`,
+      `RUN ${params.build}`
+    ],
+    [
+      `FROM ${params.runtimeImage}`,
+      'RUN useradd --no-create-home --uid 10001 app',
+      `COPY --from=build ${params.workdir}/target/release/${params.binary} /usr/local/bin/${params.binary}`,
+      ...runtimeTail({ ...params, user: 'app' })
+    ]
+  ]);
+}
+
+module.exports = {
+  node,
+  static: staticSite,
+  python,
+  go,
+  java,
+  ruby,
+  php,
+  rust
+};
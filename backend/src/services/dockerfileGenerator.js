@@ -0,0 +1,218 @@
+const path = require('path');
+const templates = require('./dockerfile/templates');
+const { buildDockerignore } = require('./dockerfile/dockerignore');
+const { LANGUAGE_RUNTIMES, STATIC_PORT } = require('./runtimeDetector');
+
+// Base images per template; `{version}` is replaced with the runtime version
+const TEMPLATE_IMAGES = {
+  node: { version: '20', build: 'node:{version}-alpine', runtime: 'node:{version}-alpine' },
+  static: { version: '20', build: 'node:{version}-alpine', runtime: 'nginx:1.27-alpine' },
+  python: { version: '3.12', build: 'python:{version}-slim', runtime: 'python:{version}-slim' },
+  go: { version: '1.22', build: 'golang:{version}-alpine', runtime: 'gcr.io/distroless/static-debian12:nonroot' },
+  java: { version: '21', build: 'eclipse-temurin:{version}-jdk', runtime: 'eclipse-temurin:{version}-jre' },
+  ruby: { version: '3.3', build: 'ruby:{version}-slim', runtime: 'ruby:{version}-slim' },
+  php: { version: '8.3', build: 'composer:2', runtime: 'php:{version}-cli' },
+  rust: { version: '1.77', build: 'rust:{version}', runtime: 'debian:bookworm-slim' }
+};
+
+// Java builds without a wrapper script need the build tool in the image
+const JAVA_BUILD_TOOLS = {
+  maven: { image: 'maven:3.9-eclipse-temurin-{version}', files: ['pom.xml'], wrapper: ['mvnw'], wrapperDirs: ['.mvn'] },
+  gradle: {
+    image: 'gradle:8-jdk{version}',
+    files: ['build.gradle*', 'settings.gradle*', 'gradle.properties*'],
+    wrapper: ['gradlew'],
+    wrapperDirs: ['gradle']
+  }
+};
+
+/**
+ * What to assume for analyses without a runtimeProfile (analyzed before
+ * runtime detection existed, or with an unrecognized layout)
+ */
+const RUNTIME_DEFAULTS = {
+  node: { packageManager: 'npm', port: 3000, commands: { install: 'npm install', start: 'npm start' } },
+  python: { packageManager: 'pip', port: 8000, commands: { install: 'pip install -r requirements.txt', start: 'python app.py' } },
+  go: { packageManager: 'go modules', port: 8080, commands: { build: 'go build -o bin/app .', start: './bin/app' } },
+  java: {
+    packageManager: 'maven',
+    port: 8080,
+    commands: { install: 'mvn -B dependency:go-offline', build: 'mvn -B package -DskipTests', start: 'java -jar target/*.jar' }
+  },
+  ruby: { packageManager: 'bundler', port: 9292, commands: { start: 'bundle exec rackup --host 0.0.0.0 -p 9292' } },
+  php: { packageManager: 'composer', port: 8000, commands: { start: 'php -S 0.0.0.0:8000 -t public' } },
+  rust: { packageManager: 'cargo', port: 8080, commands: { build: 'cargo build --release', start: './target/release/app' } }
+};
+
+class DockerfileGenerator {
+  /**
+   * Render a Dockerfile and .dockerignore from an analysis' runtime profile,
+   * without any network access.
+   * @param {Object} options - Generation options from the docker route
+   * @param {Object} [options.runtimeProfile] - Analysis.runtimeProfile
+   * @param {string} [options.language] - Used when there is no runtime profile
+   * @returns {{template: string, parameters: Object, dockerfile: string, dockerignore: string}|null}
+   *   null when neither the profile nor the language maps to a template
+   */
+  generate(options = {}) {
+    const profile = options.runtimeProfile || this.defaultProfile(options.language);
+    if (!profile) return null;
+
+    const template = profile.type === 'static' ? 'static' : profile.runtime.name;
+    const parameters = this.resolveParameters(template, profile, options);
+
+    return {
+      template,
+      parameters,
+      dockerfile: templates[template](parameters),
+      dockerignore: buildDockerignore(template, parameters)
+    };
+  }
+
+  defaultProfile(language) {
+    const runtime = LANGUAGE_RUNTIMES[language];
+    if (!runtime) return null;
+
+    const defaults = RUNTIME_DEFAULTS[runtime];
+    return {
+      language,
+      appRoot: '.',
+      runtime: { name: runtime, version: null },
+      packageManager: defaults.packageManager,
+      type: 'web',
+      commands: defaults.commands,
+      port: defaults.port
+    };
+  }
+
+  resolveParameters(template, profile, options) {
+    const runtime = profile.runtime.name;
+    const images = TEMPLATE_IMAGES[template];
+    const version = this.imageVersion(runtime, profile.runtime.version) || images.version;
+    const appRoot = profile.appRoot && profile.appRoot !== '.' ? profile.appRoot : null;
+    const commands = { ...RUNTIME_DEFAULTS[runtime].commands, ...this.definedCommands(profile.commands) };
+    const detectedPorts = profile.type === 'worker' || !profile.port ? [] : [profile.port];
+
+    const parameters = {
+      runtime,
+      version,
+      buildImage: images.build.replace('{version}', version),
+      runtimeImage: options.baseImage || images.runtime.replace('{version}', version),
+      workdir: options.workdir || '/app',
+      prefix: appRoot ? `${appRoot}/` : '',
+      source: appRoot ? `${appRoot}/` : '.',
+      packageManager: profile.packageManager,
+      install: commands.install || null,
+      build: commands.build || null,
+      start: this.toExecForm(options.command || commands.start),
+      ports: options.ports?.length ? options.ports.map(Number) : detectedPorts,
+      environment: this.environment(options.environment),
+      outputDir: profile.outputDir || null
+    };
+
+    return this[`${template}Parameters`]
+      ? this[`${template}Parameters`](parameters, commands, options)
+      : parameters;
+  }
+
+  // Static sites always need their build step; nginx serves the output on an unprivileged port
+  staticParameters(parameters) {
+    const run = parameters.packageManager === 'npm' || !parameters.packageManager ? 'npm run' : parameters.packageManager;
+
+    return {
+      ...parameters,
+      ports: parameters.ports.length ? parameters.ports : [STATIC_PORT],
+      build: parameters.build || `${run} build`,
+      outputDir: parameters.outputDir || 'dist',
+      start: null
+    };
+  }
+
+  // pip without a requirements file installs the project itself
+  pythonParameters(parameters) {
+    const installsProject = parameters.packageManager === 'pip' && !/-r\s+\S*requirements/.test(parameters.install || '');
+
+    return {
+      ...parameters,
+      packageManager: installsProject ? 'source' : parameters.packageManager
+    };
+  }
+
+  // `go build -o bin/api ./cmd/api` -> binary `api`, package `./cmd/api`
+  goParameters(parameters, commands, options) {
+    const binary = path.posix.basename(commands.start || 'app');
+    const mainPackage = (commands.build || '').split(/\s+/).reverse().find(token => token.startsWith('.')) || '.';
+
+    return {
+      ...parameters,
+      binary,
+      mainPackage,
+      start: options.command ? parameters.start : this.toExecForm(`/usr/local/bin/${binary}`)
+    };
+  }
+
+  rustParameters(parameters, commands, options) {
+    const binary = path.posix.basename(commands.start || 'app');
+
+    return {
+      ...parameters,
+      build: parameters.build || 'cargo build --release',
+      binary,
+      start: options.command ? parameters.start : this.toExecForm(`/usr/local/bin/${binary}`)
+    };
+  }
+
+  // The jar named by `java -jar <jar>` is copied to a fixed path in the final stage
+  javaParameters(parameters, commands, options) {
+    const tool = JAVA_BUILD_TOOLS[parameters.packageManager] || JAVA_BUILD_TOOLS.maven;
+    const usesWrapper = /^\.\/(mvnw|gradlew)\b/.test(commands.build || '');
+    const jar = (commands.start || '').match(/-jar\s+(\S+)/)?.[1] || 'target/*.jar';
+
+    return {
+      ...parameters,
+      buildImage: usesWrapper ? parameters.buildImage : tool.image.replace('{version}', parameters.version),
+      buildFiles: usesWrapper ? [...tool.files, ...tool.wrapper] : tool.files,
+      buildDirs: usesWrapper ? tool.wrapperDirs : [],
+      jar,
+      start: options.command ? parameters.start : this.toExecForm(`java -jar ${parameters.workdir}/app.jar`)
+    };
+  }
+
+  definedCommands(commands = {}) {
+    return Object.fromEntries(Object.entries(commands).filter(([, command]) => command));
+  }
+
+  // Image tags: Java images are tagged by feature release (1.8 -> 8, 17.0.2 -> 17)
+  imageVersion(runtime, version) {
+    if (!version) return null;
+
+    if (runtime === 'java') {
+      const parts = version.split('.');
+      return parts[0] === '1' && parts[1] ? parts[1] : parts[0];
+    }
+
+    return version;
+  }
+
+  // Accepts `KEY=value` strings or {name, value} pairs; values are quoted for ENV
+  environment(entries = []) {
+    return entries
+      .map(entry => typeof entry === 'string'
+        ? entry.split(/=(.*)/s).slice(0, 2)
+        : [entry?.name, entry?.value ?? ''])
+      .filter(([name]) => name && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name))
+      .map(([name, value = '']) => `${name}=${JSON.stringify(String(value))}`);
+  }
+
+  // Exec-form CMD; anything needing a shell (globs, &&, $VARS) runs under sh -c
+  toExecForm(command) {
+    if (!command) return null;
+
+    if (/[*$&|;<>]/.test(command)) {
+      return JSON.stringify(['sh', '-c', command]);
+    }
+    return JSON.stringify(command.trim().split(/\s+/));
+  }
+}
+
+module.exports = new DockerfileGenerator();
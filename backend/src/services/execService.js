@@ -0,0 +1,207 @@
+const { StringDecoder } = require('string_decoder');
+const ExecSession = require('../../models/ExecSession');
+const dockerService = require('./dockerService');
+const logger = require('../utils/logger');
+
+// Prefer bash when the image has it; minimal images only ship sh
+const DEFAULT_SHELL = ['/bin/sh', '-c', 'if command -v bash >/dev/null 2>&1; then exec bash; else exec sh; fi'];
+
+/**
+ * Interactive shells in running containers. Each session is a TTY exec
+ * whose stream is bridged to a client, with an ExecSession audit record
+ * of who opened it, where, and how it ended.
+ */
+class ExecService {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Sessions open when the previous process stopped lost their client with it
+   */
+  async initialize() {
+    try {
+      const orphaned = await ExecSession.find({ status: 'active' });
+
+      for (const record of orphaned) {
+        record.end('closed', { reason: 'Backend restarted' });
+        await record.save();
+      }
+
+      logger.info(`✅ Exec service initialized (${orphaned.length} orphaned sessions closed)`);
+      return orphaned.length;
+    } catch (error) {
+      logger.error('Exec service initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a container the user may open a shell in: one their deployment
+   * started (labelled `autopilotdev.user`), or any container for admins.
+   * @returns {Promise<Object>} The container's inspect data
+   */
+  async authorize(user, containerId) {
+    if (!dockerService.connected && !(await dockerService.initialize())) {
+      const error = new Error('Docker daemon is not reachable');
+      error.status = 503;
+      throw error;
+    }
+
+    const info = await dockerService.inspectContainer(containerId).catch(error => {
+      if (error.statusCode === 404) error.status = 404;
+      throw error;
+    });
+
+    if (user.role !== 'admin' && info.Config?.Labels?.['autopilotdev.user'] !== String(user._id)) {
+      const error = new Error('You do not have access to this container');
+      error.status = 403;
+      throw error;
+    }
+    return info;
+  }
+
+  /**
+   * Open a shell in a running container.
+   * @param {Object} user - Authenticated User document
+   * @param {string} containerId
+   * @param {Object} options
+   * @param {number} [options.cols=80]
+   * @param {number} [options.rows=24]
+   * @param {string} [options.remoteAddress]
+   * @param {string} [options.userAgent]
+   * @param {Function} options.onOutput - Receives decoded terminal output
+   * @param {Function} options.onExit - Receives the session record once the process ends
+   * @returns {Promise<Object>} The session: {id, record, write, resize}
+   */
+  async openSession(user, containerId, options = {}) {
+    const info = await this.authorize(user, containerId);
+    if (!info.State?.Running) {
+      const error = new Error(`Container ${info.Name?.replace('/', '') || containerId} is not running`);
+      error.status = 409;
+      throw error;
+    }
+
+    const record = new ExecSession({
+      userId: user._id,
+      username: user.username,
+      containerId: info.Id,
+      containerName: info.Name?.replace('/', ''),
+      image: info.Config?.Image,
+      command: DEFAULT_SHELL,
+      remoteAddress: options.remoteAddress,
+      userAgent: options.userAgent
+    });
+
+    let exec;
+    let stream;
+    try {
+      ({ exec, stream } = await dockerService.execInContainer(info.Id, {
+        command: DEFAULT_SHELL,
+        env: ['TERM=xterm-256color']
+      }));
+    } catch (error) {
+      record.end('failed', { error: error.message });
+      await record.save();
+      throw error;
+    }
+
+    record.execId = exec.id;
+    await record.save();
+
+    const session = {
+      id: record.id,
+      record,
+      exec,
+      stream,
+      closed: false,
+      write: (data) => {
+        record.bytesIn += Buffer.byteLength(data);
+        stream.write(data);
+      },
+      resize: (cols, rows) => this.resize(session, cols, rows)
+    };
+    this.sessions.set(session.id, session);
+
+    // Output is decoded across chunks so multi-byte characters are never split
+    const decoder = new StringDecoder('utf8');
+    stream.on('data', (chunk) => {
+      record.bytesOut += chunk.length;
+      const text = decoder.write(chunk);
+      if (text) options.onOutput?.(text);
+    });
+    stream.on('end', () => {
+      this.closeSession(session.id, 'Process exited')
+        .then(closed => options.onExit?.(closed))
+        .catch(error => logger.error(`Closing exec session ${session.id} failed: ${error.message}`));
+    });
+    stream.on('error', (error) => {
+      logger.warn(`Exec session ${session.id} stream error: ${error.message}`);
+    });
+
+    await this.resize(session, options.cols, options.rows);
+    logger.info(`Exec session ${session.id} opened by ${user.username} in ${record.containerName} (${record.containerId.slice(0, 12)})`);
+
+    return session;
+  }
+
+  // Resizing before the process has started fails; the next resize from the client catches up
+  async resize(session, cols = 80, rows = 24) {
+    const width = Math.min(Math.max(parseInt(cols) || 80, 1), 1000);
+    const height = Math.min(Math.max(parseInt(rows) || 24, 1), 1000);
+
+    try {
+      await session.exec.resize({ w: width, h: height });
+    } catch (error) {
+      logger.debug(`Resize of exec session ${session.id} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * End a session: close stdin so the shell exits, then record its exit code.
+   * Safe to call more than once.
+   */
+  async closeSession(sessionId, reason) {
+    const session = this.sessions.get(String(sessionId));
+    if (!session || session.closed) return session?.record || null;
+
+    session.closed = true;
+    this.sessions.delete(session.id);
+    session.stream.end();
+
+    let exitCode = null;
+    try {
+      const inspected = await session.exec.inspect();
+      exitCode = inspected.Running ? null : inspected.ExitCode;
+    } catch (error) {
+      logger.debug(`Inspecting exec ${session.exec.id} failed: ${error.message}`);
+    }
+
+    session.record.end('closed', { exitCode, reason });
+    await session.record.save();
+
+    logger.info(`Exec session ${session.id} closed (${reason}${exitCode !== null ? `, exit ${exitCode}` : ''})`);
+    return session.record;
+  }
+
+  /**
+   * Audit trail for a container; admins see every user's sessions.
+   */
+  listSessions(user, { containerId, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (containerId) {
+      // Short IDs and names both address a container, as on the docker CLI
+      query.$or = [{ containerName: containerId }];
+      if (/^[a-f0-9]{1,64}$/.test(containerId)) query.$or.push({ containerId: new RegExp(`^${containerId}`) });
+    }
+    if (user.role !== 'admin') query.userId = user._id;
+
+    return ExecSession.find(query)
+      .sort('-startedAt')
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new ExecService();
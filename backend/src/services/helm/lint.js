@@ -0,0 +1,176 @@
+/**
+ * Structural chart checks in the spirit of `helm lint`, without a Go
+ * template engine: Chart.yaml metadata, values.yaml, balanced template
+ * actions and blocks, helpers that exist, `.Values` paths that are set,
+ * and template files that still parse as a Kubernetes object once their
+ * actions are blanked out.
+ */
+
+const yaml = require('js-yaml');
+const semver = require('semver');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const CHART_NAME_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const ACTION_PATTERN = /\{\{-?\s*([\s\S]*?)\s*-?\}\}/g;
+const BLOCK_START = /^(if|range|with|define|block)\b/;
+
+function parseYaml(content) {
+  try {
+    return { value: yaml.load(content) };
+  } catch (error) {
+    return { error: error.reason || error.message };
+  }
+}
+
+function checkChart(files, report) {
+  if (files['Chart.yaml'] === undefined) {
+    report('error', 'Chart.yaml', 'Chart.yaml file is missing');
+    return null;
+  }
+
+  const { value: chart, error } = parseYaml(files['Chart.yaml']);
+  if (error || !chart || typeof chart !== 'object' || Array.isArray(chart)) {
+    report('error', 'Chart.yaml', `Chart.yaml is not a YAML map${error ? `: ${error}` : ''}`);
+    return null;
+  }
+
+  if (chart.apiVersion === undefined) {
+    report('error', 'Chart.yaml', 'apiVersion is required');
+  } else if (chart.apiVersion === 'v1') {
+    report('warning', 'Chart.yaml', 'apiVersion v1 is deprecated; use v2 for Helm 3');
+  } else if (chart.apiVersion !== 'v2') {
+    report('error', 'Chart.yaml', `apiVersion "${chart.apiVersion}" is not valid; use v2`);
+  }
+
+  if (!chart.name) {
+    report('error', 'Chart.yaml', 'name is required');
+  } else if (!CHART_NAME_PATTERN.test(chart.name)) {
+    report('error', 'Chart.yaml', `name "${chart.name}" must be lowercase letters, digits and "-"`);
+  }
+
+  if (!chart.version) {
+    report('error', 'Chart.yaml', 'version is required');
+  } else if (!semver.valid(String(chart.version))) {
+    report('error', 'Chart.yaml', `version "${chart.version}" is not a valid SemVer 2 version`);
+  }
+
+  if (chart.type && !['application', 'library'].includes(chart.type)) {
+    report('error', 'Chart.yaml', `type "${chart.type}" must be application or library`);
+  }
+  if (!chart.icon) {
+    report('info', 'Chart.yaml', 'icon is recommended');
+  }
+
+  return chart;
+}
+
+function checkValues(files, report) {
+  if (files['values.yaml'] === undefined) {
+    report('info', 'values.yaml', 'file does not exist');
+    return {};
+  }
+
+  const { value, error } = parseYaml(files['values.yaml']);
+  if (error || (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value)))) {
+    report('error', 'values.yaml', `values.yaml is not a YAML map${error ? `: ${error}` : ''}`);
+    return {};
+  }
+  return value || {};
+}
+
+function hasPath(values, path) {
+  let current = values;
+  for (const key of path) {
+    if (!current || typeof current !== 'object' || !(key in current)) return false;
+    current = current[key];
+  }
+  return true;
+}
+
+function checkTemplate(file, content, context, report) {
+  const stack = [];
+  const opened = (content.match(/\{\{/g) || []).length;
+  const closed = (content.match(/\}\}/g) || []).length;
+  if (opened !== closed) {
+    report('error', file, `unbalanced template delimiters: ${opened} "{{" and ${closed} "}}"`);
+    return;
+  }
+
+  for (const match of content.matchAll(ACTION_PATTERN)) {
+    const action = match[1];
+    if (action.startsWith('/*')) continue;
+
+    const line = content.slice(0, match.index).split('\n').length;
+    const keyword = action.match(BLOCK_START);
+    if (keyword) {
+      stack.push({ keyword: keyword[1], line });
+    } else if (/^end\b/.test(action)) {
+      if (!stack.pop()) report('error', `${file}:${line}`, 'unexpected {{ end }}');
+    } else if (/^else\b/.test(action) && !stack.some(open => ['if', 'range', 'with'].includes(open.keyword))) {
+      report('error', `${file}:${line}`, '{{ else }} outside of an if, range or with block');
+    }
+
+    for (const [, name] of action.matchAll(/\b(?:include|template)\s+"([^"]+)"/g)) {
+      if (!context.defined.has(name)) {
+        report('error', `${file}:${line}`, `template "${name}" is not defined`);
+      }
+    }
+
+    for (const [, path] of action.matchAll(/(?:^|[\s($])\$?\.Values\.([\w.]+)/g)) {
+      if (!hasPath(context.values, path.split('.'))) {
+        report('warning', `${file}:${line}`, `.Values.${path} is not set in values.yaml`);
+      }
+    }
+  }
+
+  stack.forEach(open => report('error', `${file}:${open.line}`, `{{ ${open.keyword} }} is never closed with {{ end }}`));
+
+  // Manifests must still read as a Kubernetes object with the template syntax blanked out
+  if (!stack.length && /\.ya?ml$/.test(file)) {
+    const skeleton = content
+      .split('\n')
+      .filter(line => line.replace(ACTION_PATTERN, '').trim() !== '')
+      .map(line => line.replace(ACTION_PATTERN, 'placeholder'))
+      .join('\n');
+    const { value, error } = parseYaml(skeleton);
+    if (error) {
+      report('error', file, `does not parse as YAML: ${error}`);
+    } else if (value && (!value.apiVersion || !value.kind)) {
+      report('error', file, 'object has no apiVersion or kind');
+    }
+  }
+}
+
+/**
+ * Lint a chart.
+ * @param {Object<string, string>} files - File contents keyed by path inside the chart directory
+ * @returns {{valid: boolean, findings: Object[], summary: Object}}
+ *   findings are {severity, file, message}; `file` may carry a `:line` suffix
+ */
+function lint(files) {
+  const findings = [];
+  const report = (severity, file, message) => findings.push({ severity, file, message });
+
+  checkChart(files, report);
+  const values = checkValues(files, report);
+
+  const templates = Object.keys(files).filter(file => file.startsWith('templates/'));
+  if (!templates.some(file => /\.ya?ml$/.test(file))) {
+    report('warning', 'templates/', 'chart has no manifest templates');
+  }
+
+  const defined = new Set(templates.flatMap(file => [...files[file].matchAll(/\{\{-?\s*define\s+"([^"]+)"/g)].map(match => match[1])));
+  templates
+    .filter(file => /\.(ya?ml|tpl|txt)$/.test(file))
+    .forEach(file => checkTemplate(file, files[file], { defined, values }, report));
+
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [
+    severity,
+    findings.filter(finding => finding.severity === severity).length
+  ]));
+
+  return { valid: summary.error === 0, findings, summary };
+}
+
+module.exports = { lint };
@@ -0,0 +1,412 @@
+/**
+ * Text of the chart's template files. They follow `helm create`: names and
+ * labels come from the `<chart>.fullname`/`<chart>.labels` helpers, and
+ * everything an operator changes per release is read from values.yaml.
+ * Parts of the bundle that are not values (volumes, spread constraints)
+ * are written out as they were generated.
+ */
+
+const yaml = require('js-yaml');
+
+// Static YAML indented to sit under a template key
+function block(value, indent) {
+  const padding = ' '.repeat(indent);
+  return yaml.dump(value, { noRefs: true, lineWidth: -1 })
+    .trimEnd()
+    .split('\n')
+    .map(line => padding + line)
+    .join('\n');
+}
+
+const metadata = (chart, suffix = '') => `metadata:
+  name: {{ include "${chart}.fullname" . }}${suffix}
+  labels:
+    {{- include "${chart}.labels" . | nindent 4 }}`;
+
+function helpers(chart) {
+  return `{{/*
+Expand the name of the chart.
+*/}}
+{{- define "${chart}.name" -}}
+{{- default .Chart.Name .Values.nameOverride | trunc 63 | trimSuffix "-" }}
+{{- end }}
+
+{{/*
+Fully qualified app name, truncated to the 63 characters some name fields allow.
+If the release name contains the chart name it is used as the full name.
+*/}}
+{{- define "${chart}.fullname" -}}
+{{- if .Values.fullnameOverride }}
+{{- .Values.fullnameOverride | trunc 63 | trimSuffix "-" }}
+{{- else }}
+{{- $name := default .Chart.Name .Values.nameOverride }}
+{{- if contains $name .Release.Name }}
+{{- .Release.Name | trunc 63 | trimSuffix "-" }}
+{{- else }}
+{{- printf "%s-%s" .Release.Name $name | trunc 63 | trimSuffix "-" }}
+{{- end }}
+{{- end }}
+{{- end }}
+
+{{/*
+Chart name and version as used by the chart label.
+*/}}
+{{- define "${chart}.chart" -}}
+{{- printf "%s-%s" .Chart.Name .Chart.Version | replace "+" "_" | trunc 63 | trimSuffix "-" }}
+{{- end }}
+
+{{/*
+Common labels
+*/}}
+{{- define "${chart}.labels" -}}
+helm.sh/chart: {{ include "${chart}.chart" . }}
+{{ include "${chart}.selectorLabels" . }}
+{{- if .Chart.AppVersion }}
+app.kubernetes.io/version: {{ .Chart.AppVersion | quote }}
+{{- end }}
+app.kubernetes.io/managed-by: {{ .Release.Service }}
+{{- end }}
+
+{{/*
+Selector labels
+*/}}
+{{- define "${chart}.selectorLabels" -}}
+app.kubernetes.io/name: {{ include "${chart}.name" . }}
+app.kubernetes.io/instance: {{ .Release.Name }}
+{{- end }}
+`;
+}
+
+/**
+ * @param {string} chart - Chart name, the helpers' prefix
+ * @param {Object} deployment - Generated Deployment
+ * @param {Object} features - Which pieces the bundle has: {configMap, secret, port, hpa, probes: string[]}
+ */
+function deploymentTemplate(chart, deployment, features) {
+  const podSpec = deployment.spec.template.spec;
+  const container = podSpec.containers[0];
+  const spread = (podSpec.topologySpreadConstraints || []).map(({ labelSelector, ...constraint }) => constraint);
+
+  const lines = [
+    'apiVersion: apps/v1',
+    'kind: Deployment',
+    metadata(chart),
+    'spec:'
+  ];
+
+  if (features.hpa) {
+    lines.push('  {{- if not .Values.autoscaling.enabled }}', '  replicas: {{ .Values.replicaCount }}', '  {{- end }}');
+  } else {
+    lines.push('  replicas: {{ .Values.replicaCount }}');
+  }
+  if (deployment.spec.revisionHistoryLimit !== undefined) {
+    lines.push(`  revisionHistoryLimit: ${deployment.spec.revisionHistoryLimit}`);
+  }
+  lines.push(
+    '  selector:',
+    '    matchLabels:',
+    `      {{- include "${chart}.selectorLabels" . | nindent 6 }}`
+  );
+  if (deployment.spec.strategy) {
+    lines.push('  strategy:', block(deployment.spec.strategy, 4));
+  }
+
+  lines.push(
+    '  template:',
+    '    metadata:',
+    '      annotations:',
+    ...(features.configMap ? [`        checksum/config: {{ include (print $.Template.BasePath "/configmap.yaml") . | sha256sum }}`] : []),
+    '        {{- with .Values.podAnnotations }}',
+    '        {{- toYaml . | nindent 8 }}',
+    '        {{- end }}',
+    // Selector labels only: the chart version in the common labels would restart pods on every upgrade
+    '      labels:',
+    `        {{- include "${chart}.selectorLabels" . | nindent 8 }}`,
+    '        {{- with .Values.podLabels }}',
+    '        {{- toYaml . | nindent 8 }}',
+    '        {{- end }}',
+    '    spec:'
+  );
+  if (podSpec.automountServiceAccountToken !== undefined) {
+    lines.push(`      automountServiceAccountToken: ${podSpec.automountServiceAccountToken}`);
+  }
+  if (podSpec.terminationGracePeriodSeconds !== undefined) {
+    lines.push(`      terminationGracePeriodSeconds: ${podSpec.terminationGracePeriodSeconds}`);
+  }
+  lines.push(
+    '      {{- with .Values.imagePullSecrets }}',
+    '      imagePullSecrets:',
+    '        {{- toYaml . | nindent 8 }}',
+    '      {{- end }}',
+    '      securityContext:',
+    '        {{- toYaml .Values.podSecurityContext | nindent 8 }}'
+  );
+  if (spread.length) {
+    lines.push('      topologySpreadConstraints:');
+    spread.forEach(constraint => {
+      lines.push(
+        block([constraint], 8),
+        '          labelSelector:',
+        '            matchLabels:',
+        `              {{- include "${chart}.selectorLabels" . | nindent 14 }}`
+      );
+    });
+  }
+
+  lines.push(
+    '      containers:',
+    '        - name: {{ .Chart.Name }}',
+    '          image: "{{ .Values.image.repository }}{{ if .Values.image.digest }}@{{ .Values.image.digest }}{{ else }}:{{ .Values.image.tag | default .Chart.AppVersion }}{{ end }}"',
+    '          imagePullPolicy: {{ .Values.image.pullPolicy }}'
+  );
+  if (features.port) {
+    lines.push(
+      '          ports:',
+      '            - name: http',
+      '              containerPort: {{ .Values.containerPort }}',
+      '              protocol: TCP'
+    );
+  }
+  if (features.configMap || features.secret) {
+    lines.push('          envFrom:');
+    if (features.configMap) {
+      lines.push(
+        '            - configMapRef:',
+        `                name: {{ include "${chart}.fullname" . }}-config`
+      );
+    }
+    if (features.secret) {
+      lines.push(
+        '            {{- with .Values.existingSecret }}',
+        '            - secretRef:',
+        '                name: {{ . }}',
+        '                optional: true',
+        '            {{- end }}'
+      );
+    }
+  } else {
+    lines.push(
+      '          {{- with .Values.env }}',
+      '          env:',
+      '            {{- range $name, $value := . }}',
+      '            - name: {{ $name }}',
+      '              value: {{ $value | quote }}',
+      '            {{- end }}',
+      '          {{- end }}'
+    );
+  }
+  lines.push(
+    '          resources:',
+    '            {{- toYaml .Values.resources | nindent 12 }}'
+  );
+  features.probes.forEach(probe => {
+    lines.push(
+      `          {{- with .Values.${probe} }}`,
+      `          ${probe}:`,
+      '            {{- toYaml . | nindent 12 }}',
+      '          {{- end }}'
+    );
+  });
+  lines.push(
+    '          securityContext:',
+    '            {{- toYaml .Values.securityContext | nindent 12 }}'
+  );
+  if (container.volumeMounts?.length) {
+    lines.push('          volumeMounts:', block(container.volumeMounts, 12));
+  }
+  if (podSpec.volumes?.length) {
+    lines.push('      volumes:', block(podSpec.volumes, 8));
+  }
+  ['nodeSelector', 'affinity', 'tolerations'].forEach(field => {
+    lines.push(
+      `      {{- with .Values.${field} }}`,
+      `      ${field}:`,
+      '        {{- toYaml . | nindent 8 }}',
+      '      {{- end }}'
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function configMapTemplate(chart) {
+  return `apiVersion: v1
+kind: ConfigMap
+${metadata(chart, '-config')}
+data:
+  {{- range $name, $value := .Values.env }}
+  {{ $name }}: {{ $value | quote }}
+  {{- end }}
+`;
+}
+
+function serviceTemplate(chart) {
+  return `apiVersion: v1
+kind: Service
+${metadata(chart)}
+spec:
+  type: {{ .Values.service.type }}
+  ports:
+    - port: {{ .Values.service.port }}
+      targetPort: http
+      protocol: TCP
+      name: http
+  selector:
+    {{- include "${chart}.selectorLabels" . | nindent 4 }}
+`;
+}
+
+function ingressTemplate(chart) {
+  return `{{- if .Values.ingress.enabled -}}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+${metadata(chart)}
+  {{- with .Values.ingress.annotations }}
+  annotations:
+    {{- toYaml . | nindent 4 }}
+  {{- end }}
+spec:
+  {{- with .Values.ingress.className }}
+  ingressClassName: {{ . }}
+  {{- end }}
+  {{- if .Values.ingress.tls.enabled }}
+  tls:
+    - hosts:
+        - {{ .Values.ingress.host | quote }}
+      secretName: {{ .Values.ingress.tls.secretName | default (printf "%s-tls" (include "${chart}.fullname" .)) }}
+  {{- end }}
+  rules:
+    - host: {{ .Values.ingress.host | quote }}
+      http:
+        paths:
+          - path: /
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ include "${chart}.fullname" . }}
+                port:
+                  name: http
+{{- end }}
+`;
+}
+
+function hpaTemplate(chart) {
+  return `{{- if .Values.autoscaling.enabled }}
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+${metadata(chart)}
+spec:
+  scaleTargetRef:
+    apiVersion: apps/v1
+    kind: Deployment
+    name: {{ include "${chart}.fullname" . }}
+  minReplicas: {{ .Values.autoscaling.minReplicas }}
+  maxReplicas: {{ .Values.autoscaling.maxReplicas }}
+  metrics:
+    {{- if .Values.autoscaling.targetCPUUtilizationPercentage }}
+    - type: Resource
+      resource:
+        name: cpu
+        target:
+          type: Utilization
+          averageUtilization: {{ .Values.autoscaling.targetCPUUtilizationPercentage }}
+    {{- end }}
+    {{- if .Values.autoscaling.targetMemoryUtilizationPercentage }}
+    - type: Resource
+      resource:
+        name: memory
+        target:
+          type: Utilization
+          averageUtilization: {{ .Values.autoscaling.targetMemoryUtilizationPercentage }}
+    {{- end }}
+{{- end }}
+`;
+}
+
+function pdbTemplate(chart) {
+  return `{{- if .Values.podDisruptionBudget.enabled }}
+apiVersion: policy/v1
+kind: PodDisruptionBudget
+${metadata(chart)}
+spec:
+  maxUnavailable: {{ .Values.podDisruptionBudget.maxUnavailable }}
+  selector:
+    matchLabels:
+      {{- include "${chart}.selectorLabels" . | nindent 6 }}
+{{- end }}
+`;
+}
+
+// Mirrors the generated policy: same-namespace pods, plus the ingress controller when there is an Ingress
+function networkPolicyTemplate(chart, features) {
+  const from = [
+    '        - podSelector: {}',
+    ...(features.ingress ? [
+      '        {{- if .Values.ingress.enabled }}',
+      '        - namespaceSelector:',
+      '            matchLabels:',
+      '              kubernetes.io/metadata.name: {{ .Values.networkPolicy.ingressControllerNamespace }}',
+      '        {{- end }}'
+    ] : [])
+  ];
+  const ingress = features.port
+    ? ['  ingress:', '    - from:', ...from, '      ports:', '        - protocol: TCP', '          port: {{ .Values.containerPort }}']
+    : ['  ingress: []'];
+
+  return `{{- if .Values.networkPolicy.enabled }}
+apiVersion: networking.k8s.io/v1
+kind: NetworkPolicy
+${metadata(chart)}
+spec:
+  podSelector:
+    matchLabels:
+      {{- include "${chart}.selectorLabels" . | nindent 6 }}
+  policyTypes:
+    - Ingress
+${ingress.join('\n')}
+{{- end }}
+`;
+}
+
+function notes(chart, features) {
+  const access = features.ingress
+    ? `{{- if .Values.ingress.enabled }}
+Open {{ if .Values.ingress.tls.enabled }}https{{ else }}http{{ end }}://{{ .Values.ingress.host }}
+{{- else }}
+kubectl --namespace {{ .Release.Namespace }} port-forward svc/{{ include "${chart}.fullname" . }} 8080:{{ .Values.service.port }}
+{{- end }}`
+    : features.port
+      ? `kubectl --namespace {{ .Release.Namespace }} port-forward svc/{{ include "${chart}.fullname" . }} 8080:{{ .Values.service.port }}`
+      : `kubectl --namespace {{ .Release.Namespace }} logs deployment/{{ include "${chart}.fullname" . }}`;
+
+  return `{{ include "${chart}.fullname" . }} is installed in namespace {{ .Release.Namespace }}.
+
+${access}
+`;
+}
+
+const HELMIGNORE = `# Patterns to ignore when building packages.
+.DS_Store
+.git/
+.gitignore
+*.swp
+*.bak
+*.tmp
+*.orig
+*~
+.idea/
+.vscode/
+`;
+
+module.exports = {
+  helpers,
+  deploymentTemplate,
+  configMapTemplate,
+  serviceTemplate,
+  ingressTemplate,
+  hpaTemplate,
+  pdbTemplate,
+  networkPolicyTemplate,
+  notes,
+  HELMIGNORE
+};
@@ -0,0 +1,192 @@
+const archiver = require('archiver');
+const yaml = require('js-yaml');
+const templates = require('./helm/templates');
+const { lint } = require('./helm/lint');
+
+const PROBES = ['startupProbe', 'readinessProbe', 'livenessProbe'];
+
+/**
+ * Turns a bundle from K8sManifestGenerator into a Helm chart: what an
+ * operator tunes per release (image, replicas, resources, env, probes,
+ * ingress host, toggles) moves to values.yaml with the generated settings
+ * as defaults, and the manifests become templates using the standard
+ * `helm create` helpers and labels.
+ */
+class HelmChartGenerator {
+  /**
+   * @param {Object} manifests - K8sManifestGenerator result's `manifests`
+   * @param {Object} [options]
+   * @param {string} [options.name] - Chart name; the Deployment's name by default
+   * @param {string} [options.version='0.1.0'] - Chart version (SemVer 2)
+   * @param {string} [options.appVersion] - Defaults to the image tag
+   * @param {string} [options.description]
+   * @returns {{name: string, version: string, appVersion: string, files: Object<string, string>, values: Object, lint: Object}}
+   */
+  generate(manifests, options = {}) {
+    const { deployment } = manifests;
+    if (!deployment) {
+      const error = new Error('A chart needs the Deployment from the generated bundle');
+      error.status = 422;
+      throw error;
+    }
+
+    const container = deployment.spec.template.spec.containers[0];
+    const image = this.splitImage(container.image);
+    const name = options.name || deployment.metadata.name;
+    const version = options.version || '0.1.0';
+    const appVersion = String(options.appVersion || (image.tag !== 'latest' && !image.digest && image.tag) || version);
+
+    const features = {
+      port: !!container.ports?.length,
+      configMap: !!manifests.configMap,
+      secret: !!container.envFrom?.some(source => source.secretRef),
+      service: !!manifests.service,
+      ingress: !!manifests.ingress,
+      hpa: !!manifests.hpa,
+      pdb: !!manifests.pdb,
+      networkPolicy: !!manifests.networkPolicy,
+      probes: PROBES.filter(probe => container[probe])
+    };
+
+    const values = this.values(manifests, container, image, appVersion, features);
+
+    const files = {
+      'Chart.yaml': yaml.dump({
+        apiVersion: 'v2',
+        name,
+        description: options.description || `Helm chart for ${name}`,
+        type: 'application',
+        version,
+        appVersion
+      }, { lineWidth: -1 }),
+      'values.yaml': `# Default values for ${name}.\n# Generated from the AutoPilotDev Kubernetes bundle; override per release with --set or -f.\n\n${yaml.dump(values, { noRefs: true, lineWidth: -1 })}`,
+      '.helmignore': templates.HELMIGNORE,
+      'templates/_helpers.tpl': templates.helpers(name),
+      'templates/deployment.yaml': templates.deploymentTemplate(name, deployment, features),
+      'templates/NOTES.txt': templates.notes(name, features)
+    };
+
+    if (features.configMap) files['templates/configmap.yaml'] = templates.configMapTemplate(name);
+    if (features.service) files['templates/service.yaml'] = templates.serviceTemplate(name);
+    if (features.ingress) files['templates/ingress.yaml'] = templates.ingressTemplate(name);
+    if (features.hpa) files['templates/hpa.yaml'] = templates.hpaTemplate(name);
+    if (features.pdb) files['templates/pdb.yaml'] = templates.pdbTemplate(name);
+    if (features.networkPolicy) files['templates/networkpolicy.yaml'] = templates.networkPolicyTemplate(name, features);
+
+    return { name, version, appVersion, files, values, lint: lint(files) };
+  }
+
+  values(manifests, container, image, appVersion, features) {
+    const { deployment, configMap, service, ingress, hpa, pdb, networkPolicy } = manifests;
+    const podSpec = deployment.spec.template.spec;
+
+    const values = {
+      replicaCount: deployment.spec.replicas || hpa?.spec.minReplicas || 1,
+      image: {
+        repository: image.repository,
+        pullPolicy: container.imagePullPolicy || 'IfNotPresent',
+        // Empty uses the chart's appVersion
+        tag: image.tag === appVersion ? '' : image.tag,
+        // Pins the image over the tag when set
+        digest: image.digest
+      },
+      imagePullSecrets: [],
+      nameOverride: '',
+      fullnameOverride: '',
+      podAnnotations: {},
+      podLabels: {}
+    };
+
+    if (features.port) values.containerPort = container.ports[0].containerPort;
+    values.env = configMap ? { ...configMap.data } : Object.fromEntries((container.env || []).map(({ name, value }) => [name, value]));
+    if (features.secret) {
+      values.existingSecret = container.envFrom.find(source => source.secretRef).secretRef.name;
+    }
+
+    values.resources = container.resources || {};
+    PROBES.forEach(probe => {
+      if (container[probe]) values[probe] = container[probe];
+    });
+    values.podSecurityContext = podSpec.securityContext || {};
+    values.securityContext = container.securityContext || {};
+
+    if (service) {
+      values.service = { type: service.spec.type, port: service.spec.ports[0].port };
+    }
+
+    if (ingress) {
+      const tls = ingress.spec.tls?.[0];
+      values.ingress = {
+        enabled: true,
+        className: ingress.spec.ingressClassName || '',
+        annotations: ingress.metadata.annotations || {},
+        host: ingress.spec.rules[0].host,
+        tls: {
+          enabled: !!tls,
+          // Empty derives <fullname>-tls
+          secretName: tls?.secretName === `${deployment.metadata.name}-tls` ? '' : tls?.secretName || ''
+        }
+      };
+    }
+
+    if (hpa) {
+      const target = resource => hpa.spec.metrics.find(metric => metric.resource?.name === resource)?.resource.target.averageUtilization;
+      values.autoscaling = {
+        enabled: true,
+        minReplicas: hpa.spec.minReplicas,
+        maxReplicas: hpa.spec.maxReplicas,
+        targetCPUUtilizationPercentage: target('cpu') || 0,
+        targetMemoryUtilizationPercentage: target('memory') || 0
+      };
+    }
+
+    if (pdb) {
+      values.podDisruptionBudget = { enabled: true, maxUnavailable: pdb.spec.maxUnavailable };
+    }
+
+    if (networkPolicy) {
+      const controller = networkPolicy.spec.ingress?.[0]?.from
+        ?.find(peer => peer.namespaceSelector)?.namespaceSelector.matchLabels['kubernetes.io/metadata.name'];
+      values.networkPolicy = { enabled: true, ingressControllerNamespace: controller || 'ingress-nginx' };
+    }
+
+    values.nodeSelector = {};
+    values.tolerations = [];
+    values.affinity = {};
+
+    return values;
+  }
+
+  // registry:5000/team/app:1.2 -> {repository: registry:5000/team/app, tag: 1.2, digest: ''}
+  splitImage(image) {
+    const [reference, digest = ''] = image.split('@');
+    const slash = reference.lastIndexOf('/');
+    const colon = reference.lastIndexOf(':');
+    return colon > slash
+      ? { repository: reference.slice(0, colon), tag: reference.slice(colon + 1), digest }
+      : { repository: reference, tag: 'latest', digest };
+  }
+
+  /**
+   * Package a chart as `helm package` does: a gzipped tar with every file
+   * under a directory named after the chart.
+   * @returns {Promise<Buffer>}
+   */
+  package(chart) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('tar', { gzip: true });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('error', reject);
+
+      Object.entries(chart.files).forEach(([file, content]) => {
+        archive.append(content, { name: `${chart.name}/${file}`, mode: 0o644 });
+      });
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = new HelmChartGenerator();
@@ -0,0 +1,401 @@
+const CleanupPolicy = require('../../models/CleanupPolicy');
+const Deployment = require('../../models/Deployment');
+const dockerService = require('./dockerService');
+const { parseImageReference } = require('./dockerfile/parser');
+const config = require('../config/appConfig');
+const logger = require('../utils/logger');
+
+// Deployments in these states keep their images no matter what the policy says
+const ACTIVE_DEPLOYMENT_STATUSES = ['pending', 'deploying', 'running', 'scaling'];
+const STOPPED_CONTAINER_STATES = ['created', 'exited', 'dead'];
+const POLICY_FIELDS = ['enabled', 'intervalHours', 'keepTags', 'removeDangling', 'containerMaxAgeHours', 'protect'];
+const HOUR = 60 * 60 * 1000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// The daemon lists Docker Hub images without registry or library/ prefix and always with a tag
+function normalizeReference(reference) {
+  const { name, tag } = parseImageReference(reference);
+  const short = name.replace(/^(docker\.io|index\.docker\.io|registry-1\.docker\.io)\//, '').replace(/^library\//, '');
+  return `${short}:${tag || 'latest'}`;
+}
+
+function matchesPattern(reference, pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`).test(reference);
+}
+
+const isDangling = (image) => !(image.RepoTags || []).some(tag => tag !== '<none>:<none>');
+
+// Layers shared with other images stay on disk; SharedSize is -1 when the daemon did not compute it
+const uniqueSize = (image) => Math.max(image.Size - Math.max(image.SharedSize || 0, 0), 0);
+
+/**
+ * Keeps the Docker disk of the build host in check with the retention
+ * rules of the CleanupPolicy: old tags beyond the newest N per repository,
+ * dangling images and long-stopped containers are removed, on a schedule or
+ * on request. Images of active deployments, images matching the policy's
+ * protect patterns and images still used by a container are never removed.
+ */
+class ImageCleanupService {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  async initialize() {
+    try {
+      const policy = await this.getPolicy();
+      await this.schedule(policy);
+
+      logger.info(`✅ Image cleanup initialized (${policy.enabled ? `next run ${policy.nextRunAt.toISOString()}` : 'schedule disabled'})`);
+      return policy;
+    } catch (error) {
+      logger.error('Image cleanup initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The stored policy, created from the configured defaults the first time
+   */
+  async getPolicy() {
+    const policy = await CleanupPolicy.findOne({ name: 'default' });
+    if (policy) return policy;
+
+    const defaults = config.services.docker.cleanup;
+    return CleanupPolicy.create({
+      name: 'default',
+      enabled: defaults.enabled,
+      intervalHours: defaults.intervalHours,
+      keepTags: defaults.keepTags,
+      containerMaxAgeHours: defaults.containerMaxAgeHours
+    });
+  }
+
+  async updatePolicy(updates, userId) {
+    const policy = await this.getPolicy();
+
+    POLICY_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) policy[field] = updates[field];
+    });
+    policy.updatedBy = userId;
+
+    await this.schedule(policy);
+    logger.info(`Image cleanup policy updated by ${userId}`);
+    return policy;
+  }
+
+  /**
+   * Arm the timer for the next scheduled run and save the policy with it
+   */
+  async schedule(policy) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!policy.enabled) {
+      policy.nextRunAt = undefined;
+      await policy.save();
+      return;
+    }
+
+    const lastStart = policy.lastRun?.startedAt?.getTime() || Date.now();
+    policy.nextRunAt = new Date(Math.max(lastStart + policy.intervalHours * HOUR, Date.now() + 60 * 1000));
+    await policy.save();
+
+    // Timers cannot wait longer than ~24 days; a long interval just re-arms on expiry
+    const delay = policy.nextRunAt.getTime() - Date.now();
+    this.timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.getPolicy().then(current => this.schedule(current)).catch(error => logger.error(`Rescheduling image cleanup failed: ${error.message}`));
+        return;
+      }
+      this.run({ trigger: 'schedule' }).catch(error => this.recordFailure(error));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    this.timer.unref();
+  }
+
+  // A failed scheduled run still counts as a run, so the next one waits a full interval
+  async recordFailure(error) {
+    logger.error(`Scheduled image cleanup failed: ${error.message}`);
+
+    try {
+      const policy = await this.getPolicy();
+      policy.lastRun = {
+        trigger: 'schedule',
+        startedAt: new Date(),
+        completedAt: new Date(),
+        containersRemoved: 0,
+        imagesRemoved: 0,
+        reclaimedBytes: 0,
+        failures: [{ target: 'cleanup', message: error.message }]
+      };
+      await this.schedule(policy);
+    } catch (saveError) {
+      logger.error(`Recording the failed image cleanup failed: ${saveError.message}`);
+    }
+  }
+
+  /**
+   * Apply the policy, or with `dryRun` only report what it would remove.
+   * @param {Object} options
+   * @param {boolean} [options.dryRun=false]
+   * @param {string} [options.trigger='api'] - 'api' or 'schedule'
+   * @param {Object} [options.overrides] - Policy fields to try out; only honored on dry runs
+   * @returns {Promise<Object>} The report: containers, images, reclaimableBytes and, unless dry, errors
+   */
+  async run({ dryRun = false, trigger = 'api', overrides = {} } = {}) {
+    if (!dockerService.connected && !(await dockerService.initialize())) {
+      const error = new Error('Docker daemon is not reachable');
+      error.status = 503;
+      throw error;
+    }
+
+    if (this.running && !dryRun) {
+      const error = new Error('An image cleanup is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    const policy = await this.getPolicy();
+    const rules = dryRun ? { ...policy.toObject(), ...overrides } : policy.toObject();
+
+    if (dryRun) {
+      return { dryRun: true, ...(await this.plan(rules)) };
+    }
+
+    this.running = this.apply(policy, rules, trigger);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async apply(policy, rules, trigger) {
+    const startedAt = new Date();
+    const plan = await this.plan(rules);
+    const errors = [];
+    let reclaimedBytes = 0;
+    let containersRemoved = 0;
+    let imagesRemoved = 0;
+
+    // Containers go first so the images they held are free to remove
+    for (const container of plan.containers) {
+      try {
+        await dockerService.removeContainer(container.id);
+        containersRemoved++;
+        reclaimedBytes += container.size;
+      } catch (error) {
+        errors.push({ target: `container ${container.name}`, message: error.json?.message || error.message });
+      }
+    }
+
+    for (const image of plan.images) {
+      try {
+        // Removing the last tag deletes the image; dangling images go by ID
+        if (image.reason === 'dangling') {
+          await dockerService.removeImage(image.id);
+        } else {
+          for (const tag of image.tags) await dockerService.removeImage(tag);
+        }
+        if (image.removesImage) {
+          imagesRemoved++;
+          reclaimedBytes += image.size;
+        }
+      } catch (error) {
+        errors.push({ target: `image ${image.tags[0] || image.id}`, message: error.json?.message || error.message });
+      }
+    }
+
+    policy.lastRun = {
+      trigger,
+      startedAt,
+      completedAt: new Date(),
+      containersRemoved,
+      imagesRemoved,
+      reclaimedBytes,
+      failures: errors
+    };
+    await this.schedule(policy);
+
+    logger.info(`Image cleanup removed ${containersRemoved} containers and ${imagesRemoved} images, reclaimed ${dockerService.formatBytes(reclaimedBytes)}${errors.length ? ` (${errors.length} errors)` : ''}`);
+
+    return {
+      dryRun: false,
+      ...plan,
+      containersRemoved,
+      imagesRemoved,
+      reclaimedBytes,
+      reclaimed: dockerService.formatBytes(reclaimedBytes),
+      errors
+    };
+  }
+
+  /**
+   * Work out what the rules remove, from one `docker system df` snapshot
+   */
+  async plan(rules) {
+    const usage = await dockerService.diskUsage();
+    const images = usage.Images || [];
+    const allContainers = usage.Containers || [];
+
+    const containers = await this.expiredContainers(allContainers, rules);
+    const removedContainers = new Set(containers.map(container => container.fullId));
+
+    // Images still used by a container that stays can not be removed
+    const inUse = new Set(allContainers
+      .filter(container => !removedContainers.has(container.Id))
+      .map(container => container.ImageID));
+    const protectedIds = await this.protectedImageIds(images, allContainers, rules);
+    const parents = new Set(images.map(image => image.ParentId).filter(Boolean));
+    const keep = (image) => inUse.has(image.Id) || protectedIds.has(image.Id);
+
+    const candidates = [];
+
+    if (rules.removeDangling) {
+      images
+        .filter(image => isDangling(image) && !keep(image) && !parents.has(image.Id))
+        .forEach(image => candidates.push({
+          id: image.Id,
+          tags: [],
+          reason: 'dangling',
+          removesImage: true,
+          created: new Date(image.Created * 1000).toISOString(),
+          size: uniqueSize(image)
+        }));
+    }
+
+    if (rules.keepTags > 0) {
+      const repositories = new Map();
+      images.filter(image => !isDangling(image)).forEach(image => {
+        image.RepoTags.forEach(tag => {
+          const { name } = parseImageReference(tag);
+          if (!repositories.has(name)) repositories.set(name, []);
+          repositories.get(name).push({ tag, image });
+        });
+      });
+
+      const expiredTags = new Map();
+      repositories.forEach(tags => {
+        tags
+          .sort((a, b) => b.image.Created - a.image.Created || b.tag.localeCompare(a.tag))
+          .slice(rules.keepTags)
+          .filter(({ image }) => !protectedIds.has(image.Id))
+          .forEach(({ tag, image }) => {
+            if (!expiredTags.has(image.Id)) expiredTags.set(image.Id, { image, tags: [] });
+            expiredTags.get(image.Id).tags.push(tag);
+          });
+      });
+
+      // An image only goes once all of its tags expire; otherwise it just loses the old ones
+      expiredTags.forEach(({ image, tags }) => {
+        const removesImage = tags.length === image.RepoTags.length && !inUse.has(image.Id);
+        candidates.push({
+          id: image.Id,
+          tags,
+          reason: 'old-tags',
+          removesImage,
+          created: new Date(image.Created * 1000).toISOString(),
+          size: removesImage ? uniqueSize(image) : 0
+        });
+      });
+    }
+
+    const reclaimableBytes = containers.reduce((sum, container) => sum + container.size, 0)
+      + candidates.reduce((sum, image) => sum + image.size, 0);
+
+    return {
+      policy: {
+        keepTags: rules.keepTags,
+        removeDangling: rules.removeDangling,
+        containerMaxAgeHours: rules.containerMaxAgeHours,
+        protect: rules.protect || []
+      },
+      containers: containers.map(({ fullId, ...container }) => container),
+      images: candidates,
+      reclaimableBytes,
+      reclaimable: dockerService.formatBytes(reclaimableBytes)
+    };
+  }
+
+  /**
+   * Stopped containers past the maximum age. Containers of deployments
+   * that still exist are left alone: starting the deployment reuses them.
+   */
+  async expiredContainers(containers, rules) {
+    if (!(rules.containerMaxAgeHours > 0)) return [];
+
+    const stopped = containers.filter(container => STOPPED_CONTAINER_STATES.includes(container.State));
+    const labelled = stopped
+      .map(container => container.Labels?.['autopilotdev.deployment'])
+      .filter(id => id && /^[a-f0-9]{24}$/.test(id));
+    const existing = new Set((await Deployment.find({ _id: { $in: labelled } }).select('_id')).map(deployment => deployment.id));
+
+    const cutoff = Date.now() - rules.containerMaxAgeHours * HOUR;
+    const expired = [];
+
+    for (const container of stopped) {
+      if (existing.has(container.Labels?.['autopilotdev.deployment'])) continue;
+
+      // Never-started containers have no finish time; they count from creation
+      let finishedAt = new Date(container.Created * 1000);
+      try {
+        const finished = new Date((await dockerService.inspectContainer(container.Id)).State?.FinishedAt);
+        if (finished.getFullYear() > 1) finishedAt = finished;
+      } catch (error) {
+        continue;
+      }
+
+      if (finishedAt.getTime() > cutoff) continue;
+
+      expired.push({
+        fullId: container.Id,
+        id: container.Id.substring(0, 12),
+        name: (container.Names?.[0] || '').replace('/', ''),
+        image: container.Image,
+        state: container.State,
+        finishedAt: finishedAt.toISOString(),
+        size: container.SizeRw || 0
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * IDs of images that active deployments run or reference, and of images
+   * with a tag matching one of the policy's protect patterns
+   */
+  async protectedImageIds(images, containers, rules) {
+    const deployments = await Deployment.find({
+      type: 'docker',
+      status: { $in: ACTIVE_DEPLOYMENT_STATUSES }
+    }).select('config.image container');
+
+    const references = new Set();
+    const containerIds = new Set();
+    deployments.forEach(deployment => {
+      [deployment.config?.image, deployment.container?.image]
+        .filter(reference => typeof reference === 'string' && reference)
+        .forEach(reference => references.add(normalizeReference(reference)));
+      if (deployment.container?.id) containerIds.add(deployment.container.id);
+    });
+
+    const ids = new Set(containers
+      .filter(container => containerIds.has(container.Id))
+      .map(container => container.ImageID));
+
+    images.forEach(image => {
+      const tags = (image.RepoTags || []).filter(tag => tag !== '<none>:<none>');
+      if (tags.some(tag => references.has(tag))
+        || tags.some(tag => (rules.protect || []).some(pattern => matchesPattern(tag, pattern)))) {
+        ids.add(image.Id);
+      }
+    });
+
+    return ids;
+  }
+}
+
+module.exports = new ImageCleanupService();
+module.exports.normalizeReference = normalizeReference;
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/appConfig');
+const logger = require('../utils/logger');
+const execShell = require('../utils/execShell');
+const dockerService = require('./dockerService');
+const ImageScan = require('../../models/ImageScan');
+const { parseImageReference } = require('./dockerfile/parser');
+
+const { SEVERITIES } = ImageScan;
+
+// Order of preference when the scanner is `auto`
+const SCANNERS = ['trivy', 'grype'];
+
+// Image references are interpolated into a shell command, so only the
+// characters a reference can legitimately contain are accepted
+const IMAGE_REFERENCE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\-/:@]*$/;
+
+/**
+ * Runs a locally installed Trivy or Grype CLI against an image (or a
+ * `docker save` tarball of it) and normalizes the report into ImageScan
+ * records, so scans from either scanner compare against each other.
+ */
+class ImageScanner {
+  constructor() {
+    this.available = null;
+  }
+
+  /**
+   * Probe the scanner CLIs; returns {name: version} for each one found.
+   * A hit is cached, a miss is probed again so installing a scanner needs no restart.
+   */
+  async detectScanners() {
+    if (this.available && Object.keys(this.available).length) return this.available;
+
+    const probes = {
+      trivy: { command: 'trivy --version --format json', version: (output) => JSON.parse(output).Version },
+      grype: { command: 'grype version -o json', version: (output) => JSON.parse(output).version }
+    };
+
+    this.available = {};
+    for (const name of SCANNERS) {
+      const result = await execShell.execute(probes[name].command, { timeout: 15000 });
+      if (!result.success) continue;
+
+      try {
+        this.available[name] = probes[name].version(result.stdout) || 'unknown';
+      } catch (error) {
+        this.available[name] = 'unknown';
+      }
+    }
+
+    logger.info(`Image scanners available: ${Object.keys(this.available).join(', ') || 'none'}`);
+    return this.available;
+  }
+
+  async resolveScanner(requested = config.services.docker.scanner) {
+    const available = await this.detectScanners();
+    const name = requested && requested !== 'auto'
+      ? requested
+      : SCANNERS.find(candidate => available[candidate]);
+
+    if (!name || !available[name]) {
+      const error = new Error(requested && requested !== 'auto'
+        ? `${requested} is not installed on this server`
+        : 'No image scanner (trivy or grype) is installed on this server');
+      error.status = 503;
+      throw error;
+    }
+
+    return { name, version: available[name] };
+  }
+
+  /**
+   * Scan an image and persist the normalized report.
+   * @param {string} userId
+   * @param {string} image - Image reference, e.g. registry/app:1.2.0
+   * @param {Object} options
+   * @param {string} [options.severity='LOW'] - Lowest severity that fails the scan
+   * @param {number} [options.exitCode=0] - Exit code reported when the threshold is hit
+   * @param {boolean} [options.archive=false] - Export the image with `docker save` and scan the tarball
+   * @param {string} [options.scanner] - trivy, grype or auto
+   * @returns {Promise<{scan: Object, comparison: Object}>}
+   */
+  async scanImage(userId, image, options = {}) {
+    if (!IMAGE_REFERENCE_PATTERN.test(image)) {
+      const error = new Error(`Invalid image reference: ${image}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const threshold = SEVERITIES.includes(options.severity) ? options.severity : 'LOW';
+    const requestedExitCode = parseInt(options.exitCode) || 0;
+    const scanner = await this.resolveScanner(options.scanner);
+    const startTime = Date.now();
+
+    let archivePath = null;
+    try {
+      if (options.archive) {
+        archivePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'image-scan-')), 'image.tar');
+        await dockerService.saveImage(image, archivePath);
+      }
+
+      const report = await this.runScanner(scanner.name, image, archivePath);
+      const normalized = scanner.name === 'trivy' ? this.normalizeTrivy(report) : this.normalizeGrype(report);
+      const reference = parseImageReference(image);
+      const failing = this.atOrAbove(normalized.vulnerabilities, threshold);
+
+      const previous = await ImageScan.findLatest(userId, reference.name, reference.tag || 'latest');
+
+      const scan = new ImageScan({
+        userId,
+        image,
+        repository: reference.name,
+        tag: reference.tag || 'latest',
+        imageId: normalized.imageId,
+        digest: reference.digest || normalized.digest,
+        os: normalized.os,
+        source: archivePath ? 'archive' : 'image',
+        scanner,
+        threshold,
+        passed: failing.length === 0,
+        exitCode: failing.length === 0 ? 0 : requestedExitCode,
+        summary: this.summarize(normalized.vulnerabilities),
+        vulnerabilities: normalized.vulnerabilities,
+        previousScanId: previous?._id,
+        duration: Date.now() - startTime
+      });
+      await scan.save();
+
+      logger.info(`Scanned ${image} with ${scanner.name}: ${scan.summary.total} vulnerabilities, ${failing.length} at or above ${threshold}`);
+      return { scan, comparison: scan.compareWith(previous) };
+    } finally {
+      if (archivePath) {
+        fs.rmSync(path.dirname(archivePath), { recursive: true, force: true });
+      }
+    }
+  }
+
+  async runScanner(name, image, archivePath) {
+    const commands = {
+      trivy: archivePath
+        ? `trivy image --quiet --scanners vuln --format json --input "${archivePath}"`
+        : `trivy image --quiet --scanners vuln --format json "${image}"`,
+      grype: archivePath
+        ? `grype "docker-archive:${archivePath}" --quiet -o json`
+        : `grype "${image}" --quiet -o json`
+    };
+
+    const result = await execShell.execute(commands[name], {
+      timeout: config.services.docker.scanTimeout,
+      maxBuffer: 1024 * 1024 * 100
+    });
+
+    if (!result.success) {
+      const error = new Error(`${name} failed: ${(result.stderr || result.error || '').split('\n').pop()}`);
+      error.status = 502;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(result.stdout);
+    } catch (error) {
+      const parseError = new Error(`${name} returned a report that is not JSON`);
+      parseError.status = 502;
+      throw parseError;
+    }
+  }
+
+  normalizeTrivy(report) {
+    const vulnerabilities = [];
+
+    (report.Results || []).forEach(result => {
+      (result.Vulnerabilities || []).forEach(vulnerability => {
+        vulnerabilities.push({
+          id: vulnerability.VulnerabilityID,
+          aliases: [],
+          package: vulnerability.PkgName,
+          packageType: result.Type,
+          installedVersion: vulnerability.InstalledVersion,
+          fixedVersion: vulnerability.FixedVersion || null,
+          severity: this.normalizeSeverity(vulnerability.Severity),
+          title: vulnerability.Title || null,
+          url: vulnerability.PrimaryURL || null,
+          target: result.Target
+        });
+      });
+    });
+
+    return {
+      imageId: report.Metadata?.ImageID || null,
+      digest: this.digestOf(report.Metadata?.RepoDigests),
+      os: {
+        family: report.Metadata?.OS?.Family || null,
+        name: report.Metadata?.OS?.Name || null
+      },
+      vulnerabilities: this.dedupe(vulnerabilities)
+    };
+  }
+
+  // Grype keys GitHub advisories by GHSA ID; the related CVE becomes the ID when there is one
+  normalizeGrype(report) {
+    const vulnerabilities = (report.matches || []).map(match => {
+      const related = (match.relatedVulnerabilities || []).map(vulnerability => vulnerability.id);
+      const cve = [match.vulnerability.id, ...related].find(id => /^CVE-/.test(id)) || match.vulnerability.id;
+
+      return {
+        id: cve,
+        aliases: [match.vulnerability.id, ...related].filter(id => id !== cve),
+        package: match.artifact.name,
+        packageType: match.artifact.type,
+        installedVersion: match.artifact.version,
+        fixedVersion: (match.vulnerability.fix?.versions || []).join(', ') || null,
+        severity: this.normalizeSeverity(match.vulnerability.severity),
+        title: match.vulnerability.description ? match.vulnerability.description.split('\n')[0].slice(0, 200) : null,
+        url: match.vulnerability.dataSource || match.vulnerability.urls?.[0] || null,
+        target: match.artifact.locations?.[0]?.path || null
+      };
+    });
+
+    const target = report.source?.target || {};
+    return {
+      imageId: target.imageID || null,
+      digest: target.manifestDigest || this.digestOf(target.repoDigests),
+      os: {
+        family: report.distro?.name || null,
+        name: report.distro?.version || null
+      },
+      vulnerabilities: this.dedupe(vulnerabilities)
+    };
+  }
+
+  // Grype's "Negligible" has no Trivy equivalent and is folded into LOW
+  normalizeSeverity(severity) {
+    const value = String(severity || '').toUpperCase();
+    if (value === 'NEGLIGIBLE') return 'LOW';
+    return SEVERITIES.includes(value) ? value : 'UNKNOWN';
+  }
+
+  digestOf(repoDigests = []) {
+    return (repoDigests || []).map(entry => entry.split('@')[1]).find(Boolean) || null;
+  }
+
+  // The same CVE is reported once per target (layer, lockfile); keep one per package version
+  dedupe(vulnerabilities) {
+    const seen = new Map();
+    vulnerabilities.forEach(vulnerability => {
+      const key = `${vulnerability.id}|${vulnerability.package}|${vulnerability.installedVersion}`;
+      if (!seen.has(key)) seen.set(key, vulnerability);
+    });
+
+    return [...seen.values()].sort((a, b) => {
+      return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+        || a.package.localeCompare(b.package)
+        || a.id.localeCompare(b.id);
+    });
+  }
+
+  // UNKNOWN never fails a threshold, matching the scanners' own --severity handling
+  atOrAbove(vulnerabilities, threshold) {
+    const limit = SEVERITIES.indexOf(threshold);
+    return vulnerabilities.filter(vulnerability => {
+      return vulnerability.severity !== 'UNKNOWN' && SEVERITIES.indexOf(vulnerability.severity) <= limit;
+    });
+  }
+
+  summarize(vulnerabilities) {
+    const summary = {
+      total: vulnerabilities.length,
+      fixable: vulnerabilities.filter(vulnerability => vulnerability.fixedVersion).length
+    };
+    SEVERITIES.forEach(severity => {
+      summary[severity.toLowerCase()] = vulnerabilities.filter(vulnerability => vulnerability.severity === severity).length;
+    });
+    return summary;
+  }
+}
+
+module.exports = new ImageScanner();
@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { STATIC_PORT } = require('./runtimeDetector');
+
+/**
+ * UID the generated Dockerfile's final stage runs as, per template, so the
+ * pod securityContext matches the image. Static sites run the stock nginx
+ * image as its `nginx` user, which needs a listen port above 1024.
+ */
+const RUNTIME_USERS = {
+  node: 1000,
+  python: 10001,
+  go: 65532,
+  java: 10001,
+  ruby: 10001,
+  php: 33,
+  rust: 10001,
+  static: 101
+};
+
+// Requests sized for an idle instance and memory limits with headroom; CPU is left unlimited unless asked, as limits only throttle
+const RUNTIME_RESOURCES = {
+  node: { cpu: '100m', memory: '128Mi', memoryLimit: '512Mi' },
+  python: { cpu: '100m', memory: '128Mi', memoryLimit: '512Mi' },
+  go: { cpu: '50m', memory: '64Mi', memoryLimit: '256Mi' },
+  java: { cpu: '250m', memory: '512Mi', memoryLimit: '1Gi' },
+  ruby: { cpu: '100m', memory: '256Mi', memoryLimit: '512Mi' },
+  php: { cpu: '100m', memory: '128Mi', memoryLimit: '256Mi' },
+  rust: { cpu: '50m', memory: '64Mi', memoryLimit: '256Mi' },
+  static: { cpu: '25m', memory: '32Mi', memoryLimit: '128Mi' }
+};
+
+// Writable paths on an otherwise read-only root filesystem
+const WRITABLE_PATHS = {
+  static: ['/tmp', '/var/cache/nginx', '/var/run'],
+  default: ['/tmp']
+};
+
+// Order the pieces are applied in: what others reference comes first
+const MANIFEST_ORDER = ['configMap', 'deployment', 'service', 'ingress', 'hpa', 'pdb', 'networkPolicy'];
+
+const DEFAULT_OPTIONS = {
+  namespace: 'default',
+  replicas: 2,
+  configMap: true,
+  secret: true,
+  service: true,
+  ingress: true,
+  hpa: true,
+  pdb: true,
+  networkPolicy: true,
+  readOnlyRootFilesystem: true
+};
+
+/**
+ * Builds the Kubernetes bundle for an application from its runtime
+ * profile: a hardened Deployment plus the Service, Ingress, ConfigMap,
+ * HorizontalPodAutoscaler, PodDisruptionBudget and NetworkPolicy around
+ * it. Every piece except the Deployment can be switched off in the options.
+ */
+class K8sManifestGenerator {
+  /**
+   * @param {Object} profile - Analysis.runtimeProfile (or DockerfileGenerator.defaultProfile)
+   * @param {Object} [options]
+   * @param {string} options.name - Application name, used for every object
+   * @param {string} [options.image] - Image reference; defaults to `<name>:latest`
+   * @param {string} [options.namespace='default']
+   * @param {number} [options.replicas=2] - Also the autoscaler's minimum
+   * @param {string} [options.version] - app.kubernetes.io/version label
+   * @param {number} [options.port] - Container port; defaults to the detected one
+   * @param {Object[]|Object} [options.env] - [{name, value}] or {name: value} for the ConfigMap
+   * @param {Object} [options.resources] - {requests: {cpu, memory}, limits: {cpu, memory}}
+   * @param {Object|false} [options.probes] - {path, initialDelaySeconds}; false for none
+   * @param {boolean|Object} [options.configMap=true]
+   * @param {boolean|Object} [options.secret=true] - {name}; referenced only, never generated
+   * @param {boolean|Object} [options.service=true] - {type}
+   * @param {boolean|Object} [options.ingress=true] - {host, className, tlsSecret, clusterIssuer, tls}
+   * @param {boolean|Object} [options.hpa=true] - {minReplicas, maxReplicas, cpu, memory} (utilization %)
+   * @param {boolean|Object} [options.pdb=true] - {maxUnavailable}
+   * @param {boolean|Object} [options.networkPolicy=true] - {ingressNamespace}
+   * @param {boolean} [options.readOnlyRootFilesystem=true]
+   * @returns {{manifests: Object, yaml: string, warnings: string[]}}
+   */
+  generate(profile, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const template = profile?.type === 'static' ? 'static' : profile?.runtime?.name;
+    const worker = profile?.type === 'worker';
+    const name = this.dnsName(opts.name || 'app');
+    const port = worker ? null : Number(opts.port || profile?.port) || (template === 'static' ? STATIC_PORT : null);
+    const warnings = [];
+
+    const context = {
+      name,
+      namespace: opts.namespace,
+      template,
+      port,
+      worker,
+      labels: {
+        'app.kubernetes.io/name': name,
+        'app.kubernetes.io/instance': name,
+        'app.kubernetes.io/managed-by': 'autopilotdev',
+        ...(opts.version && { 'app.kubernetes.io/version': String(opts.version) })
+      },
+      selector: {
+        'app.kubernetes.io/name': name,
+        'app.kubernetes.io/instance': name
+      }
+    };
+
+    if (!opts.image) {
+      warnings.push(`No image given; using ${name}:latest. Pin a registry tag or digest for production.`);
+    } else if (!/[:@]/.test(opts.image.split('/').pop()) || /:latest$/.test(opts.image)) {
+      warnings.push(`Image ${opts.image} is not pinned to a version tag or digest.`);
+    }
+    if (!template) {
+      warnings.push('No runtime profile; resources and the security context use generic defaults.');
+    }
+    if (port && port < 1024 && template) {
+      warnings.push(`Port ${port} is privileged; a non-root container may not be able to bind it.`);
+    }
+
+    const manifests = {};
+
+    if (this.enabled(opts.configMap)) {
+      manifests.configMap = this.configMap(context, opts);
+    }
+
+    manifests.deployment = this.deployment(context, opts, manifests.configMap);
+
+    if (port && this.enabled(opts.service)) {
+      manifests.service = this.service(context, opts);
+    }
+
+    if (manifests.service && this.enabled(opts.ingress)) {
+      const ingress = this.options(opts.ingress);
+      if (!ingress.host) warnings.push(`No ingress host given; using ${name}.example.com.`);
+      manifests.ingress = this.ingress(context, ingress);
+    }
+
+    if (this.enabled(opts.hpa)) {
+      manifests.hpa = this.hpa(context, opts);
+    }
+
+    if (this.enabled(opts.pdb)) {
+      manifests.pdb = this.pdb(context, opts);
+    }
+
+    if (this.enabled(opts.networkPolicy)) {
+      manifests.networkPolicy = this.networkPolicy(context, opts, !!manifests.ingress);
+    }
+
+    const ordered = {};
+    MANIFEST_ORDER.filter(key => manifests[key]).forEach(key => {
+      ordered[key] = manifests[key];
+    });
+
+    return { manifests: ordered, yaml: this.toYaml(ordered), warnings };
+  }
+
+  deployment(context, opts, configMap) {
+    const { name, template, port, worker } = context;
+    const uid = RUNTIME_USERS[template] || 10001;
+    const secret = this.options(opts.secret);
+    const writable = WRITABLE_PATHS[template] || WRITABLE_PATHS.default;
+    const readOnly = opts.readOnlyRootFilesystem !== false;
+
+    const container = {
+      name,
+      image: opts.image || `${name}:latest`,
+      imagePullPolicy: 'IfNotPresent',
+      ports: port ? [{ name: 'http', containerPort: port, protocol: 'TCP' }] : undefined,
+      envFrom: [
+        configMap && { configMapRef: { name: configMap.metadata.name } },
+        this.enabled(opts.secret) && { secretRef: { name: secret.name || `${name}-secrets`, optional: true } }
+      ].filter(Boolean),
+      env: configMap ? undefined : this.envList(opts, port),
+      resources: this.resources(template, opts.resources),
+      ...this.probes(context, opts),
+      securityContext: {
+        allowPrivilegeEscalation: false,
+        readOnlyRootFilesystem: readOnly,
+        capabilities: { drop: ['ALL'] }
+      },
+      volumeMounts: readOnly ? writable.map((mountPath, index) => ({ name: `writable-${index}`, mountPath })) : undefined
+    };
+
+    // A changed ConfigMap rolls the pods, which only read it at start
+    const annotations = configMap
+      ? { 'checksum/config': crypto.createHash('sha256').update(JSON.stringify(configMap.data)).digest('hex') }
+      : undefined;
+
+    return this.clean({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: this.metadata(context),
+      spec: {
+        // The autoscaler owns the replica count; setting it here would reset it on every apply
+        replicas: this.enabled(opts.hpa) ? undefined : opts.replicas,
+        revisionHistoryLimit: 5,
+        selector: { matchLabels: context.selector },
+        strategy: {
+          type: 'RollingUpdate',
+          rollingUpdate: { maxSurge: '25%', maxUnavailable: 0 }
+        },
+        template: {
+          metadata: {
+            labels: context.labels,
+            annotations
+          },
+          spec: {
+            automountServiceAccountToken: false,
+            terminationGracePeriodSeconds: 30,
+            securityContext: {
+              runAsNonRoot: true,
+              runAsUser: uid,
+              runAsGroup: uid,
+              fsGroup: uid,
+              seccompProfile: { type: 'RuntimeDefault' }
+            },
+            // Spread replicas over zones and nodes where the cluster allows, without blocking scheduling
+            topologySpreadConstraints: ['topology.kubernetes.io/zone', 'kubernetes.io/hostname'].map(topologyKey => ({
+              maxSkew: 1,
+              topologyKey,
+              whenUnsatisfiable: 'ScheduleAnyway',
+              labelSelector: { matchLabels: context.selector }
+            })),
+            containers: [container],
+            volumes: readOnly ? writable.map((mountPath, index) => ({ name: `writable-${index}`, emptyDir: {} })) : undefined
+          }
+        }
+      }
+    });
+  }
+
+  resources(template, overrides = {}) {
+    const defaults = RUNTIME_RESOURCES[template] || RUNTIME_RESOURCES.node;
+
+    return this.clean({
+      requests: {
+        cpu: overrides.requests?.cpu || defaults.cpu,
+        memory: overrides.requests?.memory || defaults.memory
+      },
+      limits: {
+        cpu: overrides.limits?.cpu,
+        memory: overrides.limits?.memory || defaults.memoryLimit
+      }
+    });
+  }
+
+  /**
+   * HTTP probes on the application port. The startup probe gives slow
+   * starters (JVMs) room before liveness applies; workers have no port to
+   * probe and get none unless an exec command is given.
+   */
+  probes(context, opts) {
+    if (opts.probes === false) return {};
+
+    const probes = this.options(opts.probes);
+    let handler;
+    if (probes.command) {
+      handler = { exec: { command: probes.command } };
+    } else if (context.port && !context.worker) {
+      handler = { httpGet: { path: probes.path || '/', port: 'http' } };
+    } else {
+      return {};
+    }
+
+    const slowStart = context.template === 'java';
+    return {
+      startupProbe: { ...handler, periodSeconds: 5, failureThreshold: slowStart ? 60 : 30 },
+      readinessProbe: { ...handler, periodSeconds: 5, timeoutSeconds: 3, failureThreshold: 3 },
+      livenessProbe: { ...handler, periodSeconds: 10, timeoutSeconds: 3, failureThreshold: 3 }
+    };
+  }
+
+  configMap(context, opts) {
+    const data = {};
+    this.envList(opts, context.port).forEach(({ name, value }) => {
+      data[name] = String(value);
+    });
+
+    return {
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: this.metadata(context, `${context.name}-config`),
+      data
+    };
+  }
+
+  // Variables come as [{name, value}] or as a {NAME: value} map
+  envList(opts, port) {
+    const variables = Array.isArray(opts.env)
+      ? opts.env
+      : Object.entries(opts.env || {}).map(([name, value]) => ({ name, value }));
+    const env = variables.filter(variable => variable?.name);
+    if (port && !env.some(variable => variable.name === 'PORT')) {
+      env.unshift({ name: 'PORT', value: String(port) });
+    }
+    return env.map(({ name, value }) => ({ name, value: value === undefined || value === null ? '' : String(value) }));
+  }
+
+  service(context, opts) {
+    const service = this.options(opts.service);
+
+    return {
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: this.metadata(context),
+      spec: {
+        type: service.type || 'ClusterIP',
+        selector: context.selector,
+        ports: [{ name: 'http', port: service.port || 80, targetPort: 'http', protocol: 'TCP' }]
+      }
+    };
+  }
+
+  ingress(context, ingress) {
+    const host = ingress.host || `${context.name}.example.com`;
+    const tls = ingress.tls !== false;
+
+    return this.clean({
+      apiVersion: 'networking.k8s.io/v1',
+      kind: 'Ingress',
+      metadata: {
+        ...this.metadata(context),
+        annotations: ingress.clusterIssuer ? { 'cert-manager.io/cluster-issuer': ingress.clusterIssuer } : undefined
+      },
+      spec: {
+        ingressClassName: ingress.className || 'nginx',
+        tls: tls ? [{ hosts: [host], secretName: ingress.tlsSecret || `${context.name}-tls` }] : undefined,
+        rules: [{
+          host,
+          http: {
+            paths: [{
+              path: '/',
+              pathType: 'Prefix',
+              backend: { service: { name: context.name, port: { name: 'http' } } }
+            }]
+          }
+        }]
+      }
+    });
+  }
+
+  hpa(context, opts) {
+    const hpa = this.options(opts.hpa);
+    const minReplicas = hpa.minReplicas || opts.replicas;
+    const metric = (resource, averageUtilization) => ({
+      type: 'Resource',
+      resource: { name: resource, target: { type: 'Utilization', averageUtilization } }
+    });
+
+    return {
+      apiVersion: 'autoscaling/v2',
+      kind: 'HorizontalPodAutoscaler',
+      metadata: this.metadata(context),
+      spec: {
+        scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: context.name },
+        minReplicas,
+        maxReplicas: Math.max(hpa.maxReplicas || minReplicas * 5, minReplicas),
+        metrics: [
+          metric('cpu', hpa.cpu || 70),
+          hpa.memory && metric('memory', hpa.memory)
+        ].filter(Boolean)
+      }
+    };
+  }
+
+  // maxUnavailable rather than minAvailable so a single replica never blocks node drains
+  pdb(context, opts) {
+    const pdb = this.options(opts.pdb);
+
+    return {
+      apiVersion: 'policy/v1',
+      kind: 'PodDisruptionBudget',
+      metadata: this.metadata(context),
+      spec: {
+        maxUnavailable: pdb.maxUnavailable || 1,
+        selector: { matchLabels: context.selector }
+      }
+    };
+  }
+
+  /**
+   * Only the ingress controller and pods of the same namespace reach the
+   * application port; workers accept no traffic. Egress is left open so
+   * DNS and databases keep working.
+   */
+  networkPolicy(context, opts, exposed) {
+    const policy = this.options(opts.networkPolicy);
+    const from = [{ podSelector: {} }];
+    if (exposed) {
+      from.push({
+        namespaceSelector: {
+          matchLabels: { 'kubernetes.io/metadata.name': policy.ingressNamespace || 'ingress-nginx' }
+        }
+      });
+    }
+
+    return {
+      apiVersion: 'networking.k8s.io/v1',
+      kind: 'NetworkPolicy',
+      metadata: this.metadata(context),
+      spec: {
+        podSelector: { matchLabels: context.selector },
+        policyTypes: ['Ingress'],
+        ingress: context.port && !context.worker
+          ? [{ from, ports: [{ protocol: 'TCP', port: context.port }] }]
+          : []
+      }
+    };
+  }
+
+  metadata(context, name = context.name) {
+    return {
+      name,
+      namespace: context.namespace,
+      labels: context.labels
+    };
+  }
+
+  // `true`, `false` or an object of settings for one piece
+  enabled(option) {
+    return option !== false && option !== undefined && option !== null && option.enabled !== false;
+  }
+
+  options(option) {
+    return option && typeof option === 'object' ? option : {};
+  }
+
+  // Object names are DNS-1123 labels
+  dnsName(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 63)
+      .replace(/-+$/, '') || 'app';
+  }
+
+  clean(manifest) {
+    return JSON.parse(JSON.stringify(manifest, (key, value) => (
+      Array.isArray(value) && value.length === 0 && ['envFrom', 'volumeMounts', 'volumes'].includes(key) ? undefined : value
+    )));
+  }
+
+  toYaml(manifests) {
+    return Object.values(manifests)
+      .map(manifest => `---\n${yaml.dump(manifest, { noRefs: true, lineWidth: -1 })}`)
+      .join('');
+  }
+}
+
+module.exports = new K8sManifestGenerator();
+module.exports.RUNTIME_USERS = RUNTIME_USERS;
@@ -1,6 +1,19 @@
+const fs = require('fs');
+const os = require('os');
 const k8s = require('@kubernetes/client-node');
+const YAML = require('yaml');
+const config = require('../config/appConfig');
+const { diff } = require('./kubernetes/diff');
 const logger = require('../utils/logger');
 
+// Install order for one apply, as Helm uses: what other objects need comes first. Unlisted kinds go last
+const APPLY_ORDER = [
+  'Namespace', 'NetworkPolicy', 'ResourceQuota', 'LimitRange', 'PodDisruptionBudget', 'ServiceAccount',
+  'Secret', 'ConfigMap', 'StorageClass', 'PersistentVolume', 'PersistentVolumeClaim', 'CustomResourceDefinition',
+  'ClusterRole', 'ClusterRoleBinding', 'Role', 'RoleBinding', 'Service', 'DaemonSet', 'Pod',
+  'ReplicaSet', 'Deployment', 'HorizontalPodAutoscaler', 'StatefulSet', 'Job', 'CronJob', 'IngressClass', 'Ingress'
+];
+
 class K8sService {
   constructor() {
     this.kc = new k8s.KubeConfig();
@@ -9,14 +22,15 @@ class K8sService {
 
   async initialize() {
     try {
-      this.kc.loadFromDefault();
+      this.loadConfig();
       this.k8sApi = this.kc.makeApiClient(k8s.CoreV1Api);
       this.appsApi = this.kc.makeApiClient(k8s.AppsV1Api);
+      this.objectApi = k8s.KubernetesObjectApi.makeApiClient(this.kc);
       
       // Test connection
       await this.k8sApi.listNamespace();
       this.connected = true;
-      logger.info('✅ Kubernetes service connected');
+      logger.info(`✅ Kubernetes service connected to ${this.kc.getCurrentCluster()?.server}`);
       return true;
     } catch (error) {
       logger.warn('⚠️ Kubernetes not available, using mock operations');
@@ -25,6 +39,39 @@ class K8sService {
     }
   }
 
+  // A bare API server URL wins over the kubeconfig, so a proxy or mock server needs no credentials
+  loadConfig() {
+    const settings = config.services.kubernetes;
+    this.kc = new k8s.KubeConfig();
+
+    if (settings.apiServer) {
+      // Certificates are verified unless nothing leaves the host (kubectl proxy, a local mock)
+      const { protocol, hostname } = new URL(settings.apiServer);
+      const local = protocol === 'http:' || ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+      this.kc.loadFromOptions({
+        clusters: [{
+          name: 'api-server',
+          server: settings.apiServer,
+          caFile: settings.caFile,
+          caData: settings.caData,
+          skipTLSVerify: local && !settings.caFile && !settings.caData
+        }],
+        users: [{ name: 'api-server' }],
+        contexts: [{ name: 'api-server', cluster: 'api-server', user: 'api-server', namespace: settings.namespace }],
+        currentContext: 'api-server'
+      });
+      return;
+    }
+
+    const configPath = settings.configPath.replace(/^~(?=\/)/, os.homedir());
+    if (!process.env.KUBECONFIG && fs.existsSync(configPath)) {
+      this.kc.loadFromFile(configPath);
+    } else {
+      this.kc.loadFromDefault();
+    }
+    if (settings.context) this.kc.setCurrentContext(settings.context);
+  }
+
   async listDeployments(namespace = 'default', options = {}) {
     if (!this.connected) {
       return this.mockListDeployments(namespace, options);
@@ -125,19 +172,195 @@ class K8sService {
       return this.mockCreateDeployment(deployment, namespace);
     }
 
-    try {
-      const response = await this.appsApi.createNamespacedDeployment(
-        namespace,
-        deployment
-      );
+    const { results } = await this.apply([{ apiVersion: 'apps/v1', kind: 'Deployment', ...deployment }], { namespace });
+    const [result] = results;
+    if (result.status === 'failed') {
+      const error = new Error(result.error);
+      error.status = result.statusCode;
+      logger.error('Create deployment failed:', error);
+      throw error;
+    }
 
-      return {
-        name: response.body.metadata.name,
-        namespace: response.body.metadata.namespace,
-        status: 'created'
+    return {
+      name: result.name,
+      namespace: result.namespace,
+      status: result.status
+    };
+  }
+
+  /**
+   * Parse multi-document YAML into objects, skipping blank documents.
+   * Throws a 400 error naming the first unparsable document.
+   */
+  parseManifests(source) {
+    const documents = YAML.parseAllDocuments(String(source));
+    const manifests = [];
+
+    documents.forEach((document, index) => {
+      if (document.errors.length) {
+        const error = new Error(`Document ${index} is not valid YAML: ${document.errors[0].message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`);
+        error.status = 400;
+        throw error;
+      }
+      const manifest = document.toJS();
+      if (manifest === null || manifest === undefined) return;
+      // `kind: List` (kubectl get -o yaml) holds the objects in items
+      const objects = manifest?.kind === 'List' && Array.isArray(manifest.items) ? manifest.items : [manifest];
+      if (objects.some(object => !object || typeof object !== 'object' || !object.apiVersion || !object.kind || !object.metadata?.name)) {
+        const error = new Error(`Document ${index} is not a Kubernetes object with apiVersion, kind and metadata.name`);
+        error.status = 400;
+        throw error;
+      }
+      manifests.push(...objects);
+    });
+
+    return manifests;
+  }
+
+  /**
+   * Namespace that objects without one are applied to: the requested one,
+   * else the kubeconfig context's, else K8S_NAMESPACE. Resolve it once and
+   * pass the result to both checkApplyPolicy and apply.
+   * @param {string} [namespace]
+   * @returns {Promise<string>}
+   */
+  async applyNamespace(namespace) {
+    if (!this.connected && !(await this.initialize())) {
+      const error = new Error('Kubernetes cluster is not reachable');
+      error.status = 503;
+      throw error;
+    }
+    return namespace || this.kc.getContextObject(this.kc.getCurrentContext())?.namespace || config.services.kubernetes.namespace;
+  }
+
+  /**
+   * Refuse manifests outside the kinds and namespaces apply is allowed to
+   * touch (config.services.kubernetes.apply). Namespace objects count as
+   * the namespace they create.
+   * @param {Object[]} manifests
+   * @param {string} namespace - Where objects without one go, from applyNamespace
+   */
+  checkApplyPolicy(manifests, namespace) {
+    const { kinds, namespaces } = config.services.kubernetes.apply;
+    const refused = [];
+
+    manifests.forEach(manifest => {
+      const label = `${manifest.kind}/${manifest.metadata.name}`;
+      const target = manifest.kind === 'Namespace' ? manifest.metadata.name : manifest.metadata.namespace || namespace;
+
+      if (!kinds.includes(manifest.kind)) {
+        refused.push(`${label}: kind ${manifest.kind} is not allowed`);
+      } else if (!namespaces.includes(target)) {
+        refused.push(`${label}: namespace ${target} is not allowed`);
+      }
+    });
+
+    if (refused.length) {
+      const error = new Error(`Apply refused: ${refused.join('; ')}`);
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Server-side apply, one object at a time in install order. Each kind is
+   * resolved to its API group and scope through the cluster's discovery
+   * API. In dry-run mode the server runs admission and defaulting without
+   * persisting anything, so the result shows what an apply would change.
+   * @param {Object[]} manifests
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - For namespaced objects without one; see applyNamespace
+   * @param {boolean} [options.dryRun=false]
+   * @param {boolean} [options.force=false] - Take over fields another field manager owns
+   * @returns {Promise<{dryRun: boolean, results: Object[], summary: Object}>}
+   *   results carry {apiVersion, kind, name, namespace, status, changes, error};
+   *   status is created, configured, unchanged or failed
+   */
+  async apply(manifests, options = {}) {
+    const { dryRun = false, force = false } = options;
+    const namespace = await this.applyNamespace(options.namespace);
+    const rank = kind => (APPLY_ORDER.includes(kind) ? APPLY_ORDER.indexOf(kind) : APPLY_ORDER.length);
+    const ordered = manifests
+      .map((manifest, index) => ({ manifest, index }))
+      .sort((a, b) => rank(a.manifest.kind) - rank(b.manifest.kind) || a.index - b.index)
+      .map(({ manifest }) => manifest);
+
+    // Namespaces a dry run would create; objects inside them cannot be dry-run against the server
+    const plannedNamespaces = new Set();
+    const results = [];
+
+    for (const manifest of ordered) {
+      const result = {
+        apiVersion: manifest.apiVersion,
+        kind: manifest.kind,
+        name: manifest.metadata?.name
       };
+      results.push(result);
+
+      try {
+        const resource = await this.objectApi.resource(manifest.apiVersion, manifest.kind).catch(error => {
+          if (error.statusCode !== 404) throw error;
+          throw Object.assign(new Error(`${manifest.apiVersion} is not served by this cluster`), { statusCode: 404 });
+        });
+        if (!resource) {
+          throw Object.assign(new Error(`${manifest.kind} is not served by ${manifest.apiVersion} on this cluster`), { statusCode: 404 });
+        }
+
+        const object = JSON.parse(JSON.stringify(manifest));
+        if (resource.namespaced) {
+          object.metadata.namespace = object.metadata.namespace || namespace;
+          result.namespace = object.metadata.namespace;
+        } else {
+          delete object.metadata.namespace;
+        }
+
+        if (dryRun && plannedNamespaces.has(result.namespace)) {
+          Object.assign(result, { status: 'created', changes: [], note: `Namespace ${result.namespace} is created by this apply` });
+          continue;
+        }
+
+        const live = await this.readObject(object);
+        const { body: applied } = await this.objectApi.patch(
+          object,
+          undefined,
+          dryRun ? 'All' : undefined,
+          config.services.kubernetes.fieldManager,
+          force,
+          { headers: { 'content-type': k8s.PatchUtils.PATCH_FORMAT_APPLY_YAML } }
+        );
+
+        Object.assign(result, diff(live, applied));
+        if (dryRun && manifest.kind === 'Namespace' && result.status === 'created') {
+          plannedNamespaces.add(result.name);
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.statusCode = error.statusCode || error.response?.statusCode;
+        result.error = error.body?.message || error.message;
+        // Server-side apply refuses to overwrite fields owned by another manager unless forced
+        if (result.statusCode === 409) {
+          result.error = `${result.error}. Apply with force to take ownership of these fields`;
+        }
+        logger.warn(`Apply of ${manifest.kind}/${result.name} failed: ${result.error}`);
+      }
+    }
+
+    const summary = { created: 0, configured: 0, unchanged: 0, failed: 0 };
+    results.forEach(result => { summary[result.status]++; });
+
+    return { dryRun, namespace, results, summary };
+  }
+
+  async readObject(object) {
+    try {
+      const { body } = await this.objectApi.read({
+        apiVersion: object.apiVersion,
+        kind: object.kind,
+        metadata: { name: object.metadata.name, namespace: object.metadata.namespace }
+      });
+      return body;
     } catch (error) {
-      logger.error('Create deployment failed:', error);
+      if (error.statusCode === 404) return null;
       throw error;
     }
   }
@@ -0,0 +1,80 @@
+/**
+ * Field-level diff between two versions of a Kubernetes object as the API
+ * server returns them (live object vs. server-side dry-run result), with
+ * the fields the server maintains itself left out.
+ */
+
+const { toJsonPath } = require('./jsonPath');
+
+const SERVER_METADATA = ['uid', 'resourceVersion', 'generation', 'creationTimestamp', 'deletionTimestamp', 'managedFields', 'selfLink'];
+
+// Annotations written by controllers and older clients rather than by the manifest
+const SERVER_ANNOTATIONS = ['kubectl.kubernetes.io/last-applied-configuration', 'deployment.kubernetes.io/revision'];
+
+const REDACTED = '(redacted)';
+
+function normalize(object) {
+  if (!object) return null;
+
+  const { status, ...rest } = JSON.parse(JSON.stringify(object));
+  const metadata = { ...rest.metadata };
+  SERVER_METADATA.forEach(field => delete metadata[field]);
+  if (metadata.annotations) {
+    SERVER_ANNOTATIONS.forEach(annotation => delete metadata.annotations[annotation]);
+    if (!Object.keys(metadata.annotations).length) delete metadata.annotations;
+  }
+
+  return { ...rest, metadata };
+}
+
+function compare(before, after, segments, changes) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  const bothObjects = before && after && typeof before === 'object' && typeof after === 'object';
+  if (bothObjects && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    keys.forEach(key => compare(before[key], after[key], [...segments, key], changes));
+    return;
+  }
+
+  changes.push({
+    path: segments,
+    type: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed',
+    before,
+    after
+  });
+}
+
+/**
+ * @param {Object|null} before - Live object, or null when it does not exist yet
+ * @param {Object} after - Object as the server would store it
+ * @returns {{status: 'created'|'configured'|'unchanged', changes: Object[]}}
+ *   `changes` lists leaf values as {path, type, before, after}; Secret values are redacted
+ */
+function diff(before, after) {
+  if (!before) return { status: 'created', changes: [] };
+
+  const changes = [];
+  compare(normalize(before), normalize(after), [], changes);
+
+  const secret = after.kind === 'Secret';
+  return {
+    status: changes.length ? 'configured' : 'unchanged',
+    changes: changes.map(({ path, type, before: from, after: to }) => {
+      const sensitive = secret && ['data', 'stringData'].includes(path[0]);
+      return {
+        path: toJsonPath(path),
+        type,
+        ...(from !== undefined && { before: sensitive ? REDACTED : from }),
+        ...(to !== undefined && { after: sensitive ? REDACTED : to })
+      };
+    })
+  };
+}
+
+module.exports = {
+  diff,
+  normalize
+};
@@ -0,0 +1,20 @@
+// ["spec", "containers", 0, "image"] -> $.spec.containers[0].image
+function toJsonPath(segments) {
+  return segments.reduce((path, segment) => {
+    if (typeof segment === 'number') return `${path}[${segment}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${path}.${segment}` : `${path}['${segment}']`;
+  }, '$');
+}
+
+// "/spec/containers/0/image" (JSON pointer, as Ajv reports it) -> ["spec", "containers", 0, "image"]
+function pointerSegments(pointer) {
+  return pointer.split('/').slice(1).map(part => {
+    const segment = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(segment) ? Number(segment) : segment;
+  });
+}
+
+module.exports = {
+  toJsonPath,
+  pointerSegments
+};
@@ -0,0 +1,519 @@
+/**
+ * JSON schemas for the Kubernetes objects AutoPilotDev generates and most
+ * applications ship, per supported Kubernetes minor version. They follow
+ * the API's OpenAPI definitions for the fields that matter when writing
+ * manifests by hand and, like `kubectl --validate=strict`, reject unknown
+ * fields on the core objects; rarely written sub-objects (affinity, volume
+ * sources, lifecycle hooks) are only checked for their type.
+ */
+
+const SUPPORTED_VERSIONS = ['1.27', '1.28', '1.29', '1.30', '1.31'];
+const DEFAULT_VERSION = SUPPORTED_VERSIONS[SUPPORTED_VERSIONS.length - 1];
+
+// Group versions the API server stopped serving, so old manifests get a pointer instead of "no schema"
+const REMOVED_APIS = {
+  'extensions/v1beta1': { removedIn: '1.22', kinds: { Deployment: 'apps/v1', DaemonSet: 'apps/v1', ReplicaSet: 'apps/v1', Ingress: 'networking.k8s.io/v1', NetworkPolicy: 'networking.k8s.io/v1' } },
+  'apps/v1beta1': { removedIn: '1.16', kinds: { Deployment: 'apps/v1', StatefulSet: 'apps/v1' } },
+  'apps/v1beta2': { removedIn: '1.16', kinds: { Deployment: 'apps/v1', StatefulSet: 'apps/v1', DaemonSet: 'apps/v1', ReplicaSet: 'apps/v1' } },
+  'networking.k8s.io/v1beta1': { removedIn: '1.22', kinds: { Ingress: 'networking.k8s.io/v1', IngressClass: 'networking.k8s.io/v1' } },
+  'batch/v1beta1': { removedIn: '1.25', kinds: { CronJob: 'batch/v1' } },
+  'policy/v1beta1': { removedIn: '1.25', kinds: { PodDisruptionBudget: 'policy/v1' } },
+  'autoscaling/v2beta1': { removedIn: '1.25', kinds: { HorizontalPodAutoscaler: 'autoscaling/v2' } },
+  'autoscaling/v2beta2': { removedIn: '1.26', kinds: { HorizontalPodAutoscaler: 'autoscaling/v2' } }
+};
+
+const minor = version => Number(String(version).split('.')[1]);
+
+const ref = name => ({ $ref: `#/definitions/${name}` });
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const integer = { type: 'integer' };
+const object = { type: 'object' };
+const stringMap = { type: 'object', additionalProperties: string };
+const arrayOf = items => ({ type: 'array', items });
+const enumOf = (...values) => ({ type: 'string', enum: values });
+const intOrString = { type: ['integer', 'string'] };
+
+// Fields every object in `properties` may have; none of the others
+const strict = (properties, required) => ({
+  type: 'object',
+  properties,
+  additionalProperties: false,
+  ...(required && { required })
+});
+
+// Top-level object of one kind: apiVersion and kind pinned, metadata with a name
+const resource = (apiVersion, kind, properties, required = []) => strict({
+  apiVersion: { const: apiVersion },
+  kind: { const: kind },
+  metadata: ref('ObjectMeta'),
+  ...properties
+}, ['apiVersion', 'kind', 'metadata', ...required]);
+
+function definitions(version) {
+  const since = (release, properties) => (minor(version) >= minor(release) ? properties : {});
+
+  return {
+    Quantity: { type: ['string', 'number'], pattern: '^[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+|[KMGTPE]i?|[munkMGTPE])?$' },
+
+    ObjectMeta: strict({
+        name: { type: 'string', maxLength: 253, pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$' },
+        generateName: string,
+        namespace: { type: 'string', maxLength: 63, pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$' },
+        labels: stringMap,
+        annotations: stringMap,
+        uid: string,
+        resourceVersion: string,
+        generation: integer,
+        creationTimestamp: { type: ['string', 'null'] },
+        deletionTimestamp: string,
+        deletionGracePeriodSeconds: integer,
+        ownerReferences: arrayOf(object),
+        finalizers: arrayOf(string),
+        managedFields: arrayOf(object),
+        selfLink: string
+      }, ['name']),
+
+    LabelSelector: strict({
+      matchLabels: stringMap,
+      matchExpressions: arrayOf(strict({
+        key: string,
+        operator: enumOf('In', 'NotIn', 'Exists', 'DoesNotExist'),
+        values: arrayOf(string)
+      }, ['key', 'operator']))
+    }),
+
+    ResourceRequirements: strict({
+      limits: { type: 'object', additionalProperties: ref('Quantity') },
+      requests: { type: 'object', additionalProperties: ref('Quantity') },
+      claims: arrayOf(strict({ name: string }, ['name']))
+    }),
+
+    EnvVar: strict({
+      name: string,
+      value: string,
+      valueFrom: strict({
+        configMapKeyRef: strict({ name: string, key: string, optional: boolean }, ['key']),
+        secretKeyRef: strict({ name: string, key: string, optional: boolean }, ['key']),
+        fieldRef: strict({ apiVersion: string, fieldPath: string }, ['fieldPath']),
+        resourceFieldRef: strict({ containerName: string, resource: string, divisor: ref('Quantity') }, ['resource'])
+      })
+    }, ['name']),
+
+    EnvFromSource: strict({
+      prefix: string,
+      configMapRef: strict({ name: string, optional: boolean }),
+      secretRef: strict({ name: string, optional: boolean })
+    }),
+
+    ContainerPort: strict({
+      name: { type: 'string', maxLength: 15 },
+      containerPort: { type: 'integer', minimum: 1, maximum: 65535 },
+      hostPort: { type: 'integer', minimum: 1, maximum: 65535 },
+      hostIP: string,
+      protocol: enumOf('TCP', 'UDP', 'SCTP')
+    }, ['containerPort']),
+
+    Probe: strict({
+      exec: strict({ command: arrayOf(string) }),
+      httpGet: strict({
+        path: string,
+        port: intOrString,
+        host: string,
+        scheme: enumOf('HTTP', 'HTTPS'),
+        httpHeaders: arrayOf(strict({ name: string, value: string }, ['name', 'value']))
+      }, ['port']),
+      tcpSocket: strict({ port: intOrString, host: string }, ['port']),
+      grpc: strict({ port: integer, service: string }, ['port']),
+      initialDelaySeconds: { type: 'integer', minimum: 0 },
+      timeoutSeconds: { type: 'integer', minimum: 1 },
+      periodSeconds: { type: 'integer', minimum: 1 },
+      successThreshold: { type: 'integer', minimum: 1 },
+      failureThreshold: { type: 'integer', minimum: 1 },
+      terminationGracePeriodSeconds: integer
+    }),
+
+    Capabilities: strict({ add: arrayOf(string), drop: arrayOf(string) }),
+
+    SeccompProfile: strict({ type: enumOf('RuntimeDefault', 'Localhost', 'Unconfined'), localhostProfile: string }, ['type']),
+
+    SecurityContext: strict({
+      privileged: boolean,
+      allowPrivilegeEscalation: boolean,
+      readOnlyRootFilesystem: boolean,
+      runAsNonRoot: boolean,
+      runAsUser: integer,
+      runAsGroup: integer,
+      capabilities: ref('Capabilities'),
+      seccompProfile: ref('SeccompProfile'),
+      seLinuxOptions: object,
+      windowsOptions: object,
+      procMount: enumOf('Default', 'Unmasked'),
+      ...since('1.30', { appArmorProfile: object })
+    }),
+
+    PodSecurityContext: strict({
+      runAsNonRoot: boolean,
+      runAsUser: integer,
+      runAsGroup: integer,
+      fsGroup: integer,
+      fsGroupChangePolicy: enumOf('OnRootMismatch', 'Always'),
+      supplementalGroups: arrayOf(integer),
+      sysctls: arrayOf(strict({ name: string, value: string }, ['name', 'value'])),
+      seccompProfile: ref('SeccompProfile'),
+      seLinuxOptions: object,
+      windowsOptions: object,
+      ...since('1.30', { appArmorProfile: object }),
+      ...since('1.31', { supplementalGroupsPolicy: enumOf('Merge', 'Strict') })
+    }),
+
+    VolumeMount: strict({
+      name: string,
+      mountPath: string,
+      subPath: string,
+      subPathExpr: string,
+      readOnly: boolean,
+      mountPropagation: enumOf('None', 'HostToContainer', 'Bidirectional'),
+      ...since('1.30', { recursiveReadOnly: enumOf('Disabled', 'IfPossible', 'Enabled') })
+    }, ['name', 'mountPath']),
+
+    Container: strict({
+      name: { type: 'string', maxLength: 63, pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$' },
+      image: string,
+      imagePullPolicy: enumOf('Always', 'IfNotPresent', 'Never'),
+      command: arrayOf(string),
+      args: arrayOf(string),
+      workingDir: string,
+      ports: arrayOf(ref('ContainerPort')),
+      env: arrayOf(ref('EnvVar')),
+      envFrom: arrayOf(ref('EnvFromSource')),
+      resources: ref('ResourceRequirements'),
+      volumeMounts: arrayOf(ref('VolumeMount')),
+      volumeDevices: arrayOf(strict({ name: string, devicePath: string }, ['name', 'devicePath'])),
+      livenessProbe: ref('Probe'),
+      readinessProbe: ref('Probe'),
+      startupProbe: ref('Probe'),
+      lifecycle: object,
+      securityContext: ref('SecurityContext'),
+      terminationMessagePath: string,
+      terminationMessagePolicy: enumOf('File', 'FallbackToLogsOnError'),
+      stdin: boolean,
+      stdinOnce: boolean,
+      tty: boolean,
+      ...since('1.27', { resizePolicy: arrayOf(strict({ resourceName: string, restartPolicy: string }, ['resourceName', 'restartPolicy'])) }),
+      // Native sidecars: only valid on init containers, which the API server checks
+      ...since('1.28', { restartPolicy: enumOf('Always') })
+    }, ['name']),
+
+    // One of many volume sources; only hostPath is spelled out, for the policy checks
+    Volume: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 63, pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$' },
+        hostPath: strict({ path: string, type: string }, ['path']),
+        emptyDir: strict({ medium: string, sizeLimit: ref('Quantity') }),
+        configMap: object,
+        secret: object,
+        persistentVolumeClaim: strict({ claimName: string, readOnly: boolean }, ['claimName']),
+        projected: object
+      },
+      required: ['name']
+    },
+
+    PodSpec: strict({
+      containers: { ...arrayOf(ref('Container')), minItems: 1 },
+      initContainers: arrayOf(ref('Container')),
+      ephemeralContainers: arrayOf(object),
+      volumes: arrayOf(ref('Volume')),
+      restartPolicy: enumOf('Always', 'OnFailure', 'Never'),
+      terminationGracePeriodSeconds: { type: 'integer', minimum: 0 },
+      activeDeadlineSeconds: { type: 'integer', minimum: 1 },
+      dnsPolicy: enumOf('ClusterFirst', 'ClusterFirstWithHostNet', 'Default', 'None'),
+      dnsConfig: object,
+      nodeSelector: stringMap,
+      nodeName: string,
+      serviceAccountName: string,
+      serviceAccount: string,
+      automountServiceAccountToken: boolean,
+      hostNetwork: boolean,
+      hostPID: boolean,
+      hostIPC: boolean,
+      hostUsers: boolean,
+      shareProcessNamespace: boolean,
+      securityContext: ref('PodSecurityContext'),
+      imagePullSecrets: arrayOf(strict({ name: string })),
+      hostname: string,
+      subdomain: string,
+      setHostnameAsFQDN: boolean,
+      hostAliases: arrayOf(object),
+      affinity: object,
+      tolerations: arrayOf(object),
+      topologySpreadConstraints: arrayOf(strict({
+        maxSkew: { type: 'integer', minimum: 1 },
+        topologyKey: string,
+        whenUnsatisfiable: enumOf('DoNotSchedule', 'ScheduleAnyway'),
+        labelSelector: ref('LabelSelector'),
+        minDomains: integer,
+        nodeAffinityPolicy: enumOf('Honor', 'Ignore'),
+        nodeTaintsPolicy: enumOf('Honor', 'Ignore'),
+        matchLabelKeys: arrayOf(string)
+      }, ['maxSkew', 'topologyKey', 'whenUnsatisfiable'])),
+      schedulerName: string,
+      schedulingGates: arrayOf(strict({ name: string }, ['name'])),
+      priorityClassName: string,
+      priority: integer,
+      preemptionPolicy: enumOf('PreemptLowerPriority', 'Never'),
+      runtimeClassName: string,
+      enableServiceLinks: boolean,
+      readinessGates: arrayOf(object),
+      overhead: object,
+      os: strict({ name: enumOf('linux', 'windows') }, ['name']),
+      resourceClaims: arrayOf(object)
+    }, ['containers']),
+
+    PodTemplateSpec: strict({
+      metadata: strict({ name: string, namespace: string, labels: stringMap, annotations: stringMap, creationTimestamp: { type: ['string', 'null'] } }),
+      spec: ref('PodSpec')
+    }),
+
+    Deployment: resource('apps/v1', 'Deployment', {
+      spec: strict({
+        replicas: { type: 'integer', minimum: 0 },
+        selector: ref('LabelSelector'),
+        template: ref('PodTemplateSpec'),
+        strategy: strict({
+          type: enumOf('RollingUpdate', 'Recreate'),
+          rollingUpdate: strict({ maxSurge: intOrString, maxUnavailable: intOrString })
+        }),
+        minReadySeconds: { type: 'integer', minimum: 0 },
+        revisionHistoryLimit: { type: 'integer', minimum: 0 },
+        progressDeadlineSeconds: { type: 'integer', minimum: 1 },
+        paused: boolean
+      }, ['selector', 'template']),
+      status: object
+    }, ['spec']),
+
+    StatefulSet: resource('apps/v1', 'StatefulSet', {
+      spec: strict({
+        replicas: { type: 'integer', minimum: 0 },
+        selector: ref('LabelSelector'),
+        template: ref('PodTemplateSpec'),
+        serviceName: string,
+        volumeClaimTemplates: arrayOf(object),
+        podManagementPolicy: enumOf('OrderedReady', 'Parallel'),
+        updateStrategy: strict({
+          type: enumOf('RollingUpdate', 'OnDelete'),
+          rollingUpdate: strict({ partition: integer, maxUnavailable: intOrString })
+        }),
+        minReadySeconds: { type: 'integer', minimum: 0 },
+        revisionHistoryLimit: { type: 'integer', minimum: 0 },
+        persistentVolumeClaimRetentionPolicy: strict({ whenDeleted: enumOf('Retain', 'Delete'), whenScaled: enumOf('Retain', 'Delete') }),
+        ordinals: strict({ start: { type: 'integer', minimum: 0 } })
+      }, ['selector', 'template']),
+      status: object
+    }, ['spec']),
+
+    DaemonSet: resource('apps/v1', 'DaemonSet', {
+      spec: strict({
+        selector: ref('LabelSelector'),
+        template: ref('PodTemplateSpec'),
+        updateStrategy: strict({
+          type: enumOf('RollingUpdate', 'OnDelete'),
+          rollingUpdate: strict({ maxSurge: intOrString, maxUnavailable: intOrString })
+        }),
+        minReadySeconds: { type: 'integer', minimum: 0 },
+        revisionHistoryLimit: { type: 'integer', minimum: 0 }
+      }, ['selector', 'template']),
+      status: object
+    }, ['spec']),
+
+    JobSpec: strict({
+      template: ref('PodTemplateSpec'),
+      selector: ref('LabelSelector'),
+      manualSelector: boolean,
+      parallelism: { type: 'integer', minimum: 0 },
+      completions: { type: 'integer', minimum: 0 },
+      completionMode: enumOf('NonIndexed', 'Indexed'),
+      backoffLimit: { type: 'integer', minimum: 0 },
+      activeDeadlineSeconds: { type: 'integer', minimum: 1 },
+      ttlSecondsAfterFinished: { type: 'integer', minimum: 0 },
+      suspend: boolean,
+      podFailurePolicy: object,
+      ...since('1.28', { backoffLimitPerIndex: integer, maxFailedIndexes: integer, podReplacementPolicy: enumOf('TerminatingOrFailed', 'Failed') }),
+      ...since('1.30', { successPolicy: object }),
+      ...since('1.31', { managedBy: string })
+    }, ['template']),
+
+    Job: resource('batch/v1', 'Job', { spec: ref('JobSpec'), status: object }, ['spec']),
+
+    CronJob: resource('batch/v1', 'CronJob', {
+      spec: strict({
+        schedule: string,
+        timeZone: string,
+        jobTemplate: strict({ metadata: object, spec: ref('JobSpec') }, ['spec']),
+        concurrencyPolicy: enumOf('Allow', 'Forbid', 'Replace'),
+        startingDeadlineSeconds: integer,
+        suspend: boolean,
+        successfulJobsHistoryLimit: { type: 'integer', minimum: 0 },
+        failedJobsHistoryLimit: { type: 'integer', minimum: 0 }
+      }, ['schedule', 'jobTemplate']),
+      status: object
+    }, ['spec']),
+
+    Pod: resource('v1', 'Pod', { spec: ref('PodSpec'), status: object }, ['spec']),
+
+    Service: resource('v1', 'Service', {
+      spec: strict({
+        type: enumOf('ClusterIP', 'NodePort', 'LoadBalancer', 'ExternalName'),
+        selector: stringMap,
+        ports: arrayOf(strict({
+          name: string,
+          port: { type: 'integer', minimum: 1, maximum: 65535 },
+          targetPort: intOrString,
+          nodePort: { type: 'integer', minimum: 1, maximum: 65535 },
+          protocol: enumOf('TCP', 'UDP', 'SCTP'),
+          appProtocol: string
+        }, ['port'])),
+        clusterIP: string,
+        clusterIPs: arrayOf(string),
+        externalName: string,
+        externalIPs: arrayOf(string),
+        externalTrafficPolicy: enumOf('Cluster', 'Local'),
+        internalTrafficPolicy: enumOf('Cluster', 'Local'),
+        sessionAffinity: enumOf('ClientIP', 'None'),
+        sessionAffinityConfig: object,
+        loadBalancerClass: string,
+        loadBalancerIP: string,
+        loadBalancerSourceRanges: arrayOf(string),
+        allocateLoadBalancerNodePorts: boolean,
+        healthCheckNodePort: integer,
+        ipFamilies: arrayOf(enumOf('IPv4', 'IPv6')),
+        ipFamilyPolicy: enumOf('SingleStack', 'PreferDualStack', 'RequireDualStack'),
+        publishNotReadyAddresses: boolean,
+        ...since('1.31', { trafficDistribution: string })
+      }),
+      status: object
+    }),
+
+    IngressBackend: strict({
+      service: strict({
+        name: string,
+        port: strict({ name: string, number: { type: 'integer', minimum: 1, maximum: 65535 } })
+      }, ['name']),
+      resource: strict({ apiGroup: string, kind: string, name: string }, ['kind', 'name'])
+    }),
+
+    Ingress: resource('networking.k8s.io/v1', 'Ingress', {
+      spec: strict({
+        ingressClassName: string,
+        defaultBackend: ref('IngressBackend'),
+        tls: arrayOf(strict({ hosts: arrayOf(string), secretName: string })),
+        rules: arrayOf(strict({
+          host: string,
+          http: strict({
+            paths: arrayOf(strict({
+              path: string,
+              pathType: enumOf('Exact', 'Prefix', 'ImplementationSpecific'),
+              backend: ref('IngressBackend')
+            }, ['pathType', 'backend']))
+          }, ['paths'])
+        }))
+      }),
+      status: object
+    }),
+
+    ConfigMap: resource('v1', 'ConfigMap', {
+      data: stringMap,
+      binaryData: stringMap,
+      immutable: boolean
+    }),
+
+    Secret: resource('v1', 'Secret', {
+      type: string,
+      data: stringMap,
+      stringData: stringMap,
+      immutable: boolean
+    }),
+
+    HorizontalPodAutoscaler: resource('autoscaling/v2', 'HorizontalPodAutoscaler', {
+      spec: strict({
+        scaleTargetRef: strict({ apiVersion: string, kind: string, name: string }, ['kind', 'name']),
+        minReplicas: { type: 'integer', minimum: 1 },
+        maxReplicas: { type: 'integer', minimum: 1 },
+        metrics: arrayOf({
+          type: 'object',
+          properties: { type: enumOf('Resource', 'Pods', 'Object', 'External', 'ContainerResource') },
+          required: ['type']
+        }),
+        behavior: object
+      }, ['scaleTargetRef', 'maxReplicas']),
+      status: object
+    }, ['spec']),
+
+    PodDisruptionBudget: resource('policy/v1', 'PodDisruptionBudget', {
+      spec: strict({
+        selector: ref('LabelSelector'),
+        minAvailable: intOrString,
+        maxUnavailable: intOrString,
+        unhealthyPodEvictionPolicy: enumOf('IfHealthyBudget', 'AlwaysAllow')
+      }),
+      status: object
+    }),
+
+    NetworkPolicy: resource('networking.k8s.io/v1', 'NetworkPolicy', {
+      spec: strict({
+        podSelector: ref('LabelSelector'),
+        policyTypes: arrayOf(enumOf('Ingress', 'Egress')),
+        ingress: arrayOf(strict({ from: arrayOf(object), ports: arrayOf(object) })),
+        egress: arrayOf(strict({ to: arrayOf(object), ports: arrayOf(object) }))
+      }, ['podSelector'])
+    }),
+
+    Namespace: resource('v1', 'Namespace', { spec: object, status: object }),
+
+    ServiceAccount: resource('v1', 'ServiceAccount', {
+      automountServiceAccountToken: boolean,
+      imagePullSecrets: arrayOf(strict({ name: string })),
+      secrets: arrayOf(object)
+    }),
+
+    PersistentVolumeClaim: resource('v1', 'PersistentVolumeClaim', {
+      spec: strict({
+        accessModes: arrayOf(enumOf('ReadWriteOnce', 'ReadOnlyMany', 'ReadWriteMany', 'ReadWriteOncePod')),
+        resources: strict({ requests: { type: 'object', additionalProperties: ref('Quantity') }, limits: { type: 'object', additionalProperties: ref('Quantity') } }),
+        storageClassName: string,
+        volumeMode: enumOf('Filesystem', 'Block'),
+        volumeName: string,
+        selector: ref('LabelSelector'),
+        dataSource: object,
+        dataSourceRef: object,
+        ...since('1.29', { volumeAttributesClassName: string })
+      }),
+      status: object
+    }, ['spec'])
+  };
+}
+
+// `apiVersion/kind` of every top-level definition, for looking schemas up by document
+const KINDS = Object.entries(definitions(DEFAULT_VERSION))
+  .filter(([, schema]) => schema.properties?.kind?.const)
+  .reduce((kinds, [name, schema]) => ({ ...kinds, [`${schema.properties.apiVersion.const}/${schema.properties.kind.const}`]: name }), {});
+
+/**
+ * Root schema for one Kubernetes version; validate a document against
+ * `<$id>#/definitions/<Kind>`.
+ */
+function schemaFor(version) {
+  return {
+    $id: `kubernetes-${version}`,
+    definitions: definitions(version)
+  };
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  DEFAULT_VERSION,
+  REMOVED_APIS,
+  KINDS,
+  schemaFor
+};
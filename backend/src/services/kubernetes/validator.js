@@ -0,0 +1,401 @@
+/**
+ * Offline manifest validation: every document is checked against the
+ * bundled schemas for the chosen Kubernetes version, then against policy
+ * rules for things the API server accepts but production clusters should
+ * not run. No cluster connection is needed.
+ */
+
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const { SUPPORTED_VERSIONS, DEFAULT_VERSION, REMOVED_APIS, KINDS, schemaFor } = require('./schemas');
+const { toJsonPath, pointerSegments } = require('./jsonPath');
+
+const SEVERITIES = ['error', 'warning'];
+
+// Where each workload kind keeps its pod template
+const POD_TEMPLATE_PATHS = {
+  Deployment: ['spec', 'template'],
+  StatefulSet: ['spec', 'template'],
+  DaemonSet: ['spec', 'template'],
+  ReplicaSet: ['spec', 'template'],
+  Job: ['spec', 'template'],
+  CronJob: ['spec', 'jobTemplate', 'spec', 'template']
+};
+
+const instances = new Map();
+const validators = new Map();
+
+// One Ajv instance per version; each kind's schema is compiled on first use
+function validatorFor(version, definition) {
+  const key = `${version}#${definition}`;
+  if (!validators.has(key)) {
+    if (!instances.has(version)) {
+      const ajv = new Ajv({ strict: false, allErrors: true });
+      ajv.addSchema(schemaFor(version));
+      instances.set(version, ajv);
+    }
+    validators.set(key, instances.get(version).getSchema(`kubernetes-${version}#/definitions/${definition}`));
+  }
+  return validators.get(key);
+}
+
+function schemaMessage(error) {
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return `unknown field "${error.params.additionalProperty}"`;
+    case 'required':
+      return `missing required field "${error.params.missingProperty}"`;
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'pattern':
+      return error.schemaPath.includes('Quantity')
+        ? 'must be a quantity such as 250m, 1 or 512Mi'
+        : 'must consist of lowercase letters, digits and "-", starting and ending with a letter or digit';
+    default:
+      return error.message;
+  }
+}
+
+// Split the input into documents; YAML keeps its parsed tree for line lookups
+function readDocuments(input) {
+  if (Array.isArray(input)) {
+    return { documents: input.map(manifest => ({ manifest })), errors: [] };
+  }
+
+  const lineCounter = new YAML.LineCounter();
+  const documents = [];
+  const errors = [];
+
+  YAML.parseAllDocuments(String(input), { lineCounter }).forEach(document => {
+    const line = lineCounter.linePos(document.range[0]).line;
+    if (document.errors.length) {
+      document.errors.forEach(error => errors.push({
+        document: documents.length,
+        message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+        line: error.linePos?.[0]?.line || line
+      }));
+      documents.push({ manifest: undefined, line, invalid: true });
+      return;
+    }
+
+    // Blank documents (a trailing `---`) are not objects and are skipped, as kubectl does
+    if (document.contents === null || (YAML.isScalar(document.contents) && document.contents.value === null)) return;
+    documents.push({ manifest: document.toJS(), line, document, lineCounter });
+  });
+
+  return { documents, errors };
+}
+
+function lineOf(entry, segments) {
+  if (!entry.document) return entry.line;
+
+  // The deepest node that exists; a missing field is reported at its parent
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const node = entry.document.getIn(segments.slice(0, depth), true);
+    if (node?.range) return entry.lineCounter.linePos(node.range[0]).line;
+  }
+  return entry.line;
+}
+
+function getPath(object, segments) {
+  return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), object);
+}
+
+// Pod spec of a workload and the path segments leading to it
+function podSpecOf(manifest) {
+  if (manifest.kind === 'Pod') return { spec: manifest.spec, path: ['spec'] };
+
+  const templatePath = POD_TEMPLATE_PATHS[manifest.kind];
+  if (!templatePath) return null;
+
+  const path = [...templatePath, 'spec'];
+  return { spec: getPath(manifest, path), path, templatePath };
+}
+
+function containersOf(podSpec, podPath) {
+  return ['initContainers', 'containers'].flatMap(list => (Array.isArray(podSpec?.[list]) ? podSpec[list] : [])
+    .map((container, index) => ({ container, path: [...podPath, list, index] }))
+    .filter(({ container }) => container && typeof container === 'object'));
+}
+
+// LabelSelector semantics, including matchExpressions
+function selectorMatches(selector, labels = {}) {
+  const matchLabels = Object.entries(selector?.matchLabels || {}).every(([key, value]) => labels[key] === value);
+  const matchExpressions = (selector?.matchExpressions || []).every(({ key, operator, values = [] }) => {
+    switch (operator) {
+      case 'In': return key in labels && values.includes(labels[key]);
+      case 'NotIn': return !(key in labels) || !values.includes(labels[key]);
+      case 'Exists': return key in labels;
+      case 'DoesNotExist': return !(key in labels);
+      default: return false;
+    }
+  });
+  return matchLabels && matchExpressions;
+}
+
+const selectorIsEmpty = selector => !Object.keys(selector?.matchLabels || {}).length && !(selector?.matchExpressions || []).length;
+
+/**
+ * Policy rules run on every document of a known kind, schema errors or
+ * not, so they must not trust field types. `check` reports through
+ * `report(message, path)`, with `path` as segments from the document root.
+ */
+const RULES = [
+  {
+    id: 'missing-limits',
+    severity: 'warning',
+    description: 'Containers should set a memory limit',
+    // CPU limits are left out on purpose: they only throttle, while an unbounded process can exhaust node memory
+    check({ manifest }, report) {
+      const pod = podSpecOf(manifest);
+      if (!pod) return;
+
+      containersOf(pod.spec, pod.path).forEach(({ container, path }) => {
+        if (!container.resources?.limits) {
+          report(`Container "${container.name}" has no resource limits`, [...path, 'resources']);
+        } else if (!container.resources.limits.memory) {
+          report(`Container "${container.name}" has no memory limit`, [...path, 'resources', 'limits']);
+        }
+      });
+    }
+  },
+  {
+    id: 'latest-tag',
+    severity: 'warning',
+    description: 'Images should be pinned to a version tag or digest',
+    check({ manifest }, report) {
+      const pod = podSpecOf(manifest);
+      if (!pod) return;
+
+      containersOf(pod.spec, pod.path).forEach(({ container, path }) => {
+        const image = container.image;
+        if (typeof image !== 'string' || image.includes('@')) return;
+
+        const tag = image.split('/').pop().split(':')[1];
+        if (!tag || tag === 'latest') {
+          report(`Container "${container.name}" uses ${tag ? 'the latest tag' : 'an untagged image'} (${image}); pin a version`, [...path, 'image']);
+        }
+      });
+    }
+  },
+  {
+    id: 'privileged-container',
+    severity: 'error',
+    description: 'Containers must not run privileged',
+    check({ manifest }, report) {
+      const pod = podSpecOf(manifest);
+      if (!pod) return;
+
+      containersOf(pod.spec, pod.path).forEach(({ container, path }) => {
+        if (container.securityContext?.privileged === true) {
+          report(`Container "${container.name}" runs privileged with full access to the node`, [...path, 'securityContext', 'privileged']);
+        }
+      });
+    }
+  },
+  {
+    id: 'host-path-volume',
+    severity: 'error',
+    description: 'Pods must not mount paths from the node',
+    check({ manifest }, report) {
+      const pod = podSpecOf(manifest);
+      if (!pod || !Array.isArray(pod.spec?.volumes)) return;
+
+      pod.spec.volumes.forEach((volume, index) => {
+        if (volume?.hostPath) {
+          report(`Volume "${volume.name}" mounts ${volume.hostPath.path} from the node`, [...pod.path, 'volumes', index, 'hostPath']);
+        }
+      });
+    }
+  },
+  {
+    id: 'selector-mismatch',
+    severity: 'error',
+    description: "A workload's selector must match its pod template labels",
+    check({ manifest }, report) {
+      const pod = podSpecOf(manifest);
+      if (!pod?.templatePath || !manifest.spec?.selector) return;
+
+      const selector = manifest.spec.selector;
+      const labels = getPath(manifest, [...pod.templatePath, 'metadata', 'labels']) || {};
+      if (selectorIsEmpty(selector)) {
+        report(`${manifest.kind} selector is empty`, ['spec', 'selector']);
+      } else if (!selectorMatches(selector, labels)) {
+        const missing = Object.entries(selector.matchLabels || {})
+          .filter(([key, value]) => labels[key] !== value)
+          .map(([key, value]) => `${key}=${value}`);
+        report(
+          `${manifest.kind} selector does not match the pod template labels${missing.length ? ` (missing ${missing.join(', ')})` : ''}`,
+          ['spec', 'selector']
+        );
+      }
+    }
+  },
+  {
+    id: 'unmatched-selector',
+    severity: 'warning',
+    description: 'Services and disruption budgets should select pods from the bundle',
+    check({ manifest, bundle }, report) {
+      const selectors = {
+        Service: { selector: manifest.spec?.selector && { matchLabels: manifest.spec.selector }, path: ['spec', 'selector'] },
+        PodDisruptionBudget: { selector: manifest.spec?.selector, path: ['spec', 'selector'] }
+      };
+      const { selector, path } = selectors[manifest.kind] || {};
+      if (!selector || selectorIsEmpty(selector)) return;
+
+      // Only meaningful when the workloads travel in the same bundle
+      const namespace = manifest.metadata?.namespace;
+      const templates = bundle
+        .filter(other => POD_TEMPLATE_PATHS[other.kind] || other.kind === 'Pod')
+        .filter(other => !namespace || !other.metadata?.namespace || other.metadata.namespace === namespace)
+        .map(other => (other.kind === 'Pod' ? other.metadata?.labels : getPath(other, [...POD_TEMPLATE_PATHS[other.kind], 'metadata', 'labels'])));
+      if (!templates.length) return;
+
+      if (!templates.some(labels => selectorMatches(selector, labels || {}))) {
+        report(`${manifest.kind} "${manifest.metadata?.name}" selects no pods of the workloads in this bundle`, path);
+      }
+    }
+  }
+];
+
+/**
+ * Validate Kubernetes manifests.
+ * @param {string|Object[]} input - Multi-document YAML, or already parsed manifests
+ * @param {Object} [options]
+ * @param {string} [options.kubernetesVersion] - One of SUPPORTED_VERSIONS; the newest by default
+ * @param {string[]} [options.ignore] - Policy rule IDs to skip
+ * @returns {{valid: boolean, kubernetesVersion: string, documents: Object[], findings: Object[], summary: Object}}
+ *   Findings carry the document index (blank YAML documents are not counted),
+ *   a JSONPath into it and, for YAML input, the line.
+ */
+function validate(input, options = {}) {
+  const version = options.kubernetesVersion || DEFAULT_VERSION;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    const error = new Error(`Kubernetes ${version} is not supported; use one of ${SUPPORTED_VERSIONS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const ignored = new Set(options.ignore || []);
+  const { documents, errors } = readDocuments(input);
+  const findings = errors.map(error => ({
+    rule: 'yaml-syntax',
+    severity: 'error',
+    category: 'syntax',
+    message: error.message,
+    document: error.document,
+    path: '$',
+    line: error.line
+  }));
+
+  const checked = [];
+  documents.forEach((entry, index) => {
+    if (entry.invalid) return;
+
+    const { manifest } = entry;
+    const push = (rule, severity, category, message, segments = []) => findings.push({
+      rule,
+      severity,
+      category,
+      message,
+      document: index,
+      kind: manifest?.kind,
+      name: manifest?.metadata?.name,
+      path: toJsonPath(segments),
+      line: lineOf(entry, segments)
+    });
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      push('schema', 'error', 'schema', 'Document is not a Kubernetes object');
+      return;
+    }
+    if (typeof manifest.apiVersion !== 'string' || typeof manifest.kind !== 'string') {
+      push('schema', 'error', 'schema', 'Document has no apiVersion and kind', [typeof manifest.apiVersion === 'string' ? 'kind' : 'apiVersion']);
+      return;
+    }
+
+    const removed = REMOVED_APIS[manifest.apiVersion];
+    if (removed?.kinds[manifest.kind]) {
+      push('removed-api', 'error', 'schema',
+        `${manifest.apiVersion} ${manifest.kind} was removed in Kubernetes ${removed.removedIn}; use ${removed.kinds[manifest.kind]}`,
+        ['apiVersion']);
+      return;
+    }
+
+    const definition = KINDS[`${manifest.apiVersion}/${manifest.kind}`];
+    if (!definition) {
+      // Custom resources and rarer built-ins are passed through, as kubeconform does with -ignore-missing-schemas
+      push('unknown-kind', 'warning', 'schema', `No schema for ${manifest.apiVersion} ${manifest.kind}; it was not validated`, ['kind']);
+      checked.push(manifest);
+      return;
+    }
+
+    const schemaValidator = validatorFor(version, definition);
+    if (!schemaValidator(manifest)) {
+      schemaValidator.errors.forEach(error => {
+        const segments = pointerSegments(error.instancePath);
+        if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+        if (error.keyword === 'required') segments.push(error.params.missingProperty);
+        push('schema', 'error', 'schema', schemaMessage(error), segments);
+      });
+      // A wrong port type must not hide a privileged container next to it
+      entry.malformed = true;
+      return;
+    }
+
+    checked.push(manifest);
+    entry.checked = true;
+  });
+
+  documents.forEach((entry, index) => {
+    if (!entry.checked && !entry.malformed) return;
+
+    RULES.filter(rule => !ignored.has(rule.id)).forEach(rule => {
+      try {
+        rule.check({ manifest: entry.manifest, bundle: checked }, (message, segments = []) => findings.push({
+          rule: rule.id,
+          severity: rule.severity,
+          category: 'policy',
+          message,
+          document: index,
+          kind: entry.manifest.kind,
+          name: entry.manifest.metadata?.name,
+          path: toJsonPath(segments),
+          line: lineOf(entry, segments)
+        }));
+      } catch (error) {
+        // Whatever the rule could not walk is already reported as a schema error
+        if (!entry.malformed) throw error;
+      }
+    });
+  });
+
+  findings.sort((a, b) => a.document - b.document || (a.line || 0) - (b.line || 0));
+
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [
+    severity,
+    findings.filter(finding => finding.severity === severity).length
+  ]));
+
+  return {
+    valid: summary.error === 0,
+    kubernetesVersion: version,
+    documents: documents.map((entry, index) => ({
+      index,
+      apiVersion: entry.manifest?.apiVersion,
+      kind: entry.manifest?.kind,
+      name: entry.manifest?.metadata?.name,
+      namespace: entry.manifest?.metadata?.namespace,
+      line: entry.line
+    })),
+    findings,
+    summary
+  };
+}
+
+module.exports = {
+  validate,
+  SUPPORTED_VERSIONS,
+  DEFAULT_VERSION,
+  RULES: RULES.map(({ id, severity, description }) => ({ id, severity, category: 'policy', description }))
+};
@@ -0,0 +1,148 @@
+/**
+ * The two patch formats a kustomization accepts: strategic merge patches,
+ * which merge lists of named things (containers, env, volumes) by their
+ * key instead of replacing them, and RFC 6902 JSON patches.
+ */
+
+// Lists that merge by key in a strategic merge patch; anything else is replaced
+const MERGE_KEYS = {
+  containers: 'name',
+  initContainers: 'name',
+  ephemeralContainers: 'name',
+  volumes: 'name',
+  env: 'name',
+  volumeMounts: 'mountPath',
+  imagePullSecrets: 'name'
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+function fail(message) {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+}
+
+// Container ports merge by containerPort, Service ports by port
+function mergeKey(key, items) {
+  if (key === 'ports') {
+    return items.some(item => isObject(item) && 'containerPort' in item) ? 'containerPort' : 'port';
+  }
+  return MERGE_KEYS[key];
+}
+
+function mergeList(key, target, patch) {
+  const mergeOn = mergeKey(key, [...target, ...patch]);
+  if (!mergeOn || !patch.every(isObject)) return clone(patch);
+
+  const result = [...target];
+  patch.forEach(item => {
+    const { $patch: directive, ...fields } = item;
+    const index = result.findIndex(existing => isObject(existing) && existing[mergeOn] === item[mergeOn]);
+
+    if (directive === 'delete') {
+      if (index !== -1) result.splice(index, 1);
+    } else if (directive === 'replace' || index === -1) {
+      if (index === -1) result.push(clone(fields));
+      else result[index] = clone(fields);
+    } else {
+      result[index] = strategicMerge(result[index], fields);
+    }
+  });
+  return result;
+}
+
+/**
+ * @param {Object} target
+ * @param {Object} patch - null deletes a field; `$patch: replace|delete` is honoured on maps and list items
+ * @returns {Object} The merged object; `target` is not modified
+ */
+function strategicMerge(target, patch) {
+  const { $patch: directive, ...fields } = patch;
+  if (directive === 'delete') return undefined;
+  if (directive === 'replace') return clone(fields);
+
+  const result = { ...target };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (value === null) {
+      delete result[key];
+    } else if (isObject(value) && isObject(result[key])) {
+      const merged = strategicMerge(result[key], value);
+      if (merged === undefined) delete result[key];
+      else result[key] = merged;
+    } else if (Array.isArray(value) && Array.isArray(result[key])) {
+      result[key] = mergeList(key, result[key], value);
+    } else {
+      result[key] = clone(value);
+    }
+  });
+  return result;
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw fail(`Invalid JSON pointer "${pointer}"`);
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function resolveParent(document, segments, pointer) {
+  let parent = document;
+  for (const segment of segments.slice(0, -1)) {
+    parent = parent?.[segment];
+    if (parent === undefined || typeof parent !== 'object') throw fail(`Path ${pointer} does not exist`);
+  }
+  return { parent, key: segments[segments.length - 1] };
+}
+
+/**
+ * Apply JSON patch operations (add, remove, replace, test).
+ * @param {Object} document
+ * @param {Object[]} operations
+ * @returns {Object} A patched copy
+ */
+function applyJsonPatch(document, operations) {
+  const result = clone(document);
+
+  operations.forEach(({ op, path, value }) => {
+    const segments = parsePointer(path || '');
+    if (!segments.length) throw fail(`JSON patch "${op}" cannot target the whole object`);
+    const { parent, key } = resolveParent(result, segments, path);
+    const index = Array.isArray(parent) ? (key === '-' ? parent.length : Number(key)) : null;
+
+    if (Array.isArray(parent) && (!Number.isInteger(index) || index < 0 || index > parent.length)) {
+      throw fail(`Path ${path} is out of bounds`);
+    }
+    const exists = Array.isArray(parent) ? index < parent.length : key in parent;
+
+    switch (op) {
+      case 'add':
+        if (Array.isArray(parent)) parent.splice(index, 0, clone(value));
+        else parent[key] = clone(value);
+        break;
+      case 'replace':
+      case 'remove':
+        if (!exists) throw fail(`Path ${path} does not exist`);
+        if (op === 'replace') parent[Array.isArray(parent) ? index : key] = clone(value);
+        else if (Array.isArray(parent)) parent.splice(index, 1);
+        else delete parent[key];
+        break;
+      case 'test':
+        if (JSON.stringify(parent[Array.isArray(parent) ? index : key]) !== JSON.stringify(value)) {
+          throw fail(`Test failed at ${path}`);
+        }
+        break;
+      default:
+        throw fail(`Unsupported JSON patch operation "${op}"`);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  strategicMerge,
+  applyJsonPatch
+};
@@ -0,0 +1,258 @@
+/**
+ * In-memory `kustomize build` for the layouts KustomizeGenerator writes,
+ * so an overlay can be previewed without the kustomize binary. Covers the
+ * fields those layouts use: resources (files and directories),
+ * namespace, configMapGenerator, patches, replicas and images.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const yaml = require('js-yaml');
+const { strategicMerge, applyJsonPatch } = require('./patch');
+
+// `kustomize build`'s default (legacy) output order; other kinds follow by name
+const KIND_ORDER = [
+  'Namespace', 'ResourceQuota', 'StorageClass', 'CustomResourceDefinition', 'ServiceAccount',
+  'PodSecurityPolicy', 'Role', 'ClusterRole', 'RoleBinding', 'ClusterRoleBinding', 'ConfigMap',
+  'Secret', 'Endpoints', 'Service', 'LimitRange', 'PriorityClass', 'PersistentVolume',
+  'PersistentVolumeClaim', 'Deployment', 'StatefulSet', 'CronJob', 'PodDisruptionBudget'
+];
+const KIND_ORDER_LAST = ['MutatingWebhookConfiguration', 'ValidatingWebhookConfiguration'];
+
+const WORKLOADS = ['Deployment', 'StatefulSet', 'ReplicaSet', 'DaemonSet', 'Job'];
+
+function fail(message) {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+}
+
+function load(files, file) {
+  if (files[file] === undefined) throw fail(`${file} does not exist`);
+  try {
+    return yaml.loadAll(files[file]).filter(Boolean);
+  } catch (error) {
+    throw fail(`${file} is not valid YAML: ${error.reason || error.message}`);
+  }
+}
+
+function podSpec(object) {
+  if (object.kind === 'Pod') return object.spec;
+  if (object.kind === 'CronJob') return object.spec?.jobTemplate?.spec?.template?.spec;
+  return WORKLOADS.includes(object.kind) ? object.spec?.template?.spec : undefined;
+}
+
+function containers(object) {
+  const spec = podSpec(object);
+  return spec ? [...(spec.initContainers || []), ...(spec.containers || [])] : [];
+}
+
+// kustomize's name suffix: sha256 of the ConfigMap's kind, name and data, first 10 hex digits made vowel-free
+function nameHash(configMap) {
+  const data = Object.fromEntries(Object.keys(configMap.data || {}).sort().map(key => [key, configMap.data[key]]));
+  const encoded = JSON.stringify({ data, kind: 'ConfigMap', name: configMap.metadata.name })
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+  const replacements = { 0: 'g', 1: 'h', 3: 'k', a: 'm', e: 't' };
+  return crypto.createHash('sha256').update(encoded).digest('hex')
+    .slice(0, 10)
+    .replace(/[013ae]/g, character => replacements[character]);
+}
+
+function generatorData(files, dir, generator) {
+  const data = {};
+  const assign = (entry, source) => {
+    const separator = entry.indexOf('=');
+    if (separator < 1) throw fail(`${source}: "${entry}" is not KEY=VALUE`);
+    data[entry.slice(0, separator).trim()] = entry.slice(separator + 1).replace(/^"(.*)"$/, '$1');
+  };
+
+  (generator.envs || []).forEach(file => {
+    const envFile = path.posix.join(dir, file);
+    if (files[envFile] === undefined) throw fail(`${envFile} does not exist`);
+    files[envFile].split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => assign(line, envFile));
+  });
+  (generator.literals || []).forEach(literal => assign(String(literal), `configMapGenerator ${generator.name}`));
+  return data;
+}
+
+function matchesTarget(object, target = {}) {
+  const [group, version] = object.apiVersion.includes('/') ? object.apiVersion.split('/') : ['', object.apiVersion];
+  return (target.kind === undefined || target.kind === object.kind)
+    && (target.name === undefined || target.name === object.metadata?.name)
+    && (target.group === undefined || target.group === group)
+    && (target.version === undefined || target.version === version)
+    && (target.namespace === undefined || target.namespace === object.metadata?.namespace);
+}
+
+function setImage(container, image) {
+  const [reference] = container.image.split('@');
+  const slash = reference.lastIndexOf('/');
+  const colon = reference.lastIndexOf(':');
+  const repository = colon > slash ? reference.slice(0, colon) : reference;
+  if (repository !== image.name) return;
+
+  const tag = colon > slash ? reference.slice(colon + 1) : '';
+  const name = image.newName || repository;
+  if (image.digest) container.image = `${name}@${image.digest}`;
+  else if (image.newTag) container.image = `${name}:${image.newTag}`;
+  else container.image = tag ? `${name}:${tag}` : name;
+}
+
+// Patches return copies; a generated ConfigMap's copy is still generated
+function patched(object, result, origins) {
+  if (origins.has(object)) origins.set(result, origins.get(object));
+  return result;
+}
+
+function build(files, dir, origins, visiting = []) {
+  if (visiting.includes(dir)) throw fail(`${dir} is included in a cycle`);
+
+  const kustomizationFile = path.posix.join(dir, 'kustomization.yaml');
+  const [kustomization = {}] = load(files, kustomizationFile);
+  let resources = [];
+
+  (kustomization.resources || []).forEach(entry => {
+    const resource = path.posix.normalize(path.posix.join(dir, entry));
+    if (files[resource] !== undefined) {
+      resources.push(...load(files, resource));
+    } else if (files[path.posix.join(resource, 'kustomization.yaml')] !== undefined) {
+      resources.push(...build(files, resource, origins, [...visiting, dir]));
+    } else {
+      throw fail(`${kustomizationFile}: resource ${entry} not found`);
+    }
+  });
+
+  (kustomization.configMapGenerator || []).forEach(generator => {
+    const data = generatorData(files, dir, generator);
+    const behavior = generator.behavior || 'create';
+    const existing = resources.find(object => object.kind === 'ConfigMap' && origins.get(object)?.name === generator.name);
+
+    if (behavior === 'create') {
+      if (existing) throw fail(`${kustomizationFile}: ConfigMap ${generator.name} is already generated; use behavior merge or replace`);
+      const configMap = { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: generator.name }, data };
+      origins.set(configMap, { name: generator.name, hash: generator.options?.disableNameSuffixHash !== true });
+      resources.push(configMap);
+    } else if (!existing) {
+      throw fail(`${kustomizationFile}: no ConfigMap ${generator.name} to ${behavior}`);
+    } else {
+      existing.data = behavior === 'merge' ? { ...existing.data, ...data } : data;
+    }
+  });
+
+  (kustomization.patches || []).forEach((entry, index) => {
+    const source = entry.path ? path.posix.join(dir, entry.path) : `${kustomizationFile} patches[${index}]`;
+    const documents = entry.path ? load(files, source) : yaml.loadAll(entry.patch || '').filter(Boolean);
+    const [patch] = documents;
+    if (!patch) throw fail(`${source} is empty`);
+
+    if (Array.isArray(patch)) {
+      if (!entry.target) throw fail(`${source}: a JSON patch needs a target`);
+      resources = resources.map(object => (
+        matchesTarget(object, entry.target) ? patched(object, applyJsonPatch(object, patch), origins) : object
+      ));
+      return;
+    }
+
+    const target = entry.target || { kind: patch.kind, name: patch.metadata?.name };
+    let matched = false;
+    resources = resources.map(object => {
+      if (!matchesTarget(object, target)) return object;
+      matched = true;
+      // The patch's own identity fields only select the target; they never rename it
+      const { apiVersion, kind, metadata: { name, namespace, ...metadata } = {}, ...fields } = patch;
+      return patched(object, strategicMerge(object, { ...fields, metadata }), origins);
+    });
+    if (!matched) throw fail(`${source}: no ${target.kind || 'resource'} ${target.name || ''} to patch`.trim());
+  });
+
+  if (kustomization.namespace) {
+    resources.forEach(object => {
+      if (object.kind !== 'Namespace') object.metadata = { ...object.metadata, namespace: kustomization.namespace };
+    });
+  }
+
+  (kustomization.replicas || []).forEach(({ name, count }) => {
+    resources
+      .filter(object => ['Deployment', 'StatefulSet', 'ReplicaSet'].includes(object.kind) && object.metadata.name === name)
+      .forEach(object => {
+        object.spec.replicas = count;
+      });
+  });
+
+  (kustomization.images || []).forEach(image => {
+    resources.forEach(object => containers(object).forEach(container => setImage(container, image)));
+  });
+
+  return resources;
+}
+
+// Point envFrom, env and volume references at the hashed ConfigMap names
+function rewriteReferences(resources, renamed) {
+  resources.forEach(object => {
+    const spec = podSpec(object);
+    if (!spec) return;
+
+    const rename = reference => {
+      const to = reference && renamed.get(`${object.metadata.namespace || ''}/${reference.name}`);
+      if (to) reference.name = to;
+    };
+
+    containers(object).forEach(container => {
+      (container.envFrom || []).forEach(source => rename(source.configMapRef));
+      (container.env || []).forEach(variable => rename(variable.valueFrom?.configMapKeyRef));
+    });
+    (spec.volumes || []).forEach(volume => {
+      rename(volume.configMap);
+      (volume.projected?.sources || []).forEach(source => rename(source.configMap));
+    });
+  });
+}
+
+function order(object) {
+  const index = KIND_ORDER.indexOf(object.kind);
+  if (index !== -1) return index;
+  return KIND_ORDER_LAST.includes(object.kind) ? KIND_ORDER.length + 1 + KIND_ORDER_LAST.indexOf(object.kind) : KIND_ORDER.length;
+}
+
+/**
+ * Build one kustomization.
+ * @param {Object<string, string>} files - File contents keyed by path
+ * @param {string} dir - Directory of the kustomization to build, e.g. `overlays/staging`
+ * @returns {{resources: Object[], yaml: string}}
+ */
+function render(files, dir) {
+  const origins = new Map();
+  const resources = build(files, path.posix.normalize(dir), origins);
+
+  const renamed = new Map();
+  resources.forEach(object => {
+    const origin = origins.get(object);
+    if (object.kind !== 'ConfigMap' || !origin?.hash) return;
+    const name = `${object.metadata.name}-${nameHash(object)}`;
+    renamed.set(`${object.metadata.namespace || ''}/${object.metadata.name}`, name);
+    object.metadata.name = name;
+  });
+  rewriteReferences(resources, renamed);
+
+  const sorted = resources
+    .map((object, index) => ({ object, index }))
+    .sort((a, b) => order(a.object) - order(b.object)
+      || (order(a.object) === KIND_ORDER.length ? a.object.kind.localeCompare(b.object.kind) : 0)
+      || a.index - b.index)
+    .map(({ object }) => object);
+
+  return {
+    resources: sorted,
+    yaml: sorted.map(object => `---\n${yaml.dump(object, { noRefs: true, lineWidth: -1 })}`).join('')
+  };
+}
+
+module.exports = {
+  render,
+  nameHash
+};
@@ -0,0 +1,288 @@
+const archiver = require('archiver');
+const yaml = require('js-yaml');
+const HelmChartGenerator = require('./helmChartGenerator');
+const { render } = require('./kustomize/render');
+
+/**
+ * Per-environment defaults, keyed like Deployment.environment. Production
+ * keeps the generated bundle's sizing; the others run fewer, smaller pods
+ * on a prefixed host.
+ */
+const ENVIRONMENTS = {
+  development: { replicas: 1, maxReplicas: 2, requestScale: 0.5, hostPrefix: 'dev' },
+  staging: { replicas: 1, maxReplicas: 3, hostPrefix: 'staging' },
+  production: {}
+};
+
+// Base file per bundle piece; the ConfigMap becomes a generator instead
+const BASE_FILES = {
+  deployment: 'deployment.yaml',
+  service: 'service.yaml',
+  ingress: 'ingress.yaml',
+  hpa: 'hpa.yaml',
+  pdb: 'pdb.yaml',
+  networkPolicy: 'networkpolicy.yaml'
+};
+
+const KUSTOMIZATION = {
+  apiVersion: 'kustomize.config.k8s.io/v1beta1',
+  kind: 'Kustomization'
+};
+
+/**
+ * Lays a K8sManifestGenerator bundle out for Kustomize: a `base/` holding
+ * the bundle, and an `overlays/<environment>/` per environment that sets
+ * the namespace, image tag, replicas (or autoscaler bounds), resources,
+ * ingress host and ConfigMap values. Every overlay is also rendered, so
+ * the output can be reviewed without running `kustomize build`.
+ */
+class KustomizeGenerator {
+  /**
+   * @param {Object} manifests - K8sManifestGenerator result's `manifests`
+   * @param {Object} [options]
+   * @param {string[]|Object} [options.environments] - Names, or overrides keyed by name:
+   *   {namespace, replicas, maxReplicas, resources, host, imageTag, config}
+   * @returns {{name: string, files: Object<string, string>, overlays: Object}}
+   *   `overlays` maps each environment to {namespace, settings, resources, yaml}
+   */
+  generate(manifests, options = {}) {
+    const { deployment } = manifests;
+    if (!deployment) {
+      const error = new Error('A Kustomize layout needs the Deployment from the generated bundle');
+      error.status = 422;
+      throw error;
+    }
+
+    const name = deployment.metadata.name;
+    const environments = this.environments(options.environments);
+    const files = this.base(manifests);
+
+    const settings = {};
+    Object.entries(environments).forEach(([environment, overrides]) => {
+      settings[environment] = this.settings(environment, overrides, manifests);
+      Object.assign(files, this.overlay(environment, settings[environment], manifests));
+    });
+
+    const overlays = {};
+    Object.keys(environments).forEach(environment => {
+      overlays[environment] = {
+        namespace: settings[environment].namespace,
+        settings: settings[environment],
+        ...render(files, `overlays/${environment}`)
+      };
+    });
+
+    return { name, files, overlays };
+  }
+
+  environments(option) {
+    if (Array.isArray(option)) {
+      return Object.fromEntries(option.map(environment => [environment, {}]));
+    }
+    if (option && typeof option === 'object' && Object.keys(option).length) {
+      return Object.fromEntries(Object.entries(option).map(([environment, overrides]) => [environment, overrides || {}]));
+    }
+    return Object.fromEntries(Object.keys(ENVIRONMENTS).map(environment => [environment, {}]));
+  }
+
+  settings(environment, overrides, manifests) {
+    const { deployment, hpa, ingress } = manifests;
+    const defaults = ENVIRONMENTS[environment] || {};
+    const container = deployment.spec.template.spec.containers[0];
+    const image = HelmChartGenerator.splitImage(container.image);
+    const host = ingress?.spec.rules[0].host;
+
+    const requested = overrides.replicas ?? defaults.replicas ?? deployment.spec.replicas ?? hpa?.spec.minReplicas ?? 1;
+    // An autoscaler's minReplicas must be at least 1; only a Deployment can scale to zero
+    const replicas = hpa ? Math.max(requested, 1) : requested;
+    const base = this.scaleRequests(container.resources || {}, defaults.requestScale || 1);
+
+    return {
+      namespace: overrides.namespace || this.namespace(deployment.metadata.name, environment),
+      image: image.repository,
+      imageTag: overrides.imageTag || image.tag,
+      ...(!overrides.imageTag && image.digest && { imageDigest: image.digest }),
+      replicas,
+      ...(hpa && { maxReplicas: Math.max(overrides.maxReplicas || defaults.maxReplicas || hpa.spec.maxReplicas, replicas) }),
+      resources: {
+        requests: { ...base.requests, ...overrides.resources?.requests },
+        limits: { ...base.limits, ...overrides.resources?.limits }
+      },
+      ...(host && { host: overrides.host || (defaults.hostPrefix ? `${defaults.hostPrefix}.${host}` : host) }),
+      config: {
+        APP_ENV: environment,
+        ...Object.fromEntries(Object.entries(overrides.config || {}).map(([key, value]) => [key, String(value)]))
+      }
+    };
+  }
+
+  // A DNS label of at most 63 characters; the name gives way so the environment suffix stays distinct
+  namespace(name, environment) {
+    return `${name.slice(0, 62 - environment.length).replace(/-+$/, '')}-${environment}`;
+  }
+
+  base(manifests) {
+    const { configMap } = manifests;
+    const files = {};
+
+    Object.entries(BASE_FILES).forEach(([piece, file]) => {
+      if (manifests[piece]) files[`base/${file}`] = this.dump(this.baseManifest(manifests[piece]));
+    });
+
+    files['base/kustomization.yaml'] = this.dump({
+      ...KUSTOMIZATION,
+      resources: Object.entries(BASE_FILES).filter(([piece]) => manifests[piece]).map(([, file]) => file),
+      configMapGenerator: configMap
+        ? [{ name: configMap.metadata.name, literals: this.literals(configMap.data) }]
+        : undefined
+    });
+
+    return files;
+  }
+
+  // Overlays choose the namespace, and the generator's name hash rolls pods on config changes
+  baseManifest(manifest) {
+    const { namespace, ...metadata } = manifest.metadata;
+    const copy = JSON.parse(JSON.stringify({ ...manifest, metadata }));
+
+    const template = copy.spec?.template?.metadata;
+    if (template?.annotations) {
+      delete template.annotations['checksum/config'];
+      if (!Object.keys(template.annotations).length) delete template.annotations;
+    }
+    return copy;
+  }
+
+  overlay(environment, settings, manifests) {
+    const { deployment, hpa, ingress, configMap } = manifests;
+    const name = deployment.metadata.name;
+    const container = deployment.spec.template.spec.containers[0];
+    const dir = `overlays/${environment}`;
+    const files = {};
+
+    files[`${dir}/namespace.yaml`] = this.dump({
+      apiVersion: 'v1',
+      kind: 'Namespace',
+      metadata: {
+        name: settings.namespace,
+        // The generated pods already meet the restricted Pod Security Standard
+        labels: { 'pod-security.kubernetes.io/enforce': 'restricted' }
+      }
+    });
+
+    files[`${dir}/deployment-patch.yaml`] = this.dump({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: { name },
+      spec: {
+        template: {
+          spec: {
+            containers: [{
+              name: container.name,
+              resources: settings.resources,
+              env: configMap ? undefined : Object.entries(settings.config).map(([key, value]) => ({ name: key, value }))
+            }]
+          }
+        }
+      }
+    });
+
+    const patches = [{ path: 'deployment-patch.yaml' }];
+
+    if (hpa) {
+      files[`${dir}/hpa-patch.yaml`] = this.dump({
+        apiVersion: hpa.apiVersion,
+        kind: hpa.kind,
+        metadata: { name: hpa.metadata.name },
+        spec: { minReplicas: settings.replicas, maxReplicas: settings.maxReplicas }
+      });
+      patches.push({ path: 'hpa-patch.yaml' });
+    }
+
+    if (ingress) {
+      // A JSON patch, as rules and tls are lists a merge patch would replace whole
+      files[`${dir}/ingress-patch.yaml`] = this.dump([
+        { op: 'replace', path: '/spec/rules/0/host', value: settings.host },
+        ingress.spec.tls && { op: 'replace', path: '/spec/tls/0/hosts/0', value: settings.host }
+      ].filter(Boolean));
+      patches.push({
+        path: 'ingress-patch.yaml',
+        target: { group: 'networking.k8s.io', version: 'v1', kind: 'Ingress', name: ingress.metadata.name }
+      });
+    }
+
+    files[`${dir}/kustomization.yaml`] = this.dump({
+      ...KUSTOMIZATION,
+      namespace: settings.namespace,
+      resources: ['namespace.yaml', '../../base'],
+      images: [{
+        name: settings.image,
+        ...(settings.imageDigest ? { digest: settings.imageDigest } : { newTag: settings.imageTag })
+      }],
+      // The autoscaler owns the count when there is one; its bounds are patched instead
+      replicas: hpa ? undefined : [{ name, count: settings.replicas }],
+      configMapGenerator: configMap
+        ? [{ name: configMap.metadata.name, behavior: 'merge', literals: this.literals(settings.config) }]
+        : undefined,
+      patches
+    });
+
+    return files;
+  }
+
+  // Requests only: memory limits keep their headroom, as peaks do not shrink with traffic
+  scaleRequests(resources, factor) {
+    if (factor === 1) return resources;
+    const requests = Object.fromEntries(
+      Object.entries(resources.requests || {}).map(([resource, quantity]) => [resource, this.scaleQuantity(quantity, factor)])
+    );
+    return { ...resources, requests };
+  }
+
+  // 100m * 0.5 -> 50m, 1Gi * 0.5 -> 512Mi; unparseable quantities are kept
+  scaleQuantity(quantity, factor) {
+    const match = String(quantity).match(/^(\d+(?:\.\d+)?)(m|k|M|G|T|Ki|Mi|Gi|Ti)?$/);
+    if (!match) return quantity;
+
+    const smaller = { '': ['m', 1000], k: ['', 1000], M: ['k', 1000], G: ['M', 1000], T: ['G', 1000], Ki: ['', 1024], Mi: ['Ki', 1024], Gi: ['Mi', 1024], Ti: ['Gi', 1024] };
+    let value = Number(match[1]) * factor;
+    let unit = match[2] || '';
+    while (!Number.isInteger(value) && smaller[unit]) {
+      const [next, multiplier] = smaller[unit];
+      unit = next;
+      value *= multiplier;
+    }
+    return `${Math.ceil(value)}${unit}`;
+  }
+
+  literals(data) {
+    return Object.entries(data || {}).map(([key, value]) => `${key}=${value}`);
+  }
+
+  dump(value) {
+    return yaml.dump(JSON.parse(JSON.stringify(value)), { noRefs: true, lineWidth: -1 });
+  }
+
+  /**
+   * Zip the layout with every file under a directory named after the application.
+   * @returns {Promise<Buffer>}
+   */
+  package(layout) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('error', reject);
+
+      Object.entries(layout.files).forEach(([file, content]) => {
+        archive.append(content, { name: `${layout.name}/${file}` });
+      });
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = new KustomizeGenerator();
+module.exports.ENVIRONMENTS = Object.keys(ENVIRONMENTS);
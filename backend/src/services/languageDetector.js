@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Language definitions, modelled on github-linguist's languages.yml.
+ * Only `programming` and `markup` languages count toward the breakdown;
+ * `data` and `prose` files are recognised but reported separately.
+ */
+const LANGUAGES = [
+  { name: 'JavaScript', type: 'programming', extensions: ['.js', '.mjs', '.cjs', '.jsx'], interpreters: ['node', 'nodejs', 'deno', 'bun'] },
+  { name: 'TypeScript', type: 'programming', extensions: ['.ts', '.mts', '.cts'], interpreters: ['ts-node', 'tsx'] },
+  { name: 'TSX', type: 'programming', extensions: ['.tsx'] },
+  { name: 'Vue', type: 'markup', extensions: ['.vue'] },
+  { name: 'Svelte', type: 'markup', extensions: ['.svelte'] },
+  { name: 'Python', type: 'programming', extensions: ['.py', '.pyw', '.pyi'], filenames: ['SConstruct', 'SConscript'], interpreters: ['python', 'python2', 'python3'] },
+  { name: 'Jupyter Notebook', type: 'markup', extensions: ['.ipynb'] },
+  { name: 'Java', type: 'programming', extensions: ['.java'] },
+  { name: 'Kotlin', type: 'programming', extensions: ['.kt', '.kts'] },
+  { name: 'Scala', type: 'programming', extensions: ['.scala', '.sc'], interpreters: ['scala'] },
+  { name: 'Groovy', type: 'programming', extensions: ['.groovy', '.gradle'], filenames: ['Jenkinsfile'], interpreters: ['groovy'] },
+  { name: 'Go', type: 'programming', extensions: ['.go'] },
+  { name: 'Rust', type: 'programming', extensions: ['.rs'] },
+  { name: 'Ruby', type: 'programming', extensions: ['.rb', '.rake', '.gemspec'], filenames: ['Gemfile', 'Rakefile', 'Guardfile', 'Vagrantfile'], interpreters: ['ruby', 'jruby'] },
+  { name: 'PHP', type: 'programming', extensions: ['.php', '.phtml'], interpreters: ['php'] },
+  { name: 'C', type: 'programming', extensions: ['.c', '.h'] },
+  { name: 'C++', type: 'programming', extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx'] },
+  { name: 'C#', type: 'programming', extensions: ['.cs', '.csx'] },
+  { name: 'F#', type: 'programming', extensions: ['.fs', '.fsx'] },
+  { name: 'Objective-C', type: 'programming', extensions: ['.m', '.mm'] },
+  { name: 'Swift', type: 'programming', extensions: ['.swift'] },
+  { name: 'Dart', type: 'programming', extensions: ['.dart'] },
+  { name: 'Elixir', type: 'programming', extensions: ['.ex', '.exs'], interpreters: ['elixir'] },
+  { name: 'Erlang', type: 'programming', extensions: ['.erl', '.hrl'], interpreters: ['escript'] },
+  { name: 'Haskell', type: 'programming', extensions: ['.hs'], interpreters: ['runghc', 'runhaskell'] },
+  { name: 'Clojure', type: 'programming', extensions: ['.clj', '.cljs', '.cljc', '.edn'] },
+  { name: 'Lua', type: 'programming', extensions: ['.lua'], interpreters: ['lua'] },
+  { name: 'Perl', type: 'programming', extensions: ['.pl', '.pm'], interpreters: ['perl'] },
+  { name: 'R', type: 'programming', extensions: ['.r'], interpreters: ['Rscript'] },
+  { name: 'Julia', type: 'programming', extensions: ['.jl'], interpreters: ['julia'] },
+  { name: 'Zig', type: 'programming', extensions: ['.zig'] },
+  { name: 'Shell', type: 'programming', extensions: ['.sh', '.bash', '.zsh', '.ksh'], filenames: ['.bashrc', '.bash_profile', '.zshrc', '.profile'], interpreters: ['sh', 'bash', 'zsh', 'ksh', 'dash', 'ash'] },
+  { name: 'PowerShell', type: 'programming', extensions: ['.ps1', '.psm1', '.psd1'], interpreters: ['pwsh', 'powershell'] },
+  { name: 'Batchfile', type: 'programming', extensions: ['.bat', '.cmd'] },
+  { name: 'Dockerfile', type: 'programming', extensions: ['.dockerfile'], filenames: ['Dockerfile', 'Containerfile'] },
+  { name: 'Makefile', type: 'programming', extensions: ['.mk', '.mak'], filenames: ['Makefile', 'GNUmakefile', 'makefile'], interpreters: ['make'] },
+  { name: 'CMake', type: 'programming', extensions: ['.cmake'], filenames: ['CMakeLists.txt'] },
+  { name: 'HCL', type: 'programming', extensions: ['.hcl', '.tf', '.tfvars'] },
+  { name: 'Nix', type: 'programming', extensions: ['.nix'] },
+  { name: 'SQL', type: 'data', extensions: ['.sql'] },
+  { name: 'PLpgSQL', type: 'programming', extensions: ['.pgsql'] },
+  { name: 'HTML', type: 'markup', extensions: ['.html', '.htm', '.xhtml'] },
+  { name: 'CSS', type: 'markup', extensions: ['.css'] },
+  { name: 'SCSS', type: 'markup', extensions: ['.scss'] },
+  { name: 'Sass', type: 'markup', extensions: ['.sass'] },
+  { name: 'Less', type: 'markup', extensions: ['.less'] },
+  { name: 'Handlebars', type: 'markup', extensions: ['.hbs', '.handlebars'] },
+  { name: 'Pug', type: 'markup', extensions: ['.pug'] },
+  { name: 'EJS', type: 'markup', extensions: ['.ejs'] },
+  { name: 'JSON', type: 'data', extensions: ['.json', '.jsonc', '.json5'], filenames: ['.babelrc', '.eslintrc', '.prettierrc'] },
+  { name: 'YAML', type: 'data', extensions: ['.yml', '.yaml'] },
+  { name: 'TOML', type: 'data', extensions: ['.toml'], filenames: ['Pipfile'] },
+  { name: 'XML', type: 'data', extensions: ['.xml', '.xsd', '.xsl', '.svg', '.plist', '.csproj'] },
+  { name: 'INI', type: 'data', extensions: ['.ini', '.cfg', '.properties'], filenames: ['.editorconfig', '.gitconfig'] },
+  { name: 'GraphQL', type: 'data', extensions: ['.graphql', '.gql'] },
+  { name: 'Protocol Buffer', type: 'data', extensions: ['.proto'] },
+  { name: 'CSV', type: 'data', extensions: ['.csv', '.tsv'] },
+  { name: 'Markdown', type: 'prose', extensions: ['.md', '.markdown', '.mdx'] },
+  { name: 'reStructuredText', type: 'prose', extensions: ['.rst'] },
+  { name: 'Text', type: 'prose', extensions: ['.txt'], filenames: ['LICENSE', 'COPYING', 'AUTHORS'] }
+];
+
+const COUNTED_TYPES = new Set(['programming', 'markup']);
+
+// Paths linguist treats as vendored (third-party code committed to the repo)
+const VENDORED_PATTERNS = [
+  /(^|\/)(node_modules|bower_components|jspm_packages|vendor|vendors|third[-_]?party|deps|Pods|Carthage)\//i,
+  /(^|\/)\.(yarn|pnp|bundle)\//,
+  /(^|\/)(jquery|bootstrap|modernizr|angular|react|react-dom|d3|lodash|moment|underscore)([.-][\w.-]*)?\.js$/i,
+  /(^|\/)(assets|static|public)\/(js|css)\/(lib|libs|vendor)\//i,
+  /(^|\/)gradlew(\.bat)?$/,
+  /(^|\/)mvnw(\.cmd)?$/,
+  /(^|\/)\.mvn\/wrapper\//
+];
+
+// Paths and names of files produced by tools rather than written by hand
+const GENERATED_PATTERNS = [
+  /\.min\.(js|css)$/i,
+  /\.(js|css)\.map$/i,
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Gemfile\.lock|Cargo\.lock|poetry\.lock|Pipfile\.lock|uv\.lock|go\.sum|gradle\.lockfile)$/,
+  /\.pb\.(go|cc|h)$/,
+  /_pb2(_grpc)?\.pyi?$/,
+  /\.(generated|g)\.(cs|dart|ts|js)$/i,
+  /\.designer\.cs$/i,
+  /(^|\/)(dist|build|out|target|coverage)\//,
+  /(^|\/)__generated__\//
+];
+
+const DOCUMENTATION_PATTERNS = [
+  /^(docs?|documentation|examples?|samples?)\//i,
+  /(^|\/)(README|CHANGELOG|CHANGES|CONTRIBUTING|HISTORY|LICENSE|COPYING|NOTICE)(\.[a-z]+)?$/i
+];
+
+const GENERATED_MARKERS = /(Code generated .* DO NOT EDIT|@generated|<auto-generated|This file was automatically generated|AUTO-GENERATED FILE)/i;
+
+// Sniff at most this many bytes for shebangs, generated markers and binary content
+const SNIFF_BYTES = 1024;
+
+class LanguageDetector {
+  constructor() {
+    this.byExtension = new Map();
+    this.byFilename = new Map();
+    this.byInterpreter = new Map();
+
+    LANGUAGES.forEach(language => {
+      (language.extensions || []).forEach(ext => {
+        if (!this.byExtension.has(ext)) this.byExtension.set(ext, language);
+      });
+      (language.filenames || []).forEach(name => this.byFilename.set(name, language));
+      (language.interpreters || []).forEach(name => this.byInterpreter.set(name, language));
+    });
+  }
+
+  /**
+   * Byte- and line-weighted language breakdown for the files of a RepoWalker tree
+   * @returns {{primary: string|null, languages: Object[], other: Object[], excluded: Object}}
+   */
+  analyze(tree) {
+    const totals = new Map();
+    const excluded = { vendored: 0, generated: 0, documentation: 0, binary: 0, unknown: 0 };
+    const extensions = new Set(tree.files.map(file => file.extension));
+
+    tree.files.forEach(file => {
+      if (this.isVendored(file.path)) {
+        excluded.vendored++;
+        return;
+      }
+      if (this.isGenerated(file.path)) {
+        excluded.generated++;
+        return;
+      }
+
+      const sample = this.readSample(file.fullPath);
+      if (sample === null || sample.includes('\u0000')) {
+        excluded.binary++;
+        return;
+      }
+      if (GENERATED_MARKERS.test(sample)) {
+        excluded.generated++;
+        return;
+      }
+
+      const language = this.detect(file, sample, extensions);
+      if (!language) {
+        excluded.unknown++;
+        return;
+      }
+
+      // linguist leaves documentation out of the stats, whatever its language
+      if (this.isDocumentation(file.path)) {
+        excluded.documentation++;
+        return;
+      }
+
+      const entry = totals.get(language.name) || {
+        name: language.name,
+        type: language.type,
+        files: 0,
+        bytes: 0,
+        lines: 0
+      };
+      entry.files++;
+      entry.bytes += file.size;
+      entry.lines += this.countLines(file.fullPath);
+      totals.set(language.name, entry);
+    });
+
+    const all = Array.from(totals.values()).sort((a, b) => b.bytes - a.bytes);
+    const counted = all.filter(entry => COUNTED_TYPES.has(entry.type));
+    const countedBytes = counted.reduce((sum, entry) => sum + entry.bytes, 0);
+
+    const languages = counted.map(entry => ({
+      ...entry,
+      percentage: countedBytes > 0 ? Math.round((entry.bytes / countedBytes) * 10000) / 100 : 0
+    }));
+
+    // Prefer a real programming language over markup as the primary one
+    const primary = languages.find(entry => entry.type === 'programming' && !['Shell', 'Dockerfile', 'Makefile', 'Batchfile'].includes(entry.name))
+      || languages[0];
+
+    return {
+      primary: primary ? this.normalizeName(primary.name) : null,
+      languages,
+      other: all.filter(entry => !COUNTED_TYPES.has(entry.type)),
+      excluded
+    };
+  }
+
+  detect(file, sample, extensions) {
+    if (this.byFilename.has(file.name)) return this.byFilename.get(file.name);
+    if (/^Dockerfile\./.test(file.name)) return this.byFilename.get('Dockerfile');
+
+    const language = this.byExtension.get(file.extension);
+
+    // .h is shared by C, C++ and Objective-C; side with whatever else the repo contains
+    if (file.extension === '.h') {
+      if (['.cpp', '.cc', '.cxx', '.hpp'].some(ext => extensions.has(ext))) return this.findLanguage('C++');
+      if (extensions.has('.m') || extensions.has('.mm')) return this.findLanguage('Objective-C');
+    }
+
+    if (language) return language;
+
+    // Extensionless scripts: #!/usr/bin/env python3, #!/bin/bash ...
+    const shebang = sample.match(/^#!\s*(\S+)(?:\s+(?:-\S+\s+)*(\S+))?/);
+    if (shebang) {
+      const command = path.basename(shebang[1]) === 'env' ? shebang[2] : path.basename(shebang[1]);
+      const interpreter = (command || '').replace(/[\d.]+$/, '');
+      return this.byInterpreter.get(command) || this.byInterpreter.get(interpreter) || null;
+    }
+
+    return null;
+  }
+
+  findLanguage(name) {
+    return LANGUAGES.find(language => language.name === name);
+  }
+
+  // TSX is TypeScript as far as build tooling is concerned
+  normalizeName(name) {
+    return name === 'TSX' ? 'TypeScript' : name;
+  }
+
+  isVendored(filePath) {
+    return VENDORED_PATTERNS.some(pattern => pattern.test(filePath));
+  }
+
+  isGenerated(filePath) {
+    return GENERATED_PATTERNS.some(pattern => pattern.test(filePath));
+  }
+
+  isDocumentation(filePath) {
+    return DOCUMENTATION_PATTERNS.some(pattern => pattern.test(filePath));
+  }
+
+  readSample(fullPath) {
+    let fd;
+    try {
+      fd = fs.openSync(fullPath, 'r');
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+      return buffer.toString('utf8', 0, bytesRead);
+    } catch (error) {
+      return null;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  countLines(fullPath) {
+    try {
+      const content = fs.readFileSync(fullPath, 'utf8');
+      if (!content) return 0;
+      return content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+module.exports = new LanguageDetector();
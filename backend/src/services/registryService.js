@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config/appConfig');
+const logger = require('../utils/logger');
+const dockerService = require('./dockerService');
+const User = require('../../models/User');
+
+// Docker Hub is addressed by several names; its v2 API lives on registry-1
+const DOCKER_HUB_HOSTS = ['docker.io', 'index.docker.io', 'registry-1.docker.io', 'registry.hub.docker.com'];
+const DOCKER_HUB_API = 'https://registry-1.docker.io';
+
+// Accepted in this order for manifest requests; indexes come first so multi-arch tags resolve to their index
+const MANIFEST_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json'
+];
+const INDEX_TYPES = MANIFEST_TYPES.slice(0, 2);
+
+// Tags as the docker CLI accepts them, and the digests manifests are addressed by
+const TAG_PATTERN = /^[\w][\w.-]{0,127}$/;
+const DIGEST_PATTERN = /^sha256:[a-f0-9]{64}$/;
+
+// Tokens are refreshed this long before the registry says they expire
+const TOKEN_EXPIRY_MARGIN = 10 * 1000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function invalidRegistry(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Where a registry's v2 API is, from a URL or host[:port]. Like the docker
+ * CLI, plain HTTP is only used for loopback registries.
+ */
+function resolveRegistry(registry = config.services.docker.registry) {
+  const value = String(registry || 'docker.io').trim();
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && !/^https?:\/\//i.test(value)) {
+    throw invalidRegistry(`Registry ${value} must be an http or https URL`);
+  }
+
+  const hostname = value.replace(/^https?:\/\//i, '').split(/[/:]/)[0];
+  const loopback = LOOPBACK_HOSTS.includes(hostname);
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `${loopback ? 'http' : 'https'}://${value}`);
+  } catch (error) {
+    throw invalidRegistry(`Invalid registry: ${value}`);
+  }
+  if (url.username || url.password) {
+    throw invalidRegistry('Registry URLs cannot carry credentials');
+  }
+  if (url.protocol === 'http:' && !LOOPBACK_HOSTS.includes(url.hostname)) {
+    throw invalidRegistry(`Registry ${url.host} must be reached over https`);
+  }
+
+  if (DOCKER_HUB_HOSTS.includes(url.hostname)) {
+    return { url: DOCKER_HUB_API, host: 'docker.io', dockerHub: true };
+  }
+  return { url: `${url.protocol}//${url.host}`, host: url.host, dockerHub: false };
+}
+
+// `Bearer realm="...",service="...",scope="..."` -> {scheme, realm, service, scope}
+function parseChallenge(header = '') {
+  const [scheme] = header.split(' ');
+  const params = {};
+  for (const match of header.matchAll(/(\w+)="([^"]*)"/g)) {
+    params[match[1]] = match[2];
+  }
+  return { scheme: scheme.toLowerCase(), ...params };
+}
+
+/**
+ * Docker Registry HTTP API v2 client for one registry and set of
+ * credentials. Token auth follows the registry's WWW-Authenticate
+ * challenge, so Docker Hub, registry:2 with htpasswd and most hosted
+ * registries work the same way.
+ */
+class RegistryClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.registry] - Registry URL or host[:port], Docker Hub by default
+   * @param {string} [options.username]
+   * @param {string} [options.password] - Password or access token
+   * @param {string} [options.owner] - User the client acts for; part of the token cache key
+   * @param {Map} [options.tokens] - Shared bearer token cache
+   */
+  constructor(options = {}) {
+    this.endpoint = resolveRegistry(options.registry);
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.owner = options.owner ? String(options.owner) : '';
+    this.tokens = options.tokens || new Map();
+  }
+
+  /**
+   * Check that the registry answers and accepts the credentials.
+   */
+  async ping() {
+    await this.request('GET', '/v2/', { scope: null });
+    return { registry: this.endpoint.host, authenticated: Boolean(this.username) };
+  }
+
+  /**
+   * Repository names from the catalog endpoint, one page at a time.
+   * Docker Hub does not offer the catalog.
+   * @returns {Promise<{repositories: string[], next: string|null}>}
+   */
+  async catalog({ limit = 100, last } = {}) {
+    if (this.endpoint.dockerHub) {
+      const error = new Error('Docker Hub does not expose the registry catalog');
+      error.status = 400;
+      throw error;
+    }
+
+    const response = await this.request('GET', '/v2/_catalog', {
+      scope: 'registry:catalog:*',
+      params: { n: limit, last }
+    });
+
+    return {
+      repositories: response.data.repositories || [],
+      next: this.nextLast(response.headers.link)
+    };
+  }
+
+  /**
+   * All tags of a repository, following the Link pagination.
+   */
+  async listTags(repository) {
+    const name = this.repositoryName(repository);
+    const tags = [];
+    let last;
+
+    do {
+      const response = await this.request('GET', `/v2/${name}/tags/list`, {
+        scope: `repository:${name}:pull`,
+        params: { n: 1000, last }
+      });
+      tags.push(...(response.data.tags || []));
+      last = this.nextLast(response.headers.link);
+    } while (last);
+
+    return { repository: name, tags };
+  }
+
+  /**
+   * Manifest of a tag or digest, with the image config for single-platform images.
+   */
+  async getManifest(repository, reference = 'latest') {
+    const name = this.repositoryName(repository);
+    this.checkReference(reference);
+    const response = await this.request('GET', `/v2/${name}/manifests/${reference}`, {
+      scope: `repository:${name}:pull`,
+      headers: { Accept: MANIFEST_TYPES.join(', ') }
+    });
+
+    const manifest = response.data;
+    const mediaType = manifest.mediaType || response.headers['content-type'];
+    const inspected = {
+      repository: name,
+      reference,
+      digest: response.headers['docker-content-digest'] || null,
+      mediaType,
+      schemaVersion: manifest.schemaVersion
+    };
+
+    if (INDEX_TYPES.includes(mediaType)) {
+      return {
+        ...inspected,
+        platforms: (manifest.manifests || []).map(entry => ({
+          digest: entry.digest,
+          size: entry.size,
+          os: entry.platform?.os,
+          architecture: entry.platform?.architecture,
+          variant: entry.platform?.variant
+        }))
+      };
+    }
+
+    const layers = (manifest.layers || []).map(layer => ({
+      digest: layer.digest,
+      size: layer.size,
+      mediaType: layer.mediaType
+    }));
+
+    return {
+      ...inspected,
+      size: layers.reduce((total, layer) => total + (layer.size || 0), manifest.config?.size || 0),
+      layers,
+      config: manifest.config ? await this.getImageConfig(name, manifest.config.digest) : null
+    };
+  }
+
+  async getImageConfig(name, digest) {
+    const response = await this.request('GET', `/v2/${name}/blobs/${digest}`, {
+      scope: `repository:${name}:pull`
+    });
+    const image = response.data || {};
+
+    return {
+      digest,
+      created: image.created || null,
+      os: image.os || null,
+      architecture: image.architecture || null,
+      user: image.config?.User || null,
+      exposedPorts: Object.keys(image.config?.ExposedPorts || {}),
+      entrypoint: image.config?.Entrypoint || null,
+      cmd: image.config?.Cmd || null,
+      labels: image.config?.Labels || {}
+    };
+  }
+
+  /**
+   * Delete a tag. The v2 API deletes manifests by digest, so every other
+   * tag pointing at the same manifest goes with it. registry:2 answers 405
+   * unless REGISTRY_STORAGE_DELETE_ENABLED is set.
+   */
+  async deleteTag(repository, tag) {
+    const name = this.repositoryName(repository);
+    this.checkReference(tag, { digest: false });
+    const scope = `repository:${name}:pull,push,delete`;
+
+    const head = await this.request('HEAD', `/v2/${name}/manifests/${tag}`, {
+      scope,
+      headers: { Accept: MANIFEST_TYPES.join(', ') }
+    });
+    const digest = head.headers['docker-content-digest'];
+    if (!DIGEST_PATTERN.test(digest || '')) {
+      const error = new Error(`Registry did not report a valid digest for ${name}:${tag}`);
+      error.status = 502;
+      throw error;
+    }
+
+    await this.request('DELETE', `/v2/${name}/manifests/${digest}`, { scope });
+    logger.info(`Deleted ${this.endpoint.host}/${name}:${tag} (${digest})`);
+
+    return { repository: name, tag, digest };
+  }
+
+  // Official Docker Hub images live under library/
+  repositoryName(repository) {
+    let name = String(repository).replace(/^\/+|\/+$/g, '');
+    if (name.startsWith(`${this.endpoint.host}/`)) name = name.slice(this.endpoint.host.length + 1);
+    if (this.endpoint.dockerHub && !name.includes('/')) name = `library/${name}`;
+
+    if (!/^[a-z0-9]+(?:[._-][a-z0-9]+)*(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*$/.test(name)) {
+      const error = new Error(`Invalid repository name: ${repository}`);
+      error.status = 400;
+      throw error;
+    }
+    return name;
+  }
+
+  // References become URL path segments, so anything but a tag or digest is refused
+  checkReference(reference, { digest = true } = {}) {
+    const value = String(reference);
+    if (!TAG_PATTERN.test(value) && !(digest && DIGEST_PATTERN.test(value))) {
+      const error = new Error(`Invalid ${digest ? 'tag or digest' : 'tag'}: ${reference}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  // `</v2/_catalog?last=b&n=100>; rel="next"` -> b
+  nextLast(link) {
+    const match = link?.match(/<([^>]+)>;\s*rel="next"/);
+    if (!match) return null;
+    return new URL(match[1], this.endpoint.url).searchParams.get('last');
+  }
+
+  /**
+   * Send a request, answering an auth challenge once: Basic with the
+   * credentials, Bearer with a token from the challenge's realm.
+   */
+  async request(method, path, { scope, params, headers = {} } = {}) {
+    const send = (authorization) => axios({
+      method,
+      url: `${this.endpoint.url}${path}`,
+      params,
+      headers: authorization ? { ...headers, Authorization: authorization } : headers,
+      timeout: 30000,
+      validateStatus: () => true
+    }).catch(error => {
+      const unreachable = new Error(`Registry ${this.endpoint.host} is unreachable: ${error.code || error.message}`);
+      unreachable.status = 502;
+      throw unreachable;
+    });
+
+    const cacheKey = this.tokenKey(scope);
+    const cached = this.tokens.get(cacheKey);
+    let response = await send(cached && cached.expiresAt > Date.now() ? `Bearer ${cached.token}` : null);
+
+    if (response.status === 401) {
+      const challenge = parseChallenge(response.headers['www-authenticate']);
+
+      if (challenge.scheme === 'bearer' && challenge.realm) {
+        this.checkRealm(challenge.realm);
+        const token = await this.fetchToken(challenge, scope || challenge.scope);
+        this.tokens.set(cacheKey, token);
+        response = await send(`Bearer ${token.token}`);
+      } else if (challenge.scheme === 'basic' && this.username) {
+        response = await send(this.basicAuth());
+      }
+    }
+
+    if (response.status >= 400) {
+      throw this.responseError(response, path);
+    }
+    return response;
+  }
+
+  // Cached tokens belong to one owner and secret; another user with the same username never gets them
+  tokenKey(scope) {
+    const secret = crypto.createHash('sha256').update(`${this.username || ''}:${this.password || ''}`).digest('hex');
+    return [this.endpoint.url, this.owner, secret, scope || ''].join('|');
+  }
+
+  /**
+   * The token realm comes from the registry's response, so it may only name
+   * the registry's host or a host in its domain (auth.docker.io for
+   * registry-1.docker.io), over https unless the registry itself is plain HTTP.
+   */
+  checkRealm(realm) {
+    const registry = new URL(this.endpoint.url);
+    let url = null;
+    try {
+      url = new URL(realm);
+    } catch (error) {
+      // Reported below
+    }
+
+    const domain = registry.hostname.split('.').slice(1).join('.');
+    const inDomain = !net.isIP(registry.hostname) && domain.includes('.')
+      && (url?.hostname === domain || url?.hostname.endsWith(`.${domain}`));
+    const secure = url?.protocol === 'https:' || url?.protocol === registry.protocol;
+
+    if (!url || !secure || (url.hostname !== registry.hostname && !inDomain)) {
+      const error = new Error(`Registry ${this.endpoint.host} sent a token realm outside its host: ${realm}`);
+      error.status = 502;
+      throw error;
+    }
+  }
+
+  async fetchToken(challenge, scope) {
+    const response = await axios.get(challenge.realm, {
+      params: { service: challenge.service, scope: scope || undefined },
+      headers: this.username ? { Authorization: this.basicAuth() } : {},
+      timeout: 30000,
+      validateStatus: () => true
+    }).catch(error => {
+      const unreachable = new Error(`Registry token service is unreachable: ${error.code || error.message}`);
+      unreachable.status = 502;
+      throw unreachable;
+    });
+
+    if (response.status >= 400) {
+      const error = new Error(response.status === 401
+        ? `Registry ${this.endpoint.host} rejected the credentials`
+        : `Registry token request failed with HTTP ${response.status}`);
+      error.status = response.status === 401 ? 401 : 502;
+      throw error;
+    }
+
+    const expiresIn = (response.data.expires_in || 60) * 1000;
+    return {
+      token: response.data.token || response.data.access_token,
+      expiresAt: Date.now() + expiresIn - TOKEN_EXPIRY_MARGIN
+    };
+  }
+
+  basicAuth() {
+    return `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+  }
+
+  // Registry errors come as {errors: [{code, message}]}; client errors keep their status
+  responseError(response, path) {
+    const detail = response.data?.errors?.[0];
+    const messages = {
+      401: `Registry ${this.endpoint.host} requires credentials for ${path}`,
+      403: `Not allowed to access ${path} on ${this.endpoint.host}`,
+      404: `Not found on ${this.endpoint.host}: ${path}`,
+      405: `Registry ${this.endpoint.host} does not allow this operation (deletes may be disabled)`
+    };
+
+    // registry:2 reports a disabled delete only as UNSUPPORTED
+    const error = new Error(detail?.message && response.status !== 405
+      ? `${detail.code ? `${detail.code}: ` : ''}${detail.message}`
+      : messages[response.status] || `Registry request failed with HTTP ${response.status}`);
+    error.status = response.status < 500 ? response.status : 502;
+    error.code = detail?.code;
+    return error;
+  }
+}
+
+/**
+ * Registry access on behalf of a user, with the credentials they stored
+ * under integrations.docker.
+ */
+class RegistryService {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Resolve a registry a user asked for, refusing hosts other than Docker
+   * Hub, DOCKER_REGISTRY_URL and DOCKER_REGISTRY_ALLOWED_HOSTS so requests
+   * cannot be pointed at internal services.
+   */
+  allowedRegistry(registry) {
+    const target = resolveRegistry(registry);
+    const { registry: configured, allowedRegistries } = config.services.docker;
+    const allowed = [configured, ...allowedRegistries]
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => resolveRegistry(entry).host);
+
+    if (!target.dockerHub && !allowed.includes(target.host)) {
+      const error = new Error(`Registry ${target.host} is not allowed; ask an administrator to add it to DOCKER_REGISTRY_ALLOWED_HOSTS`);
+      error.status = 403;
+      throw error;
+    }
+    return target;
+  }
+
+  /**
+   * Client for a registry, authenticated when it is the user's stored registry.
+   * @param {string} userId
+   * @param {string} [registry] - Defaults to the stored registry, then DOCKER_REGISTRY_URL
+   */
+  async clientFor(userId, registry) {
+    const user = await User.findById(userId).select('integrations.docker');
+    const stored = user?.integrations?.docker || {};
+    const target = this.allowedRegistry(registry || stored.registry || undefined);
+    const storedTarget = stored.username ? resolveRegistry(stored.registry || undefined) : null;
+
+    // Credentials are only ever sent to the registry they were saved for
+    const credentials = storedTarget && storedTarget.url === target.url
+      ? { username: stored.username, password: stored.token }
+      : {};
+
+    return new RegistryClient({ registry: target.url, ...credentials, owner: userId, tokens: this.tokens });
+  }
+
+  /**
+   * Verify and store registry credentials for a user.
+   */
+  async saveCredentials(userId, { registry, username, token }) {
+    const client = new RegistryClient({ registry: this.allowedRegistry(registry).url, username, password: token, owner: userId });
+    await client.ping();
+
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        'integrations.docker.registry': registry || undefined,
+        'integrations.docker.username': username,
+        'integrations.docker.token': token
+      }
+    });
+
+    logger.info(`Stored registry credentials for ${username} on ${client.endpoint.host}`);
+    return { registry: client.endpoint.host, username };
+  }
+
+  async clearCredentials(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { 'integrations.docker': 1 } });
+  }
+
+  async getCredentials(userId) {
+    const user = await User.findById(userId).select('integrations.docker');
+    const stored = user?.integrations?.docker;
+    if (!stored?.username) return null;
+
+    return { registry: resolveRegistry(stored.registry || undefined).host, username: stored.username };
+  }
+
+  /**
+   * Tag a local image for the registry and push it with the stored credentials.
+   * @param {string} userId
+   * @param {string} imageName - Local repository name, e.g. myapp or team/myapp
+   * @param {Object} options
+   * @param {string} [options.registry]
+   * @param {string[]} [options.tags=['latest']]
+   * @param {Function} [options.onProgress] - Receives the daemon's push messages
+   * @returns {Promise<Object[]>} {tag, reference, digest, size} per tag
+   */
+  async pushImage(userId, imageName, options = {}) {
+    const client = await this.clientFor(userId, options.registry);
+    const { host, dockerHub } = client.endpoint;
+    const repository = dockerHub || imageName.startsWith(`${host}/`) ? imageName : `${host}/${imageName}`;
+    const authconfig = client.username
+      ? { username: client.username, password: client.password, serveraddress: dockerHub ? 'https://index.docker.io/v1/' : host }
+      : undefined;
+
+    const pushed = [];
+    for (const tag of options.tags || ['latest']) {
+      if (repository !== imageName) {
+        await dockerService.tagImage(`${imageName}:${tag}`, repository, tag);
+      }
+
+      const output = await dockerService.pushImage(repository, { tag, authconfig, onProgress: options.onProgress });
+      const aux = output.map(message => message.aux).find(Boolean) || {};
+
+      pushed.push({ tag, reference: `${repository}:${tag}`, digest: aux.Digest || null, size: aux.Size || null });
+      logger.info(`Pushed ${repository}:${tag}${aux.Digest ? ` (${aux.Digest})` : ''}`);
+    }
+
+    return pushed;
+  }
+}
+
+module.exports = new RegistryService();
+module.exports.RegistryClient = RegistryClient;
+module.exports.resolveRegistry = resolveRegistry;
+module.exports.TAG_PATTERN = TAG_PATTERN;
+module.exports.DIGEST_PATTERN = DIGEST_PATTERN;
@@ -1,10 +1,18 @@
 const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
+
+// Arguments go to git as-is, never through a shell; `--` keeps a URL from being read as an option
+const git = (args, options) => execFilePromise('git', args, options);
 const logger = require('../utils/logger');
+const DependencyParser = require('./dependencyParser');
+const ComplexityAnalyzer = require('./complexityAnalyzer');
+const RepoWalker = require('./repoWalker');
+const LanguageDetector = require('./languageDetector');
+const RuntimeDetector = require('./runtimeDetector');
 
 class RepoAnalyzer {
   constructor() {
@@ -14,51 +22,84 @@ class RepoAnalyzer {
     this.tempDir = path.join(__dirname, '../../temp/repos');
   }
 
+  /**
+   * Clone and analyze a repository. options.onStage is awaited before each
+   * stage (clone, structure, languages, dependencies, metrics) so callers
+   * can record progress.
+   */
   async analyzeRepository(url, options = {}) {
+    let repoPath;
+
     try {
       logger.info(`Analyzing repository: ${url}`);
       
-      const { branch = 'main', depth = 3, includeDependencies = true } = options;
+      const {
+        branch = 'main',
+        depth = 3,
+        includeDependencies = true,
+        include = [],
+        exclude = [],
+        onStage = async () => {}
+      } = options;
       const repoInfo = this.parseRepoUrl(url);
       
       // Clone repository
-      const repoPath = await this.cloneRepository(url, branch, depth);
+      await onStage('clone');
+      repoPath = await this.cloneRepository(url, branch, depth);
+      const commit = await this.resolveCommit(repoPath);
       
-      // Analyze structure
-      const structure = await this.analyzeStructure(repoPath);
+      // Analyze structure; every later stage reuses this one walk of the tree
+      await onStage('structure');
+      const tree = RepoWalker.walk(repoPath, { include, exclude });
+      const structure = await this.analyzeStructure(tree);
       
       // Get languages
-      const languages = await this.detectLanguages(repoPath);
+      await onStage('languages');
+      const languageBreakdown = await this.detectLanguages(tree);
       
       // Find configuration files
-      const configFiles = this.findConfigFiles(repoPath);
+      const configFiles = this.findConfigFiles(tree);
       
       // Analyze dependencies if requested
+      await onStage('dependencies');
       let dependencies = [];
       if (includeDependencies) {
-        dependencies = await this.analyzeDependencies(repoPath);
+        dependencies = await this.analyzeDependencies(repoPath, configFiles);
       }
+      const runtimeProfile = await this.detectRuntime(repoPath, tree, languageBreakdown.primary, dependencies);
+      const services = await this.detectServices(repoPath, tree, languageBreakdown.primary, dependencies);
       
       // Calculate metrics
-      const metrics = await this.calculateMetrics(repoPath);
-      
-      // Clean up temp directory
-      this.cleanupTempDir(repoPath);
+      await onStage('metrics');
+      const metrics = await this.calculateMetrics(tree);
+      const complexity = await ComplexityAnalyzer.analyzeRepository(repoPath, tree.files.map(file => file.path));
+      const files = this.getFileList(tree);
       
       return {
         repository: repoInfo,
         branch,
+        commit,
         structure,
-        languages,
+        languages: languageBreakdown.languages.map(language => language.name),
+        primaryLanguage: languageBreakdown.primary,
+        languageBreakdown,
         configFiles,
         dependencies,
+        runtimeProfile,
+        services,
         metrics,
-        files: this.getFileList(repoPath)
+        complexity,
+        files
       };
       
     } catch (error) {
       logger.error(`Repository analysis failed: ${error.message}`);
       throw error;
+    } finally {
+      // Clean up temp directory
+      if (repoPath) {
+        this.cleanupTempDir(repoPath);
+      }
     }
   }
 
@@ -144,170 +185,146 @@ class RepoAnalyzer {
     
     fs.mkdirSync(repoPath, { recursive: true });
     
-    const cloneCmd = `git clone --depth ${depth} --branch ${branch} ${url} ${repoPath}`;
-    
     try {
-      await execPromise(cloneCmd);
+      await git(['clone', '--depth', String(depth), '--branch', branch, '--', url, repoPath]);
       logger.info(`Cloned repository to ${repoPath}`);
       return repoPath;
     } catch (error) {
       // Try without branch
-      const fallbackCmd = `git clone --depth ${depth} ${url} ${repoPath}`;
-      await execPromise(fallbackCmd);
+      await git(['clone', '--depth', String(depth), '--', url, repoPath]);
       return repoPath;
     }
   }
 
-  async analyzeStructure(repoPath) {
+  async resolveCommit(repoPath) {
+    try {
+      const { stdout } = await git(['rev-parse', 'HEAD'], { cwd: repoPath });
+      return stdout.trim();
+    } catch (error) {
+      logger.warn(`Could not resolve the cloned commit: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Clone `url` at exactly `commit` into a fresh temp directory. Hosts that
+   * allow fetching a commit by SHA get a depth-1 fetch; others fall back to
+   * a full clone of `branch` and a checkout. Without a commit the branch head
+   * is used. The caller removes the directory with cleanupTempDir.
+   */
+  async checkoutCommit(url, commit, branch = 'main') {
+    if (!commit) {
+      return this.cloneRepository(url, branch, 1);
+    }
+
+    if (!/^[0-9a-f]{7,40}$/i.test(commit)) {
+      throw new Error(`Invalid commit: ${commit}`);
+    }
+
+    const repoId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const repoPath = path.join(this.tempDir, repoId);
+    fs.mkdirSync(repoPath, { recursive: true });
+
+    try {
+      await git(['init', '--quiet'], { cwd: repoPath });
+      await git(['fetch', '--quiet', '--depth', '1', '--', url, commit], { cwd: repoPath });
+      await git(['checkout', '--quiet', 'FETCH_HEAD'], { cwd: repoPath });
+    } catch (error) {
+      logger.warn(`Shallow fetch of ${commit} failed, cloning ${branch}: ${error.message}`);
+      fs.rmSync(repoPath, { recursive: true, force: true });
+
+      try {
+        await git(['clone', '--quiet', '--branch', branch, '--', url, repoPath]);
+        await git(['checkout', '--quiet', commit], { cwd: repoPath });
+      } catch (cloneError) {
+        // The caller only learns the path on success, so nothing else would remove it
+        fs.rmSync(repoPath, { recursive: true, force: true });
+        throw cloneError;
+      }
+    }
+
+    logger.info(`Checked out ${url} at ${commit} in ${repoPath}`);
+    return repoPath;
+  }
+
+  async analyzeStructure(tree) {
     const structure = {
-      directories: 0,
-      files: 0,
+      directories: tree.directories.length,
+      files: tree.files.length,
       byType: {},
       maxDepth: 0
     };
     
-    const walk = (dir, depth = 0) => {
-      structure.maxDepth = Math.max(structure.maxDepth, depth);
-      
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      items.forEach(item => {
-        if (item.isDirectory()) {
-          structure.directories++;
-          walk(path.join(dir, item.name), depth + 1);
-        } else {
-          structure.files++;
-          const ext = path.extname(item.name).toLowerCase();
-          structure.byType[ext] = (structure.byType[ext] || 0) + 1;
-        }
-      });
-    };
+    tree.directories.forEach(dir => {
+      structure.maxDepth = Math.max(structure.maxDepth, dir.depth);
+    });
+    
+    tree.files.forEach(file => {
+      structure.byType[file.extension] = (structure.byType[file.extension] || 0) + 1;
+    });
     
-    walk(repoPath);
     return structure;
   }
 
-  async detectLanguages(repoPath) {
-    const extensions = {
-      '.js': 'JavaScript',
-      '.ts': 'TypeScript',
-      '.py': 'Python',
-      '.java': 'Java',
-      '.go': 'Go',
-      '.rs': 'Rust',
-      '.rb': 'Ruby',
-      '.php': 'PHP',
-      '.cpp': 'C++',
-      '.c': 'C',
-      '.cs': 'C#',
-      '.swift': 'Swift',
-      '.kt': 'Kotlin',
-      '.scala': 'Scala',
-      '.html': 'HTML',
-      '.css': 'CSS',
-      '.json': 'JSON',
-      '.yaml': 'YAML',
-      '.yml': 'YAML',
-      '.xml': 'XML',
-      '.md': 'Markdown'
-    };
-    
-    const languages = new Set();
-    
-    const walk = (dir) => {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      items.forEach(item => {
-        if (item.isDirectory()) {
-          walk(path.join(dir, item.name));
-        } else {
-          const ext = path.extname(item.name).toLowerCase();
-          if (extensions[ext]) {
-            languages.add(extensions[ext]);
-          }
-        }
-      });
-    };
-    
-    walk(repoPath);
-    return Array.from(languages);
+  async detectLanguages(tree) {
+    return LanguageDetector.analyze(tree);
   }
 
-  findConfigFiles(repoPath) {
+  findConfigFiles(tree) {
     const configFiles = [];
     const patterns = [
-      'package.json', 'package-lock.json', 'yarn.lock',
-      'pom.xml', 'build.gradle', 'build.gradle.kts',
-      'requirements.txt', 'Pipfile', 'pyproject.toml',
-      'Cargo.toml', 'go.mod', 'composer.json',
+      'package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml',
+      'pom.xml', 'build.gradle', 'build.gradle.kts', 'gradle.lockfile',
+      'requirements.txt', 'Pipfile', 'Pipfile.lock', 'pyproject.toml',
+      'poetry.lock', 'uv.lock', 'Cargo.toml', 'Cargo.lock',
+      'go.mod', 'go.sum', 'composer.json', 'composer.lock',
       'docker-compose.yml', 'docker-compose.yaml',
       '.dockerignore', '.gitignore', '.env.example',
       'Makefile', 'Procfile', 'webpack.config.js',
       'tsconfig.json', '.eslintrc', '.prettierrc'
     ];
     
-    const walk = (dir) => {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      items.forEach(item => {
-        const fullPath = path.join(dir, item.name);
-        
-        if (item.isDirectory()) {
-          walk(fullPath);
-        } else if (patterns.includes(item.name)) {
-          configFiles.push({
-            name: item.name,
-            path: path.relative(repoPath, fullPath),
-            size: fs.statSync(fullPath).size
-          });
-        }
-      });
-    };
+    tree.files.forEach(file => {
+      if (patterns.includes(file.name) || DependencyParser.isManifest(file.path)) {
+        configFiles.push({
+          name: file.name,
+          path: file.path,
+          size: file.size
+        });
+      }
+    });
     
-    walk(repoPath);
     return configFiles;
   }
 
-  async analyzeDependencies(repoPath) {
-    const dependencies = [];
-    
-    // Check for package.json (Node.js)
-    const packageJsonPath = path.join(repoPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      if (packageJson.dependencies) {
-        Object.entries(packageJson.dependencies).forEach(([name, version]) => {
-          dependencies.push({
-            name,
-            version: version.replace('^', '').replace('~', ''),
-            type: 'runtime',
-            manager: 'npm'
-          });
-        });
-      }
+  async analyzeDependencies(repoPath, configFiles) {
+    const manifests = configFiles
+      .map(file => file.path)
+      .filter(filePath => DependencyParser.isManifest(filePath));
+
+    return DependencyParser.parseManifests(repoPath, manifests);
+  }
+
+  async detectRuntime(repoPath, tree, primaryLanguage, dependencies) {
+    try {
+      return RuntimeDetector.detect(repoPath, tree, { primaryLanguage, dependencies });
+    } catch (error) {
+      // Generators fall back to language defaults without a profile
+      logger.warn(`Runtime detection failed: ${error.message}`);
+      return null;
     }
-    
-    // Check for requirements.txt (Python)
-    const requirementsPath = path.join(repoPath, 'requirements.txt');
-    if (fs.existsSync(requirementsPath)) {
-      const content = fs.readFileSync(requirementsPath, 'utf8');
-      content.split('\n').forEach(line => {
-        const match = line.match(/^([a-zA-Z0-9_-]+)==([0-9.]+)/);
-        if (match) {
-          dependencies.push({
-            name: match[1],
-            version: match[2],
-            type: 'runtime',
-            manager: 'pip'
-          });
-        }
-      });
+  }
+
+  async detectServices(repoPath, tree, primaryLanguage, dependencies) {
+    try {
+      return RuntimeDetector.detectServices(repoPath, tree, { primaryLanguage, dependencies });
+    } catch (error) {
+      logger.warn(`Service detection failed: ${error.message}`);
+      return [];
     }
-    
-    return dependencies;
   }
 
-  async calculateMetrics(repoPath) {
+  async calculateMetrics(tree) {
     const metrics = {
       totalLines: 0,
       totalFiles: 0,
@@ -315,36 +332,26 @@ class RepoAnalyzer {
       largestFile: { name: '', lines: 0 }
     };
     
-    const walk = (dir) => {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
+    tree.files.forEach(file => {
+      if (!this.isTextFile(file.name)) return;
+      
+      metrics.totalFiles++;
       
-      items.forEach(item => {
-        const fullPath = path.join(dir, item.name);
+      try {
+        const content = fs.readFileSync(file.fullPath, 'utf8');
+        const lines = content.split('\n').length;
+        metrics.totalLines += lines;
         
-        if (item.isDirectory()) {
-          walk(fullPath);
-        } else if (this.isTextFile(item.name)) {
-          metrics.totalFiles++;
-          
-          try {
-            const content = fs.readFileSync(fullPath, 'utf8');
-            const lines = content.split('\n').length;
-            metrics.totalLines += lines;
-            
-            if (lines > metrics.largestFile.lines) {
-              metrics.largestFile = {
-                name: path.relative(repoPath, fullPath),
-                lines
-              };
-            }
-          } catch (error) {
-            // Skip binary files
-          }
+        if (lines > metrics.largestFile.lines) {
+          metrics.largestFile = {
+            name: file.path,
+            lines
+          };
         }
-      });
-    };
-    
-    walk(repoPath);
+      } catch (error) {
+        // Skip unreadable files
+      }
+    });
     
     if (metrics.totalFiles > 0) {
       metrics.avgLinesPerFile = Math.round(metrics.totalLines / metrics.totalFiles);
@@ -353,32 +360,24 @@ class RepoAnalyzer {
     return metrics;
   }
 
-  getFileList(repoPath) {
-    const files = [];
+  getFileList(tree) {
+    const directories = tree.directories.map(dir => ({
+      name: dir.name,
+      path: dir.path,
+      isDirectory: true,
+      size: 0,
+      extension: path.extname(dir.name).toLowerCase()
+    }));
     
-    const walk = (dir, relativePath = '') => {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      items.forEach(item => {
-        const fileRelativePath = path.join(relativePath, item.name);
-        const fullPath = path.join(dir, item.name);
-        
-        files.push({
-          name: item.name,
-          path: fileRelativePath,
-          isDirectory: item.isDirectory(),
-          size: item.isDirectory() ? 0 : fs.statSync(fullPath).size,
-          extension: path.extname(item.name).toLowerCase()
-        });
-        
-        if (item.isDirectory()) {
-          walk(fullPath, fileRelativePath);
-        }
-      });
-    };
+    const files = tree.files.map(file => ({
+      name: file.name,
+      path: file.path,
+      isDirectory: false,
+      size: file.size,
+      extension: file.extension
+    }));
     
-    walk(repoPath);
-    return files;
+    return [...directories, ...files].sort((a, b) => a.path.localeCompare(b.path));
   }
 
   isTextFile(filename) {
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const logger = require('../utils/logger');
+
+// Never worth descending into, whether or not the repo ignores them
+const BUILTIN_IGNORES = [
+  '.git/',
+  '.hg/',
+  '.svn/',
+  'node_modules/',
+  'bower_components/',
+  'jspm_packages/',
+  'vendor/',
+  'Pods/',
+  'dist/',
+  'build/',
+  'out/',
+  'target/',
+  'coverage/',
+  '.next/',
+  '.nuxt/',
+  '.svelte-kit/',
+  '.turbo/',
+  '.cache/',
+  '.gradle/',
+  '.terraform/',
+  '.idea/',
+  '__pycache__/',
+  '.venv/',
+  'venv/',
+  '.tox/',
+  '.mypy_cache/',
+  '.pytest_cache/',
+  '*.pyc'
+];
+
+class RepoWalker {
+  /**
+   * Walk a checked-out repository once and return every file and directory
+   * that survives the built-in ignore list, the repo's .gitignore files
+   * (nested ones apply to their own subtree) and the caller's globs.
+   * @param {string} repoPath - Repository root
+   * @param {Object} options
+   * @param {string[]} [options.include] - gitignore-style patterns; when set, only matching files are kept
+   * @param {string[]} [options.exclude] - gitignore-style patterns to drop
+   * @returns {{files: Object[], directories: Object[]}}
+   */
+  walk(repoPath, options = {}) {
+    const builtin = ignore().add(BUILTIN_IGNORES);
+    const include = options.include?.length ? ignore().add(options.include) : null;
+    const exclude = options.exclude?.length ? ignore().add(options.exclude) : null;
+    const files = [];
+    const directories = [];
+
+    const visit = (dir, relativeDir, depth, gitignores) => {
+      const scoped = this.loadGitignore(dir, relativeDir, gitignores);
+      let entries;
+
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        logger.warn(`Cannot read ${dir}: ${error.message}`);
+        return;
+      }
+
+      entries
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          // Symlinks can point outside the clone or loop back into it
+          if (entry.isSymbolicLink()) return;
+
+          const isDirectory = entry.isDirectory();
+          if (!isDirectory && !entry.isFile()) return;
+
+          const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+          const testPath = isDirectory ? `${relativePath}/` : relativePath;
+
+          if (builtin.ignores(testPath) || this.isGitignored(testPath, scoped)) return;
+          if (exclude && exclude.ignores(testPath)) return;
+
+          const fullPath = path.join(dir, entry.name);
+
+          if (isDirectory) {
+            directories.push({
+              name: entry.name,
+              path: relativePath,
+              depth: depth + 1
+            });
+            visit(fullPath, relativePath, depth + 1, scoped);
+            return;
+          }
+
+          if (include && !include.ignores(relativePath)) return;
+
+          files.push({
+            name: entry.name,
+            path: relativePath,
+            fullPath,
+            extension: path.extname(entry.name).toLowerCase(),
+            size: fs.statSync(fullPath).size,
+            depth
+          });
+        });
+    };
+
+    visit(repoPath, '', 0, []);
+
+    // Directories that ended up with no kept files (everything inside was filtered) are dropped
+    const kept = new Set();
+    files.forEach(file => {
+      let dir = path.posix.dirname(file.path);
+      while (dir !== '.' && !kept.has(dir)) {
+        kept.add(dir);
+        dir = path.posix.dirname(dir);
+      }
+    });
+
+    return {
+      files,
+      directories: directories.filter(dir => kept.has(dir.path))
+    };
+  }
+
+  loadGitignore(dir, relativeDir, inherited) {
+    const gitignorePath = path.join(dir, '.gitignore');
+    if (!fs.existsSync(gitignorePath)) return inherited;
+
+    try {
+      const matcher = ignore().add(fs.readFileSync(gitignorePath, 'utf8'));
+      return [...inherited, { base: relativeDir, matcher }];
+    } catch (error) {
+      logger.warn(`Ignoring unreadable ${gitignorePath}: ${error.message}`);
+      return inherited;
+    }
+  }
+
+  // Deeper .gitignore files override shallower ones, including re-includes (!pattern)
+  isGitignored(testPath, scoped) {
+    let ignored = false;
+
+    scoped.forEach(({ base, matcher }) => {
+      const relative = base ? testPath.slice(base.length + 1) : testPath;
+      const result = matcher.test(relative);
+
+      if (result.ignored) ignored = true;
+      else if (result.unignored) ignored = false;
+    });
+
+    return ignored;
+  }
+}
+
+module.exports = new RepoWalker();
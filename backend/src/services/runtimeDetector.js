@@ -0,0 +1,1159 @@
+const fs = require('fs');
+const path = require('path');
+const TOML = require('smol-toml');
+const semver = require('semver');
+const yaml = require('js-yaml');
+const { XMLParser } = require('fast-xml-parser');
+const DependencyParser = require('./dependencyParser');
+const logger = require('../utils/logger');
+
+// Primary language (as named by LanguageDetector) -> runtime family
+const LANGUAGE_RUNTIMES = {
+  JavaScript: 'node',
+  TypeScript: 'node',
+  TSX: 'node',
+  Vue: 'node',
+  Svelte: 'node',
+  Python: 'python',
+  Go: 'go',
+  Java: 'java',
+  Kotlin: 'java',
+  Scala: 'java',
+  Groovy: 'java',
+  Ruby: 'ruby',
+  PHP: 'php',
+  Rust: 'rust'
+};
+
+// Files whose directory is an application root, per runtime
+const RUNTIME_MANIFESTS = {
+  node: ['package.json'],
+  python: ['pyproject.toml', 'Pipfile', 'requirements.txt', 'setup.py', 'manage.py'],
+  go: ['go.mod'],
+  java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+  ruby: ['Gemfile'],
+  php: ['composer.json'],
+  rust: ['Cargo.toml']
+};
+
+const RUNTIME_EXTENSIONS = {
+  node: ['.js', '.mjs', '.cjs', '.ts', '.mts'],
+  python: ['.py'],
+  go: ['.go'],
+  java: ['.java', '.kt'],
+  ruby: ['.rb', '.ru'],
+  php: ['.php'],
+  rust: ['.rs']
+};
+
+const DEFAULT_PORTS = {
+  node: 3000,
+  python: 8000,
+  go: 8080,
+  java: 8080,
+  ruby: 3000,
+  php: 8000,
+  rust: 8080
+};
+
+// Static sites are served by nginx as its unprivileged user once built, so above 1024
+const STATIC_PORT = 8080;
+
+/**
+ * Framework fingerprints, most specific first. `packages` are dependency
+ * names as DependencyParser reports them (a trailing `*` matches a prefix,
+ * e.g. a Maven groupId); category `static` means the build output is plain
+ * files, `worker` means no listening port.
+ */
+const FRAMEWORKS = [
+  { name: 'Next.js', runtime: 'node', category: 'fullstack', packages: ['next'], port: 3000, outputDir: '.next' },
+  { name: 'Nuxt', runtime: 'node', category: 'fullstack', packages: ['nuxt', 'nuxt3'], port: 3000, outputDir: '.output', start: 'node .output/server/index.mjs' },
+  { name: 'Remix', runtime: 'node', category: 'fullstack', packages: ['@remix-run/node', '@remix-run/serve'], port: 3000, outputDir: 'build' },
+  { name: 'SvelteKit', runtime: 'node', category: 'fullstack', packages: ['@sveltejs/kit'], port: 3000, outputDir: 'build', start: 'node build' },
+  { name: 'Astro', runtime: 'node', category: 'static', packages: ['astro'], outputDir: 'dist' },
+  { name: 'Gatsby', runtime: 'node', category: 'static', packages: ['gatsby'], outputDir: 'public' },
+  { name: 'NestJS', runtime: 'node', category: 'backend', packages: ['@nestjs/core'], port: 3000, start: 'node dist/main' },
+  { name: 'Express', runtime: 'node', category: 'backend', packages: ['express'], port: 3000 },
+  { name: 'Fastify', runtime: 'node', category: 'backend', packages: ['fastify'], port: 3000 },
+  { name: 'Koa', runtime: 'node', category: 'backend', packages: ['koa'], port: 3000 },
+  { name: 'hapi', runtime: 'node', category: 'backend', packages: ['@hapi/hapi'], port: 3000 },
+  { name: 'Angular', runtime: 'node', category: 'static', packages: ['@angular/core'], outputDir: 'dist' },
+  { name: 'Create React App', runtime: 'node', category: 'static', packages: ['react-scripts'], outputDir: 'build' },
+  { name: 'Vite', runtime: 'node', category: 'static', packages: ['vite'], outputDir: 'dist' },
+  { name: 'React', runtime: 'node', category: 'library', packages: ['react'] },
+  { name: 'Vue', runtime: 'node', category: 'library', packages: ['vue'] },
+
+  { name: 'Django', runtime: 'python', category: 'backend', packages: ['django'], port: 8000 },
+  { name: 'FastAPI', runtime: 'python', category: 'backend', packages: ['fastapi'], port: 8000 },
+  { name: 'Flask', runtime: 'python', category: 'backend', packages: ['flask'], port: 5000 },
+  { name: 'Streamlit', runtime: 'python', category: 'backend', packages: ['streamlit'], port: 8501 },
+  { name: 'Celery', runtime: 'python', category: 'worker', packages: ['celery'] },
+
+  { name: 'Spring Boot', runtime: 'java', category: 'backend', packages: ['org.springframework.boot:*'], port: 8080 },
+  { name: 'Quarkus', runtime: 'java', category: 'backend', packages: ['io.quarkus:*'], port: 8080 },
+  { name: 'Micronaut', runtime: 'java', category: 'backend', packages: ['io.micronaut:*'], port: 8080 },
+
+  { name: 'Rails', runtime: 'ruby', category: 'backend', packages: ['rails', 'railties'], port: 3000 },
+  { name: 'Sinatra', runtime: 'ruby', category: 'backend', packages: ['sinatra'], port: 4567 },
+
+  { name: 'Laravel', runtime: 'php', category: 'backend', packages: ['laravel/framework'], port: 8000 },
+  { name: 'Symfony', runtime: 'php', category: 'backend', packages: ['symfony/framework-bundle'], port: 8000 },
+
+  { name: 'Gin', runtime: 'go', category: 'backend', packages: ['github.com/gin-gonic/gin'], port: 8080 },
+  { name: 'Echo', runtime: 'go', category: 'backend', packages: ['github.com/labstack/echo/v4', 'github.com/labstack/echo'], port: 8080 },
+  { name: 'Fiber', runtime: 'go', category: 'backend', packages: ['github.com/gofiber/fiber/v2', 'github.com/gofiber/fiber/v3'], port: 3000 },
+  { name: 'chi', runtime: 'go', category: 'backend', packages: ['github.com/go-chi/chi/v5', 'github.com/go-chi/chi'], port: 8080 },
+  { name: 'Gorilla Mux', runtime: 'go', category: 'backend', packages: ['github.com/gorilla/mux'], port: 8080 },
+
+  { name: 'Actix Web', runtime: 'rust', category: 'backend', packages: ['actix-web'], port: 8080 },
+  { name: 'Axum', runtime: 'rust', category: 'backend', packages: ['axum'], port: 3000 },
+  { name: 'Rocket', runtime: 'rust', category: 'backend', packages: ['rocket'], port: 8000 }
+];
+
+/**
+ * Client libraries that mean a service needs a backing datastore, matched
+ * the same way as FRAMEWORKS packages. Any runtime's manifest counts.
+ */
+const DATASTORES = [
+  {
+    name: 'mongodb',
+    packages: ['mongoose', 'mongodb', 'pymongo', 'motor', 'mongoengine', 'mongoid', 'go.mongodb.org/mongo-driver', 'org.mongodb:*', 'mongodb/mongodb']
+  },
+  {
+    name: 'postgres',
+    packages: ['pg', 'postgres', 'pg-promise', 'psycopg2', 'psycopg2-binary', 'psycopg', 'asyncpg', 'github.com/lib/pq', 'github.com/jackc/pgx/v5', 'github.com/jackc/pgx/v4', 'org.postgresql:postgresql', 'tokio-postgres']
+  },
+  {
+    name: 'mysql',
+    packages: ['mysql', 'mysql2', 'mysqlclient', 'pymysql', 'aiomysql', 'github.com/go-sql-driver/mysql', 'com.mysql:mysql-connector-j', 'mysql:mysql-connector-java']
+  },
+  {
+    name: 'redis',
+    packages: ['redis', 'ioredis', 'bull', 'bullmq', 'aioredis', 'github.com/redis/go-redis/v9', 'github.com/go-redis/redis/v8', 'org.springframework.boot:spring-boot-starter-data-redis', 'predis/predis']
+  }
+];
+
+// Directories whose manifests belong to fixtures and samples, not services
+const NON_SERVICE_DIRS = /(^|\/)(tests?|__tests__|spec|fixtures?|examples?|samples?|docs?|e2e)(\/|$)/;
+
+// Literal ports in source, per runtime; the first capture group is the port
+const PORT_PATTERNS = {
+  node: [
+    /\.listen\(\s*(\d{2,5})\s*[,)]/,
+    /process\.env\.PORT\s*(?:,\s*10\s*)?\)?\s*(?:\|\||\?\?)\s*['"]?(\d{2,5})/,
+    /\bport\s*:\s*(\d{2,5})\b/
+  ],
+  python: [
+    /environ(?:\.get)?\(\s*['"]PORT['"]\s*,\s*['"]?(\d{2,5})/,
+    /getenv\(\s*['"]PORT['"]\s*,\s*['"]?(\d{2,5})/,
+    /\.run\([^)]*\bport\s*=\s*(\d{2,5})/,
+    /\bport\s*=\s*(\d{2,5})\b/
+  ],
+  go: [
+    /(?:ListenAndServe(?:TLS)?|\.Run|\.Listen|\.Start)\(\s*"[\w.-]*:(\d{2,5})"/,
+    /Addr:\s*"[\w.-]*:(\d{2,5})"/,
+    /port\s*(?::=|=)\s*"(\d{2,5})"/i
+  ],
+  java: [],
+  ruby: [
+    /set\s+:port,\s*(\d{2,5})/,
+    /ENV\.fetch\(\s*['"]PORT['"]\s*(?:,\s*|\)\s*\{\s*)['"]?(\d{2,5})/
+  ],
+  php: [],
+  rust: [
+    /(?:bind|from_str|parse)\(\s*\(?\s*"[\w.-]*:(\d{2,5})"/,
+    /\[0,\s*0,\s*0,\s*0\],\s*(\d{2,5})\s*\)/,
+    /\(\s*"[\w.-]+"\s*,\s*(\d{2,5})\s*\)/
+  ]
+};
+
+// Besides entry files, only configuration modules are searched for ports
+const CONFIG_FILE = /(^|\/)(config|conf|settings)\/[^/]+$|(^|\/)(\w+[_-]?)?(config|settings)\.\w+$/i;
+
+// Source files are scanned for ports; keep that bounded on large repos
+const MAX_SCANNED_FILES = 200;
+const MAX_SCANNED_BYTES = 256 * 1024;
+
+class RuntimeDetector {
+  /**
+   * Work out how the repository's main application is built and run.
+   * @param {string} repoPath - Checked-out repository root
+   * @param {{files: Object[]}} tree - RepoWalker result for repoPath
+   * @param {Object} options
+   * @param {string} [options.primaryLanguage] - LanguageDetector's primary language
+   * @param {Object[]} [options.dependencies] - DependencyParser entries, parsed again when omitted
+   * @returns {Object|null} runtimeProfile, or null when the language has no known runtime
+   */
+  detect(repoPath, tree, options = {}) {
+    const runtime = LANGUAGE_RUNTIMES[options.primaryLanguage] || this.guessRuntime(tree);
+    if (!runtime) return null;
+
+    return this.profileAt(repoPath, tree, runtime, this.findAppRoot(tree, runtime), options);
+  }
+
+  profileAt(repoPath, tree, runtime, appRoot, options = {}) {
+    const context = this.createContext(repoPath, tree, appRoot);
+    const dependencies = this.appDependencies(context, options.dependencies);
+    const frameworks = this.detectFrameworks(runtime, context, dependencies);
+    const profile = this[`${runtime}Profile`](context, frameworks, dependencies);
+    const type = this.applicationType(frameworks, profile);
+    const { port, source: portSource } = type === 'static'
+      ? { port: STATIC_PORT, source: 'static' }
+      : this.detectPort(runtime, context, frameworks);
+
+    const primary = frameworks.find(fw => fw.category !== 'library') || frameworks[0];
+    const commands = profile.commands(port);
+
+    // A Procfile is the app's own statement of how it runs
+    const procfileStart = this.procfileCommand(context);
+    if (procfileStart && type !== 'static') {
+      commands.start = procfileStart.replace(/\$\{?PORT\}?/g, String(port));
+    }
+
+    return {
+      language: options.primaryLanguage || null,
+      appRoot,
+      runtime: {
+        name: runtime,
+        version: profile.version?.version || null,
+        constraint: profile.version?.constraint || null,
+        source: profile.version?.source || null
+      },
+      packageManager: profile.packageManager,
+      framework: primary?.name || null,
+      frameworks: frameworks.map(fw => ({ name: fw.name, category: fw.category, evidence: fw.evidence })),
+      type,
+      commands: {
+        install: commands.install || null,
+        build: commands.build || null,
+        start: type === 'static' ? null : commands.start || null,
+        test: commands.test || null
+      },
+      port: type === 'worker' ? null : port,
+      portSource: type === 'worker' ? null : portSource,
+      outputDir: profile.outputDir || primary?.outputDir || null
+    };
+  }
+
+  /**
+   * Find every runnable application in the repository, for repositories
+   * that hold several (e.g. backend/ and frontend/ side by side).
+   * @param {string} repoPath - Checked-out repository root
+   * @param {{files: Object[]}} tree - RepoWalker result for repoPath
+   * @param {Object} options - As for detect()
+   * @returns {Object[]} runtimeProfiles with a compose-safe `name` and the
+   *   `datastores` their dependencies point at, shallowest first
+   */
+  detectServices(repoPath, tree, options = {}) {
+    const roots = this.serviceRoots(tree);
+    const services = [];
+
+    roots.forEach(({ dir, runtime }) => {
+      // A root that only wraps other roots (a workspace, a dev-script package) is not a service
+      const nested = roots.filter(other => other.dir !== dir && this.isInside(other.dir, dir));
+      if (nested.length && !this.hasOwnSource(tree, dir, runtime, nested.map(other => other.dir))) return;
+
+      const profile = this.profileAt(repoPath, tree, runtime, dir, {
+        ...options,
+        primaryLanguage: LANGUAGE_RUNTIMES[options.primaryLanguage] === runtime ? options.primaryLanguage : null
+      });
+      const context = this.createContext(repoPath, tree, dir);
+      const dependencies = this.appDependencies(context, options.dependencies);
+      const runnable = profile.frameworks.some(fw => fw.category !== 'library') || profile.type === 'static';
+
+      // Nested packages (tools, shared libraries) only count with a framework of their own
+      const enclosing = services.some(service => this.isInside(dir, service.appRoot));
+      if (!runnable && (enclosing || !profile.commands.start)) return;
+
+      services.push({
+        name: this.serviceName(dir, services),
+        ...profile,
+        datastores: this.detectDatastores(context, dependencies)
+      });
+    });
+
+    return services;
+  }
+
+  // One root per directory holding a runtime manifest; the runtime with most source files there wins
+  serviceRoots(tree) {
+    const byDir = new Map();
+
+    tree.files.forEach(file => {
+      const dir = path.posix.dirname(file.path);
+      if (NON_SERVICE_DIRS.test(dir)) return;
+
+      Object.entries(RUNTIME_MANIFESTS).forEach(([runtime, manifests]) => {
+        if (!manifests.includes(file.name)) return;
+        if (!byDir.has(dir)) byDir.set(dir, new Set());
+        byDir.get(dir).add(runtime);
+      });
+    });
+
+    return [...byDir.entries()]
+      .map(([dir, runtimes]) => {
+        const counts = [...runtimes].map(runtime => ({
+          runtime,
+          count: this.sourceFiles(tree, dir, runtime).length
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        return { dir, runtime: counts[0].runtime };
+      })
+      .sort((a, b) => this.depthOf(a.dir) - this.depthOf(b.dir) || a.dir.localeCompare(b.dir));
+  }
+
+  sourceFiles(tree, dir, runtime) {
+    const extensions = RUNTIME_EXTENSIONS[runtime];
+    return tree.files.filter(file => {
+      return this.isInside(path.posix.dirname(file.path), dir) && extensions.includes(path.posix.extname(file.name));
+    });
+  }
+
+  hasOwnSource(tree, dir, runtime, nestedDirs) {
+    return this.sourceFiles(tree, dir, runtime).some(file => {
+      const fileDir = path.posix.dirname(file.path);
+      return !nestedDirs.some(nested => this.isInside(fileDir, nested));
+    });
+  }
+
+  isInside(dir, ancestor) {
+    return ancestor === '.' || dir === ancestor || dir.startsWith(`${ancestor}/`);
+  }
+
+  // Compose service names: lowercase [a-z0-9_-], unique among the services found so far
+  serviceName(dir, services) {
+    const base = (dir === '.' ? 'app' : path.posix.basename(dir))
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^[-_]+|[-_]+$/g, '') || 'app';
+    const taken = new Set(services.map(service => service.name));
+
+    let name = base;
+    for (let suffix = 2; taken.has(name); suffix++) name = `${base}-${suffix}`;
+    return name;
+  }
+
+  detectDatastores(context, dependencies) {
+    const names = this.dependencyNames(context, dependencies);
+
+    return DATASTORES
+      .map(store => {
+        const hit = this.findPackage(names, store.packages);
+        return hit ? { name: store.name, evidence: `${hit.name} in ${hit.manifest}` } : null;
+      })
+      .filter(Boolean);
+  }
+
+  guessRuntime(tree) {
+    const names = new Set(tree.files.map(file => file.name));
+    return Object.keys(RUNTIME_MANIFESTS).find(runtime => {
+      return RUNTIME_MANIFESTS[runtime].some(name => names.has(name));
+    }) || null;
+  }
+
+  // The shallowest directory holding one of the runtime's manifests
+  findAppRoot(tree, runtime) {
+    const manifests = RUNTIME_MANIFESTS[runtime];
+    const candidates = tree.files
+      .filter(file => manifests.includes(file.name))
+      .map(file => path.posix.dirname(file.path))
+      .sort((a, b) => this.depthOf(a) - this.depthOf(b) || a.localeCompare(b));
+
+    return candidates[0] || '.';
+  }
+
+  depthOf(dir) {
+    return dir === '.' ? 0 : dir.split('/').length;
+  }
+
+  createContext(repoPath, tree, appRoot) {
+    const prefix = appRoot === '.' ? '' : `${appRoot}/`;
+    const files = tree.files
+      .filter(file => file.path.startsWith(prefix))
+      .map(file => ({ ...file, appPath: file.path.slice(prefix.length) }));
+
+    return {
+      repoPath,
+      appRoot,
+      rootPath: path.join(repoPath, appRoot),
+      files,
+      paths: new Set(files.map(file => file.appPath))
+    };
+  }
+
+  has(context, relativePath) {
+    return context.paths.has(relativePath) || fs.existsSync(path.join(context.rootPath, relativePath));
+  }
+
+  read(context, relativePath) {
+    try {
+      return fs.readFileSync(path.join(context.rootPath, relativePath), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readJson(context, relativePath) {
+    return this.parseWith(context, relativePath, JSON.parse);
+  }
+
+  readToml(context, relativePath) {
+    return this.parseWith(context, relativePath, TOML.parse);
+  }
+
+  parseWith(context, relativePath, parse) {
+    const content = this.read(context, relativePath);
+    if (content === null) return null;
+
+    try {
+      return parse(content);
+    } catch (error) {
+      logger.warn(`Ignoring unparseable ${path.posix.join(context.appRoot, relativePath)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Dependencies declared by manifests directly in the app root
+  appDependencies(context, dependencies) {
+    const inRoot = (manifest) => path.posix.dirname(manifest) === context.appRoot;
+
+    if (dependencies?.length) {
+      return dependencies.filter(dep => inRoot(dep.manifest));
+    }
+
+    const manifests = context.files
+      .filter(file => file.appPath === file.name && DependencyParser.isManifest(file.path))
+      .map(file => file.path);
+
+    return manifests.length ? DependencyParser.parseManifests(context.repoPath, manifests) : [];
+  }
+
+  detectFrameworks(runtime, context, dependencies) {
+    const names = this.dependencyNames(context, dependencies);
+
+    return FRAMEWORKS
+      .filter(fw => fw.runtime === runtime)
+      .map(fw => {
+        const hit = this.findPackage(names, fw.packages);
+        return hit ? { ...fw, evidence: `${hit.name} in ${hit.manifest}` } : null;
+      })
+      .filter(Boolean);
+  }
+
+  dependencyNames(context, dependencies) {
+    const names = dependencies.map(dep => ({ name: dep.name.toLowerCase(), manifest: dep.manifest }));
+
+    // Bundler is not one of DependencyParser's ecosystems
+    const gemfile = this.read(context, 'Gemfile');
+    if (gemfile) {
+      const manifest = path.posix.join(context.appRoot, 'Gemfile');
+      for (const match of gemfile.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)) {
+        names.push({ name: match[1].toLowerCase(), manifest });
+      }
+    }
+
+    return names;
+  }
+
+  // A trailing `*` matches a prefix, e.g. a Maven groupId
+  findPackage(names, packages) {
+    return names.find(dep => packages.some(pkg => {
+      return pkg.endsWith('*') ? dep.name.startsWith(pkg.slice(0, -1)) : dep.name === pkg;
+    }));
+  }
+
+  applicationType(frameworks, profile) {
+    const categories = new Set(frameworks.map(fw => fw.category));
+
+    if (categories.has('backend') || categories.has('fullstack')) return 'web';
+    if (categories.has('static') && !profile.serverEntry) return 'static';
+    if (categories.has('worker')) return 'worker';
+    return 'web';
+  }
+
+  /**
+   * Pick the version a runtime was pinned to. `constraint` keeps what the
+   * file said; `version` is an exact pin as written, or for a range the
+   * widest major[.minor] that stays inside it, so `>=18.0.0` gives 18
+   * rather than pinning the lower bound.
+   */
+  version(constraint, source) {
+    if (constraint === undefined || constraint === null || constraint === '') return null;
+
+    const text = String(constraint).trim();
+
+    return {
+      version: this.rangeVersion(text),
+      constraint: text,
+      source: path.posix.normalize(source)
+    };
+  }
+
+  rangeVersion(text) {
+    const exact = text.match(/^(?:v|==?)?\s*(\d+(?:\.\d+){0,2})$/);
+    if (exact) return exact[1];
+
+    // PEP 440 / RubyGems pessimistic operators and comma-separated clauses in semver terms
+    const normalized = text
+      .replace(/(?:~=|~>)\s*(\d+)\.(\d+)(\.\d+)?/g, (match, major, minor, patch) => (
+        patch ? `~${major}.${minor}${patch}` : `^${major}.${minor}`
+      ))
+      .replace(/==/g, '=')
+      .replace(/,/g, ' ');
+    const range = semver.validRange(normalized, { loose: true });
+
+    // Not a range semver reads: a version inside other text (`python-3.11.4`), or nothing safe to pin
+    if (!range) {
+      const match = !/[<>!=~^*]/.test(text) && text.match(/(\d+(?:\.\d+){0,2})/);
+      return match ? match[1] : null;
+    }
+
+    // No lower bound (`<20`): leave the choice to the template's default
+    const lowest = semver.minVersion(range);
+    if (!lowest || semver.satisfies('0.0.0', range)) return null;
+
+    const { major, minor } = lowest;
+    if (semver.satisfies(`${major}.999999.999999`, range)) return String(major);
+    if (semver.satisfies(`${major}.${minor}.999999`, range)) return `${major}.${minor}`;
+    return lowest.version;
+  }
+
+  firstVersion(candidates) {
+    for (const candidate of candidates) {
+      const found = candidate();
+      if (found) return found;
+    }
+    return null;
+  }
+
+  toolVersion(context, tool) {
+    const content = this.read(context, '.tool-versions');
+    const match = content?.match(new RegExp(`^${tool}\\s+(\\S+)`, 'm'));
+    return match ? this.version(match[1], this.sourcePath(context, '.tool-versions')) : null;
+  }
+
+  fileVersion(context, relativePath, pattern = /^\s*(\S+)/) {
+    const content = this.read(context, relativePath);
+    const match = content?.match(pattern);
+    return match ? this.version(match[1], this.sourcePath(context, relativePath)) : null;
+  }
+
+  sourcePath(context, relativePath) {
+    return path.posix.join(context.appRoot, relativePath);
+  }
+
+  // --- Node -----------------------------------------------------------------
+
+  nodeProfile(context, frameworks) {
+    const pkg = this.readJson(context, 'package.json') || {};
+    const scripts = pkg.scripts || {};
+    const packageManager = this.nodePackageManager(context, pkg);
+    const run = packageManager === 'npm' ? 'npm run' : packageManager;
+
+    const version = this.firstVersion([
+      () => this.fileVersion(context, '.nvmrc'),
+      () => this.fileVersion(context, '.node-version'),
+      () => this.toolVersion(context, 'nodejs'),
+      () => this.version(pkg.volta?.node, this.sourcePath(context, 'package.json')),
+      () => this.version(pkg.engines?.node, this.sourcePath(context, 'package.json'))
+    ]);
+
+    const serverEntry = this.nodeEntry(context, pkg);
+    const frameworkStart = frameworks.find(fw => fw.start)?.start;
+    context.entryFiles = [serverEntry, this.scriptTarget(scripts.start)].filter(Boolean);
+
+    return {
+      version,
+      packageManager,
+      // Dev servers don't count: a static site's `start` is usually one
+      serverEntry: scripts.start && !/^(vite|react-scripts start|ng serve|gatsby develop|astro dev)/.test(scripts.start)
+        ? scripts.start
+        : null,
+      commands: () => ({
+        install: this.nodeInstall(context, packageManager),
+        build: scripts.build ? `${run} build` : null,
+        start: scripts.start
+          ? (packageManager === 'npm' ? 'npm start' : `${packageManager} start`)
+          : frameworkStart || (serverEntry ? `node ${serverEntry}` : null),
+        test: scripts.test && !/no test specified/.test(scripts.test)
+          ? (packageManager === 'npm' ? 'npm test' : `${packageManager} test`)
+          : null
+      })
+    };
+  }
+
+  nodePackageManager(context, pkg) {
+    const declared = typeof pkg.packageManager === 'string' && pkg.packageManager.split('@')[0];
+    if (['npm', 'yarn', 'pnpm', 'bun'].includes(declared)) return declared;
+
+    const lock = this.nodeLockfile(context);
+    return lock ? lock.manager : 'npm';
+  }
+
+  // Workspace members share the lockfile at the workspace root
+  nodeLockfile(context) {
+    const locks = [
+      ['pnpm-lock.yaml', 'pnpm'],
+      ['yarn.lock', 'yarn'],
+      ['bun.lockb', 'bun'],
+      ['bun.lock', 'bun'],
+      ['package-lock.json', 'npm'],
+      ['npm-shrinkwrap.json', 'npm']
+    ];
+    const found = DependencyParser.findUp(
+      { dir: context.rootPath, repoPath: context.repoPath },
+      locks.map(([name]) => name)
+    );
+
+    if (!found) return null;
+    return { path: found.relativePath, manager: locks.find(([name]) => found.fullPath.endsWith(name))[1] };
+  }
+
+  nodeInstall(context, packageManager) {
+    const locked = Boolean(this.nodeLockfile(context));
+
+    switch (packageManager) {
+      case 'yarn':
+        if (!locked) return 'yarn install';
+        return this.has(context, '.yarnrc.yml') ? 'yarn install --immutable' : 'yarn install --frozen-lockfile';
+      case 'pnpm':
+        return locked ? 'pnpm install --frozen-lockfile' : 'pnpm install';
+      case 'bun':
+        return locked ? 'bun install --frozen-lockfile' : 'bun install';
+      default:
+        return locked ? 'npm ci' : 'npm install';
+    }
+  }
+
+  nodeEntry(context, pkg) {
+    const candidates = [
+      pkg.main,
+      'server.js',
+      'index.js',
+      'app.js',
+      'src/server.js',
+      'src/index.js',
+      'src/app.js',
+      'src/main.ts',
+      'src/index.ts'
+    ].filter(Boolean).map(candidate => path.posix.normalize(candidate));
+
+    return candidates.find(candidate => this.has(context, candidate)) || null;
+  }
+
+  // `node src/server.js` -> src/server.js
+  scriptTarget(script) {
+    const match = script?.match(/\b(?:node|nodemon|ts-node|tsx)\s+(?:--?\S+\s+)*([\w./-]+\.[cm]?[jt]s)\b/);
+    return match ? path.posix.normalize(match[1]) : null;
+  }
+
+  // --- Python ---------------------------------------------------------------
+
+  pythonProfile(context, frameworks, dependencies) {
+    const pyproject = this.readToml(context, 'pyproject.toml') || {};
+    const pipfile = this.readToml(context, 'Pipfile') || {};
+    const setupPy = this.read(context, 'setup.py') || '';
+    const setupCfg = this.read(context, 'setup.cfg') || '';
+    const names = new Set(dependencies.map(dep => dep.name.toLowerCase()));
+
+    const version = this.firstVersion([
+      () => this.fileVersion(context, '.python-version'),
+      () => this.fileVersion(context, 'runtime.txt', /python-(\S+)/),
+      () => this.toolVersion(context, 'python'),
+      () => this.version(pyproject.project?.['requires-python'], this.sourcePath(context, 'pyproject.toml')),
+      () => this.version(pyproject.tool?.poetry?.dependencies?.python, this.sourcePath(context, 'pyproject.toml')),
+      () => this.version(pipfile.requires?.python_full_version || pipfile.requires?.python_version, this.sourcePath(context, 'Pipfile')),
+      () => this.version(setupPy.match(/python_requires\s*=\s*['"]([^'"]+)['"]/)?.[1], this.sourcePath(context, 'setup.py')),
+      () => this.version(setupCfg.match(/^python_requires\s*=\s*(.+)$/m)?.[1], this.sourcePath(context, 'setup.cfg'))
+    ]);
+
+    let packageManager = 'pip';
+    if (this.has(context, 'poetry.lock') || pyproject.tool?.poetry) packageManager = 'poetry';
+    else if (this.has(context, 'uv.lock')) packageManager = 'uv';
+    else if (this.has(context, 'Pipfile')) packageManager = 'pipenv';
+
+    const has = (name) => frameworks.some(fw => fw.name === name);
+    const gunicorn = names.has('gunicorn');
+    context.entryFiles = ['manage.py', 'main.py', 'app.py', 'wsgi.py', 'asgi.py', 'server.py', 'run.py'];
+
+    const start = (port) => {
+      if (has('Django')) {
+        const wsgi = context.files.find(file => file.name === 'wsgi.py' && file.appPath.includes('/'));
+        if (wsgi && gunicorn) return `gunicorn ${this.pythonModule(wsgi.appPath)}:application --bind 0.0.0.0:${port}`;
+        return `python manage.py runserver 0.0.0.0:${port}`;
+      }
+      if (has('FastAPI')) {
+        const app = this.findPythonApp(context, /^(\w+)\s*=\s*FastAPI\(/m);
+        if (app) return `uvicorn ${app.module}:${app.variable} --host 0.0.0.0 --port ${port}`;
+      }
+      if (has('Flask')) {
+        const app = this.findPythonApp(context, /^(\w+)\s*=\s*Flask\(/m);
+        if (app && gunicorn) return `gunicorn ${app.module}:${app.variable} --bind 0.0.0.0:${port}`;
+        if (app) return `flask --app ${app.module}:${app.variable} run --host 0.0.0.0 --port ${port}`;
+      }
+      if (has('Streamlit')) {
+        const app = this.findPythonApp(context, /^import streamlit|^from streamlit/m);
+        if (app) return `streamlit run ${app.file} --server.address 0.0.0.0 --server.port ${port}`;
+      }
+      if (has('Celery') && !frameworks.some(fw => fw.category === 'backend')) {
+        const app = this.findPythonApp(context, /^(\w+)\s*=\s*Celery\(/m);
+        if (app) return `celery -A ${app.module} worker --loglevel=info`;
+      }
+
+      const scripts = Object.keys(pyproject.project?.scripts || pyproject.tool?.poetry?.scripts || {});
+      if (scripts.length) return scripts[0];
+
+      const entry = ['main.py', 'app.py', 'server.py', 'run.py'].find(file => this.has(context, file));
+      return entry ? `python ${entry}` : null;
+    };
+
+    return {
+      version,
+      packageManager,
+      serverEntry: null,
+      commands: (port) => ({
+        install: this.pythonInstall(context, packageManager),
+        build: has('Django') && names.has('django') && this.hasStaticRoot(context)
+          ? 'python manage.py collectstatic --noinput'
+          : null,
+        start: start(port),
+        test: names.has('pytest') || this.has(context, 'pytest.ini') || this.has(context, 'conftest.py')
+          ? 'pytest'
+          : (this.has(context, 'tests') || context.files.some(file => file.appPath.startsWith('tests/'))
+            ? 'python -m unittest discover'
+            : null)
+      })
+    };
+  }
+
+  pythonInstall(context, packageManager) {
+    switch (packageManager) {
+      case 'poetry':
+        return 'poetry install --no-root --only main';
+      case 'uv':
+        return 'uv sync --frozen --no-dev';
+      case 'pipenv':
+        return 'pipenv install --deploy --system';
+      default:
+        if (this.has(context, 'requirements.txt')) return 'pip install --no-cache-dir -r requirements.txt';
+        if (this.has(context, 'pyproject.toml') || this.has(context, 'setup.py')) return 'pip install --no-cache-dir .';
+        return null;
+    }
+  }
+
+  hasStaticRoot(context) {
+    return context.files.some(file => {
+      if (file.name !== 'settings.py' && !file.appPath.includes('/settings/')) return false;
+      return /^STATIC_ROOT\s*=/m.test(this.read(context, file.appPath) || '');
+    });
+  }
+
+  // Shallowest module defining the application object, e.g. app/main.py -> app.main:app
+  findPythonApp(context, pattern) {
+    const candidates = context.files
+      .filter(file => file.extension === '.py' && !/(^|\/)tests?\//.test(file.appPath))
+      .sort((a, b) => this.depthOf(path.posix.dirname(a.appPath)) - this.depthOf(path.posix.dirname(b.appPath)))
+      .slice(0, MAX_SCANNED_FILES);
+
+    for (const file of candidates) {
+      const content = this.read(context, file.appPath);
+      const match = content?.match(pattern);
+      if (match) {
+        return {
+          file: file.appPath,
+          module: this.pythonModule(file.appPath),
+          variable: match[1] || 'app'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  pythonModule(relativePath) {
+    return relativePath
+      .replace(/^src\//, '')
+      .replace(/\.py$/, '')
+      .split('/')
+      .join('.');
+  }
+
+  // --- Go -------------------------------------------------------------------
+
+  goProfile(context) {
+    const goMod = this.read(context, 'go.mod') || '';
+    const source = this.sourcePath(context, 'go.mod');
+    const moduleName = goMod.match(/^module\s+(\S+)/m)?.[1] || '';
+    const binary = path.posix.basename(moduleName) || 'app';
+    const mainPackage = this.goMainPackage(context, binary);
+
+    const version = this.firstVersion([
+      () => this.version(goMod.match(/^toolchain\s+go(\S+)/m)?.[1], source),
+      () => this.version(goMod.match(/^go\s+(\S+)/m)?.[1], source),
+      () => this.toolVersion(context, 'golang')
+    ]);
+
+    const target = mainPackage === '.' ? '.' : `./${mainPackage}`;
+    context.entryFiles = mainPackage ? [path.posix.join(mainPackage, 'main.go')] : [];
+
+    return {
+      version,
+      packageManager: 'go modules',
+      serverEntry: null,
+      commands: () => ({
+        install: 'go mod download',
+        build: mainPackage !== null ? `CGO_ENABLED=0 go build -o bin/${binary} ${target}` : null,
+        start: mainPackage !== null ? `./bin/${binary}` : null,
+        test: 'go test ./...'
+      })
+    };
+  }
+
+  // Prefer a root main package, then cmd/<module name>, then the first cmd/*
+  goMainPackage(context, binary) {
+    const mains = context.files
+      .filter(file => file.extension === '.go' && !file.name.endsWith('_test.go'))
+      .filter(file => {
+        const content = this.read(context, file.appPath) || '';
+        return /^package\s+main\b/m.test(content) && /^func\s+main\s*\(/m.test(content);
+      })
+      .map(file => path.posix.dirname(file.appPath));
+
+    if (mains.includes('.')) return '.';
+    if (mains.includes(`cmd/${binary}`)) return `cmd/${binary}`;
+    return mains.sort((a, b) => this.depthOf(a) - this.depthOf(b) || a.localeCompare(b))[0] ?? null;
+  }
+
+  // --- Java -----------------------------------------------------------------
+
+  javaProfile(context, frameworks) {
+    const isMaven = this.has(context, 'pom.xml');
+    const isSpring = frameworks.some(fw => fw.name === 'Spring Boot');
+    const pom = isMaven ? this.parsePom(context) : null;
+    const gradle = isMaven ? '' : (this.read(context, 'build.gradle.kts') || this.read(context, 'build.gradle') || '');
+    const gradleSource = this.sourcePath(context, this.has(context, 'build.gradle.kts') ? 'build.gradle.kts' : 'build.gradle');
+
+    const version = this.firstVersion([
+      () => this.fileVersion(context, '.java-version'),
+      () => this.fileVersion(context, '.sdkmanrc', /^java\s*=\s*(\S+)/m),
+      () => this.toolVersion(context, 'java'),
+      () => pom && this.version(
+        ['maven.compiler.release', 'java.version', 'maven.compiler.target', 'maven.compiler.source']
+          .map(key => pom.properties?.[key])
+          .find(Boolean),
+        this.sourcePath(context, 'pom.xml')
+      ),
+      () => this.version(gradle.match(/JavaLanguageVersion\.of\(\s*(\d+)\s*\)/)?.[1], gradleSource),
+      () => this.version(gradle.match(/(?:sourceCompatibility|targetCompatibility)\s*=\s*(?:JavaVersion\.VERSION_)?['"]?([\d_.]+)/)?.[1]?.replace(/_/g, '.'), gradleSource)
+    ]);
+
+    let commands;
+    if (isMaven) {
+      const mvn = this.has(context, 'mvnw') ? './mvnw' : 'mvn';
+      const pomVersion = pom?.version || pom?.parent?.version;
+      const finalName = pom?.build?.finalName || (pom?.artifactId && pomVersion && `${pom.artifactId}-${pomVersion}`);
+      commands = {
+        install: `${mvn} -B dependency:go-offline`,
+        build: `${mvn} -B package -DskipTests`,
+        start: `java -jar target/${finalName && !finalName.includes('${') ? `${finalName}.jar` : '*.jar'}`,
+        test: `${mvn} -B test`
+      };
+    } else {
+      const gradlew = this.has(context, 'gradlew') ? './gradlew' : 'gradle';
+      commands = {
+        install: `${gradlew} dependencies`,
+        build: `${gradlew} ${isSpring ? 'bootJar' : 'build -x test'}`,
+        start: 'java -jar build/libs/*.jar',
+        test: `${gradlew} test`
+      };
+    }
+
+    return {
+      version,
+      packageManager: isMaven ? 'maven' : 'gradle',
+      serverEntry: null,
+      commands: () => commands
+    };
+  }
+
+  parsePom(context) {
+    return this.parseWith(context, 'pom.xml', (content) => {
+      const parser = new XMLParser({ ignoreAttributes: true, parseTagValue: false });
+      return parser.parse(content).project || {};
+    });
+  }
+
+  // --- Ruby -----------------------------------------------------------------
+
+  rubyProfile(context, frameworks) {
+    const gemfile = this.read(context, 'Gemfile') || '';
+    const isRails = frameworks.some(fw => fw.name === 'Rails');
+    const isSinatra = frameworks.some(fw => fw.name === 'Sinatra');
+
+    const version = this.firstVersion([
+      () => this.fileVersion(context, '.ruby-version', /^\s*(?:ruby-)?(\S+)/),
+      () => this.version(gemfile.match(/^\s*ruby\s+['"]([^'"]+)['"]/m)?.[1], this.sourcePath(context, 'Gemfile')),
+      () => this.toolVersion(context, 'ruby')
+    ]);
+
+    context.entryFiles = ['config.ru', 'app.rb', 'config/puma.rb'];
+
+    return {
+      version,
+      packageManager: 'bundler',
+      serverEntry: null,
+      commands: (port) => ({
+        install: this.has(context, 'Gemfile.lock')
+          ? 'bundle config set --local deployment true && bundle install'
+          : 'bundle install',
+        build: isRails && this.has(context, 'app/assets') ? 'bundle exec rails assets:precompile' : null,
+        start: isRails
+          ? `bundle exec rails server -b 0.0.0.0 -p ${port}`
+          : this.has(context, 'config.ru')
+            ? `bundle exec rackup --host 0.0.0.0 -p ${port}`
+            : (isSinatra && this.has(context, 'app.rb') ? 'bundle exec ruby app.rb' : null),
+        test: /^\s*gem\s+['"]rspec/m.test(gemfile) ? 'bundle exec rspec' : 'bundle exec rake test'
+      })
+    };
+  }
+
+  // --- PHP ------------------------------------------------------------------
+
+  phpProfile(context, frameworks) {
+    const composer = this.readJson(context, 'composer.json') || {};
+    const isLaravel = frameworks.some(fw => fw.name === 'Laravel');
+    const isSymfony = frameworks.some(fw => fw.name === 'Symfony');
+
+    const version = this.firstVersion([
+      () => this.toolVersion(context, 'php'),
+      () => this.version(composer.config?.platform?.php, this.sourcePath(context, 'composer.json')),
+      () => this.version(composer.require?.php, this.sourcePath(context, 'composer.json'))
+    ]);
+
+    const docroot = this.has(context, 'public') || context.files.some(file => file.appPath.startsWith('public/'))
+      ? 'public'
+      : '.';
+
+    return {
+      version,
+      packageManager: 'composer',
+      serverEntry: null,
+      commands: (port) => ({
+        install: 'composer install --no-dev --optimize-autoloader --no-interaction',
+        build: isSymfony ? 'php bin/console cache:warmup --env=prod' : null,
+        start: isLaravel
+          ? `php artisan serve --host=0.0.0.0 --port=${port}`
+          : `php -S 0.0.0.0:${port} -t ${docroot}`,
+        test: composer['require-dev']?.['phpunit/phpunit'] ? 'vendor/bin/phpunit' : null
+      })
+    };
+  }
+
+  // --- Rust -----------------------------------------------------------------
+
+  rustProfile(context) {
+    const cargo = this.readToml(context, 'Cargo.toml') || {};
+    const toolchain = this.readToml(context, 'rust-toolchain.toml');
+    const binary = this.asArray(cargo.bin)[0]?.name || cargo.package?.name || null;
+
+    const version = this.firstVersion([
+      () => this.version(toolchain?.toolchain?.channel, this.sourcePath(context, 'rust-toolchain.toml')),
+      () => this.fileVersion(context, 'rust-toolchain'),
+      () => this.toolVersion(context, 'rust'),
+      () => this.version(cargo.package?.['rust-version'], this.sourcePath(context, 'Cargo.toml'))
+    ]);
+
+    context.entryFiles = ['src/main.rs'];
+
+    return {
+      version,
+      packageManager: 'cargo',
+      serverEntry: null,
+      commands: () => ({
+        install: 'cargo fetch',
+        build: 'cargo build --release',
+        start: binary ? `./target/release/${binary}` : null,
+        test: 'cargo test'
+      })
+    };
+  }
+
+  // --- Ports ----------------------------------------------------------------
+
+  /**
+   * Explicit configuration wins over literals in source, which win over an
+   * existing Dockerfile, which wins over the framework's default.
+   */
+  detectPort(runtime, context, frameworks) {
+    const checks = [
+      () => this.configuredPort(runtime, context),
+      () => this.envPort(context),
+      () => this.sourcePort(runtime, context),
+      () => this.dockerfilePort(context)
+    ];
+
+    for (const check of checks) {
+      const found = check();
+      if (found) return found;
+    }
+
+    const framework = frameworks.find(fw => fw.port);
+    if (framework) return { port: framework.port, source: `${framework.name} default` };
+
+    return { port: DEFAULT_PORTS[runtime], source: `${runtime} default` };
+  }
+
+  configuredPort(runtime, context) {
+    if (runtime !== 'java') return null;
+
+    const resources = context.files.filter(file => {
+      return /(^|\/)src\/main\/resources\/application\.(properties|ya?ml)$/.test(file.appPath);
+    });
+
+    for (const file of resources) {
+      const content = this.read(context, file.appPath) || '';
+      let port = null;
+
+      if (file.extension === '.properties') {
+        port = content.match(/^\s*(?:server\.port|quarkus\.http\.port|micronaut\.server\.port)\s*[=:]\s*(?:\$\{PORT:)?(\d{2,5})/m)?.[1];
+      } else {
+        try {
+          const config = yaml.load(content) || {};
+          port = config.server?.port ?? config.quarkus?.http?.port ?? config.micronaut?.server?.port;
+          port = String(port ?? '').match(/(\d{2,5})\}?$/)?.[1];
+        } catch (error) {
+          logger.warn(`Ignoring unparseable ${file.path}: ${error.message}`);
+        }
+      }
+
+      const found = this.portResult(port, file.path);
+      if (found) return found;
+    }
+
+    return null;
+  }
+
+  envPort(context) {
+    for (const name of ['.env', '.env.example', '.env.sample', '.env.local']) {
+      const port = this.read(context, name)?.match(/^\s*(?:export\s+)?PORT\s*=\s*['"]?(\d{2,5})/m)?.[1];
+      const found = this.portResult(port, this.sourcePath(context, name));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Entry files first, then configuration modules, skipping tests. Other
+   * sources are left alone, as are literals: a port in a code template or a
+   * comment is not the one the app listens on.
+   */
+  sourcePort(runtime, context) {
+    const patterns = PORT_PATTERNS[runtime] || [];
+    if (!patterns.length) return null;
+
+    const extensions = RUNTIME_EXTENSIONS[runtime];
+    const entries = (context.entryFiles || []).map(entry => path.posix.normalize(entry));
+    const files = context.files
+      .filter(file => entries.includes(file.appPath) || (extensions.includes(file.extension) && CONFIG_FILE.test(file.appPath)))
+      .filter(file => file.size <= MAX_SCANNED_BYTES)
+      .filter(file => !/(^|\/)(tests?|spec|__tests__|e2e)\/|[._](test|spec)\.\w+$|_test\.go$/.test(file.appPath))
+      .sort((a, b) => {
+        const rank = (file) => entries.includes(file.appPath) ? entries.indexOf(file.appPath) : entries.length;
+        return rank(a) - rank(b) || this.depthOf(path.posix.dirname(a.appPath)) - this.depthOf(path.posix.dirname(b.appPath));
+      })
+      .slice(0, MAX_SCANNED_FILES);
+
+    for (const file of files) {
+      const content = this.read(context, file.appPath);
+      if (!content) continue;
+
+      const literals = this.literalSpans(content, runtime);
+      for (const pattern of patterns) {
+        for (const match of content.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+          if (literals.some(([start, end]) => match.index >= start && match.index < end)) continue;
+
+          const found = this.portResult(match[1], file.path);
+          if (found) return found;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * [start, end) offsets of the strings and comments in a source file.
+   * Approximate: enough to tell code from text, not a tokenizer.
+   */
+  literalSpans(content, runtime) {
+    const hashComments = runtime === 'python' || runtime === 'ruby';
+    // A Rust ' starts a lifetime as often as a char
+    const quotes = runtime === 'rust' ? ['"'] : ['"', "'", '`'];
+    const spans = [];
+    let index = 0;
+
+    const closing = (token, from) => {
+      const found = content.indexOf(token, from);
+      return found === -1 ? content.length : found + token.length;
+    };
+
+    while (index < content.length) {
+      const tripleQuote = runtime === 'python' && /^('''|""")/.exec(content.slice(index, index + 3))?.[0];
+      let end = null;
+
+      if (hashComments ? content[index] === '#' : content.startsWith('//', index)) {
+        end = closing('\n', index);
+      } else if (!hashComments && content.startsWith('/*', index)) {
+        end = closing('*/', index + 2);
+      } else if (tripleQuote) {
+        end = closing(tripleQuote, index + 3);
+      } else if (quotes.includes(content[index])) {
+        const quote = content[index];
+        // Go's backquoted strings are raw; quoted strings end with their line
+        const raw = quote === '`' && runtime === 'go';
+        end = index + 1;
+        while (end < content.length && content[end] !== quote && (quote === '`' || content[end] !== '\n')) {
+          end += !raw && content[end] === '\\' ? 2 : 1;
+        }
+        end += 1;
+      }
+
+      if (end === null) {
+        index += 1;
+      } else {
+        spans.push([index, end]);
+        index = end;
+      }
+    }
+
+    return spans;
+  }
+
+  dockerfilePort(context) {
+    const port = this.read(context, 'Dockerfile')?.match(/^\s*EXPOSE\s+(\d{2,5})/mi)?.[1];
+    return this.portResult(port, this.sourcePath(context, 'Dockerfile'));
+  }
+
+  portResult(value, source) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return null;
+    return { port, source: path.posix.normalize(source) };
+  }
+
+  // --- Procfile ---------------------------------------------------------------
+
+  procfileCommand(context) {
+    const match = this.read(context, 'Procfile')?.match(/^web:\s*(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+
+  asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = new RuntimeDetector();
+module.exports.LANGUAGE_RUNTIMES = LANGUAGE_RUNTIMES;
+module.exports.DATASTORES = DATASTORES;
+module.exports.STATIC_PORT = STATIC_PORT;
@@ -0,0 +1,371 @@
+const ContainerMetric = require('../../models/ContainerMetric');
+const Deployment = require('../../models/Deployment');
+const dockerService = require('./dockerService');
+const logger = require('../utils/logger');
+
+const BUCKET_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Timeframes of /deploy/:deploymentId/metrics and the bucket size each is read at
+const TIMEFRAMES = {
+  '1h': { span: BUCKET_MS.hour, resolution: 'minute' },
+  '24h': { span: BUCKET_MS.day, resolution: 'hour' },
+  '7d': { span: 7 * BUCKET_MS.day, resolution: 'hour' },
+  '30d': { span: 30 * BUCKET_MS.day, resolution: 'day' }
+};
+
+const SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Turn one sample of the daemon's stats into the numbers `docker stats`
+ * shows. CPU is a percentage of one core, so it can exceed 100 on
+ * multi-core hosts; it is null when the sample has no previous reading to
+ * diff against. Network and block IO are cumulative byte counters.
+ */
+function computeStats(stats) {
+  const cpuStats = stats.cpu_stats || {};
+  const precpuStats = stats.precpu_stats || {};
+
+  let cpu = null;
+  if (precpuStats.system_cpu_usage) {
+    const cpuDelta = (cpuStats.cpu_usage?.total_usage || 0) - (precpuStats.cpu_usage?.total_usage || 0);
+    const systemDelta = (cpuStats.system_cpu_usage || 0) - precpuStats.system_cpu_usage;
+    const onlineCpus = cpuStats.online_cpus || cpuStats.cpu_usage?.percpu_usage?.length || 1;
+    cpu = systemDelta > 0 && cpuDelta >= 0 ? (cpuDelta / systemDelta) * onlineCpus * 100 : 0;
+  }
+
+  // Page cache is reclaimable, so it is not counted (cgroup v1 and v2 name it differently)
+  const memoryStats = stats.memory_stats || {};
+  const cache = memoryStats.stats?.total_inactive_file ?? memoryStats.stats?.inactive_file ?? memoryStats.stats?.cache ?? 0;
+  const memory = Math.max((memoryStats.usage || 0) - cache, 0);
+
+  const network = { rx: 0, tx: 0 };
+  Object.values(stats.networks || {}).forEach(iface => {
+    network.rx += iface.rx_bytes || 0;
+    network.tx += iface.tx_bytes || 0;
+  });
+
+  // cgroup v1 reports Read/Write, v2 read/write
+  const blockIo = { read: 0, write: 0 };
+  (stats.blkio_stats?.io_service_bytes_recursive || []).forEach(entry => {
+    const op = String(entry.op).toLowerCase();
+    if (op === 'read') blockIo.read += entry.value;
+    if (op === 'write') blockIo.write += entry.value;
+  });
+
+  return {
+    timestamp: stats.read ? new Date(stats.read) : new Date(),
+    cpu: cpu === null ? null : Math.round(cpu * 100) / 100,
+    memory,
+    memoryLimit: memoryStats.limit || null,
+    network,
+    blockIo
+  };
+}
+
+/**
+ * Follows the daemon's stats stream of every running Docker deployment.
+ * Samples are folded into one-minute buckets in memory; each finished
+ * minute is added to the minute, hour and day ContainerMetric buckets, which
+ * expire on their own.
+ */
+class StatsCollector {
+  constructor() {
+    this.watchers = new Map();
+    this.syncTimer = null;
+  }
+
+  async initialize() {
+    try {
+      const watched = await this.sync();
+      this.syncTimer = setInterval(() => {
+        this.sync().catch(error => logger.error(`Stats sync failed: ${error.message}`));
+      }, SYNC_INTERVAL);
+      this.syncTimer.unref();
+
+      logger.info(`✅ Stats collector initialized (${watched} containers)`);
+      return watched;
+    } catch (error) {
+      logger.error('Stats collector initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Watch exactly the running Docker deployments; also picks up containers
+   * whose stream ended while they were restarted outside the API.
+   */
+  async sync() {
+    if (!dockerService.connected) return 0;
+
+    const running = await Deployment.find({
+      type: 'docker',
+      status: 'running',
+      'container.id': { $exists: true }
+    }).select('container');
+
+    const ids = new Set(running.map(deployment => deployment.id));
+    for (const deploymentId of this.watchers.keys()) {
+      if (!ids.has(deploymentId)) await this.unwatch(deploymentId);
+    }
+
+    for (const deployment of running) {
+      await this.watch(deployment);
+    }
+
+    return this.watchers.size;
+  }
+
+  /**
+   * Start following a deployment's container. A redeployed container
+   * replaces the one being followed.
+   */
+  async watch(deployment) {
+    const containerId = deployment.container?.id;
+    if (!containerId || !dockerService.connected) return;
+
+    const current = this.watchers.get(deployment.id);
+    if (current?.containerId === containerId) return;
+    if (current) await this.unwatch(deployment.id);
+
+    const watcher = {
+      deploymentId: deployment.id,
+      containerId,
+      stream: null,
+      buffer: '',
+      previous: null,
+      bucket: null,
+      latest: null,
+      saving: Promise.resolve()
+    };
+    this.watchers.set(deployment.id, watcher);
+
+    try {
+      watcher.stream = await dockerService.getContainerStats(containerId, { stream: true });
+    } catch (error) {
+      this.watchers.delete(deployment.id);
+      logger.warn(`Cannot follow stats of ${containerId.slice(0, 12)}: ${error.message}`);
+      return;
+    }
+
+    // Samples are newline-delimited JSON that may be split across chunks
+    watcher.stream.on('data', (chunk) => {
+      const lines = (watcher.buffer + chunk.toString()).split('\n');
+      watcher.buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => {
+        try {
+          this.record(watcher, computeStats(JSON.parse(line)));
+        } catch (error) {
+          logger.debug(`Unreadable stats sample for ${containerId.slice(0, 12)}: ${error.message}`);
+        }
+      });
+    });
+    watcher.stream.on('end', () => this.release(watcher));
+    watcher.stream.on('error', (error) => {
+      logger.warn(`Stats stream of ${containerId.slice(0, 12)} failed: ${error.message}`);
+      this.release(watcher);
+    });
+
+    logger.info(`Collecting stats for deployment ${deployment.id} (${containerId.slice(0, 12)})`);
+  }
+
+  async unwatch(deploymentId) {
+    const watcher = this.watchers.get(String(deploymentId));
+    if (!watcher) return;
+
+    watcher.stream?.destroy();
+    await this.release(watcher);
+  }
+
+  // The stream ends when the container stops; whatever was collected is kept
+  release(watcher) {
+    if (this.watchers.get(watcher.deploymentId) === watcher) {
+      this.watchers.delete(watcher.deploymentId);
+    }
+    if (watcher.bucket) this.flush(watcher);
+    return watcher.saving;
+  }
+
+  record(watcher, sample) {
+    const previous = watcher.previous;
+    watcher.previous = sample;
+    if (sample.cpu === null || !previous) return;
+
+    // Counters restart from zero with the container
+    const delta = (current, before) => (current >= before ? current - before : current);
+    const network = {
+      rx: delta(sample.network.rx, previous.network.rx),
+      tx: delta(sample.network.tx, previous.network.tx)
+    };
+    const blockIo = {
+      read: delta(sample.blockIo.read, previous.blockIo.read),
+      write: delta(sample.blockIo.write, previous.blockIo.write)
+    };
+    const seconds = Math.max((sample.timestamp - previous.timestamp) / 1000, 1);
+
+    watcher.latest = {
+      timestamp: sample.timestamp,
+      cpu: sample.cpu,
+      memory: sample.memory,
+      memoryLimit: sample.memoryLimit,
+      networkIn: Math.round(network.rx / seconds),
+      networkOut: Math.round(network.tx / seconds),
+      blockRead: Math.round(blockIo.read / seconds),
+      blockWrite: Math.round(blockIo.write / seconds)
+    };
+
+    const start = Math.floor(sample.timestamp / BUCKET_MS.minute) * BUCKET_MS.minute;
+    if (watcher.bucket && watcher.bucket.timestamp !== start) this.flush(watcher);
+
+    if (!watcher.bucket) {
+      watcher.bucket = {
+        timestamp: start,
+        samples: 0,
+        seconds: 0,
+        cpu: { sum: 0, max: 0 },
+        memory: { sum: 0, max: 0, limit: null },
+        network: { rx: 0, tx: 0 },
+        blockIo: { read: 0, write: 0 }
+      };
+    }
+
+    const bucket = watcher.bucket;
+    bucket.samples++;
+    bucket.seconds += seconds;
+    bucket.cpu.sum += sample.cpu;
+    bucket.cpu.max = Math.max(bucket.cpu.max, sample.cpu);
+    bucket.memory.sum += sample.memory;
+    bucket.memory.max = Math.max(bucket.memory.max, sample.memory);
+    bucket.memory.limit = sample.memoryLimit;
+    bucket.network.rx += network.rx;
+    bucket.network.tx += network.tx;
+    bucket.blockIo.read += blockIo.read;
+    bucket.blockIo.write += blockIo.write;
+  }
+
+  // Writes are chained per container so a slow save never races the next minute's
+  flush(watcher) {
+    const bucket = watcher.bucket;
+    watcher.bucket = null;
+
+    const operations = Object.keys(BUCKET_MS).map(resolution => {
+      const timestamp = new Date(Math.floor(bucket.timestamp / BUCKET_MS[resolution]) * BUCKET_MS[resolution]);
+      return {
+        updateOne: {
+          filter: { deploymentId: watcher.deploymentId, containerId: watcher.containerId, resolution, timestamp },
+          update: {
+            $inc: {
+              samples: bucket.samples,
+              'cpu.sum': bucket.cpu.sum,
+              'memory.sum': bucket.memory.sum,
+              'network.rx': bucket.network.rx,
+              'network.tx': bucket.network.tx,
+              'blockIo.read': bucket.blockIo.read,
+              'blockIo.write': bucket.blockIo.write
+            },
+            $max: { 'cpu.max': bucket.cpu.max, 'memory.max': bucket.memory.max },
+            $set: {
+              'memory.limit': bucket.memory.limit,
+              expiresAt: new Date(timestamp.getTime() + BUCKET_MS[resolution] + ContainerMetric.RETENTION[resolution] * 1000)
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    // The deployment shows rates over the time actually sampled, which is short for a final partial minute
+    const seconds = Math.max(bucket.seconds, 1);
+    watcher.saving = watcher.saving
+      .then(() => Promise.all([
+        ContainerMetric.bulkWrite(operations, { ordered: false }),
+        Deployment.updateOne({ _id: watcher.deploymentId }, {
+          $set: {
+            'metrics.cpu': Math.round((bucket.cpu.sum / bucket.samples) * 100) / 100,
+            'metrics.memory': Math.round(bucket.memory.sum / bucket.samples),
+            'metrics.networkIn': Math.round(bucket.network.rx / seconds),
+            'metrics.networkOut': Math.round(bucket.network.tx / seconds)
+          }
+        })
+      ]))
+      .catch(error => logger.error(`Saving stats of deployment ${watcher.deploymentId} failed: ${error.message}`));
+  }
+
+  /**
+   * Most recent per-second reading of a deployment, or null when it is not being collected
+   */
+  latest(deploymentId) {
+    return this.watchers.get(String(deploymentId))?.latest || null;
+  }
+
+  isCollecting(deploymentId) {
+    return this.watchers.has(String(deploymentId));
+  }
+
+  /**
+   * Stored usage of a deployment over a timeframe, one point per bucket and
+   * oldest first. Buckets without samples are null points so gaps stay gaps.
+   * @param {string} deploymentId
+   * @param {string} timeframe - '1h', '24h', '7d' or '30d'
+   * @returns {Promise<{resolution: string, interval: number, points: Object[]}>}
+   */
+  async getSeries(deploymentId, timeframe = '1h') {
+    const { span, resolution } = TIMEFRAMES[timeframe] || TIMEFRAMES['1h'];
+    const interval = BUCKET_MS[resolution];
+    const end = Math.floor(Date.now() / interval) * interval;
+    const start = end - span + interval;
+
+    const buckets = await ContainerMetric.find({
+      deploymentId,
+      resolution,
+      timestamp: { $gte: new Date(start), $lte: new Date(end) }
+    }).lean();
+
+    // A redeploy can put two containers in the same bucket; they ran one after the other
+    const merged = new Map();
+    buckets.forEach(bucket => {
+      const key = bucket.timestamp.getTime();
+      const into = merged.get(key);
+      if (!into) {
+        merged.set(key, bucket);
+        return;
+      }
+      into.samples += bucket.samples;
+      into.cpu.sum += bucket.cpu.sum;
+      into.cpu.max = Math.max(into.cpu.max, bucket.cpu.max);
+      into.memory.sum += bucket.memory.sum;
+      into.memory.max = Math.max(into.memory.max, bucket.memory.max);
+      into.network.rx += bucket.network.rx;
+      into.network.tx += bucket.network.tx;
+      into.blockIo.read += bucket.blockIo.read;
+      into.blockIo.write += bucket.blockIo.write;
+    });
+
+    const points = [];
+    for (let timestamp = start; timestamp <= end; timestamp += interval) {
+      const bucket = merged.get(timestamp);
+      points.push(bucket && bucket.samples ? {
+        timestamp: new Date(timestamp).toISOString(),
+        samples: bucket.samples,
+        cpu: { avg: Math.round((bucket.cpu.sum / bucket.samples) * 100) / 100, max: bucket.cpu.max },
+        memory: { avg: Math.round(bucket.memory.sum / bucket.samples), max: bucket.memory.max, limit: bucket.memory.limit },
+        network: bucket.network,
+        blockIo: bucket.blockIo
+      } : { timestamp: new Date(timestamp).toISOString(), samples: 0 });
+    }
+
+    return { resolution, interval, points };
+  }
+
+  async removeSeries(deploymentId) {
+    await this.unwatch(deploymentId);
+    await ContainerMetric.deleteMany({ deploymentId });
+  }
+}
+
+module.exports = new StatsCollector();
+module.exports.computeStats = computeStats;
+module.exports.TIMEFRAMES = TIMEFRAMES;
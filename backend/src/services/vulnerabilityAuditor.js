@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/appConfig');
+const logger = require('../utils/logger');
+const { compareVersions } = require('../utils/versionCompare');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// CVSS v3.x base metric weights
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * Audits parsed dependencies against a local directory of OSV-format
+ * advisories (e.g. an unpacked https://osv-vulnerabilities.storage.googleapis.com
+ * ecosystem export). Nothing is fetched at audit time.
+ */
+class VulnerabilityAuditor {
+  constructor() {
+    this.databasePath = path.resolve(config.analysis.advisoryDbPath);
+    this.index = null;
+    this.loading = null;
+    this.advisoryCount = 0;
+    this.loadedAt = null;
+  }
+
+  /**
+   * Read every advisory into an index keyed by "<ecosystem>:<package>".
+   * Started at boot; audits wait on the same promise rather than reading
+   * the database again, and a failed load is retried by the next audit.
+   * @returns {Promise<number>} Advisories indexed
+   */
+  loadDatabase() {
+    this.loading = this.readDatabase().catch((error) => {
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  async readDatabase() {
+    const index = new Map();
+    let advisoryCount = 0;
+
+    const exists = await fs.promises.access(this.databasePath).then(() => true, () => false);
+    if (!exists) {
+      logger.warn(`Advisory database not found at ${this.databasePath}; audits will report no findings`);
+    }
+
+    const walk = async (dir) => {
+      for (const item of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, item.name);
+
+        if (item.isDirectory()) {
+          await walk(fullPath);
+        } else if (item.name.endsWith('.json') && await this.indexAdvisory(fullPath, index)) {
+          advisoryCount++;
+        }
+      }
+    };
+
+    if (exists) {
+      await walk(this.databasePath);
+      logger.info(`✅ Loaded ${advisoryCount} advisories from ${this.databasePath}`);
+    }
+
+    this.index = index;
+    this.advisoryCount = advisoryCount;
+    this.loadedAt = new Date();
+    return advisoryCount;
+  }
+
+  // Whether the file held an advisory worth indexing
+  async indexAdvisory(filePath, index) {
+    let advisory;
+    try {
+      advisory = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Skipping unreadable advisory ${filePath}: ${error.message}`);
+      return false;
+    }
+
+    if (!advisory.id || advisory.withdrawn || !Array.isArray(advisory.affected)) return false;
+
+    advisory.affected.forEach(affected => {
+      if (!affected.package?.name || !affected.package?.ecosystem) return;
+
+      const ecosystem = affected.package.ecosystem.split(':')[0];
+      const key = this.packageKey(ecosystem, affected.package.name);
+
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ advisory, affected });
+    });
+
+    return true;
+  }
+
+  /**
+   * Match dependency entries (as produced by DependencyParser) against the
+   * advisory index. Entries without a resolved version cannot be matched
+   * and are only counted.
+   */
+  async audit(dependencies = []) {
+    await (this.loading || this.loadDatabase());
+
+    const matches = new Map();
+    const findings = [];
+    let audited = 0;
+
+    dependencies.forEach(dependency => {
+      if (!dependency.version) return;
+      audited++;
+
+      const cacheKey = `${this.packageKey(dependency.ecosystem, dependency.name)}@${dependency.version}`;
+      if (!matches.has(cacheKey)) {
+        matches.set(cacheKey, this.matchDependency(dependency));
+      }
+
+      const advisories = matches.get(cacheKey);
+      if (advisories.length === 0) return;
+
+      findings.push({
+        name: dependency.name,
+        ecosystem: dependency.ecosystem,
+        version: dependency.version,
+        manifest: dependency.manifest,
+        scope: dependency.scope,
+        severity: this.highestSeverity(advisories),
+        advisories
+      });
+    });
+
+    const summary = {
+      dependencies: dependencies.length,
+      audited,
+      unresolved: dependencies.length - audited,
+      vulnerable: findings.length
+    };
+    SEVERITY_ORDER.forEach(severity => {
+      summary[severity] = findings.filter(finding => finding.severity === severity).length;
+    });
+
+    return {
+      scannedAt: new Date(),
+      advisoryCount: this.advisoryCount,
+      summary,
+      findings: findings.sort((a, b) => {
+        return SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+          || a.name.localeCompare(b.name);
+      })
+    };
+  }
+
+  matchDependency(dependency) {
+    const candidates = this.index.get(this.packageKey(dependency.ecosystem, dependency.name)) || [];
+    const advisories = [];
+
+    candidates.forEach(({ advisory, affected }) => {
+      const result = this.evaluateAffected(dependency.ecosystem, dependency.version, affected);
+      if (!result.affected || advisories.some(existing => existing.id === advisory.id)) return;
+
+      const { severity, score } = this.severityOf(advisory, affected);
+
+      advisories.push({
+        id: advisory.id,
+        aliases: advisory.aliases || [],
+        summary: advisory.summary || (advisory.details || '').split('\n')[0].slice(0, 200),
+        severity,
+        score,
+        fixedVersion: result.fixedVersion,
+        url: this.advisoryUrl(advisory)
+      });
+    });
+
+    return advisories;
+  }
+
+  /**
+   * OSV range evaluation: walk the events in version order, toggling the
+   * affected state on `introduced` and clearing it on `fixed` /
+   * `last_affected`. GIT ranges need commit history and are ignored.
+   */
+  evaluateAffected(ecosystem, version, affected) {
+    const compare = (a, b) => compareVersions(ecosystem, a, b);
+
+    if ((affected.versions || []).some(listed => compare(listed, version) === 0)) {
+      return { affected: true, fixedVersion: this.firstFixed(ecosystem, version, affected) };
+    }
+
+    for (const range of affected.ranges || []) {
+      if (range.type === 'GIT') continue;
+
+      const events = [...(range.events || [])].sort((a, b) => {
+        const left = Object.values(a)[0];
+        const right = Object.values(b)[0];
+        if (left === '0') return -1;
+        if (right === '0') return 1;
+        return compare(left, right);
+      });
+
+      let isAffected = false;
+      let fixedVersion = null;
+
+      for (const event of events) {
+        if (event.introduced !== undefined) {
+          if (event.introduced === '0' || compare(version, event.introduced) >= 0) {
+            isAffected = true;
+            fixedVersion = null;
+          }
+        } else if (event.fixed !== undefined) {
+          if (compare(version, event.fixed) >= 0) {
+            isAffected = false;
+          } else if (isAffected && !fixedVersion) {
+            fixedVersion = event.fixed;
+          }
+        } else if (event.last_affected !== undefined) {
+          if (compare(version, event.last_affected) > 0) isAffected = false;
+        } else if (event.limit !== undefined) {
+          if (compare(version, event.limit) >= 0) isAffected = false;
+        }
+      }
+
+      if (isAffected) return { affected: true, fixedVersion };
+    }
+
+    return { affected: false, fixedVersion: null };
+  }
+
+  firstFixed(ecosystem, version, affected) {
+    const fixed = (affected.ranges || [])
+      .filter(range => range.type !== 'GIT')
+      .flatMap(range => range.events || [])
+      .map(event => event.fixed)
+      .filter(candidate => candidate && compareVersions(ecosystem, candidate, version) > 0)
+      .sort((a, b) => compareVersions(ecosystem, a, b));
+
+    return fixed[0] || null;
+  }
+
+  severityOf(advisory, affected) {
+    const vectors = [...(affected.severity || []), ...(advisory.severity || [])];
+    const cvss3 = vectors.find(entry => entry.type === 'CVSS_V3');
+    const score = cvss3 ? this.cvss3BaseScore(cvss3.score) : null;
+
+    const labelled = (advisory.database_specific?.severity
+      || affected.ecosystem_specific?.severity
+      || '').toLowerCase();
+    const severity = labelled === 'moderate' ? 'medium' : labelled;
+
+    if (SEVERITY_ORDER.includes(severity) && severity !== 'unknown') {
+      return { severity, score };
+    }
+
+    return { severity: score === null ? 'unknown' : this.severityFromScore(score), score };
+  }
+
+  cvss3BaseScore(vector) {
+    const metrics = {};
+    String(vector).split('/').slice(1).forEach(part => {
+      const [key, value] = part.split(':');
+      metrics[key] = value;
+    });
+
+    const changed = metrics.S === 'C';
+    const weights = [
+      CVSS3_WEIGHTS.AV[metrics.AV],
+      CVSS3_WEIGHTS.AC[metrics.AC],
+      (changed ? CVSS3_WEIGHTS.PR_CHANGED : CVSS3_WEIGHTS.PR)[metrics.PR],
+      CVSS3_WEIGHTS.UI[metrics.UI],
+      CVSS3_WEIGHTS.CIA[metrics.C],
+      CVSS3_WEIGHTS.CIA[metrics.I],
+      CVSS3_WEIGHTS.CIA[metrics.A]
+    ];
+    if (weights.some(weight => weight === undefined)) return null;
+
+    const [av, ac, pr, ui, c, i, a] = weights;
+    const iss = 1 - ((1 - c) * (1 - i) * (1 - a));
+    const impact = changed
+      ? (7.52 * (iss - 0.029)) - (3.25 * ((iss - 0.02) ** 15))
+      : 6.42 * iss;
+    const exploitability = 8.22 * av * ac * pr * ui;
+
+    if (impact <= 0) return 0;
+
+    const roundUp = (value) => Math.ceil((Math.round(value * 100000) / 100000) * 10) / 10;
+    return changed
+      ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+      : roundUp(Math.min(impact + exploitability, 10));
+  }
+
+  severityFromScore(score) {
+    if (score >= 9) return 'critical';
+    if (score >= 7) return 'high';
+    if (score >= 4) return 'medium';
+    if (score > 0) return 'low';
+    return 'unknown';
+  }
+
+  highestSeverity(advisories) {
+    return SEVERITY_ORDER.find(severity => advisories.some(advisory => advisory.severity === severity)) || 'unknown';
+  }
+
+  advisoryUrl(advisory) {
+    const references = advisory.references || [];
+    const reference = references.find(ref => ref.type === 'ADVISORY') || references[0];
+    return reference?.url || `https://osv.dev/vulnerability/${advisory.id}`;
+  }
+
+  packageKey(ecosystem, name) {
+    switch (ecosystem) {
+      case 'PyPI':
+        return `${ecosystem}:${name.toLowerCase().replace(/[-_.]+/g, '-')}`;
+      case 'Packagist':
+        return `${ecosystem}:${name.toLowerCase()}`;
+      default:
+        return `${ecosystem}:${name}`;
+    }
+  }
+}
+
+module.exports = new VulnerabilityAuditor();
@@ -0,0 +1,178 @@
+const semver = require('semver');
+
+// PEP 440 public version scheme, plus the normalisations pip accepts
+const PEP440_PATTERN = /^\s*v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:-(\d+)|[-_.]?(post|rev|r)[-_.]?(\d+)?)?(?:[-_.]?(dev)[-_.]?(\d+)?)?(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?\s*$/i;
+
+const PEP440_PRE_PHASES = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+// Maven qualifier order; anything unknown sorts after the release
+const MAVEN_QUALIFIERS = {
+  alpha: 1, a: 1,
+  beta: 2, b: 2,
+  milestone: 3, m: 3,
+  rc: 4, cr: 4,
+  snapshot: 5,
+  '': 6, ga: 6, final: 6, release: 6,
+  sp: 7
+};
+
+const compareNumbers = (a, b) => (a === b ? 0 : (a < b ? -1 : 1));
+
+/**
+ * Parse a PEP 440 version into a tuple that sorts the way pip does.
+ * Returns null when the string is not a valid version.
+ */
+function parsePep440(version) {
+  const match = String(version).match(PEP440_PATTERN);
+  if (!match) return null;
+
+  const [, epoch, release, prePhase, preNumber, implicitPost, postLabel, postNumber, devLabel, devNumber, local] = match;
+  const hasPost = implicitPost !== undefined || postLabel !== undefined;
+  const hasDev = devLabel !== undefined;
+
+  const parts = release.split('.').map(Number);
+  while (parts.length > 1 && parts[parts.length - 1] === 0) parts.pop();
+
+  let pre;
+  if (prePhase) {
+    pre = [PEP440_PRE_PHASES[prePhase.toLowerCase()], Number(preNumber || 0)];
+  } else if (hasDev && !hasPost) {
+    // 1.0.dev0 sorts before 1.0a0
+    pre = [-Infinity, 0];
+  } else {
+    pre = [Infinity, 0];
+  }
+
+  return {
+    epoch: Number(epoch || 0),
+    release: parts,
+    pre,
+    post: hasPost ? Number(implicitPost ?? postNumber ?? 0) : -Infinity,
+    dev: hasDev ? Number(devNumber || 0) : Infinity,
+    local: local ? local.toLowerCase().split(/[-_.]/) : []
+  };
+}
+
+function comparePep440(a, b) {
+  const left = parsePep440(a);
+  const right = parsePep440(b);
+
+  if (!left || !right) return compareSemver(a, b);
+
+  let result = compareNumbers(left.epoch, right.epoch);
+  if (result) return result;
+
+  const length = Math.max(left.release.length, right.release.length);
+  for (let i = 0; i < length; i++) {
+    result = compareNumbers(left.release[i] || 0, right.release[i] || 0);
+    if (result) return result;
+  }
+
+  result = compareNumbers(left.pre[0], right.pre[0]) || compareNumbers(left.pre[1], right.pre[1]);
+  if (result) return result;
+
+  result = compareNumbers(left.post, right.post) || compareNumbers(left.dev, right.dev);
+  if (result) return result;
+
+  for (let i = 0; i < Math.max(left.local.length, right.local.length); i++) {
+    const l = left.local[i];
+    const r = right.local[i];
+    if (l === undefined) return -1;
+    if (r === undefined) return 1;
+
+    const lNumeric = /^\d+$/.test(l);
+    const rNumeric = /^\d+$/.test(r);
+    if (lNumeric && rNumeric) {
+      result = compareNumbers(Number(l), Number(r));
+    } else if (lNumeric !== rNumeric) {
+      result = lNumeric ? 1 : -1;
+    } else {
+      result = l.localeCompare(r);
+    }
+    if (result) return result;
+  }
+
+  return 0;
+}
+
+function toSemver(version) {
+  const cleaned = String(version).trim().replace(/^v/i, '');
+  return semver.valid(cleaned, { loose: true })
+    || semver.valid(semver.coerce(cleaned, { includePrerelease: true }));
+}
+
+function compareSemver(a, b) {
+  const left = toSemver(a);
+  const right = toSemver(b);
+
+  if (!left || !right) return String(a).localeCompare(String(b), undefined, { numeric: true });
+  return semver.compare(left, right, { loose: true });
+}
+
+/**
+ * Simplified Maven ComparableVersion: numeric and qualifier items split on
+ * '.', '-' and digit/letter transitions, with trailing release items padded.
+ */
+function tokenizeMaven(version) {
+  return String(version)
+    .toLowerCase()
+    .split(/[.-]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+    .filter(Boolean)
+    .map(item => (/^\d+$/.test(item) ? Number(item) : item));
+}
+
+function mavenQualifierRank(item) {
+  return MAVEN_QUALIFIERS[item] ?? 8;
+}
+
+function compareMaven(a, b) {
+  const left = tokenizeMaven(a);
+  const right = tokenizeMaven(b);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    let l = left[i];
+    let r = right[i];
+
+    // Padding: a missing item behaves like 0 next to a number, like a release next to a qualifier
+    if (l === undefined) l = typeof r === 'number' ? 0 : '';
+    if (r === undefined) r = typeof l === 'number' ? 0 : '';
+
+    let result;
+    if (typeof l === 'number' && typeof r === 'number') {
+      result = compareNumbers(l, r);
+    } else if (typeof l === 'number') {
+      result = 1;
+    } else if (typeof r === 'number') {
+      result = -1;
+    } else {
+      result = compareNumbers(mavenQualifierRank(l), mavenQualifierRank(r)) || l.localeCompare(r);
+    }
+
+    if (result) return result;
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions using the ordering rules of an OSV ecosystem.
+ * @returns {number} -1, 0 or 1
+ */
+function compareVersions(ecosystem, a, b) {
+  switch (ecosystem) {
+    case 'PyPI':
+      return comparePep440(a, b);
+    case 'Maven':
+      return compareMaven(a, b);
+    default:
+      return compareSemver(a, b);
+  }
+}
+
+module.exports = {
+  compareVersions,
+  comparePep440,
+  compareSemver,
+  compareMaven,
+  parsePep440
+};
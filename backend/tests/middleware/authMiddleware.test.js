@@ -0,0 +1,61 @@
+const authMiddleware = require('../../src/middleware/authMiddleware');
+
+describe('authMiddleware WebSocket tickets', () => {
+  const user = { _id: '64b000000000000000000001' };
+  const path = '/api/v1/docker/containers/web/exec';
+
+  it('redeems a ticket once, for the path it was issued for', () => {
+    const { ticket, expiresIn } = authMiddleware.issueTicket(user, path);
+
+    expect(expiresIn).toBe(30);
+    expect(authMiddleware.redeemTicket(ticket, path)).toBe(user._id);
+    expect(authMiddleware.redeemTicket(ticket, path)).toBeNull();
+  });
+
+  it('spends a ticket presented at another path', () => {
+    const { ticket } = authMiddleware.issueTicket(user, path);
+
+    expect(authMiddleware.redeemTicket(ticket, '/api/v1/docker/containers/db/exec')).toBeNull();
+    expect(authMiddleware.redeemTicket(ticket, path)).toBeNull();
+  });
+
+  it('rejects expired tickets', () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const { ticket } = authMiddleware.issueTicket(user, path);
+
+    spy.mockReturnValue(now + 31 * 1000);
+    expect(authMiddleware.redeemTicket(ticket, path)).toBeNull();
+    spy.mockRestore();
+  });
+});
+
+describe('authMiddleware.verifySocket', () => {
+  const jwt = require('jsonwebtoken');
+  const config = require('../../src/config/appConfig');
+  const User = require('../../models/User');
+
+  const user = { _id: '64b000000000000000000001', isActive: true };
+  const handshake = auth => ({ handshake: { auth } });
+  const verify = socket => new Promise(resolve => authMiddleware.verifySocket(socket, resolve));
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(id => ({ select: async () => (id === user._id ? user : null) }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('attaches the user of a valid token', async () => {
+    const socket = handshake({ token: jwt.sign({ userId: user._id }, config.security.jwtSecret) });
+
+    await expect(verify(socket)).resolves.toBeUndefined();
+    expect(socket.user).toBe(user);
+  });
+
+  it('refuses sockets without a valid token or user', async () => {
+    const other = jwt.sign({ userId: '64b000000000000000000002' }, config.security.jwtSecret);
+
+    await expect(verify(handshake({}))).resolves.toMatchObject({ message: 'Access denied. No token provided.' });
+    await expect(verify(handshake({ token: 'forged' }))).resolves.toMatchObject({ message: 'Invalid token.' });
+    await expect(verify(handshake({ token: other }))).resolves.toMatchObject({ message: 'Invalid token.' });
+  });
+});
@@ -0,0 +1,27 @@
+const Analysis = require('../../models/Analysis');
+
+describe('Analysis model', () => {
+  describe('metrics.languageDistribution', () => {
+    it('reads legacy language-name arrays as entries', () => {
+      const analysis = Analysis.hydrate({
+        _id: '64b000000000000000000001',
+        metrics: { languageDistribution: ['JavaScript', 'CSS'] }
+      });
+
+      expect(analysis.toObject().metrics.languageDistribution).toEqual([
+        { name: 'JavaScript' },
+        { name: 'CSS' }
+      ]);
+    });
+
+    it('keeps byte-weighted entries as stored', () => {
+      const entry = { name: 'Go', type: 'programming', files: 3, bytes: 2048, lines: 90, percentage: 100 };
+      const analysis = Analysis.hydrate({
+        _id: '64b000000000000000000002',
+        metrics: { languageDistribution: [entry] }
+      });
+
+      expect(analysis.toObject().metrics.languageDistribution).toEqual([entry]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../../src/services/repoAnalyzer', () => ({ analyzeRepository: jest.fn() }));
+jest.mock('../../src/services/ai/openaiService', () => ({ getRepositoryInsights: jest.fn() }));
+
+const Analysis = require('../../models/Analysis');
+const RepoAnalyzer = require('../../src/services/repoAnalyzer');
+const AIService = require('../../src/services/ai/openaiService');
+const analysisQueue = require('../../src/services/analysisQueue');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('AnalysisQueue', () => {
+  const emitted = [];
+  const io = { to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+
+  const stored = (id, overrides = {}) => {
+    const analysis = Analysis.hydrate({
+      _id: id,
+      userId: '64b000000000000000000001',
+      repositoryUrl: 'https://github.com/example/app',
+      branch: 'main',
+      status: 'pending',
+      options: { includeDependencies: false },
+      ...overrides
+    });
+    jest.spyOn(analysis, 'save').mockResolvedValue(analysis);
+    return analysis;
+  };
+
+  beforeEach(() => {
+    emitted.length = 0;
+    analysisQueue.pending = [];
+    analysisQueue.running = new Set();
+    analysisQueue.concurrency = 2;
+    analysisQueue.setSocketServer(io);
+  });
+
+  afterEach(() => {
+    analysisQueue.setSocketServer(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('scheduling', () => {
+    let release;
+
+    beforeEach(() => {
+      const jobs = [];
+      release = () => jobs.shift()();
+      jest.spyOn(analysisQueue, 'runJob').mockImplementation(() => new Promise(resolve => jobs.push(resolve)));
+    });
+
+    it('runs up to the concurrency limit and reports queue positions', async () => {
+      ['a1', 'a2', 'a3', 'a4'].forEach(id => analysisQueue.enqueue(id));
+      expect(analysisQueue.enqueue('a4')).toBe(4);
+
+      await flush();
+      expect(analysisQueue.runJob).toHaveBeenCalledTimes(2);
+      expect(['a1', 'a2', 'a3', 'a4'].map(id => analysisQueue.getQueuePosition(id))).toEqual([0, 0, 1, 2]);
+
+      release();
+      await flush();
+      expect(analysisQueue.runJob).toHaveBeenLastCalledWith('a3');
+      expect(analysisQueue.getQueuePosition('a1')).toBeNull();
+      expect(analysisQueue.getQueuePosition('a4')).toBe(1);
+    });
+
+    it('does not queue an analysis twice', async () => {
+      expect(analysisQueue.enqueue('b1')).toBe(1);
+      expect(analysisQueue.enqueue('b1')).toBe(1);
+
+      await flush();
+      expect(analysisQueue.runJob).toHaveBeenCalledTimes(1);
+      expect(analysisQueue.enqueue('b1')).toBe(0);
+    });
+
+    it('re-queues interrupted analyses from a clean slate on startup', async () => {
+      const interrupted = [
+        stored('64b0000000000000000000a1', { status: 'analyzing' }),
+        stored('64b0000000000000000000a2')
+      ];
+      interrupted[0].startStage('clone');
+      jest.spyOn(Analysis, 'find').mockReturnValue({ sort: () => Promise.resolve(interrupted) });
+
+      await expect(analysisQueue.initialize()).resolves.toBe(2);
+
+      expect(interrupted.map(analysis => analysis.status)).toEqual(['pending', 'pending']);
+      expect(interrupted[0].progress.percentage).toBe(0);
+      expect(analysisQueue.pending).toEqual(interrupted.map(analysis => analysis.id));
+      await flush();
+    });
+  });
+
+  describe('runJob', () => {
+    const room = 'analysis-64b0000000000000000000c1';
+    let analysis;
+
+    beforeEach(() => {
+      analysis = stored('64b0000000000000000000c1');
+      jest.spyOn(Analysis, 'findById').mockResolvedValue(analysis);
+      AIService.getRepositoryInsights.mockResolvedValue({ issues: [{}], recommendations: [{}, {}] });
+    });
+
+    it("reports each stage to the analysis's room and stores the result", async () => {
+      RepoAnalyzer.analyzeRepository.mockImplementation(async (url, options) => {
+        await options.onStage('clone');
+        return { files: [{}, {}], metrics: { totalLines: 120 }, primaryLanguage: 'JavaScript' };
+      });
+
+      await analysisQueue.runJob(analysis.id);
+
+      expect(RepoAnalyzer.analyzeRepository).toHaveBeenCalledWith('https://github.com/example/app', expect.objectContaining({ branch: 'main' }));
+      expect(analysis.status).toBe('completed');
+      expect(analysis.analysisData.summary).toMatchObject({ totalFiles: 2, totalLines: 120, qualityScore: 79 });
+      expect(emitted.every(event => event.room === room)).toBe(true);
+      expect(emitted.map(event => event.event)).toEqual([
+        'analysis-started',
+        'analysis-progress',
+        'analysis-progress',
+        'analysis-progress',
+        'analysis-completed'
+      ]);
+      expect(emitted[3].payload).toMatchObject({ status: 'completed', percentage: 100 });
+    });
+
+    it('records the error and the stage it failed in', async () => {
+      RepoAnalyzer.analyzeRepository.mockImplementation(async (url, options) => {
+        await options.onStage('clone');
+        throw new Error('Repository not found');
+      });
+
+      await analysisQueue.runJob(analysis.id);
+
+      expect(analysis).toMatchObject({ status: 'failed', error: 'Repository not found' });
+      expect(analysis.progress.stages.find(stage => stage.name === 'clone').status).toBe('failed');
+      expect(emitted[emitted.length - 1]).toEqual({ room, event: 'analysis-failed', payload: expect.objectContaining({ error: 'Repository not found' }) });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../../src/services/dockerService', () => ({
+  connected: true,
+  initialize: jest.fn(),
+  buildImage: jest.fn(),
+  inspectImage: jest.fn()
+}));
+
+const Build = require('../../models/Build');
+const dockerService = require('../../src/services/dockerService');
+const buildService = require('../../src/services/buildService');
+const { parseBuildMessage } = require('../../src/services/buildService');
+
+const USER_ID = '64b000000000000000000001';
+const IMAGE_ID = `sha256:${'ab12'.repeat(16)}`;
+
+// What the classic builder streams for a two-step build with one cached step
+const STREAM = [
+  { stream: 'Step 1/2 : FROM node:20-alpine\n' },
+  { status: 'Downloading', id: '4abcf2066143', progressDetail: { current: 512, total: 2048 } },
+  { stream: ' ---> 1f3a5ac2ef61\n' },
+  { stream: 'Step 2/2 : COPY . /app\n' },
+  { stream: ' ---> Using cache\n' },
+  { stream: ' ---> 9c27e219663c\n' },
+  { stream: '\n' },
+  { aux: { ID: IMAGE_ID } },
+  { stream: 'Successfully built 9c27e219663c\n' },
+  { stream: 'Successfully tagged registry.local/app:1.0\n' }
+];
+
+// Read the packed context to its end, as the daemon would, so nothing is left packing after a test
+const drain = (context) => new Promise(resolve => (context.pipe ? context.on('end', resolve).resume() : resolve()));
+
+describe('buildService', () => {
+  const emitted = [];
+  const io = { to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+
+  const finished = (build) => new Promise(resolve => {
+    buildService.follow(build.id, event => {
+      if (!event) resolve(build);
+    });
+  });
+
+  beforeEach(() => {
+    emitted.length = 0;
+    buildService.setSocketServer(io);
+    dockerService.connected = true;
+    dockerService.inspectImage.mockResolvedValue({ Id: IMAGE_ID, Size: 52428800, RepoTags: ['registry.local/app:1.0'] });
+    jest.spyOn(Build.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    buildService.setSocketServer(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('parseBuildMessage', () => {
+    it('types each message of the build stream', () => {
+      expect(STREAM.map(parseBuildMessage)).toEqual([
+        { type: 'step', step: 1, totalSteps: 2, instruction: 'FROM node:20-alpine' },
+        { type: 'pull', id: '4abcf2066143', status: 'Downloading', current: 512, total: 2048 },
+        { type: 'layer', layer: '1f3a5ac2ef61' },
+        { type: 'step', step: 2, totalSteps: 2, instruction: 'COPY . /app' },
+        { type: 'cache' },
+        { type: 'layer', layer: '9c27e219663c' },
+        null,
+        { type: 'image', imageId: IMAGE_ID },
+        { type: 'image', imageId: '9c27e219663c' },
+        { type: 'tagged', tag: 'registry.local/app:1.0' }
+      ]);
+      expect(parseBuildMessage({ errorDetail: { code: 1, message: 'RUN failed\n' }, error: 'RUN failed' }))
+        .toEqual({ type: 'error', message: 'RUN failed', code: 1 });
+      expect(parseBuildMessage({ stream: 'added 120 packages\n' })).toEqual({ type: 'log', message: 'added 120 packages' });
+    });
+  });
+
+  describe('startBuild', () => {
+    const options = { dockerfile: 'FROM node:20-alpine\nCOPY . /app', imageName: 'registry.local/app', tags: ['1.0', 'latest'], buildArgs: { NODE_ENV: 'production' } };
+
+    it('answers 503 when the daemon is unreachable', async () => {
+      dockerService.connected = false;
+      dockerService.initialize.mockResolvedValue(false);
+
+      await expect(buildService.startBuild(USER_ID, options)).rejects.toMatchObject({ status: 503 });
+      expect(Build.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('records steps, cache hits and the image, reporting progress to the build room', async () => {
+      dockerService.buildImage.mockImplementation(async (context, { onProgress }) => {
+        await drain(context);
+        STREAM.forEach(onProgress);
+      });
+
+      const build = await finished(await buildService.startBuild(USER_ID, options));
+
+      expect(dockerService.buildImage).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        tags: ['registry.local/app:1.0', 'registry.local/app:latest'],
+        buildArgs: { NODE_ENV: 'production' }
+      }));
+      expect(dockerService.inspectImage).toHaveBeenCalledWith(IMAGE_ID);
+      expect(build).toMatchObject({
+        status: 'succeeded',
+        image: { id: IMAGE_ID, size: 52428800, tags: ['registry.local/app:1.0'] },
+        progress: { step: 2, totalSteps: 2, percentage: 100 }
+      });
+      expect(build.steps.map(step => [step.number, step.instruction, step.cached, step.layer])).toEqual([
+        [1, 'FROM node:20-alpine', false, '1f3a5ac2ef61'],
+        [2, 'COPY . /app', true, '9c27e219663c']
+      ]);
+      expect(build.logs.map(log => log.message)).toEqual(expect.arrayContaining(['Tagged registry.local/app:1.0']));
+
+      expect(emitted.every(event => event.room === `build-${build.id}`)).toBe(true);
+      expect(emitted.map(event => event.event).filter(event => event !== 'build-log')).toEqual([
+        'build-started',
+        'build-step',
+        'build-pull',
+        'build-step',
+        'build-step-cached',
+        'build-completed'
+      ]);
+      expect(emitted[emitted.length - 1].payload).toMatchObject({ status: 'succeeded', cachedSteps: 1 });
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(buildService.follow(build.id, () => {})).toBeNull();
+    });
+
+    it('fails the build with the error the daemon reported', async () => {
+      dockerService.buildImage.mockImplementation(async (context, { onProgress }) => {
+        await drain(context);
+        onProgress({ stream: 'Step 1/1 : RUN exit 3\n' });
+        onProgress({ errorDetail: { code: 3, message: "The command '/bin/sh -c exit 3' returned a non-zero code: 3" } });
+        throw new Error("The command '/bin/sh -c exit 3' returned a non-zero code: 3");
+      });
+
+      const build = await finished(await buildService.startBuild(USER_ID, options));
+
+      expect(build).toMatchObject({
+        status: 'failed',
+        error: { message: "The command '/bin/sh -c exit 3' returned a non-zero code: 3", code: 3 }
+      });
+      expect(emitted[emitted.length - 1]).toMatchObject({ event: 'build-failed', payload: { step: 1 } });
+    });
+  });
+
+  describe('cancelBuild', () => {
+    it('aborts the daemon request of a running build owned by the user', async () => {
+      dockerService.buildImage.mockImplementation(async (context, { abortSignal }) => {
+        const aborted = new Promise(resolve => abortSignal.addEventListener('abort', resolve));
+        await drain(context);
+        await aborted;
+        throw new Error('aborted');
+      });
+
+      const started = await buildService.startBuild(USER_ID, { dockerfile: 'FROM scratch', imageName: 'app' });
+      const done = finished(started);
+      jest.spyOn(Build, 'findOne').mockResolvedValue(null);
+
+      await expect(buildService.cancelBuild(started.id, '64b000000000000000000002')).rejects.toMatchObject({ status: 404 });
+      await buildService.cancelBuild(started.id, USER_ID);
+
+      const build = await done;
+      expect(build.status).toBe('cancelled');
+      expect(emitted[emitted.length - 1].event).toBe('build-cancelled');
+    });
+
+    it('refuses to cancel a build that is no longer running', async () => {
+      jest.spyOn(Build, 'findOne').mockResolvedValue(Build.hydrate({ _id: '64b0000000000000000000b1', userId: USER_ID, status: 'succeeded' }));
+
+      await expect(buildService.cancelBuild('64b0000000000000000000b1', USER_ID)).rejects.toMatchObject({
+        status: 409,
+        message: 'Build is succeeded and cannot be cancelled'
+      });
+    });
+  });
+
+  it('fails builds a restart interrupted', async () => {
+    const interrupted = [
+      Build.hydrate({ _id: '64b0000000000000000000c1', userId: USER_ID, status: 'building', imageName: 'app', dockerfile: 'FROM scratch' }),
+      Build.hydrate({ _id: '64b0000000000000000000c2', userId: USER_ID, status: 'queued', imageName: 'app', dockerfile: 'FROM scratch' })
+    ];
+    jest.spyOn(Build, 'find').mockResolvedValue(interrupted);
+
+    await expect(buildService.initialize()).resolves.toBe(2);
+
+    expect(Build.find).toHaveBeenCalledWith({ status: { $in: ['queued', 'building'] } });
+    expect(interrupted.map(build => [build.status, build.error.message])).toEqual([
+      ['failed', 'Build interrupted by a backend restart'],
+      ['failed', 'Build interrupted by a backend restart']
+    ]);
+    expect(Build.prototype.save).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ComplexityAnalyzer = require('../../src/services/complexityAnalyzer');
+
+const JAVASCRIPT = `function add(a, b) {
+  return a + b;
+}
+
+function grade(score, bonus) {
+  if (score > 90) {
+    return 'A';
+  } else if (score > 80 && bonus) {
+    return 'B';
+  }
+  for (const step of [1, 2]) {
+    if (step === score) {
+      return 'C';
+    }
+  }
+  return score ? 'D' : 'F';
+}
+`;
+
+const PYTHON = `def add(a, b):
+    return a + b
+
+def grade(score, bonus):
+    if score > 90:
+        return "A"
+    elif score > 80 and bonus:
+        return "B"
+    for step in [1, 2]:
+        if step == score:
+            return "C"
+    return "D" if score else "F"
+`;
+
+describe('ComplexityAnalyzer', () => {
+  describe('analyzeFile', () => {
+    it('scores JavaScript functions: a point per branch, cognitive extra for nesting', () => {
+      const report = ComplexityAnalyzer.analyzeFile('src/grade.js', JAVASCRIPT);
+
+      expect(report.functions).toEqual([
+        expect.objectContaining({ name: 'add', line: 1, endLine: 3, cyclomatic: 1, cognitive: 0 }),
+        expect.objectContaining({ name: 'grade', line: 5, endLine: 17, cyclomatic: 7, cognitive: 7 })
+      ]);
+      expect(report).toMatchObject({ language: 'javascript', functionCount: 2, cyclomatic: 8, cognitive: 7, maxCyclomatic: 7 });
+      expect(report.maintainability).toBeGreaterThan(0);
+      expect(report.maintainability).toBeLessThan(report.functions[0].maintainability);
+    });
+
+    it('scores the same logic in Python the same way', () => {
+      const report = ComplexityAnalyzer.analyzeFile('grade.py', PYTHON);
+
+      expect(report.functions.map(fn => [fn.name, fn.cyclomatic, fn.cognitive])).toEqual([['add', 1, 0], ['grade', 7, 7]]);
+      expect(report).toMatchObject({ language: 'python', cyclomatic: 8, cognitive: 7 });
+    });
+  });
+
+  it('only analyzes JS, TS and Python sources, skipping minified files and declarations', () => {
+    expect(ComplexityAnalyzer.languageOf('src/App.TSX')).toBe('typescript');
+    expect(ComplexityAnalyzer.languageOf('main.py')).toBe('python');
+    expect(ComplexityAnalyzer.languageOf('dist/app.min.js')).toBeNull();
+    expect(ComplexityAnalyzer.languageOf('types/index.d.ts')).toBeNull();
+    expect(ComplexityAnalyzer.languageOf('main.go')).toBeNull();
+  });
+
+  describe('analyzeRepository', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'complexity-'));
+      fs.writeFileSync(path.join(repoPath, 'grade.js'), JAVASCRIPT);
+      fs.writeFileSync(path.join(repoPath, 'grade.py'), PYTHON);
+      fs.writeFileSync(path.join(repoPath, 'broken.js'), 'function (');
+      fs.writeFileSync(path.join(repoPath, 'README.md'), '# app');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('summarizes analyzable files, ranks hotspots and lists what it skipped', async () => {
+      const report = await ComplexityAnalyzer.analyzeRepository(repoPath, ['grade.js', 'grade.py', 'broken.js', 'README.md']);
+
+      expect(report.files.map(file => file.path)).toEqual(['grade.js', 'grade.py']);
+      expect(report.skipped).toEqual([expect.objectContaining({ path: 'broken.js' })]);
+      expect(report.summary).toMatchObject({
+        files: 2,
+        functions: 4,
+        cyclomatic: { average: 4, max: 7, total: 16 },
+        cognitive: { average: 3.5, max: 7, total: 14 },
+        byLanguage: { javascript: { files: 1, functions: 2 }, python: { files: 1, functions: 2 } }
+      });
+      expect(report.hotspots.slice(0, 2).map(hotspot => [hotspot.path, hotspot.function])).toEqual(
+        expect.arrayContaining([['grade.js', 'grade'], ['grade.py', 'grade']])
+      );
+      expect(ComplexityAnalyzer.toMetrics(report)).toEqual({ cyclomatic: 4, cognitive: 3.5, maintainability: report.summary.maintainability });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const yaml = require('js-yaml');
+const ComposeGenerator = require('../../src/services/composeGenerator');
+
+const node = (fields) => ({
+  language: 'JavaScript',
+  runtime: { name: 'node', version: '20' },
+  packageManager: 'npm',
+  commands: { install: 'npm ci', start: 'npm start' },
+  type: 'web',
+  frameworks: [],
+  datastores: [],
+  ...fields
+});
+
+// An API with its stores, a Next.js frontend on the same port and a queue worker
+const SERVICES = [
+  node({ name: 'api', appRoot: 'services/api', port: 3000, datastores: [{ name: 'postgres' }, { name: 'redis' }] }),
+  node({ name: 'web', appRoot: 'apps/web', port: 3000, frameworks: [{ name: 'Next.js', category: 'fullstack' }], commands: { install: 'npm ci', build: 'npm run build', start: 'npm start' } }),
+  node({ name: 'worker', appRoot: 'services/worker', type: 'worker', datastores: [{ name: 'redis' }] })
+];
+
+describe('ComposeGenerator', () => {
+  describe('generate', () => {
+    it('builds every application from the repository root with its own Dockerfile', () => {
+      const { config, dockerfiles } = ComposeGenerator.generate(SERVICES);
+
+      expect(config.services.api.build).toEqual({ context: '.', dockerfile: 'services/api/Dockerfile' });
+      expect(dockerfiles.map(file => [file.service, file.path])).toEqual([
+        ['api', 'services/api/Dockerfile'],
+        ['web', 'apps/web/Dockerfile'],
+        ['worker', 'services/worker/Dockerfile']
+      ]);
+      expect(dockerfiles.every(file => /^FROM node:20/m.test(file.content))).toBe(true);
+    });
+
+    it('adds one healthchecked container per datastore and wires services to it', () => {
+      const { config } = ComposeGenerator.generate(SERVICES);
+
+      expect(Object.keys(config.services)).toEqual(['postgres', 'redis', 'api', 'web', 'worker']);
+      expect(config.services.postgres).toMatchObject({
+        image: 'postgres:16-alpine',
+        volumes: ['postgres-data:/var/lib/postgresql/data'],
+        networks: ['backend'],
+        healthcheck: { test: ['CMD-SHELL', 'pg_isready -U app -d app'], start_period: '10s' }
+      });
+      expect(config.volumes).toEqual({ 'postgres-data': {}, 'redis-data': {} });
+      expect(config.services.api).toMatchObject({
+        environment: {
+          DATABASE_URL: 'postgres://app:${POSTGRES_PASSWORD:-app}@postgres:5432/app',
+          REDIS_URL: 'redis://redis:6379'
+        },
+        depends_on: { postgres: { condition: 'service_healthy' }, redis: { condition: 'service_healthy' } }
+      });
+      expect(config.services.worker.environment).toEqual({ REDIS_URL: 'redis://redis:6379' });
+    });
+
+    it('points frontends at the APIs and keeps them off the datastore network', () => {
+      const { config } = ComposeGenerator.generate(SERVICES);
+
+      expect(config.services.web).toMatchObject({
+        ports: ['3001:3000'],
+        environment: { API_URL: 'http://api:3000' },
+        depends_on: { api: { condition: 'service_started' } },
+        networks: ['frontend']
+      });
+      expect(config.services.api).toMatchObject({ ports: ['3000:3000'], networks: ['frontend', 'backend'] });
+      expect(config.services.worker.ports).toBeUndefined();
+      expect(config.services.worker.networks).toEqual(['backend']);
+      expect(config.networks).toEqual({ frontend: {}, backend: {} });
+    });
+
+    it('renames a datastore container that would clash with an application', () => {
+      const { config } = ComposeGenerator.generate([
+        node({ name: 'redis', port: 8080, datastores: [{ name: 'redis' }] })
+      ]);
+
+      expect(Object.keys(config.services)).toEqual(['redis-db', 'redis']);
+      expect(config.services.redis.environment).toEqual({ REDIS_URL: 'redis://redis-db:6379' });
+      expect(config.volumes).toEqual({ 'redis-db-data': {} });
+    });
+
+    it('returns YAML of the configuration, which passes validation', () => {
+      const { config, yaml: output, validation } = ComposeGenerator.generate(SERVICES);
+
+      expect(yaml.load(output)).toEqual(config);
+      expect(output).not.toContain('undefined');
+      expect(validation).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  describe('validate', () => {
+    it('reports schema violations', () => {
+      const { valid, errors } = ComposeGenerator.validate({
+        services: { api: { image: 'app', ports: 'not-a-list', healthcheck: { interval: 'often' } } }
+      });
+
+      expect(valid).toBe(false);
+      expect(errors.map(error => error.path)).toEqual(expect.arrayContaining(['/services/api/ports', '/services/api/healthcheck/interval']));
+    });
+
+    it('reports references to undefined services, networks and volumes', () => {
+      const result = ComposeGenerator.validate({
+        services: {
+          api: {
+            image: 'app',
+            depends_on: ['db'],
+            networks: ['default', 'backend'],
+            volumes: ['data:/data', './src:/app/src', { type: 'volume', source: 'cache', target: '/cache' }]
+          }
+        }
+      });
+
+      expect(result).toEqual({
+        valid: false,
+        errors: [
+          { path: '/services/api/depends_on', message: 'depends on undefined service db' },
+          { path: '/services/api/networks', message: 'uses undefined network backend' },
+          { path: '/services/api/volumes', message: 'uses undefined volume data' },
+          { path: '/services/api/volumes', message: 'uses undefined volume cache' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DependencyParser = require('../../src/services/dependencyParser');
+
+describe('DependencyParser.parseManifests', () => {
+  let repoPath;
+
+  const write = (relativePath, content) => {
+    const fullPath = path.join(repoPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  const parse = (...manifests) => DependencyParser.parseManifests(repoPath, manifests);
+  const byName = dependencies => Object.fromEntries(dependencies.map(dependency => [dependency.name, dependency]));
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-parser-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  describe('Poetry', () => {
+    const pyproject = dependencies => [
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      ...Object.entries(dependencies).map(([name, spec]) => `${name} = ${spec}`)
+    ].join('\n');
+
+    it('reads bare and == versions as exact pins, and leaves ranges unresolved', () => {
+      write('pyproject.toml', pyproject({
+        black: '"23.1.0"',
+        requests: '"==2.31.0"',
+        django: '{ version = "4.2.7", extras = ["argon2"] }',
+        flask: '"^3.0"',
+        numpy: '"1.26.*"',
+        attrs: '">=23"'
+      }));
+
+      const dependencies = byName(parse('pyproject.toml'));
+
+      expect(dependencies.python).toBeUndefined();
+      expect(dependencies.black).toMatchObject({ manager: 'poetry', constraint: '23.1.0', version: '23.1.0' });
+      expect(dependencies.requests).toMatchObject({ constraint: '==2.31.0', version: '2.31.0' });
+      expect(dependencies.django).toMatchObject({ constraint: '4.2.7', version: '4.2.7' });
+      expect(dependencies.flask).toMatchObject({ constraint: '^3.0', version: null });
+      expect(dependencies.numpy).toMatchObject({ constraint: '1.26.*', version: null });
+      expect(dependencies.attrs).toMatchObject({ constraint: '>=23', version: null });
+    });
+
+    it('prefers the version in poetry.lock', () => {
+      write('pyproject.toml', pyproject({ Flask: '"^3.0"', black: '"23.1.0"' }));
+      write('poetry.lock', '[[package]]\nname = "flask"\nversion = "3.0.3"\n');
+
+      const dependencies = byName(parse('pyproject.toml'));
+
+      expect(dependencies.Flask).toMatchObject({ version: '3.0.3', lockfile: 'poetry.lock' });
+      expect(dependencies.black).toMatchObject({ version: '23.1.0', lockfile: null });
+    });
+  });
+
+  describe('requirements files', () => {
+    it('pins only == versions and takes the scope from the file name', () => {
+      write('requirements-dev.txt', 'pytest==8.0.0\nblack\n# comment\n-r requirements.txt\n');
+
+      expect(parse('requirements-dev.txt')).toEqual([
+        expect.objectContaining({ name: 'pytest', scope: 'dev', version: '8.0.0' }),
+        expect.objectContaining({ name: 'black', scope: 'dev', constraint: null, version: null })
+      ]);
+    });
+  });
+
+  describe('npm', () => {
+    it('resolves versions from a parent package-lock.json and skips workspace links', () => {
+      write('package-lock.json', {
+        lockfileVersion: 3,
+        packages: {
+          'node_modules/express': { version: '4.18.2' },
+          'node_modules/shared': { link: true },
+          'packages/web/node_modules/react': { version: '18.2.0' }
+        }
+      });
+      write('packages/web/package.json', {
+        dependencies: { express: '^4.18.0', react: '^18.0.0', shared: '*', utils: 'workspace:*' },
+        devDependencies: { jest: '^29.0.0' }
+      });
+
+      const dependencies = byName(parse('packages/web/package.json'));
+
+      expect(Object.keys(dependencies).sort()).toEqual(['express', 'jest', 'react']);
+      expect(dependencies.express).toMatchObject({ version: '4.18.2', lockfile: 'package-lock.json', manifest: 'packages/web/package.json' });
+      expect(dependencies.react).toMatchObject({ version: '18.2.0' });
+      expect(dependencies.jest).toMatchObject({ scope: 'dev', version: null, lockfile: null });
+    });
+  });
+
+  describe('Go', () => {
+    it('applies replace directives and drops local replacements', () => {
+      write('go.mod', [
+        'module example.com/app',
+        'require (',
+        '\tgithub.com/gin-gonic/gin v1.9.1',
+        '\tgithub.com/old/lib v1.0.0 // indirect',
+        '\texample.com/local v0.0.0',
+        ')',
+        'replace github.com/old/lib => github.com/new/lib v1.2.0',
+        'replace example.com/local => ./local'
+      ].join('\n'));
+
+      expect(parse('go.mod')).toEqual([
+        expect.objectContaining({ name: 'github.com/gin-gonic/gin', version: 'v1.9.1', lockfile: 'go.mod' }),
+        expect.objectContaining({ name: 'github.com/old/lib', constraint: 'v1.0.0', version: 'v1.2.0' })
+      ]);
+    });
+  });
+
+  it('skips manifests it cannot parse', () => {
+    write('package.json', '{');
+    write('requirements.txt', 'flask==3.0.0\n');
+
+    expect(parse('package.json', 'requirements.txt')).toEqual([expect.objectContaining({ name: 'flask' })]);
+  });
+});
@@ -0,0 +1,246 @@
+jest.mock('../../src/services/dockerService', () => ({
+  connected: true,
+  initialize: jest.fn(),
+  pullImage: jest.fn(),
+  createContainer: jest.fn(),
+  startContainer: jest.fn(),
+  stopContainer: jest.fn(),
+  removeContainer: jest.fn(),
+  inspectContainer: jest.fn(),
+  getContainerLogs: jest.fn()
+}));
+jest.mock('../../src/services/statsCollector', () => ({
+  watch: jest.fn(),
+  unwatch: jest.fn(),
+  removeSeries: jest.fn()
+}));
+
+const Deployment = require('../../models/Deployment');
+const dockerService = require('../../src/services/dockerService');
+const deployService = require('../../src/services/deployService');
+
+const daemonError = statusCode => Object.assign(new Error(`HTTP code ${statusCode}`), { statusCode });
+
+describe('deployService persistence', () => {
+  const userId = '64b000000000000000000001';
+  const stored = (status, overrides = {}) => {
+    const deployment = Deployment.hydrate({
+      _id: '64b0000000000000000000b1',
+      userId,
+      name: 'api',
+      type: 'kubernetes',
+      environment: 'staging',
+      status,
+      config: {},
+      logs: [],
+      ...overrides
+    });
+    jest.spyOn(deployment, 'save').mockResolvedValue(deployment);
+    return deployment;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves a requested deployment before starting it in the background', async () => {
+    const save = jest.spyOn(Deployment.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    const start = jest.spyOn(deployService, 'startDeploymentProcess').mockImplementation(() => {});
+
+    const deployment = await deployService.deployApplication(userId, {
+      type: 'docker',
+      name: 'web',
+      config: { image: 'nginx:1.27', ports: [{ containerPort: 80, hostPort: 8080 }] }
+    });
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(start).toHaveBeenCalledWith(deployment.id);
+    expect(deployment).toMatchObject({ status: 'deploying', environment: 'development', replicas: 1 });
+    expect(deployment.logs[0].message).toBe('Deployment of web (docker) to development requested');
+  });
+
+  it('fails deployments a restart interrupted and settles interrupted scaling', async () => {
+    const deploying = stored('deploying');
+    const scaling = stored('scaling', { _id: '64b0000000000000000000b2' });
+    const find = jest.spyOn(Deployment, 'find').mockResolvedValue([deploying, scaling]);
+
+    await expect(deployService.reconcileDeployments()).resolves.toBe(2);
+
+    expect(find).toHaveBeenCalledWith({ status: { $in: ['pending', 'deploying', 'scaling'] } });
+    expect(deploying).toMatchObject({ status: 'failed', error: { message: 'Deployment interrupted by a backend restart' } });
+    expect(scaling.status).toBe('running');
+    expect(scaling.logs[0]).toMatchObject({ level: 'warning', message: 'Scaling interrupted by a backend restart' });
+    expect(deploying.save).toHaveBeenCalled();
+    expect(scaling.save).toHaveBeenCalled();
+  });
+
+  it("only finds the user's own deployments", async () => {
+    const findOne = jest.spyOn(Deployment, 'findOne').mockResolvedValue(null);
+
+    await expect(deployService.getDeployment('64b0000000000000000000b1', userId)).rejects.toMatchObject({ status: 404 });
+    expect(findOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000b1', userId });
+
+    await expect(deployService.getDeployment('not-an-id', userId)).rejects.toMatchObject({ status: 404 });
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('deployService container lifecycle', () => {
+  const userId = '64b000000000000000000001';
+  let deployment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deployment = Deployment.hydrate({
+      _id: '64b0000000000000000000aa',
+      userId,
+      name: 'web',
+      type: 'docker',
+      environment: 'production',
+      status: 'failed',
+      config: { image: 'nginx:1.27' },
+      container: { id: 'a'.repeat(64), name: 'web-production-0000aa', image: 'nginx:1.27' },
+      logs: []
+    });
+    jest.spyOn(deployment, 'save').mockResolvedValue(deployment);
+    jest.spyOn(deployService, 'getDeployment').mockResolvedValue(deployment);
+
+    dockerService.pullImage.mockResolvedValue({ status: 'Pulled nginx:1.27' });
+    dockerService.createContainer.mockResolvedValue({ id: 'b'.repeat(64) });
+    dockerService.startContainer.mockResolvedValue();
+    dockerService.inspectContainer.mockResolvedValue({ State: { Running: true, Health: { Status: 'healthy' } } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('forgets a removed container, even one the daemon no longer has', async () => {
+    dockerService.removeContainer.mockRejectedValue(daemonError(404));
+
+    await deployService.removeDeploymentContainer(deployment);
+
+    expect(dockerService.removeContainer).toHaveBeenCalledWith('a'.repeat(64), { force: true });
+    expect(deployment.container?.id).toBeUndefined();
+    expect(deployment.save).toHaveBeenCalled();
+  });
+
+  it('keeps the container when the daemon fails to remove it', async () => {
+    dockerService.removeContainer.mockRejectedValue(daemonError(500));
+
+    await expect(deployService.removeDeploymentContainer(deployment)).rejects.toMatchObject({ statusCode: 500 });
+    expect(deployment.container.id).toBe('a'.repeat(64));
+  });
+
+  it('creates a new container when starting a deployment whose container was removed', async () => {
+    dockerService.removeContainer.mockResolvedValue();
+    await deployService.removeDeploymentContainer(deployment);
+
+    const started = await deployService.startDeployment(deployment.id, userId);
+
+    expect(dockerService.createContainer).toHaveBeenCalledWith(expect.objectContaining({ image: 'nginx:1.27' }));
+    expect(dockerService.startContainer).toHaveBeenCalledTimes(1);
+    expect(dockerService.startContainer).toHaveBeenCalledWith('b'.repeat(64));
+    expect(started).toMatchObject({ status: 'running', container: { id: 'b'.repeat(64) } });
+  });
+
+  it('recreates a container that was removed outside the app', async () => {
+    dockerService.startContainer.mockRejectedValueOnce(daemonError(404));
+
+    const started = await deployService.startDeployment(deployment.id, userId);
+
+    expect(dockerService.createContainer).toHaveBeenCalledTimes(1);
+    expect(started).toMatchObject({ status: 'running', container: { id: 'b'.repeat(64) } });
+  });
+
+  it('restarts an existing container in place', async () => {
+    dockerService.startContainer.mockRejectedValueOnce(daemonError(304));
+
+    const started = await deployService.startDeployment(deployment.id, userId);
+
+    expect(dockerService.createContainer).not.toHaveBeenCalled();
+    expect(started).toMatchObject({ status: 'running', container: { id: 'a'.repeat(64) } });
+  });
+});
+
+describe('deployService docker deployments', () => {
+  let deployment;
+
+  const state = State => ({ State });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deployment = Deployment.hydrate({
+      _id: '64b0000000000000000000cc',
+      userId: '64b000000000000000000001',
+      name: 'My App',
+      type: 'docker',
+      environment: 'staging',
+      status: 'deploying',
+      config: { image: 'web:1.0', env: { NODE_ENV: 'production' }, ports: [{ containerPort: 3000, hostPort: 8080 }], healthCheck: { interval: 1 } },
+      logs: []
+    });
+    jest.spyOn(deployment, 'save').mockResolvedValue(deployment);
+
+    dockerService.pullImage.mockResolvedValue({ status: 'Pulled web:1.0' });
+    dockerService.createContainer.mockResolvedValue({ id: 'c'.repeat(64) });
+    dockerService.startContainer.mockResolvedValue();
+    dockerService.removeContainer.mockResolvedValue();
+    dockerService.getContainerLogs.mockResolvedValue('\x02\x00\x00\x00\x00\x00\x00\x0cboot failed\n');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pulls the image and runs a labelled container until the image reports healthy', async () => {
+    dockerService.inspectContainer
+      .mockResolvedValueOnce(state({ Running: true, Health: { Status: 'starting' } }))
+      .mockResolvedValueOnce(state({ Running: true, Health: { Status: 'healthy' } }));
+
+    await deployService.executeDockerDeployment(deployment);
+
+    expect(dockerService.createContainer).toHaveBeenCalledWith(expect.objectContaining({
+      image: 'web:1.0',
+      name: 'my-app-staging-0000cc',
+      environment: ['NODE_ENV=production'],
+      labels: expect.objectContaining({ 'autopilotdev.deployment': deployment.id, 'autopilotdev.user': '64b000000000000000000001' })
+    }));
+    expect(deployment.container).toMatchObject({ id: 'c'.repeat(64), name: 'my-app-staging-0000cc' });
+    expect(deployment.logs.map(log => log.message)).toEqual(expect.arrayContaining([
+      'Pulling image web:1.0',
+      'Container started',
+      'Container reported healthy'
+    ]));
+  });
+
+  it('fails with the container output and removes a container that exits', async () => {
+    dockerService.inspectContainer.mockResolvedValue(state({ Running: false, ExitCode: 1 }));
+
+    await expect(deployService.executeDockerDeployment(deployment)).rejects.toThrow('Container exited with code 1\nboot failed');
+    expect(dockerService.removeContainer).toHaveBeenCalledWith('c'.repeat(64), { force: true });
+  });
+
+  it('fails on an unhealthy HEALTHCHECK with its last probe output', async () => {
+    dockerService.inspectContainer.mockResolvedValue(state({
+      Running: true,
+      Health: { Status: 'unhealthy', Log: [{ Output: 'curl: (7) connection refused\n' }] }
+    }));
+
+    await expect(deployService.executeDockerDeployment(deployment)).rejects.toThrow('Container health check failed: curl: (7) connection refused');
+    expect(dockerService.removeContainer).toHaveBeenCalled();
+  });
+
+  it("surfaces the daemon's own message", async () => {
+    dockerService.pullImage.mockRejectedValue(Object.assign(new Error('(HTTP code 404) unexpected'), {
+      statusCode: 404,
+      json: { message: 'manifest for web:1.0 not found' }
+    }));
+
+    await expect(deployService.executeDockerDeployment(deployment)).rejects.toMatchObject({
+      message: 'manifest for web:1.0 not found',
+      statusCode: 404
+    });
+    expect(dockerService.createContainer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('../../src/services/dockerService', () => ({
+  connected: true,
+  initialize: jest.fn(),
+  inspectContainer: jest.fn(),
+  getEvents: jest.fn()
+}));
+jest.mock('../../src/services/deployService', () => ({
+  expectedEvents: new Set(),
+  activeDeployments: new Map(),
+  io: null,
+  pushLog: jest.fn((deployment, message, level = 'info') => deployment.logs.push({ timestamp: new Date(), message, level })),
+  emitUpdate: jest.fn()
+}));
+jest.mock('../../src/services/statsCollector', () => ({ watch: jest.fn() }));
+
+const { PassThrough } = require('stream');
+const Deployment = require('../../models/Deployment');
+const dockerService = require('../../src/services/dockerService');
+const deployService = require('../../src/services/deployService');
+const statsCollector = require('../../src/services/statsCollector');
+const watcher = require('../../src/services/dockerEventWatcher');
+
+const DEPLOYMENT_ID = '64b0000000000000000000d1';
+const CONTAINER_ID = 'c0ffee000001';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('DockerEventWatcher', () => {
+  const emitted = [];
+  let deployment;
+
+  const stored = (overrides = {}) => {
+    const doc = Deployment.hydrate({
+      _id: DEPLOYMENT_ID,
+      userId: '64b000000000000000000001',
+      name: 'api',
+      type: 'docker',
+      status: 'running',
+      config: { image: 'api:1.0' },
+      container: { id: CONTAINER_ID, name: 'api' },
+      health: { status: 'healthy', checks: [] },
+      logs: [],
+      ...overrides
+    });
+    jest.spyOn(doc, 'save').mockResolvedValue(doc);
+    return doc;
+  };
+
+  // A daemon event as it arrives on the /events stream
+  const event = (action, attributes = {}, containerId = CONTAINER_ID) => ({
+    Type: 'container',
+    Action: action,
+    Actor: { ID: containerId, Attributes: { 'autopilotdev.deployment': DEPLOYMENT_ID, ...attributes } },
+    time: 1718000000
+  });
+
+  beforeEach(() => {
+    emitted.length = 0;
+    deployService.io = { to: room => ({ emit: (name, payload) => emitted.push({ room, name, payload }) }) };
+    deployService.expectedEvents.clear();
+    watcher.oomKilled.clear();
+    deployment = stored();
+    jest.spyOn(Deployment, 'findById').mockResolvedValue(deployment);
+  });
+
+  afterEach(() => {
+    deployService.io = null;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('handleEvent', () => {
+    it('fails a running deployment whose container dies, noting an OOM kill', async () => {
+      await watcher.handleEvent(event('oom'));
+      await watcher.handleEvent(event('die', { exitCode: '137' }));
+
+      expect(deployment).toMatchObject({
+        status: 'failed',
+        error: { message: 'Container was killed after running out of memory (exit code 137)' },
+        health: { status: 'unhealthy' }
+      });
+      expect(deployment.logs.map(log => log.level)).toEqual(['warning', 'error']);
+      expect(deployment.save).toHaveBeenCalledTimes(2);
+      expect(watcher.oomKilled.size).toBe(0);
+      expect(emitted[emitted.length - 1]).toEqual({
+        room: `deployment-${DEPLOYMENT_ID}`,
+        name: 'deployment-event',
+        payload: expect.objectContaining({ event: 'die', detail: '137', status: 'failed', timestamp: '2024-06-10T06:13:20.000Z' })
+      });
+    });
+
+    it('records health changes once each', async () => {
+      await watcher.handleEvent(event('health_status: unhealthy'));
+      await watcher.handleEvent(event('health_status: unhealthy'));
+
+      expect(deployment.health.status).toBe('unhealthy');
+      expect(deployment.health.checks.map(check => check.status)).toEqual(['unhealthy']);
+      expect(deployment.logs[0]).toMatchObject({ message: 'Container health check reports unhealthy', level: 'error' });
+      expect(deployment.save).toHaveBeenCalledTimes(1);
+      expect(deployService.emitUpdate).toHaveBeenCalledWith(deployment);
+    });
+
+    it('brings a failed deployment back when Docker restarts its container', async () => {
+      deployment = stored({ status: 'failed', error: { message: 'Container exited unexpectedly with code 1' } });
+      Deployment.findById.mockResolvedValue(deployment);
+
+      await watcher.handleEvent(event('restart'));
+
+      expect(deployment).toMatchObject({ status: 'running', health: { status: 'unknown' } });
+      expect(deployment.error?.message).toBeUndefined();
+      expect(statsCollector.watch).toHaveBeenCalledWith(deployment);
+    });
+
+    it('ignores events the backend caused, old containers and deployments still rolling out', async () => {
+      deployService.expectedEvents.add(`die:${CONTAINER_ID}`);
+      await watcher.handleEvent(event('die', { exitCode: '0' }));
+      expect(deployService.expectedEvents.size).toBe(0);
+      expect(Deployment.findById).not.toHaveBeenCalled();
+
+      await watcher.handleEvent(event('die', { exitCode: '1' }, 'replaced00001'));
+      deployment.status = 'deploying';
+      await watcher.handleEvent(event('die', { exitCode: '1' }));
+      await watcher.handleEvent({ ...event('die'), Actor: { ID: 'other', Attributes: {} } });
+
+      expect(deployment.save).not.toHaveBeenCalled();
+      expect(emitted).toEqual([]);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('fails running deployments whose container stopped or vanished while the backend was down', async () => {
+      const deployments = [
+        stored({ _id: '64b0000000000000000000e1', container: { id: 'up' } }),
+        stored({ _id: '64b0000000000000000000e2', container: { id: 'exited' } }),
+        stored({ _id: '64b0000000000000000000e3', container: { id: 'gone' } })
+      ];
+      jest.spyOn(Deployment, 'find').mockResolvedValue(deployments);
+      dockerService.inspectContainer.mockImplementation(async (id) => {
+        if (id === 'gone') throw Object.assign(new Error('no such container'), { statusCode: 404 });
+        return { State: id === 'up' ? { Running: true } : { Running: false, ExitCode: 137, OOMKilled: true } };
+      });
+
+      await expect(watcher.reconcile()).resolves.toBe(2);
+
+      expect(deployments.map(doc => [doc.status, doc.error?.message])).toEqual([
+        ['running', undefined],
+        ['failed', 'Container exited with code 137 after running out of memory while the backend was down'],
+        ['failed', 'Container was removed while the backend was down']
+      ]);
+    });
+  });
+
+  describe('connect', () => {
+    let stream;
+
+    beforeEach(() => {
+      stream = new PassThrough();
+      dockerService.getEvents.mockResolvedValue(stream);
+      jest.spyOn(watcher, 'scheduleReconnect').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      watcher.stream = null;
+      watcher.since = null;
+    });
+
+    it('follows deployment containers, handling events split across chunks in order', async () => {
+      jest.spyOn(watcher, 'handleEvent').mockResolvedValue();
+
+      await watcher.connect();
+      const lines = `${JSON.stringify(event('die', { exitCode: '1' }))}\nnot json\n${JSON.stringify(event('start'))}\n`;
+      stream.write(lines.slice(0, 25));
+      stream.write(lines.slice(25));
+      await flush();
+
+      expect(dockerService.getEvents).toHaveBeenCalledWith({
+        since: null,
+        filters: { type: ['container'], label: ['autopilotdev.deployment'], event: ['die', 'oom', 'health_status', 'restart', 'start'] }
+      });
+      expect(watcher.handleEvent.mock.calls.map(([handled]) => handled.Action)).toEqual(['die', 'start']);
+      expect(watcher.since).toBe(1718000000);
+    });
+
+    it('reconnects when the stream ends or the daemon is unreachable', async () => {
+      await watcher.connect();
+      stream.end();
+      await flush();
+      expect(watcher.scheduleReconnect).toHaveBeenCalledTimes(1);
+      expect(watcher.stream).toBeNull();
+
+      dockerService.getEvents.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      await watcher.connect();
+      expect(watcher.scheduleReconnect).toHaveBeenCalledTimes(2);
+    });
+  });
+});
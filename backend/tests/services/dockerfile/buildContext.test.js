@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listContextFiles } = require('../../../src/services/dockerfile/buildContext');
+
+describe('listContextFiles', () => {
+  let contextDir;
+
+  const write = (relativePath, content = '') => {
+    const fullPath = path.join(contextDir, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  beforeEach(() => {
+    contextDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-context-'));
+    write('Dockerfile', 'FROM node:20-alpine\n');
+    write('package.json', '{}');
+    write('src/index.js');
+    write('node_modules/react/index.js');
+    write('dist/keep/robots.txt');
+    write('dist/bundle.js');
+  });
+
+  afterEach(() => {
+    fs.rmSync(contextDir, { recursive: true, force: true });
+  });
+
+  it('sends every file when there is no .dockerignore', () => {
+    expect(listContextFiles(contextDir).sort()).toEqual([
+      'Dockerfile',
+      'dist/bundle.js',
+      'dist/keep/robots.txt',
+      'node_modules/react/index.js',
+      'package.json',
+      'src/index.js'
+    ]);
+  });
+
+  it('filters by .dockerignore but always sends the Dockerfile and .dockerignore', () => {
+    write('.dockerignore', 'Dockerfile*\n.dockerignore\nnode_modules\ndist\n');
+
+    expect(listContextFiles(contextDir).sort()).toEqual(['.dockerignore', 'Dockerfile', 'package.json', 'src/index.js']);
+  });
+
+  it('re-includes files below an excluded directory', () => {
+    write('.dockerignore', 'dist\n!dist/keep\n');
+
+    expect(listContextFiles(contextDir)).toContain('dist/keep/robots.txt');
+    expect(listContextFiles(contextDir)).not.toContain('dist/bundle.js');
+  });
+
+  it('keeps a Dockerfile at another path', () => {
+    write('docker/api.Dockerfile');
+    write('.dockerignore', 'docker\n');
+
+    expect(listContextFiles(contextDir, 'docker/api.Dockerfile')).toContain('docker/api.Dockerfile');
+  });
+});
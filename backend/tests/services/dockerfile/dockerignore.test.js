@@ -0,0 +1,65 @@
+const { buildDockerignore, compileDockerignore } = require('../../../src/services/dockerfile/dockerignore');
+
+describe('compileDockerignore', () => {
+  const ignores = (content, relativePath) => compileDockerignore(content).ignores(relativePath);
+
+  it('anchors patterns at the context root', () => {
+    expect(ignores('vendor', 'vendor/autoload.php')).toBe(true);
+    expect(ignores('vendor', 'lib/vendor/autoload.php')).toBe(false);
+    expect(ignores('/tmp/', 'tmp/cache')).toBe(true);
+    expect(ignores('./build', 'build/app.js')).toBe(true);
+  });
+
+  it('stops * and ? at a slash while ** spans directories', () => {
+    expect(ignores('*.log', 'app.log')).toBe(true);
+    expect(ignores('*.log', 'logs/app.log')).toBe(false);
+    expect(ignores('**/*.log', 'logs/2024/app.log')).toBe(true);
+    expect(ignores('log?.txt', 'log1.txt')).toBe(true);
+    expect(ignores('log?.txt', 'log/.txt')).toBe(false);
+    expect(ignores('src/**', 'src/a/b.js')).toBe(true);
+  });
+
+  it('excludes everything below a matching directory', () => {
+    expect(ignores('**/node_modules', 'packages/web/node_modules/react/index.js')).toBe(true);
+  });
+
+  it('lets the last matching rule win', () => {
+    const content = '**/.env\n**/.env.*\n!**/.env.example';
+    expect(ignores(content, 'api/.env.production')).toBe(true);
+    expect(ignores(content, 'api/.env.example')).toBe(false);
+    expect(ignores('!keep.txt\n*.txt', 'keep.txt')).toBe(true);
+  });
+
+  it('reads character classes and escapes', () => {
+    expect(ignores('**/*.py[cod]', 'pkg/mod.pyc')).toBe(true);
+    expect(ignores('**/*.py[cod]', 'pkg/mod.py')).toBe(false);
+    expect(ignores('file[!a].txt', 'fileb.txt')).toBe(true);
+    expect(ignores('file[!a].txt', 'filea.txt')).toBe(false);
+    expect(ignores('\\*.md', '*.md')).toBe(true);
+    expect(ignores('\\*.md', 'README.md')).toBe(false);
+  });
+
+  it('skips comments, blank lines and the context root itself', () => {
+    const matcher = compileDockerignore('# comment\n\n.\n/\n');
+    expect(matcher.ignores('anything')).toBe(false);
+    expect(matcher.hasExceptions).toBe(false);
+  });
+
+  it('reports whether any rule re-includes paths', () => {
+    expect(compileDockerignore('dist\n!dist/keep').hasExceptions).toBe(true);
+  });
+});
+
+describe('buildDockerignore', () => {
+  it('combines the common and template patterns with the build output', () => {
+    const content = buildDockerignore('node', { prefix: 'web/', outputDir: 'dist' });
+    const { ignores } = compileDockerignore(content);
+
+    expect(content.startsWith('# Generated by AutoPilotDev\n')).toBe(true);
+    expect(ignores('.git/HEAD')).toBe(true);
+    expect(ignores('web/node_modules/react/index.js')).toBe(true);
+    expect(ignores('web/dist/index.html')).toBe(true);
+    expect(ignores('web/.env.example')).toBe(false);
+    expect(ignores('web/src/index.js')).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+const { parse, tokenize, substitute, parseImageReference, locate } = require('../../../src/services/dockerfile/parser');
+
+describe('Dockerfile parser', () => {
+  it('joins continuation lines, dropping comment lines inside them', () => {
+    const { instructions, comments } = parse('# build\nFROM alpine:3.19\nRUN apk add \\\n# tools\n    curl \\\n    git\n');
+    const run = instructions[1];
+
+    expect(comments).toEqual([{ line: 1, text: 'build' }]);
+    expect(run).toMatchObject({ keyword: 'RUN', line: 3, endLine: 6, args: 'apk add     curl     git' });
+    expect(locate(run, run.text.indexOf('git'))).toEqual({ line: 6, column: 5 });
+  });
+
+  it('honors the escape directive', () => {
+    const result = parse('# escape=`\nFROM mcr.microsoft.com/windows/servercore:ltsc2022\nRUN dir `\n  C:\\');
+
+    expect(result.escape).toBe('`');
+    expect(result.directives).toEqual({ escape: '`' });
+    expect(result.instructions[1].args).toBe('dir   C:\\');
+  });
+
+  it('reads flags, exec form and heredocs', () => {
+    const { instructions } = parse([
+      'FROM --platform=linux/amd64 node:20',
+      'COPY --chown=node:node --link . /app',
+      'RUN <<EOF',
+      'npm ci',
+      'npm run build',
+      'EOF',
+      'CMD ["node", "server.js"]',
+      'ENTRYPOINT [node'
+    ].join('\n'));
+
+    expect(instructions.map(instruction => instruction.keyword)).toEqual(['FROM', 'COPY', 'RUN', 'CMD', 'ENTRYPOINT']);
+    expect(instructions[0].flags).toEqual({ platform: 'linux/amd64' });
+    expect(instructions[1]).toMatchObject({ flags: { chown: 'node:node', link: true }, body: '. /app' });
+    expect(instructions[2]).toMatchObject({ endLine: 6, heredocs: [{ delimiter: 'EOF', expand: true, line: 4, content: 'npm ci\nnpm run build' }] });
+    expect(instructions[3].json).toEqual(['node', 'server.js']);
+    expect(instructions[4].json).toBeNull();
+  });
+
+  it('resolves stages and expands ARG and ENV the way the builder does', () => {
+    const { stages, globalArgs, instructions } = parse([
+      'ARG NODE=20',
+      'FROM node:${NODE}-alpine AS Deps',
+      'ARG NODE',
+      'ENV APP_HOME=/srv/app',
+      'WORKDIR $APP_HOME/src',
+      'FROM deps',
+      'RUN echo ${NODE:-none} ${MISSING:-fallback} ${APP_HOME:+set}'
+    ].join('\n'));
+
+    expect(globalArgs).toEqual({ NODE: '20' });
+    expect(stages.map(stage => [stage.name, stage.resolvedImage, stage.fromStage])).toEqual([
+      ['deps', 'node:20-alpine', null],
+      [null, 'deps', 0]
+    ]);
+    expect(instructions[4].expanded).toBe('/srv/app/src');
+    expect(instructions[6].expanded).toBe('echo 20 fallback set');
+  });
+
+  it('reports what the builder would reject', () => {
+    const { errors } = parse('USER app\nFROM\nFROM a b\nFETCH x\nRUN <<EOF\necho\nRUN true \\');
+
+    expect(errors.map(error => [error.line, error.message])).toEqual([
+      [4, 'Unknown instruction: FETCH'],
+      [5, 'Unterminated heredoc <<EOF'],
+      [1, 'USER before the first FROM; only ARG may precede FROM'],
+      [2, 'FROM requires an image'],
+      [3, 'FROM expects "image [AS name]"']
+    ]);
+    expect(parse('RUN true').errors).toEqual([
+      expect.objectContaining({ message: 'RUN before the first FROM; only ARG may precede FROM' }),
+      expect.objectContaining({ message: 'No FROM instruction' })
+    ]);
+  });
+
+  describe('helpers', () => {
+    it('tokenizes shell words and control operators', () => {
+      expect(tokenize('echo "a b" c\\ d && ls;pwd', { operators: true }).map(token => token.value))
+        .toEqual(['echo', 'a b', 'c d', '&&', 'ls', ';', 'pwd']);
+    });
+
+    it('substitutes variables, leaving escaped dollars alone', () => {
+      expect(substitute('${A}-$B-\\$A-${C-unset}', { A: 'x', B: 'y' })).toBe('x-y-$A-unset');
+    });
+
+    it('splits image references without mistaking registry ports for tags', () => {
+      expect(parseImageReference('registry:5000/team/app')).toMatchObject({ name: 'registry:5000/team/app', tag: null });
+      expect(parseImageReference('app:1.2@sha256:abc')).toMatchObject({ name: 'app', tag: '1.2', digest: 'sha256:abc' });
+    });
+  });
+});
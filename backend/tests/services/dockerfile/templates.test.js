@@ -0,0 +1,35 @@
+const templates = require('../../../src/services/dockerfile/templates');
+
+describe('Dockerfile templates', () => {
+  describe('static', () => {
+    const dockerfile = templates.static({
+      buildImage: 'node:20-alpine',
+      runtimeImage: 'nginx:1.27-alpine',
+      workdir: '/app',
+      prefix: '',
+      source: '.',
+      packageManager: 'npm',
+      install: 'npm ci',
+      build: 'npm run build',
+      outputDir: 'dist',
+      ports: [8080],
+      environment: []
+    });
+
+    it('writes the nginx config without a heredoc, so the classic builder can build it', () => {
+      expect(dockerfile).not.toMatch(/<</);
+      expect(dockerfile).toContain("RUN printf '%s\\n' \\\n");
+      expect(dockerfile).toContain('> /etc/nginx/conf.d/default.conf');
+    });
+
+    it('keeps nginx variables out of the shell', () => {
+      expect(dockerfile).toContain("'        try_files $uri $uri/ /index.html;' \\");
+      expect(dockerfile).toContain("'    listen 8080;' \\");
+    });
+
+    it('serves the build output', () => {
+      expect(dockerfile).toContain('COPY --from=build /app/dist /usr/share/nginx/html');
+      expect(dockerfile).toMatch(/CMD \["nginx", "-g", "daemon off;"\]/);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const DockerfileGenerator = require('../../src/services/dockerfileGenerator');
+
+describe('DockerfileGenerator static sites', () => {
+  const profile = {
+    appRoot: '.',
+    runtime: { name: 'node', version: '20' },
+    packageManager: 'npm',
+    type: 'static',
+    commands: { install: 'npm ci', build: 'npm run build' },
+    outputDir: 'dist'
+  };
+
+  it('listens on and exposes 8080 when no port was detected', () => {
+    const { template, parameters, dockerfile } = DockerfileGenerator.generate({ runtimeProfile: profile });
+
+    expect(template).toBe('static');
+    expect(parameters.ports).toEqual([8080]);
+    expect(dockerfile).toContain("'    listen 8080;' \\");
+    expect(dockerfile).toContain('EXPOSE 8080');
+  });
+
+  it('keeps a port that was asked for', () => {
+    const { dockerfile } = DockerfileGenerator.generate({ runtimeProfile: profile, ports: [9000] });
+
+    expect(dockerfile).toContain("'    listen 9000;' \\");
+  });
+});
@@ -0,0 +1,43 @@
+jest.mock('../../src/services/dockerService', () => ({
+  connected: true,
+  inspectContainer: jest.fn()
+}));
+
+const dockerService = require('../../src/services/dockerService');
+const ExecService = require('../../src/services/execService');
+
+describe('ExecService.authorize', () => {
+  const owner = { _id: '64b000000000000000000001', role: 'user' };
+  const other = { _id: '64b000000000000000000002', role: 'user' };
+  const admin = { _id: '64b000000000000000000003', role: 'admin' };
+
+  beforeEach(() => {
+    dockerService.inspectContainer.mockResolvedValue({
+      Id: 'abc',
+      Config: { Labels: { 'autopilotdev.user': owner._id } }
+    });
+  });
+
+  it('lets the user whose deployment started the container in', async () => {
+    await expect(ExecService.authorize(owner, 'abc')).resolves.toMatchObject({ Id: 'abc' });
+  });
+
+  it('lets admins into any container', async () => {
+    dockerService.inspectContainer.mockResolvedValue({ Id: 'def', Config: { Labels: {} } });
+    await expect(ExecService.authorize(admin, 'def')).resolves.toMatchObject({ Id: 'def' });
+  });
+
+  it('refuses other users', async () => {
+    await expect(ExecService.authorize(other, 'abc')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses containers no deployment started', async () => {
+    dockerService.inspectContainer.mockResolvedValue({ Id: 'def', Config: { Labels: {} } });
+    await expect(ExecService.authorize(owner, 'def')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('reports missing containers as 404', async () => {
+    dockerService.inspectContainer.mockRejectedValue(Object.assign(new Error('no such container'), { statusCode: 404 }));
+    await expect(ExecService.authorize(owner, 'gone')).rejects.toMatchObject({ status: 404 });
+  });
+});
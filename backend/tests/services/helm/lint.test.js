@@ -0,0 +1,183 @@
+const { lint } = require('../../../src/services/helm/lint');
+const K8sManifestGenerator = require('../../../src/services/k8sManifestGenerator');
+const HelmChartGenerator = require('../../../src/services/helmChartGenerator');
+
+const CHART = 'apiVersion: v2\nname: api\nversion: 0.1.0\nicon: https://example.com/icon.png\n';
+const VALUES = 'replicaCount: 1\nimage:\n  repository: api\n';
+const HELPERS = '{{- define "api.name" -}}\n{{ .Chart.Name }}\n{{- end }}\n';
+const DEPLOYMENT = [
+  'apiVersion: apps/v1',
+  'kind: Deployment',
+  'metadata:',
+  '  name: {{ include "api.name" . }}',
+  'spec:',
+  '  replicas: {{ .Values.replicaCount }}',
+  '  template:',
+  '    spec:',
+  '      containers:',
+  '        - name: api',
+  '          image: "{{ .Values.image.repository }}"'
+].join('\n');
+
+const chart = (overrides = {}) => ({
+  'Chart.yaml': CHART,
+  'values.yaml': VALUES,
+  'templates/_helpers.tpl': HELPERS,
+  'templates/deployment.yaml': DEPLOYMENT,
+  ...overrides
+});
+
+const messages = (result, severity) => result.findings
+  .filter(finding => finding.severity === severity)
+  .map(finding => `${finding.file}: ${finding.message}`);
+
+describe('helm lint', () => {
+  it('passes a well-formed chart', () => {
+    const result = lint(chart());
+
+    expect(result.valid).toBe(true);
+    expect(result.findings).toEqual([]);
+    expect(result.summary).toEqual({ error: 0, warning: 0, info: 0 });
+  });
+
+  describe('Chart.yaml', () => {
+    it('requires the file', () => {
+      const { 'Chart.yaml': omitted, ...files } = chart();
+
+      expect(messages(lint(files), 'error')).toEqual(['Chart.yaml: Chart.yaml file is missing']);
+    });
+
+    it('requires apiVersion, name and version', () => {
+      const result = lint(chart({ 'Chart.yaml': 'description: nothing else\n' }));
+
+      expect(result.valid).toBe(false);
+      expect(messages(result, 'error')).toEqual([
+        'Chart.yaml: apiVersion is required',
+        'Chart.yaml: name is required',
+        'Chart.yaml: version is required'
+      ]);
+      expect(messages(result, 'info')).toEqual(['Chart.yaml: icon is recommended']);
+    });
+
+    it('rejects invalid names, versions and types', () => {
+      const result = lint(chart({ 'Chart.yaml': 'apiVersion: v3\nname: My_Chart\nversion: "1.0"\ntype: plugin\nicon: x\n' }));
+
+      expect(messages(result, 'error')).toEqual([
+        'Chart.yaml: apiVersion "v3" is not valid; use v2',
+        'Chart.yaml: name "My_Chart" must be lowercase letters, digits and "-"',
+        'Chart.yaml: version "1.0" is not a valid SemVer 2 version',
+        'Chart.yaml: type "plugin" must be application or library'
+      ]);
+    });
+
+    it('warns on the Helm 2 apiVersion', () => {
+      const result = lint(chart({ 'Chart.yaml': CHART.replace('v2', 'v1') }));
+
+      expect(result.valid).toBe(true);
+      expect(messages(result, 'warning')).toEqual(['Chart.yaml: apiVersion v1 is deprecated; use v2 for Helm 3']);
+    });
+
+    it('reports YAML that is not a map', () => {
+      expect(messages(lint(chart({ 'Chart.yaml': '- api\n' })), 'error')).toEqual(['Chart.yaml: Chart.yaml is not a YAML map']);
+    });
+  });
+
+  describe('values.yaml', () => {
+    it('notes a missing file, and every path it would set', () => {
+      const { 'values.yaml': omitted, ...files } = chart();
+      const result = lint(files);
+
+      expect(messages(result, 'info')).toEqual(['values.yaml: file does not exist']);
+      expect(messages(result, 'warning')).toEqual([
+        'templates/deployment.yaml:6: .Values.replicaCount is not set in values.yaml',
+        'templates/deployment.yaml:11: .Values.image.repository is not set in values.yaml'
+      ]);
+    });
+
+    it('rejects a list', () => {
+      expect(messages(lint(chart({ 'values.yaml': '- 1\n' })), 'error')).toEqual(['values.yaml: values.yaml is not a YAML map']);
+    });
+  });
+
+  describe('templates', () => {
+    it('counts the delimiters', () => {
+      const result = lint(chart({ 'templates/deployment.yaml': DEPLOYMENT.replace('{{ .Values.replicaCount }}', '{{ .Values.replicaCount }') }));
+
+      expect(messages(result, 'error')).toEqual(['templates/deployment.yaml: unbalanced template delimiters: 3 "{{" and 2 "}}"']);
+    });
+
+    it('matches blocks with their ends', () => {
+      const result = lint(chart({
+        'templates/deployment.yaml': `{{- if .Values.replicaCount }}\n${DEPLOYMENT}\n{{- else }}\n`,
+        'templates/service.yaml': `{{- end }}\n{{- else }}\n${DEPLOYMENT.replace('Deployment', 'Service')}`
+      }));
+
+      expect(messages(result, 'error')).toEqual([
+        'templates/deployment.yaml:1: {{ if }} is never closed with {{ end }}',
+        'templates/service.yaml:1: unexpected {{ end }}',
+        'templates/service.yaml:2: {{ else }} outside of an if, range or with block'
+      ]);
+    });
+
+    it('reports helpers that are never defined', () => {
+      const result = lint(chart({ 'templates/deployment.yaml': DEPLOYMENT.replace('"api.name"', '"api.fullname"') }));
+
+      expect(messages(result, 'error')).toEqual(['templates/deployment.yaml:4: template "api.fullname" is not defined']);
+    });
+
+    it('skips comments', () => {
+      const result = lint(chart({ 'templates/_helpers.tpl': `{{/* include "api.missing" . with .Values.nothing */}}\n${HELPERS}` }));
+
+      expect(result.findings).toEqual([]);
+    });
+
+    it('needs manifests to parse as a Kubernetes object', () => {
+      const result = lint(chart({
+        'templates/deployment.yaml': DEPLOYMENT.replace('kind: Deployment\n', ''),
+        'templates/service.yaml': 'kind: Service\nmetadata: [name\n'
+      }));
+
+      expect(messages(result, 'error')).toEqual([
+        'templates/deployment.yaml: object has no apiVersion or kind',
+        expect.stringMatching(/^templates\/service\.yaml: does not parse as YAML: /)
+      ]);
+    });
+
+    it('warns when there are no manifests', () => {
+      const { 'templates/deployment.yaml': omitted, ...files } = chart();
+      const result = lint(files);
+
+      expect(messages(result, 'warning')).toEqual(['templates/: chart has no manifest templates']);
+    });
+  });
+
+  it('passes the charts HelmChartGenerator writes', () => {
+    const { manifests } = K8sManifestGenerator.generate(
+      { type: 'web', runtime: { name: 'node' }, port: 3000 },
+      { name: 'api', image: 'registry.example.com/api:1.4.2', hpa: true, ingress: { host: 'api.example.com' } }
+    );
+    const chartResult = HelmChartGenerator.generate(manifests);
+
+    expect(lint(chartResult.files).summary).toMatchObject({ error: 0, warning: 0 });
+  });
+});
+
+describe('Helm deployment template', () => {
+  const { manifests } = K8sManifestGenerator.generate(
+    { type: 'web', runtime: { name: 'node' }, port: 3000 },
+    { name: 'api', image: 'registry.example.com/api:1.4.2' }
+  );
+  const { name, files, values } = HelmChartGenerator.generate(manifests);
+  const template = files['templates/deployment.yaml'];
+  const podMetadata = template.slice(template.indexOf('  template:'), template.indexOf('    spec:'));
+
+  it('labels pods with the selector labels, so a chart version bump does not restart them', () => {
+    expect(podMetadata).toContain(`{{- include "${name}.selectorLabels" . | nindent 8 }}`);
+    expect(podMetadata).not.toContain(`"${name}.labels"`);
+  });
+
+  it('adds podLabels from the values', () => {
+    expect(podMetadata).toContain('{{- with .Values.podLabels }}');
+    expect(values.podLabels).toEqual({});
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../../src/services/dockerService', () => ({
+  connected: true,
+  initialize: jest.fn(),
+  diskUsage: jest.fn(),
+  inspectContainer: jest.fn(),
+  removeContainer: jest.fn(),
+  removeImage: jest.fn(),
+  formatBytes: jest.fn(bytes => `${bytes} B`)
+}));
+
+const CleanupPolicy = require('../../models/CleanupPolicy');
+const Deployment = require('../../models/Deployment');
+const dockerService = require('../../src/services/dockerService');
+const imageCleanupService = require('../../src/services/imageCleanupService');
+const { normalizeReference } = require('../../src/services/imageCleanupService');
+
+const HOUR = 60 * 60 * 1000;
+const DEPLOYMENT_ID = '64b0000000000000000000d1';
+const seconds = (ago) => Math.floor((Date.now() - ago) / 1000);
+
+const image = (id, tags, created, fields = {}) => ({ Id: id, RepoTags: tags, Created: created, Size: 100, SharedSize: -1, ...fields });
+const container = (id, state, fields = {}) => ({ Id: id, State: state, Created: seconds(30 * 24 * HOUR), Names: [`/${id}`], Labels: {}, ...fields });
+
+// `docker system df` of a build host: five app tags (v0 deployed), three dangling images, five containers
+const DISK_USAGE = {
+  Images: [
+    image('sha:a4', ['app:v4'], 400),
+    image('sha:a3', ['app:v3'], 300),
+    image('sha:a2', ['app:v2'], 200, { Size: 1000, SharedSize: 400 }),
+    image('sha:a1', ['app:v1', 'backup:v1'], 100),
+    image('sha:a0', ['app:v0'], 50),
+    image('sha:d1', ['<none>:<none>'], 10, { Size: 300 }),
+    image('sha:d2', null, 10, { Size: 300 }),
+    image('sha:d3', [], 10, { Size: 300 }),
+    image('sha:c1', ['child:1'], 500, { ParentId: 'sha:d2' })
+  ],
+  Containers: [
+    container('running0000001', 'running', { ImageID: 'sha:d3' }),
+    container('exited00000001', 'exited', { ImageID: 'sha:a4', SizeRw: 50 }),
+    container('recent00000001', 'exited', { ImageID: 'sha:a4' }),
+    container('deploy00000001', 'exited', { ImageID: 'sha:a4', Labels: { 'autopilotdev.deployment': DEPLOYMENT_ID } }),
+    container('created0000001', 'created', { ImageID: 'sha:a4' })
+  ]
+};
+
+const FINISHED_AT = {
+  exited00000001: new Date(Date.now() - 10 * 24 * HOUR).toISOString(),
+  recent00000001: new Date(Date.now() - HOUR).toISOString(),
+  deploy00000001: new Date(Date.now() - 10 * 24 * HOUR).toISOString(),
+  created0000001: '0001-01-01T00:00:00Z'
+};
+
+describe('ImageCleanupService', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = CleanupPolicy.hydrate({ _id: '64b0000000000000000000f1', name: 'default', enabled: false, intervalHours: 24, keepTags: 2, removeDangling: true, containerMaxAgeHours: 72, protect: [] });
+    jest.spyOn(policy, 'save').mockResolvedValue(policy);
+    jest.spyOn(CleanupPolicy, 'findOne').mockResolvedValue(policy);
+
+    // Deployment lookups: which labelled containers still have a deployment, and which deployments are active
+    jest.spyOn(Deployment, 'find').mockImplementation((query) => ({
+      select: () => Promise.resolve(query._id
+        ? [{ id: DEPLOYMENT_ID }]
+        : [{ config: { image: 'docker.io/library/app:v0' }, container: {} }])
+    }));
+
+    dockerService.connected = true;
+    dockerService.diskUsage.mockResolvedValue(DISK_USAGE);
+    dockerService.inspectContainer.mockImplementation(async (id) => ({ State: { FinishedAt: FINISHED_AT[id] } }));
+    dockerService.removeContainer.mockResolvedValue();
+    dockerService.removeImage.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    clearTimeout(imageCleanupService.timer);
+    imageCleanupService.timer = null;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes Docker Hub references the way the daemon lists them', () => {
+    expect(normalizeReference('docker.io/library/node')).toBe('node:latest');
+    expect(normalizeReference('index.docker.io/bitnami/redis:7.2')).toBe('bitnami/redis:7.2');
+    expect(normalizeReference('registry.local:5000/app:1.0')).toBe('registry.local:5000/app:1.0');
+  });
+
+  describe('dry run', () => {
+    it('plans expired containers, dangling images and tags beyond the newest N, without removing anything', async () => {
+      const report = await imageCleanupService.run({ dryRun: true });
+
+      expect(report.containers).toEqual([
+        expect.objectContaining({ id: 'exited000000', name: 'exited00000001', state: 'exited', size: 50, finishedAt: FINISHED_AT.exited00000001 }),
+        expect.objectContaining({ id: 'created00000', state: 'created', size: 0 })
+      ]);
+      expect(report.images.map(candidate => [candidate.id, candidate.reason, candidate.tags, candidate.removesImage, candidate.size])).toEqual([
+        ['sha:d1', 'dangling', [], true, 300],
+        ['sha:a2', 'old-tags', ['app:v2'], true, 600],
+        ['sha:a1', 'old-tags', ['app:v1'], false, 0]
+      ]);
+      expect(report).toMatchObject({ dryRun: true, reclaimableBytes: 950, reclaimable: '950 B' });
+      expect(dockerService.removeContainer).not.toHaveBeenCalled();
+      expect(dockerService.removeImage).not.toHaveBeenCalled();
+      expect(policy.save).not.toHaveBeenCalled();
+    });
+
+    it('tries out policy overrides, such as protect patterns', async () => {
+      const report = await imageCleanupService.run({ dryRun: true, overrides: { keepTags: 1, removeDangling: false, containerMaxAgeHours: 0, protect: ['app:*'] } });
+
+      expect(report).toMatchObject({ containers: [], images: [], reclaimableBytes: 0, policy: { keepTags: 1, protect: ['app:*'] } });
+      expect(policy.keepTags).toBe(2);
+    });
+  });
+
+  describe('run', () => {
+    it('removes containers before images, records the run and reports failures', async () => {
+      dockerService.removeImage.mockImplementation(async (reference) => {
+        if (reference === 'app:v1') throw Object.assign(new Error('(HTTP code 409)'), { json: { message: 'image is being used by stopped container' } });
+      });
+
+      // Overrides only apply to dry runs
+      const report = await imageCleanupService.run({ overrides: { keepTags: 0 } });
+
+      expect(dockerService.removeContainer.mock.calls.map(([id]) => id)).toEqual(['exited000000', 'created00000']);
+      expect(dockerService.removeImage.mock.calls.map(([reference]) => reference)).toEqual(['sha:d1', 'app:v2', 'app:v1']);
+      expect(report).toMatchObject({
+        dryRun: false,
+        containersRemoved: 2,
+        imagesRemoved: 2,
+        reclaimedBytes: 950,
+        errors: [{ target: 'image app:v1', message: 'image is being used by stopped container' }]
+      });
+      expect(policy.lastRun).toMatchObject({ trigger: 'api', containersRemoved: 2, imagesRemoved: 2, reclaimedBytes: 950 });
+      expect(policy.lastRun.failures).toHaveLength(1);
+      expect(policy.save).toHaveBeenCalled();
+      expect(imageCleanupService.running).toBeNull();
+    });
+
+    it('refuses a second run while one is in progress, and answers 503 without a daemon', async () => {
+      imageCleanupService.running = Promise.resolve();
+      await expect(imageCleanupService.run()).rejects.toMatchObject({ status: 409 });
+      await expect(imageCleanupService.run({ dryRun: true })).resolves.toMatchObject({ dryRun: true });
+      imageCleanupService.running = null;
+
+      dockerService.connected = false;
+      dockerService.initialize.mockResolvedValue(false);
+      await expect(imageCleanupService.run()).rejects.toMatchObject({ status: 503 });
+    });
+  });
+
+  describe('schedule', () => {
+    it('plans the next run an interval after the last one started', async () => {
+      const lastStart = new Date(Date.now() - 2 * HOUR);
+      policy.enabled = true;
+      policy.lastRun = { trigger: 'schedule', startedAt: lastStart };
+
+      await imageCleanupService.schedule(policy);
+
+      expect(policy.nextRunAt.getTime()).toBe(lastStart.getTime() + 24 * HOUR);
+      expect(imageCleanupService.timer).not.toBeNull();
+    });
+
+    it('applies policy updates and disarms the timer when disabled', async () => {
+      policy.enabled = true;
+      await imageCleanupService.schedule(policy);
+
+      const updated = await imageCleanupService.updatePolicy({ enabled: false, keepTags: 3, name: 'other' }, '64b000000000000000000001');
+
+      expect(updated).toMatchObject({ enabled: false, keepTags: 3, name: 'default', nextRunAt: undefined });
+      expect(String(updated.updatedBy)).toBe('64b000000000000000000001');
+      expect(imageCleanupService.timer).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../../src/utils/execShell', () => ({ execute: jest.fn() }));
+jest.mock('../../src/services/dockerService', () => ({ saveImage: jest.fn() }));
+
+const fs = require('fs');
+const execShell = require('../../src/utils/execShell');
+const dockerService = require('../../src/services/dockerService');
+const ImageScan = require('../../models/ImageScan');
+const imageScanner = require('../../src/services/imageScanner');
+
+const USER_ID = '64b000000000000000000001';
+
+const TRIVY_REPORT = {
+  Metadata: {
+    ImageID: 'sha256:1111',
+    RepoDigests: ['registry.local/app@sha256:2222'],
+    OS: { Family: 'debian', Name: '12.5' }
+  },
+  Results: [
+    {
+      Target: 'registry.local/app:1.2 (debian 12.5)',
+      Type: 'debian',
+      Vulnerabilities: [
+        { VulnerabilityID: 'CVE-2024-0002', PkgName: 'openssl', InstalledVersion: '3.0.11', FixedVersion: '3.0.13', Severity: 'HIGH' },
+        { VulnerabilityID: 'CVE-2024-0001', PkgName: 'zlib', InstalledVersion: '1.2.13', Severity: 'LOW' }
+      ]
+    },
+    {
+      Target: 'app/package-lock.json',
+      Type: 'npm',
+      Vulnerabilities: [
+        { VulnerabilityID: 'CVE-2024-0003', PkgName: 'lodash', InstalledVersion: '4.17.20', FixedVersion: '4.17.21', Severity: 'CRITICAL' },
+        { VulnerabilityID: 'CVE-2024-0003', PkgName: 'lodash', InstalledVersion: '4.17.20', FixedVersion: '4.17.21', Severity: 'CRITICAL' },
+        { VulnerabilityID: 'CVE-2024-0004', PkgName: 'debug', InstalledVersion: '2.6.8', Severity: 'whatever' }
+      ]
+    }
+  ]
+};
+
+const GRYPE_REPORT = {
+  source: { target: { imageID: 'sha256:1111', manifestDigest: 'sha256:3333' } },
+  distro: { name: 'alpine', version: '3.19.1' },
+  matches: [
+    {
+      vulnerability: { id: 'GHSA-aaaa-bbbb-cccc', severity: 'High', fix: { versions: ['4.17.21'] }, description: 'Prototype pollution\nin lodash' },
+      relatedVulnerabilities: [{ id: 'CVE-2024-0003' }],
+      artifact: { name: 'lodash', type: 'npm', version: '4.17.20', locations: [{ path: '/app/package-lock.json' }] }
+    },
+    {
+      vulnerability: { id: 'CVE-2024-0005', severity: 'Negligible', urls: ['https://example.com/CVE-2024-0005'] },
+      artifact: { name: 'busybox', type: 'apk', version: '1.36.1-r15' }
+    }
+  ]
+};
+
+describe('ImageScanner', () => {
+  const scanners = { trivy: '0.50.1', grype: '0.74.0' };
+
+  beforeEach(() => {
+    imageScanner.available = null;
+    execShell.execute.mockReset();
+    execShell.execute.mockImplementation(async (command) => {
+      if (command.startsWith('trivy --version')) {
+        return scanners.trivy ? { success: true, stdout: JSON.stringify({ Version: scanners.trivy }) } : { success: false };
+      }
+      if (command.startsWith('grype version')) {
+        return scanners.grype ? { success: true, stdout: JSON.stringify({ version: scanners.grype }) } : { success: false };
+      }
+      if (command.startsWith('trivy image')) return { success: true, stdout: JSON.stringify(TRIVY_REPORT) };
+      if (command.startsWith('grype ')) return { success: true, stdout: JSON.stringify(GRYPE_REPORT) };
+      return { success: false, stderr: 'unexpected command' };
+    });
+    jest.spyOn(ImageScan, 'findLatest').mockResolvedValue(null);
+    jest.spyOn(ImageScan.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    scanners.trivy = '0.50.1';
+    scanners.grype = '0.74.0';
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveScanner', () => {
+    it('prefers trivy, honors an explicit choice and caches what it found', async () => {
+      await expect(imageScanner.resolveScanner('auto')).resolves.toEqual({ name: 'trivy', version: '0.50.1' });
+      await expect(imageScanner.resolveScanner('grype')).resolves.toEqual({ name: 'grype', version: '0.74.0' });
+      expect(execShell.execute).toHaveBeenCalledTimes(2);
+    });
+
+    it('answers 503 when no scanner, or not the requested one, is installed', async () => {
+      scanners.trivy = null;
+      await expect(imageScanner.resolveScanner('trivy')).rejects.toMatchObject({ status: 503, message: 'trivy is not installed on this server' });
+
+      scanners.grype = null;
+      imageScanner.available = null;
+      await expect(imageScanner.resolveScanner('auto')).rejects.toMatchObject({
+        status: 503,
+        message: 'No image scanner (trivy or grype) is installed on this server'
+      });
+    });
+  });
+
+  describe('scanImage', () => {
+    it('rejects references that could break out of the shell command', async () => {
+      await expect(imageScanner.scanImage(USER_ID, 'app"; rm -rf /')).rejects.toMatchObject({ status: 400 });
+      expect(execShell.execute).not.toHaveBeenCalled();
+    });
+
+    it('normalizes a trivy report, deduplicating findings and sorting by severity', async () => {
+      const { scan, comparison } = await imageScanner.scanImage(USER_ID, 'registry.local/app:1.2', { severity: 'HIGH', exitCode: '2' });
+
+      expect(execShell.execute).toHaveBeenLastCalledWith(
+        'trivy image --quiet --scanners vuln --format json "registry.local/app:1.2"',
+        expect.objectContaining({ maxBuffer: 1024 * 1024 * 100 })
+      );
+      expect(scan.vulnerabilities.map(vulnerability => [vulnerability.id, vulnerability.package, vulnerability.severity])).toEqual([
+        ['CVE-2024-0003', 'lodash', 'CRITICAL'],
+        ['CVE-2024-0002', 'openssl', 'HIGH'],
+        ['CVE-2024-0001', 'zlib', 'LOW'],
+        ['CVE-2024-0004', 'debug', 'UNKNOWN']
+      ]);
+      expect(scan).toMatchObject({
+        repository: 'registry.local/app',
+        tag: '1.2',
+        imageId: 'sha256:1111',
+        digest: 'sha256:2222',
+        os: { family: 'debian', name: '12.5' },
+        source: 'image',
+        scanner: { name: 'trivy', version: '0.50.1' },
+        threshold: 'HIGH',
+        passed: false,
+        exitCode: 2,
+        summary: { critical: 1, high: 1, medium: 0, low: 1, unknown: 1, total: 4, fixable: 2 }
+      });
+      expect(ImageScan.findLatest).toHaveBeenCalledWith(USER_ID, 'registry.local/app', '1.2');
+      expect(comparison).toMatchObject({ previousScanId: null, introduced: expect.any(Array), fixed: [], unchanged: 0 });
+      expect(comparison.introduced).toHaveLength(4);
+    });
+
+    it('keys grype findings by CVE and folds Negligible into LOW', async () => {
+      const { scan } = await imageScanner.scanImage(USER_ID, 'app', { scanner: 'grype', severity: 'CRITICAL', exitCode: 1 });
+
+      expect(scan.vulnerabilities.map(vulnerability => vulnerability.toObject())).toEqual([
+        expect.objectContaining({
+          id: 'CVE-2024-0003',
+          aliases: ['GHSA-aaaa-bbbb-cccc'],
+          severity: 'HIGH',
+          fixedVersion: '4.17.21',
+          title: 'Prototype pollution',
+          target: '/app/package-lock.json'
+        }),
+        expect.objectContaining({ id: 'CVE-2024-0005', severity: 'LOW', url: 'https://example.com/CVE-2024-0005' })
+      ]);
+      expect(scan).toMatchObject({ tag: 'latest', digest: 'sha256:3333', os: { family: 'alpine', name: '3.19.1' }, passed: true, exitCode: 0 });
+    });
+
+    it('compares against the previous scan of the same tag', async () => {
+      const previous = new ImageScan({
+        userId: USER_ID,
+        image: 'registry.local/app:1.1',
+        repository: 'registry.local/app',
+        scanner: { name: 'trivy' },
+        vulnerabilities: [
+          { id: 'CVE-2024-0002', package: 'openssl', severity: 'HIGH' },
+          { id: 'CVE-2023-9999', package: 'curl', severity: 'MEDIUM' }
+        ]
+      });
+      ImageScan.findLatest.mockResolvedValue(previous);
+
+      const { scan, comparison } = await imageScanner.scanImage(USER_ID, 'registry.local/app:1.2');
+
+      expect(scan.previousScanId).toEqual(previous._id);
+      expect(comparison.introduced.map(vulnerability => vulnerability.id)).toEqual(['CVE-2024-0003', 'CVE-2024-0001', 'CVE-2024-0004']);
+      expect(comparison.fixed.map(vulnerability => vulnerability.id)).toEqual(['CVE-2023-9999']);
+      expect(comparison.unchanged).toBe(1);
+    });
+
+    it('scans a docker save archive and removes it afterwards', async () => {
+      let archivePath;
+      dockerService.saveImage.mockImplementation(async (image, target) => {
+        archivePath = target;
+        fs.writeFileSync(target, 'tar');
+      });
+
+      const { scan } = await imageScanner.scanImage(USER_ID, 'app:1.0', { archive: true, scanner: 'grype' });
+
+      expect(scan.source).toBe('archive');
+      expect(execShell.execute).toHaveBeenLastCalledWith(`grype "docker-archive:${archivePath}" --quiet -o json`, expect.any(Object));
+      expect(fs.existsSync(archivePath)).toBe(false);
+    });
+
+    it('reports a failing or garbled scanner run as a bad gateway', async () => {
+      execShell.execute.mockImplementation(async (command) => {
+        if (command.startsWith('trivy --version')) return { success: true, stdout: '{"Version":"0.50.1"}' };
+        return { success: false, stderr: 'INFO pulling\nFATAL unable to find the specified image' };
+      });
+      await expect(imageScanner.scanImage(USER_ID, 'app:1.0')).rejects.toMatchObject({
+        status: 502,
+        message: 'trivy failed: FATAL unable to find the specified image'
+      });
+
+      execShell.execute.mockResolvedValue({ success: true, stdout: 'not json' });
+      await expect(imageScanner.scanImage(USER_ID, 'app:1.0')).rejects.toMatchObject({
+        status: 502,
+        message: 'trivy returned a report that is not JSON'
+      });
+      expect(ImageScan.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
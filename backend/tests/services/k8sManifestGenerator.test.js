@@ -0,0 +1,47 @@
+const K8sManifestGenerator = require('../../src/services/k8sManifestGenerator');
+
+describe('K8sManifestGenerator env', () => {
+  const profile = { type: 'web', runtime: { name: 'node' }, port: 3000 };
+
+  it('reads env as a list of {name, value}', () => {
+    const { manifests } = K8sManifestGenerator.generate(profile, {
+      name: 'api',
+      env: [{ name: 'LOG_LEVEL', value: 'debug' }, { name: 'WORKERS', value: 4 }, { value: 'nameless' }]
+    });
+
+    expect(manifests.configMap.data).toEqual({ PORT: '3000', LOG_LEVEL: 'debug', WORKERS: '4' });
+  });
+
+  it('reads env as a map of names to values', () => {
+    const { manifests } = K8sManifestGenerator.generate(profile, {
+      name: 'api',
+      env: { LOG_LEVEL: 'debug', PORT: 8080, EMPTY: null }
+    });
+
+    expect(manifests.configMap.data).toEqual({ LOG_LEVEL: 'debug', PORT: '8080', EMPTY: '' });
+  });
+
+  it('puts env on the container when there is no ConfigMap', () => {
+    const { manifests } = K8sManifestGenerator.generate(profile, {
+      name: 'api',
+      configMap: false,
+      env: { LOG_LEVEL: 'debug' }
+    });
+
+    expect(manifests.deployment.spec.template.spec.containers[0].env).toEqual([
+      { name: 'PORT', value: '3000' },
+      { name: 'LOG_LEVEL', value: 'debug' }
+    ]);
+  });
+});
+
+describe('K8sManifestGenerator static sites', () => {
+  it('defaults to the port the unprivileged nginx image listens on', () => {
+    const { manifests, warnings } = K8sManifestGenerator.generate({ type: 'static', runtime: { name: 'node' } }, { name: 'web', image: 'web:1.0.0' });
+    const pod = manifests.deployment.spec.template.spec;
+
+    expect(pod.containers[0].ports).toEqual([{ name: 'http', containerPort: 8080, protocol: 'TCP' }]);
+    expect(pod.securityContext).toMatchObject({ runAsNonRoot: true, runAsUser: 101 });
+    expect(warnings.join('\n')).not.toMatch(/privileged/);
+  });
+});
@@ -0,0 +1,206 @@
+const http = require('http');
+const config = require('../../src/config/appConfig');
+const k8sService = require('../../src/services/k8sService');
+
+// Enough of an API server for server-side apply: discovery, GET and apply PATCH
+function mockApiServer() {
+  const store = new Map();
+  const discovery = {
+    '/api/v1': [
+      { kind: 'Namespace', name: 'namespaces', namespaced: false },
+      { kind: 'ConfigMap', name: 'configmaps', namespaced: true },
+      { kind: 'Service', name: 'services', namespaced: true }
+    ],
+    '/apis/apps/v1': [{ kind: 'Deployment', name: 'deployments', namespaced: true }]
+  };
+  let resourceVersion = 1;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://api');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, object) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(object));
+      };
+      const notFound = () => send(404, { kind: 'Status', code: 404, message: `${url.pathname} not found` });
+
+      if (req.method === 'GET' && discovery[url.pathname]) {
+        return send(200, { kind: 'APIResourceList', groupVersion: url.pathname.replace(/^\/apis?\//, ''), resources: discovery[url.pathname] });
+      }
+      if (req.method === 'GET' && url.pathname === '/api/v1/namespaces') return send(200, { items: [] });
+      if (req.method === 'GET') return store.has(url.pathname) ? send(200, store.get(url.pathname)) : notFound();
+      if (req.method !== 'PATCH') return send(405, {});
+
+      server.patches.push({ path: url.pathname, contentType: req.headers['content-type'], query: Object.fromEntries(url.searchParams) });
+      const object = JSON.parse(body);
+      const live = store.get(url.pathname);
+      if (live?.metadata.annotations?.owner === 'kubectl' && url.searchParams.get('force') !== 'true') {
+        return send(409, { kind: 'Status', code: 409, message: 'Apply failed with 1 conflict: conflict with "kubectl": .data.mode' });
+      }
+
+      const applied = {
+        ...object,
+        metadata: {
+          ...object.metadata,
+          uid: live?.metadata.uid || `uid-${resourceVersion}`,
+          resourceVersion: String(resourceVersion++),
+          creationTimestamp: live?.metadata.creationTimestamp || '2024-05-01T00:00:00Z',
+          managedFields: [{ manager: url.searchParams.get('fieldManager') }]
+        },
+        status: { observed: true }
+      };
+      if (url.searchParams.get('dryRun') !== 'All') store.set(url.pathname, applied);
+      send(live ? 200 : 201, applied);
+    });
+  });
+
+  server.store = store;
+  server.patches = [];
+  return server;
+}
+
+const configMap = (data, metadata = {}) => ({
+  apiVersion: 'v1',
+  kind: 'ConfigMap',
+  metadata: { name: 'web-config', ...metadata },
+  data
+});
+
+describe('k8sService', () => {
+  const settings = config.services.kubernetes;
+  const original = { ...settings };
+
+  afterEach(() => {
+    Object.assign(settings, original);
+  });
+
+  describe('loadConfig', () => {
+    const cluster = (apiServer, overrides = {}) => {
+      Object.assign(settings, { apiServer, caFile: undefined, caData: undefined, ...overrides });
+      k8sService.loadConfig();
+      return k8sService.kc.getCurrentCluster();
+    };
+
+    it('verifies certificates of remote API servers', () => {
+      expect(cluster('https://k8s.example.com:6443').skipTLSVerify).toBe(false);
+    });
+
+    it('trusts the configured CA', () => {
+      const remote = cluster('https://k8s.example.com:6443', { caData: 'LS0tLS1CRUdJTg==' });
+      expect(remote).toMatchObject({ caData: 'LS0tLS1CRUdJTg==', skipTLSVerify: false });
+      expect(cluster('https://127.0.0.1:6443', { caFile: '/etc/k8s/ca.crt' })).toMatchObject({ caFile: '/etc/k8s/ca.crt', skipTLSVerify: false });
+    });
+
+    it('only skips verification for plain HTTP and loopback servers', () => {
+      expect(cluster('http://127.0.0.1:8001').skipTLSVerify).toBe(true);
+      expect(cluster('https://localhost:6443').skipTLSVerify).toBe(true);
+    });
+  });
+
+  describe('checkApplyPolicy', () => {
+    beforeEach(() => {
+      settings.apply = { kinds: ['ConfigMap', 'Deployment', 'Namespace'], namespaces: ['web', 'default'] };
+    });
+
+    it('accepts allowed kinds in allowed namespaces', () => {
+      expect(() => k8sService.checkApplyPolicy([
+        configMap({}),
+        { ...configMap({}), metadata: { name: 'other', namespace: 'web' } },
+        { apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'web' } }
+      ], 'default')).not.toThrow();
+    });
+
+    it('refuses other kinds', () => {
+      const role = { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'ClusterRoleBinding', metadata: { name: 'admin' } };
+      expect(() => k8sService.checkApplyPolicy([role])).toThrow(expect.objectContaining({
+        status: 403,
+        message: 'Apply refused: ClusterRoleBinding/admin: kind ClusterRoleBinding is not allowed'
+      }));
+    });
+
+    it('refuses other namespaces, including through the default and Namespace objects', () => {
+      expect(() => k8sService.checkApplyPolicy([configMap({}, { namespace: 'kube-system' })])).toThrow(/namespace kube-system is not allowed/);
+      expect(() => k8sService.checkApplyPolicy([configMap({})], 'billing')).toThrow(/namespace billing is not allowed/);
+      expect(() => k8sService.checkApplyPolicy([{ apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'kube-system' } }]))
+        .toThrow(/Namespace\/kube-system: namespace kube-system is not allowed/);
+    });
+  });
+
+  describe('apply against an API server', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = mockApiServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      settings.apiServer = `http://127.0.0.1:${server.address().port}`;
+      k8sService.connected = false;
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    it('creates, then reports unchanged and configured objects with a field diff', async () => {
+      const created = await k8sService.apply([configMap({ mode: 'a' })], { namespace: 'web' });
+      expect(created.results).toEqual([expect.objectContaining({ kind: 'ConfigMap', name: 'web-config', namespace: 'web', status: 'created' })]);
+      expect(server.patches[0]).toMatchObject({
+        path: '/api/v1/namespaces/web/configmaps/web-config',
+        contentType: 'application/apply-patch+yaml',
+        query: { fieldManager: 'autopilotdev', force: 'false' }
+      });
+
+      const unchanged = await k8sService.apply([configMap({ mode: 'a' })], { namespace: 'web' });
+      expect(unchanged.results[0]).toMatchObject({ status: 'unchanged', changes: [] });
+
+      const configured = await k8sService.apply([configMap({ mode: 'b', extra: '1' })], { namespace: 'web' });
+      expect(configured.results[0]).toMatchObject({
+        status: 'configured',
+        changes: [
+          { path: '$.data.mode', type: 'changed', before: 'a', after: 'b' },
+          { path: '$.data.extra', type: 'added', after: '1' }
+        ]
+      });
+      expect(configured.summary).toEqual({ created: 0, configured: 1, unchanged: 0, failed: 0 });
+    });
+
+    it('dry runs without persisting, in install order', async () => {
+      const result = await k8sService.apply([
+        { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web' }, spec: {} },
+        configMap({ mode: 'a' })
+      ], { namespace: 'web', dryRun: true });
+
+      expect(result.results.map(entry => `${entry.kind}:${entry.status}`)).toEqual(['ConfigMap:created', 'Deployment:created']);
+      expect(server.patches.every(patch => patch.query.dryRun === 'All')).toBe(true);
+      expect(server.store.size).toBe(0);
+    });
+
+    it('reports kinds the cluster does not serve and field conflicts per object', async () => {
+      server.store.set('/api/v1/namespaces/web/configmaps/web-config', configMap({ mode: 'a' }, { namespace: 'web', annotations: { owner: 'kubectl' } }));
+
+      const result = await k8sService.apply([
+        configMap({ mode: 'b' }, { annotations: { owner: 'kubectl' } }),
+        { apiVersion: 'example.com/v1', kind: 'Widget', metadata: { name: 'w' } }
+      ], { namespace: 'web' });
+
+      expect(result.results).toEqual([
+        expect.objectContaining({ kind: 'ConfigMap', status: 'failed', statusCode: 409, error: expect.stringContaining('Apply with force') }),
+        expect.objectContaining({ kind: 'Widget', status: 'failed', error: 'example.com/v1 is not served by this cluster' })
+      ]);
+
+      const forced = await k8sService.apply([configMap({ mode: 'b' }, { annotations: { owner: 'kubectl' } })], { namespace: 'web', force: true });
+      expect(forced.results[0]).toMatchObject({ status: 'configured' });
+    });
+
+    it('checks objects without a namespace against the context namespace they are applied to', async () => {
+      settings.apply = { kinds: ['ConfigMap'], namespaces: ['default'] };
+      settings.namespace = 'kube-system';
+      const target = await k8sService.applyNamespace();
+      settings.namespace = 'default';
+
+      expect(target).toBe('kube-system');
+      expect(await k8sService.applyNamespace()).toBe('kube-system');
+      expect(await k8sService.applyNamespace('web')).toBe('web');
+      expect(() => k8sService.checkApplyPolicy([configMap({})], target)).toThrow(/ConfigMap\/web-config: namespace kube-system is not allowed/);
+    });
+  });
+});
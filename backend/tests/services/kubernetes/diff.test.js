@@ -0,0 +1,86 @@
+const { diff, normalize } = require('../../../src/services/kubernetes/diff');
+
+const live = (overrides = {}) => ({
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: {
+    name: 'web',
+    namespace: 'shop',
+    uid: '7c1e',
+    resourceVersion: '4411',
+    generation: 3,
+    creationTimestamp: '2024-05-01T00:00:00Z',
+    managedFields: [{ manager: 'autopilotdev' }],
+    labels: { app: 'web' },
+    annotations: {
+      'deployment.kubernetes.io/revision': '3',
+      'kubectl.kubernetes.io/last-applied-configuration': '{}'
+    },
+    ...overrides.metadata
+  },
+  spec: { replicas: 2, template: { spec: { containers: [{ name: 'web', image: 'web:1.0.0' }] } }, ...overrides.spec },
+  status: { readyReplicas: 2 }
+});
+
+describe('kubernetes diff', () => {
+  describe('normalize', () => {
+    it('drops status and the metadata the server maintains', () => {
+      expect(normalize(live())).toEqual({
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web', namespace: 'shop', labels: { app: 'web' } },
+        spec: live().spec
+      });
+    });
+
+    it('keeps annotations from the manifest', () => {
+      const object = live({ metadata: { annotations: { team: 'shop', 'deployment.kubernetes.io/revision': '4' } } });
+      expect(normalize(object).metadata.annotations).toEqual({ team: 'shop' });
+    });
+
+    it('leaves the input untouched and passes null through', () => {
+      const object = live();
+      normalize(object);
+      expect(object.metadata.uid).toBe('7c1e');
+      expect(normalize(null)).toBeNull();
+    });
+  });
+
+  describe('diff', () => {
+    it('reports a new object as created', () => {
+      expect(diff(null, live())).toEqual({ status: 'created', changes: [] });
+    });
+
+    it('ignores server-maintained fields', () => {
+      const after = live({ metadata: { resourceVersion: '4412', generation: 4, annotations: { 'deployment.kubernetes.io/revision': '4' } } });
+      expect(diff(live(), { ...after, status: { readyReplicas: 1 } })).toEqual({ status: 'unchanged', changes: [] });
+    });
+
+    it('lists changed, added and removed leaf values as JSONPaths', () => {
+      const after = live({
+        metadata: { labels: { tier: 'frontend' } },
+        spec: { replicas: 3, template: { spec: { containers: [{ name: 'web', image: 'web:1.1.0' }, { name: 'proxy', image: 'envoy:1.30' }] } } }
+      });
+
+      expect(diff(live(), after)).toEqual({
+        status: 'configured',
+        changes: [
+          { path: '$.metadata.labels.app', type: 'removed', before: 'web' },
+          { path: '$.metadata.labels.tier', type: 'added', after: 'frontend' },
+          { path: '$.spec.replicas', type: 'changed', before: 2, after: 3 },
+          { path: '$.spec.template.spec.containers[0].image', type: 'changed', before: 'web:1.0.0', after: 'web:1.1.0' },
+          { path: '$.spec.template.spec.containers[1]', type: 'added', after: { name: 'proxy', image: 'envoy:1.30' } }
+        ]
+      });
+    });
+
+    it('redacts Secret values', () => {
+      const secret = data => ({ apiVersion: 'v1', kind: 'Secret', metadata: { name: 'db' }, type: 'Opaque', data });
+
+      expect(diff(secret({ password: 'b2xk' }), secret({ password: 'bmV3', user: 'YQ==' })).changes).toEqual([
+        { path: '$.data.password', type: 'changed', before: '(redacted)', after: '(redacted)' },
+        { path: '$.data.user', type: 'added', after: '(redacted)' }
+      ]);
+    });
+  });
+});
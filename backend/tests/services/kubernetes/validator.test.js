@@ -0,0 +1,199 @@
+const { validate, RULES, DEFAULT_VERSION } = require('../../../src/services/kubernetes/validator');
+const K8sManifestGenerator = require('../../../src/services/k8sManifestGenerator');
+
+const deployment = (overrides = {}) => ({
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: { name: 'web' },
+  spec: {
+    selector: { matchLabels: { app: 'web' } },
+    template: {
+      metadata: { labels: { app: 'web' } },
+      spec: {
+        containers: [{
+          name: 'web',
+          image: 'registry.example.com/web:1.4.2',
+          resources: { limits: { memory: '256Mi' } }
+        }],
+        ...overrides.podSpec
+      }
+    },
+    ...overrides.spec
+  }
+});
+
+const container = (overrides) => {
+  const manifest = deployment();
+  Object.assign(manifest.spec.template.spec.containers[0], overrides);
+  return manifest;
+};
+
+const rules = result => result.findings.map(finding => finding.rule);
+
+describe('kubernetes validator', () => {
+  it('passes the bundle the manifest generator produces', () => {
+    const { yaml } = K8sManifestGenerator.generate(
+      { type: 'web', runtime: { name: 'node' }, port: 3000 },
+      { name: 'api', image: 'registry.example.com/api:1.0.0', ingress: { host: 'api.example.com' } }
+    );
+    const result = validate(yaml);
+
+    expect(result.findings.filter(finding => finding.severity === 'error')).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.kubernetesVersion).toBe(DEFAULT_VERSION);
+  });
+
+  describe('schemas', () => {
+    it('reports unknown and missing fields with their path and line', () => {
+      const result = validate([
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata:',
+        '  name: web',
+        'spec:',
+        '  replica: 2',
+        '  template:',
+        '    metadata:',
+        '      labels: {app: web}',
+        '    spec:',
+        '      containers: [{name: web, image: "web:1"}]'
+      ].join('\n'));
+
+      expect(result.valid).toBe(false);
+      expect(result.findings).toEqual(expect.arrayContaining([
+        expect.objectContaining({ rule: 'schema', message: 'unknown field "replica"', path: '$.spec.replica', line: 6 }),
+        expect.objectContaining({ rule: 'schema', message: 'missing required field "selector"', path: '$.spec.selector' })
+      ]));
+    });
+
+    it('checks quantities', () => {
+      const result = validate([container({ resources: { limits: { memory: 'lots' } } })]);
+
+      expect(result.findings).toEqual([
+        expect.objectContaining({ rule: 'schema', message: 'must be a quantity such as 250m, 1 or 512Mi' })
+      ]);
+    });
+
+    it('points removed API versions at their replacement', () => {
+      const result = validate([{ ...deployment(), apiVersion: 'extensions/v1beta1' }]);
+
+      expect(result.findings).toEqual([
+        expect.objectContaining({ rule: 'removed-api', severity: 'error', message: expect.stringContaining('use apps/v1') })
+      ]);
+    });
+
+    it('passes custom resources through with a warning', () => {
+      const result = validate([{ apiVersion: 'cert-manager.io/v1', kind: 'Certificate', metadata: { name: 'tls' }, spec: {} }]);
+
+      expect(result.valid).toBe(true);
+      expect(rules(result)).toEqual(['unknown-kind']);
+    });
+
+    it('reports YAML syntax errors and objects without apiVersion or kind', () => {
+      expect(rules(validate('kind: [unclosed'))).toEqual(['yaml-syntax']);
+      expect(validate('just text').findings[0].message).toBe('Document is not a Kubernetes object');
+      expect(validate('kind: Deployment').findings[0]).toMatchObject({ message: 'Document has no apiVersion and kind', path: '$.apiVersion' });
+    });
+
+    it('skips blank documents', () => {
+      const result = validate('---\n---\n');
+      expect(result.documents).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('refuses unsupported Kubernetes versions', () => {
+      expect(() => validate([], { kubernetesVersion: '1.12' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('policy rules', () => {
+    it('lists every rule in the order it runs', () => {
+      expect(RULES.map(rule => rule.id)).toEqual([
+        'missing-limits', 'latest-tag', 'privileged-container', 'host-path-volume', 'selector-mismatch', 'unmatched-selector'
+      ]);
+    });
+
+    it('warns about containers without a memory limit', () => {
+      expect(validate([container({ resources: {} })]).findings).toEqual([
+        expect.objectContaining({ rule: 'missing-limits', severity: 'warning', path: '$.spec.template.spec.containers[0].resources' })
+      ]);
+      expect(validate([container({ resources: { limits: { cpu: '1' } } })]).findings[0].message).toBe('Container "web" has no memory limit');
+    });
+
+    it('warns about latest and untagged images but not digests or registry ports', () => {
+      expect(rules(validate([container({ image: 'web:latest' })]))).toEqual(['latest-tag']);
+      expect(rules(validate([container({ image: 'web' })]))).toEqual(['latest-tag']);
+      expect(rules(validate([container({ image: 'localhost:5000/web' })]))).toEqual(['latest-tag']);
+      expect(rules(validate([container({ image: 'localhost:5000/web:2' })]))).toEqual([]);
+      expect(rules(validate([container({ image: `web@sha256:${'a'.repeat(64)}` })]))).toEqual([]);
+    });
+
+    it('rejects privileged containers, including init containers', () => {
+      const manifest = deployment({
+        podSpec: { initContainers: [{ name: 'setup', image: 'busybox:1.36', resources: { limits: { memory: '64Mi' } }, securityContext: { privileged: true } }] }
+      });
+      const result = validate([manifest]);
+
+      expect(result.valid).toBe(false);
+      expect(result.findings).toEqual([
+        expect.objectContaining({ rule: 'privileged-container', path: '$.spec.template.spec.initContainers[0].securityContext.privileged' })
+      ]);
+    });
+
+    it('rejects hostPath volumes', () => {
+      const result = validate([deployment({ podSpec: { volumes: [{ name: 'docker', hostPath: { path: '/var/run/docker.sock' } }] } })]);
+
+      expect(result.findings).toEqual([
+        expect.objectContaining({ rule: 'host-path-volume', severity: 'error', message: 'Volume "docker" mounts /var/run/docker.sock from the node' })
+      ]);
+    });
+
+    it('rejects selectors that do not match the pod template', () => {
+      const result = validate([deployment({ spec: { selector: { matchLabels: { app: 'api' } } } })]);
+      expect(result.findings).toEqual([
+        expect.objectContaining({ rule: 'selector-mismatch', message: 'Deployment selector does not match the pod template labels (missing app=api)' })
+      ]);
+
+      const expressions = deployment({ spec: { selector: { matchExpressions: [{ key: 'app', operator: 'In', values: ['web', 'api'] }] } } });
+      expect(validate([expressions]).findings).toEqual([]);
+    });
+
+    it('warns about Services that select no pods of the bundle', () => {
+      const service = selector => ({
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: { name: 'web' },
+        spec: { selector, ports: [{ port: 80 }] }
+      });
+
+      expect(rules(validate([deployment(), service({ app: 'api' })]))).toEqual(['unmatched-selector']);
+      expect(rules(validate([deployment(), service({ app: 'web' })]))).toEqual([]);
+      // Without workloads in the bundle there is nothing to compare against
+      expect(rules(validate([service({ app: 'api' })]))).toEqual([]);
+    });
+
+    it('still applies rules to documents with schema errors', () => {
+      const manifest = deployment({
+        podSpec: { volumes: [{ name: 'root', hostPath: { path: '/' } }] }
+      });
+      Object.assign(manifest.spec.template.spec.containers[0], {
+        ports: [{ containerPort: 'http' }],
+        securityContext: { privileged: true }
+      });
+
+      expect(rules(validate([manifest]))).toEqual(expect.arrayContaining(['schema', 'privileged-container', 'host-path-volume']));
+    });
+
+    it('skips what a rule cannot walk in a malformed document', () => {
+      const manifest = deployment({ spec: { selector: { matchExpressions: 'app=web' } } });
+      manifest.spec.template.spec.containers[0].securityContext = { privileged: true };
+
+      expect(rules(validate([manifest]))).toEqual(expect.arrayContaining(['schema', 'privileged-container']));
+      expect(rules(validate([manifest]))).not.toContain('selector-mismatch');
+    });
+
+    it('skips ignored rules', () => {
+      expect(validate([container({ image: 'web:latest' })], { ignore: ['latest-tag'] }).findings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { strategicMerge, applyJsonPatch } = require('../../../src/services/kustomize/patch');
+
+describe('strategicMerge', () => {
+  const deployment = {
+    metadata: { name: 'api', labels: { app: 'api', tier: 'web' } },
+    spec: {
+      template: {
+        spec: {
+          containers: [
+            {
+              name: 'api',
+              image: 'api:1',
+              env: [{ name: 'A', value: '1' }, { name: 'B', value: '2' }],
+              ports: [{ containerPort: 3000 }],
+              args: ['--one']
+            },
+            { name: 'sidecar', image: 'proxy:1' }
+          ],
+          volumes: [{ name: 'cache', emptyDir: {} }]
+        }
+      }
+    }
+  };
+  const containers = merged => merged.spec.template.spec.containers;
+
+  it('merges maps and leaves the target untouched', () => {
+    const merged = strategicMerge(deployment, { metadata: { labels: { tier: 'backend', team: 'core' } } });
+
+    expect(merged.metadata).toEqual({ name: 'api', labels: { app: 'api', tier: 'backend', team: 'core' } });
+    expect(deployment.metadata.labels).toEqual({ app: 'api', tier: 'web' });
+  });
+
+  it('merges named lists by key and appends new items', () => {
+    const merged = strategicMerge(deployment, {
+      spec: { template: { spec: { containers: [{ name: 'api', image: 'api:2', env: [{ name: 'B', value: '3' }, { name: 'C', value: '4' }] }] } } }
+    });
+
+    expect(containers(merged)).toHaveLength(2);
+    expect(containers(merged)[0].image).toBe('api:2');
+    expect(containers(merged)[0].env).toEqual([{ name: 'A', value: '1' }, { name: 'B', value: '3' }, { name: 'C', value: '4' }]);
+    expect(containers(merged)[1]).toEqual({ name: 'sidecar', image: 'proxy:1' });
+  });
+
+  it('merges container ports by containerPort and Service ports by port', () => {
+    const merged = strategicMerge(deployment, {
+      spec: { template: { spec: { containers: [{ name: 'api', ports: [{ containerPort: 3000, name: 'http' }, { containerPort: 9090 }] }] } } }
+    });
+    const service = strategicMerge(
+      { spec: { ports: [{ port: 80, targetPort: 3000 }] } },
+      { spec: { ports: [{ port: 80, name: 'http' }] } }
+    );
+
+    expect(containers(merged)[0].ports).toEqual([{ containerPort: 3000, name: 'http' }, { containerPort: 9090 }]);
+    expect(service.spec.ports).toEqual([{ port: 80, targetPort: 3000, name: 'http' }]);
+  });
+
+  it('replaces lists without a merge key', () => {
+    const merged = strategicMerge(deployment, { spec: { template: { spec: { containers: [{ name: 'api', args: ['--two'] }] } } } });
+
+    expect(containers(merged)[0].args).toEqual(['--two']);
+  });
+
+  it('deletes fields set to null', () => {
+    const merged = strategicMerge(deployment, { metadata: { labels: { tier: null } }, spec: { template: { spec: { volumes: null } } } });
+
+    expect(merged.metadata.labels).toEqual({ app: 'api' });
+    expect(merged.spec.template.spec).not.toHaveProperty('volumes');
+  });
+
+  it('honours $patch on maps and list items', () => {
+    const merged = strategicMerge(deployment, {
+      metadata: { labels: { $patch: 'replace', app: 'api' } },
+      spec: {
+        template: {
+          spec: {
+            containers: [{ name: 'sidecar', $patch: 'delete' }, { name: 'api', $patch: 'replace', image: 'api:3' }]
+          }
+        }
+      }
+    });
+
+    expect(merged.metadata.labels).toEqual({ app: 'api' });
+    expect(containers(merged)).toEqual([{ name: 'api', image: 'api:3' }]);
+    expect(strategicMerge(deployment, { metadata: { $patch: 'delete' } })).not.toHaveProperty('metadata');
+  });
+});
+
+describe('applyJsonPatch', () => {
+  const ingress = {
+    spec: {
+      rules: [{ host: 'api.example.com' }],
+      tls: [{ hosts: ['api.example.com'], secretName: 'api-tls' }]
+    },
+    metadata: { annotations: { 'kubernetes.io/ingress.class': 'nginx' } }
+  };
+
+  it('applies add, replace, remove and test to a copy', () => {
+    const patched = applyJsonPatch(ingress, [
+      { op: 'test', path: '/spec/rules/0/host', value: 'api.example.com' },
+      { op: 'replace', path: '/spec/rules/0/host', value: 'dev.api.example.com' },
+      { op: 'add', path: '/spec/rules/-', value: { host: 'www.example.com' } },
+      { op: 'add', path: '/spec/tls/0/hosts/0', value: 'dev.api.example.com' },
+      { op: 'remove', path: '/metadata/annotations/kubernetes.io~1ingress.class' }
+    ]);
+
+    expect(patched.spec.rules).toEqual([{ host: 'dev.api.example.com' }, { host: 'www.example.com' }]);
+    expect(patched.spec.tls[0].hosts).toEqual(['dev.api.example.com', 'api.example.com']);
+    expect(patched.metadata.annotations).toEqual({});
+    expect(ingress.spec.rules).toEqual([{ host: 'api.example.com' }]);
+  });
+
+  it('reports paths that do not exist or are out of bounds', () => {
+    expect(() => applyJsonPatch(ingress, [{ op: 'replace', path: '/spec/backend', value: {} }]))
+      .toThrow('Path /spec/backend does not exist');
+    expect(() => applyJsonPatch(ingress, [{ op: 'add', path: '/spec/missing/host', value: 'x' }]))
+      .toThrow('Path /spec/missing/host does not exist');
+    expect(() => applyJsonPatch(ingress, [{ op: 'remove', path: '/spec/rules/1' }]))
+      .toThrow('Path /spec/rules/1 does not exist');
+    expect(() => applyJsonPatch(ingress, [{ op: 'add', path: '/spec/rules/5', value: {} }]))
+      .toThrow('Path /spec/rules/5 is out of bounds');
+  });
+
+  it('rejects failed tests, unknown operations, bad pointers and the root', () => {
+    const attempt = operation => {
+      try {
+        applyJsonPatch(ingress, [operation]);
+      } catch (error) {
+        return { message: error.message, status: error.status };
+      }
+      return null;
+    };
+
+    expect(attempt({ op: 'test', path: '/spec/rules/0/host', value: 'other' })).toEqual({ message: 'Test failed at /spec/rules/0/host', status: 422 });
+    expect(attempt({ op: 'move', from: '/spec/rules', path: '/spec/hosts' })).toEqual({ message: 'Unsupported JSON patch operation "move"', status: 422 });
+    expect(attempt({ op: 'add', path: 'spec', value: {} })).toEqual({ message: 'Invalid JSON pointer "spec"', status: 422 });
+    expect(attempt({ op: 'replace', path: '', value: {} })).toEqual({ message: 'JSON patch "replace" cannot target the whole object', status: 422 });
+  });
+});
@@ -0,0 +1,156 @@
+const yaml = require('js-yaml');
+const { render, nameHash } = require('../../../src/services/kustomize/render');
+
+const dump = value => yaml.dump(value);
+
+const deployment = {
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: { name: 'api' },
+  spec: {
+    replicas: 3,
+    template: {
+      spec: {
+        containers: [{
+          name: 'api',
+          image: 'registry.example.com/api:1.0.0',
+          envFrom: [{ configMapRef: { name: 'api-config' } }]
+        }],
+        volumes: [{ name: 'config', configMap: { name: 'api-config' } }]
+      }
+    }
+  }
+};
+const service = { apiVersion: 'v1', kind: 'Service', metadata: { name: 'api' }, spec: { ports: [{ port: 80 }] } };
+const ingress = {
+  apiVersion: 'networking.k8s.io/v1',
+  kind: 'Ingress',
+  metadata: { name: 'api' },
+  spec: { rules: [{ host: 'api.example.com' }] }
+};
+
+const layout = (overlay = {}, files = {}) => ({
+  'base/deployment.yaml': dump(deployment),
+  'base/resources.yaml': `${dump(ingress)}---\n${dump(service)}`,
+  'base/kustomization.yaml': dump({
+    resources: ['deployment.yaml', 'resources.yaml'],
+    configMapGenerator: [{ name: 'api-config', literals: ['LOG_LEVEL=info', 'APP_ENV=base'] }]
+  }),
+  'overlays/dev/kustomization.yaml': dump({ resources: ['../../base'], ...overlay }),
+  ...files
+});
+
+const find = (resources, kind) => resources.find(object => object.kind === kind);
+
+describe('kustomize render', () => {
+  it('loads resources from files and directories in kustomize output order', () => {
+    const { resources, yaml: output } = render(layout(), 'overlays/dev');
+
+    expect(resources.map(object => object.kind)).toEqual(['ConfigMap', 'Service', 'Deployment', 'Ingress']);
+    expect(output.startsWith('---\napiVersion: v1\nkind: ConfigMap\n')).toBe(true);
+    expect(yaml.loadAll(output)).toEqual(resources);
+  });
+
+  it('suffixes generated ConfigMaps with their hash and rewrites the references', () => {
+    const { resources } = render(layout(), 'overlays/dev');
+    const configMap = find(resources, 'ConfigMap');
+    const pod = find(resources, 'Deployment').spec.template.spec;
+
+    expect(configMap.data).toEqual({ LOG_LEVEL: 'info', APP_ENV: 'base' });
+    expect(configMap.metadata.name).toBe(`api-config-${nameHash({ metadata: { name: 'api-config' }, data: configMap.data })}`);
+    expect(pod.containers[0].envFrom[0].configMapRef.name).toBe(configMap.metadata.name);
+    expect(pod.volumes[0].configMap.name).toBe(configMap.metadata.name);
+  });
+
+  it('merges overlay generators, so a config change renames the ConfigMap', () => {
+    const base = find(render(layout(), 'overlays/dev').resources, 'ConfigMap');
+    const { resources } = render(layout({
+      configMapGenerator: [{ name: 'api-config', behavior: 'merge', envs: ['config.env'] }]
+    }, { 'overlays/dev/config.env': '# development\nAPP_ENV=development\nDEBUG="true"\n' }), 'overlays/dev');
+    const configMap = find(resources, 'ConfigMap');
+
+    expect(configMap.data).toEqual({ LOG_LEVEL: 'info', APP_ENV: 'development', DEBUG: 'true' });
+    expect(configMap.metadata.name).not.toBe(base.metadata.name);
+  });
+
+  it('sets the namespace, replicas and images', () => {
+    const { resources } = render(layout({
+      namespace: 'api-dev',
+      replicas: [{ name: 'api', count: 1 }],
+      images: [{ name: 'registry.example.com/api', newTag: '1.1.0' }]
+    }), 'overlays/dev');
+    const rendered = find(resources, 'Deployment');
+
+    expect(resources.every(object => object.metadata.namespace === 'api-dev')).toBe(true);
+    expect(rendered.spec.replicas).toBe(1);
+    expect(rendered.spec.template.spec.containers[0].image).toBe('registry.example.com/api:1.1.0');
+  });
+
+  it('pins digests and leaves other images alone', () => {
+    const digest = `sha256:${'a'.repeat(64)}`;
+    const pinned = render(layout({ images: [{ name: 'registry.example.com/api', digest }] }), 'overlays/dev');
+    const untouched = render(layout({ images: [{ name: 'api', newTag: '2.0.0' }] }), 'overlays/dev');
+
+    expect(find(pinned.resources, 'Deployment').spec.template.spec.containers[0].image).toBe(`registry.example.com/api@${digest}`);
+    expect(find(untouched.resources, 'Deployment').spec.template.spec.containers[0].image).toBe('registry.example.com/api:1.0.0');
+  });
+
+  it('applies strategic merge and targeted JSON patches', () => {
+    const { resources } = render(layout({
+      patches: [
+        { path: 'deployment-patch.yaml' },
+        { path: 'ingress-patch.yaml', target: { group: 'networking.k8s.io', version: 'v1', kind: 'Ingress', name: 'api' } }
+      ]
+    }, {
+      'overlays/dev/deployment-patch.yaml': dump({
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'api', labels: { env: 'dev' } },
+        spec: { template: { spec: { containers: [{ name: 'api', resources: { requests: { cpu: '50m' } } }] } } }
+      }),
+      'overlays/dev/ingress-patch.yaml': dump([{ op: 'replace', path: '/spec/rules/0/host', value: 'dev.api.example.com' }])
+    }), 'overlays/dev');
+    const rendered = find(resources, 'Deployment');
+
+    expect(rendered.metadata).toEqual({ name: 'api', labels: { env: 'dev' } });
+    expect(rendered.spec.template.spec.containers[0]).toMatchObject({ image: 'registry.example.com/api:1.0.0', resources: { requests: { cpu: '50m' } } });
+    expect(find(resources, 'Ingress').spec.rules[0].host).toBe('dev.api.example.com');
+  });
+
+  it('reports broken layouts as 422s', () => {
+    const attempt = (files, dir = 'overlays/dev') => {
+      try {
+        render(files, dir);
+      } catch (error) {
+        return { message: error.message, status: error.status };
+      }
+      return null;
+    };
+
+    expect(attempt(layout(), 'overlays/prod')).toEqual({ message: 'overlays/prod/kustomization.yaml does not exist', status: 422 });
+    expect(attempt(layout({ resources: ['../../missing'] })).message).toBe('overlays/dev/kustomization.yaml: resource ../../missing not found');
+    expect(attempt(layout({ configMapGenerator: [{ name: 'api-config', literals: ['X=1'] }] })).message)
+      .toBe('overlays/dev/kustomization.yaml: ConfigMap api-config is already generated; use behavior merge or replace');
+    expect(attempt(layout({ configMapGenerator: [{ name: 'other', behavior: 'merge', literals: ['X=1'] }] })).message)
+      .toBe('overlays/dev/kustomization.yaml: no ConfigMap other to merge');
+    expect(attempt(layout({ configMapGenerator: [{ name: 'api-config', behavior: 'merge', literals: ['novalue'] }] })).message)
+      .toBe('configMapGenerator api-config: "novalue" is not KEY=VALUE');
+    expect(attempt(layout({ patches: [{ patch: dump([{ op: 'remove', path: '/spec' }]) }] })).message)
+      .toBe('overlays/dev/kustomization.yaml patches[0]: a JSON patch needs a target');
+    expect(attempt(layout({ patches: [{ patch: dump({ kind: 'StatefulSet', metadata: { name: 'api' } }) }] })).message)
+      .toBe('overlays/dev/kustomization.yaml patches[0]: no StatefulSet api to patch');
+    expect(attempt({ 'a/kustomization.yaml': dump({ resources: ['../b'] }), 'b/kustomization.yaml': dump({ resources: ['../a'] }) }, 'a').message)
+      .toBe('a is included in a cycle');
+  });
+});
+
+describe('kustomize nameHash', () => {
+  it('is ten vowel-free hex-like characters that follow the name and data, not key order', () => {
+    const hash = nameHash({ metadata: { name: 'api-config' }, data: { A: '1', B: '2' } });
+
+    expect(hash).toMatch(/^[2456789bcdfghkmt]{10}$/);
+    expect(nameHash({ metadata: { name: 'api-config' }, data: { B: '2', A: '1' } })).toBe(hash);
+    expect(nameHash({ metadata: { name: 'api-config' }, data: { A: '1', B: '3' } })).not.toBe(hash);
+    expect(nameHash({ metadata: { name: 'other' }, data: { A: '1', B: '2' } })).not.toBe(hash);
+  });
+});
@@ -0,0 +1,51 @@
+const K8sManifestGenerator = require('../../src/services/k8sManifestGenerator');
+const KustomizeGenerator = require('../../src/services/kustomizeGenerator');
+
+describe('KustomizeGenerator settings', () => {
+  const profile = { type: 'web', runtime: { name: 'node' }, port: 3000 };
+  const bundle = options => K8sManifestGenerator.generate(profile, { image: 'api:1.0.0', ...options }).manifests;
+
+  it('names the namespace after the application and environment', () => {
+    const { overlays } = KustomizeGenerator.generate(bundle({ name: 'api' }));
+
+    expect(Object.fromEntries(Object.entries(overlays).map(([environment, overlay]) => [environment, overlay.namespace]))).toEqual({
+      development: 'api-development',
+      staging: 'api-staging',
+      production: 'api-production'
+    });
+  });
+
+  it('shortens long names to a 63-character namespace that keeps the environment', () => {
+    const name = `${'a'.repeat(50)}-${'b'.repeat(12)}`;
+    const { overlays } = KustomizeGenerator.generate(bundle({ name }));
+
+    Object.entries(overlays).forEach(([environment, overlay]) => {
+      expect(overlay.namespace.length).toBeLessThanOrEqual(63);
+      expect(overlay.namespace).toMatch(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/);
+      expect(overlay.namespace.endsWith(`-${environment}`)).toBe(true);
+    });
+    expect(overlays.development.namespace).toBe(`${'a'.repeat(50)}-development`);
+    expect(overlays.production.namespace).toBe(`${'a'.repeat(50)}-b-production`);
+  });
+
+  it('keeps an explicit namespace', () => {
+    const { overlays } = KustomizeGenerator.generate(bundle({ name: 'api' }), { environments: { staging: { namespace: 'qa' } } });
+
+    expect(overlays.staging.namespace).toBe('qa');
+  });
+
+  it('keeps the autoscaler minimum at 1 when zero replicas are asked for', () => {
+    const { files, overlays } = KustomizeGenerator.generate(bundle({ name: 'api', hpa: true }), { environments: { staging: { replicas: 0 } } });
+    const hpa = overlays.staging.resources.find(object => object.kind === 'HorizontalPodAutoscaler');
+
+    expect(overlays.staging.settings.replicas).toBe(1);
+    expect(hpa.spec.minReplicas).toBe(1);
+    expect(files['overlays/staging/hpa-patch.yaml']).toContain('minReplicas: 1');
+  });
+
+  it('lets a Deployment without an autoscaler scale to zero', () => {
+    const { overlays } = KustomizeGenerator.generate(bundle({ name: 'api', hpa: false }), { environments: { staging: { replicas: 0 } } });
+
+    expect(overlays.staging.resources.find(object => object.kind === 'Deployment').spec.replicas).toBe(0);
+  });
+});
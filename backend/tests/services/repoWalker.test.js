@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RepoWalker = require('../../src/services/repoWalker');
+
+describe('RepoWalker.walk', () => {
+  let repoPath;
+
+  const write = (relativePath, content = '') => {
+    const fullPath = path.join(repoPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+  const paths = (options) => RepoWalker.walk(repoPath, options).files.map(file => file.path);
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-walker-'));
+    write('package.json', '{}');
+    write('src/index.js', 'module.exports = 1;');
+    write('src/index.test.js');
+    write('node_modules/express/index.js');
+    write('.git/HEAD', 'ref: refs/heads/main');
+    write('dist/bundle.js');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('lists files in path order with their metadata, skipping built-in ignores', () => {
+    const { files, directories } = RepoWalker.walk(repoPath);
+
+    expect(files.map(file => file.path)).toEqual(['package.json', 'src/index.js', 'src/index.test.js']);
+    expect(files[1]).toEqual({
+      name: 'index.js',
+      path: 'src/index.js',
+      fullPath: path.join(repoPath, 'src/index.js'),
+      extension: '.js',
+      size: 19,
+      depth: 1
+    });
+    expect(directories).toEqual([{ name: 'src', path: 'src', depth: 1 }]);
+  });
+
+  it('honors nested .gitignore files, including re-includes', () => {
+    write('.gitignore', '*.log\nsecrets/\n');
+    write('app.log');
+    write('secrets/key.pem');
+    write('logs/.gitignore', '!keep.log\n');
+    write('logs/keep.log');
+    write('logs/drop.log');
+
+    expect(paths()).toEqual(expect.arrayContaining(['.gitignore', 'logs/.gitignore', 'logs/keep.log']));
+    expect(paths()).not.toEqual(expect.arrayContaining(['app.log']));
+    expect(paths().filter(file => /secrets|drop/.test(file))).toEqual([]);
+  });
+
+  it('applies include and exclude globs and drops directories left empty', () => {
+    write('docs/guide.md');
+
+    expect(paths({ include: ['src/'] })).toEqual(['src/index.js', 'src/index.test.js']);
+    expect(paths({ exclude: ['*.test.js', 'docs/'] })).toEqual(['package.json', 'src/index.js']);
+
+    const { directories } = RepoWalker.walk(repoPath, { include: ['*.md'] });
+    expect(directories.map(dir => dir.path)).toEqual(['docs']);
+  });
+
+  it('does not follow symlinks', () => {
+    fs.symlinkSync(os.tmpdir(), path.join(repoPath, 'outside'));
+
+    expect(paths()).toEqual(['package.json', 'src/index.js', 'src/index.test.js']);
+  });
+});
@@ -0,0 +1,107 @@
+const RuntimeDetector = require('../../src/services/runtimeDetector');
+
+describe('RuntimeDetector.version', () => {
+  const version = constraint => RuntimeDetector.version(constraint, 'app/package.json')?.version;
+
+  it('keeps exact pins as written', () => {
+    expect(version('18')).toBe('18');
+    expect(version('v20.11.1')).toBe('20.11.1');
+    expect(version('1.21')).toBe('1.21');
+    expect(version('python-3.11.4')).toBe('3.11.4');
+  });
+
+  it('reduces open ranges to the major version instead of pinning the lower bound', () => {
+    expect(version('>=18.0.0')).toBe('18');
+    expect(version('^18.2')).toBe('18');
+    expect(version('18.x')).toBe('18');
+    expect(version('>=3.8')).toBe('3');
+  });
+
+  it('keeps the minor version when the range is bounded within a major', () => {
+    expect(version('~3.11.2')).toBe('3.11');
+    expect(version('==3.11.*')).toBe('3.11');
+    expect(version('>=3.9,<3.12')).toBe('3.9');
+  });
+
+  it('reads pessimistic operators', () => {
+    expect(version('~=3.10')).toBe('3');
+    expect(version('~> 3.2')).toBe('3');
+    expect(version('~=3.10.2')).toBe('3.10');
+  });
+
+  it('pins nothing when the constraint gives no usable lower bound', () => {
+    expect(version('<20')).toBeNull();
+    expect(version('!=3.9.1')).toBeNull();
+    expect(version('lts/*')).toBeNull();
+  });
+
+  it('records the constraint and its source', () => {
+    expect(RuntimeDetector.version(' >=18.0.0 ', 'app/./package.json')).toEqual({
+      version: '18',
+      constraint: '>=18.0.0',
+      source: 'app/package.json'
+    });
+  });
+});
+
+describe('RuntimeDetector.detect', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const RepoWalker = require('../../src/services/repoWalker');
+
+  let repoPath;
+
+  const write = (relativePath, content = '') => {
+    const fullPath = path.join(repoPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+  const detect = () => RuntimeDetector.detect(repoPath, RepoWalker.walk(repoPath), { primaryLanguage: 'JavaScript' });
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'runtime-detector-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('serves static sites on an unprivileged port', () => {
+    write('package.json', JSON.stringify({ scripts: { build: 'vite build' }, devDependencies: { vite: '^5.0.0' } }));
+    write('index.html', '<div id="app"></div>');
+    write('src/main.js', 'const api = { port: 3000 };');
+
+    expect(detect()).toMatchObject({ type: 'static', port: 8080, portSource: 'static' });
+  });
+
+  it('reads the port from the entry file and config modules, not from code templates elsewhere', () => {
+    write('package.json', JSON.stringify({ main: 'src/server.js', dependencies: { express: '^4.18.2' } }));
+    write('src/server.js', "const config = require('./config/appConfig');\nserver.listen(config.server.port);");
+    write('src/config/appConfig.js', 'module.exports = {\n  server: {\n    port: parseInt(process.env.PORT) || 5000\n  }\n};');
+    write('src/controllers/generator.js', 'const port = process.env.PORT || 4000;');
+    write('src/templates.js', 'module.exports = `\nconst port = process.env.PORT || 3000;\napp.listen(port);`;');
+
+    expect(detect()).toMatchObject({ port: 5000, portSource: 'src/config/appConfig.js' });
+  });
+
+  it('skips ports in strings and comments of the entry file', () => {
+    write('package.json', JSON.stringify({ main: 'server.js', dependencies: { express: '^4.18.2' } }));
+    write('server.js', [
+      '// app.listen(3000) in development',
+      "const help = 'set PORT, e.g. process.env.PORT || 4000';",
+      '/* { port: 4001 } */',
+      'app.listen(8081);'
+    ].join('\n'));
+
+    expect(detect()).toMatchObject({ port: 8081, portSource: 'server.js' });
+  });
+
+  it('skips Python docstrings', () => {
+    write('requirements.txt', 'flask==3.0.0\n');
+    write('app.py', '"""Serve the API.\n\nRun locally with app.run(port=9000).\n"""\nfrom flask import Flask\napp = Flask(__name__)\n\nif __name__ == "__main__":\n    app.run(port=5001)\n');
+
+    expect(RuntimeDetector.detect(repoPath, RepoWalker.walk(repoPath), { primaryLanguage: 'Python' }))
+      .toMatchObject({ port: 5001, portSource: 'app.py' });
+  });
+});
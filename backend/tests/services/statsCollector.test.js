@@ -0,0 +1,80 @@
+const { computeStats } = require('../../src/services/statsCollector');
+
+describe('computeStats', () => {
+  const sample = (overrides = {}) => ({
+    read: '2024-05-01T12:00:01Z',
+    cpu_stats: { cpu_usage: { total_usage: 300000000 }, system_cpu_usage: 12000000000, online_cpus: 4 },
+    precpu_stats: { cpu_usage: { total_usage: 100000000 }, system_cpu_usage: 10000000000 },
+    memory_stats: { usage: 200 * 1024 * 1024, limit: 512 * 1024 * 1024, stats: { inactive_file: 50 * 1024 * 1024 } },
+    ...overrides
+  });
+
+  it('reports CPU as a percentage of one core, as docker stats does', () => {
+    // 0.2s of 2s system time across 4 CPUs
+    expect(computeStats(sample()).cpu).toBe(40);
+  });
+
+  it('falls back to the per-CPU list when online_cpus is missing', () => {
+    const stats = sample({
+      cpu_stats: { cpu_usage: { total_usage: 300000000, percpu_usage: [1, 2] }, system_cpu_usage: 12000000000 }
+    });
+    expect(computeStats(stats).cpu).toBe(20);
+  });
+
+  it('has no CPU value for the first sample of a stream', () => {
+    expect(computeStats(sample({ precpu_stats: {} })).cpu).toBeNull();
+  });
+
+  it('reports 0 rather than a negative CPU after a counter reset', () => {
+    const stats = sample({ precpu_stats: { cpu_usage: { total_usage: 900000000 }, system_cpu_usage: 10000000000 } });
+    expect(computeStats(stats).cpu).toBe(0);
+  });
+
+  it('leaves reclaimable page cache out of memory usage on cgroup v1 and v2', () => {
+    expect(computeStats(sample()).memory).toBe(150 * 1024 * 1024);
+    expect(computeStats(sample({ memory_stats: { usage: 1000, stats: { total_inactive_file: 400, cache: 900 } } })).memory).toBe(600);
+    expect(computeStats(sample({ memory_stats: { usage: 1000, stats: { cache: 900 } } })).memory).toBe(100);
+    expect(computeStats(sample({ memory_stats: { usage: 100, stats: { inactive_file: 400 } } })).memory).toBe(0);
+  });
+
+  it('keeps the memory limit, or null without one', () => {
+    expect(computeStats(sample()).memoryLimit).toBe(512 * 1024 * 1024);
+    expect(computeStats(sample({ memory_stats: {} })).memoryLimit).toBeNull();
+  });
+
+  it('sums network counters over every interface', () => {
+    const stats = sample({
+      networks: { eth0: { rx_bytes: 1000, tx_bytes: 200 }, eth1: { rx_bytes: 24, tx_bytes: 56 } }
+    });
+    expect(computeStats(stats).network).toEqual({ rx: 1024, tx: 256 });
+  });
+
+  it('sums block IO whichever case the cgroup version uses', () => {
+    const stats = sample({
+      blkio_stats: {
+        io_service_bytes_recursive: [
+          { major: 8, minor: 0, op: 'Read', value: 4096 },
+          { major: 8, minor: 0, op: 'Write', value: 1024 },
+          { major: 8, minor: 16, op: 'read', value: 4096 },
+          { major: 8, minor: 16, op: 'write', value: 1024 },
+          { major: 8, minor: 0, op: 'Total', value: 5120 }
+        ]
+      }
+    });
+    expect(computeStats(stats).blockIo).toEqual({ read: 8192, write: 2048 });
+  });
+
+  it('takes the timestamp from the sample', () => {
+    expect(computeStats(sample()).timestamp).toEqual(new Date('2024-05-01T12:00:01Z'));
+  });
+
+  it('reads an empty sample as zeros', () => {
+    expect(computeStats({})).toMatchObject({
+      cpu: null,
+      memory: 0,
+      memoryLimit: null,
+      network: { rx: 0, tx: 0 },
+      blockIo: { read: 0, write: 0 }
+    });
+  });
+});
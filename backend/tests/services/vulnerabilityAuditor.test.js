@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditor = require('../../src/services/vulnerabilityAuditor');
+
+describe('VulnerabilityAuditor', () => {
+  const originalPath = auditor.databasePath;
+  let databasePath;
+
+  const advisory = (id, affected, extra = {}) => {
+    const file = path.join(databasePath, 'npm', `${id}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ id, summary: `${id} summary`, affected, ...extra }));
+  };
+  const npm = (name, events, extra = {}) => ({ package: { ecosystem: 'npm', name }, ranges: [{ type: 'SEMVER', events }], ...extra });
+  const dependency = (name, version) => ({ name, version, ecosystem: 'npm', manifest: 'package-lock.json', scope: 'runtime' });
+
+  beforeEach(() => {
+    databasePath = fs.mkdtempSync(path.join(os.tmpdir(), 'advisories-'));
+    Object.assign(auditor, { databasePath, index: null, loading: null, advisoryCount: 0 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(databasePath, { recursive: true, force: true });
+    Object.assign(auditor, { databasePath: originalPath, index: null, loading: null, advisoryCount: 0 });
+    jest.restoreAllMocks();
+  });
+
+  it('reports affected versions with their first fix and CVSS severity', async () => {
+    advisory('GHSA-0001', [npm('lodash', [{ introduced: '0' }, { fixed: '4.17.21' }])], {
+      severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }]
+    });
+    advisory('GHSA-0002', [npm('lodash', [{ introduced: '4.0.0' }, { last_affected: '4.17.15' }])], {
+      database_specific: { severity: 'MODERATE' }
+    });
+
+    const report = await auditor.audit([
+      dependency('lodash', '4.17.20'),
+      dependency('lodash', '4.17.21'),
+      dependency('express', '4.18.2'),
+      dependency('left-pad', null)
+    ]);
+
+    expect(report.advisoryCount).toBe(2);
+    expect(report.summary).toMatchObject({ dependencies: 4, audited: 3, unresolved: 1, vulnerable: 1, critical: 1 });
+    expect(report.findings).toEqual([expect.objectContaining({
+      name: 'lodash',
+      version: '4.17.20',
+      severity: 'critical',
+      advisories: [expect.objectContaining({ id: 'GHSA-0001', score: 9.8, fixedVersion: '4.17.21' })]
+    })]);
+  });
+
+  it('skips withdrawn and unreadable advisories', async () => {
+    advisory('GHSA-0003', [npm('minimist', [{ introduced: '0' }])], { withdrawn: '2024-01-01T00:00:00Z' });
+    fs.writeFileSync(path.join(databasePath, 'npm', 'broken.json'), '{');
+
+    const report = await auditor.audit([dependency('minimist', '1.2.0')]);
+
+    expect(report.advisoryCount).toBe(0);
+    expect(report.findings).toEqual([]);
+  });
+
+  it('reads the database once, without blocking, for audits that start together', async () => {
+    advisory('GHSA-0004', [npm('qs', [{ introduced: '0' }, { fixed: '6.10.3' }])]);
+    const readdirSync = jest.spyOn(fs, 'readdirSync');
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+    const readDatabase = jest.spyOn(auditor, 'readDatabase');
+
+    const reports = await Promise.all([
+      auditor.audit([dependency('qs', '6.5.0')]),
+      auditor.audit([dependency('qs', '6.11.0')])
+    ]);
+
+    expect(readDatabase).toHaveBeenCalledTimes(1);
+    expect(readdirSync).not.toHaveBeenCalled();
+    expect(readFileSync).not.toHaveBeenCalled();
+    expect(reports.map(report => report.summary.vulnerable)).toEqual([1, 0]);
+  });
+
+  it('audits against an empty index when there is no database', async () => {
+    auditor.databasePath = path.join(databasePath, 'missing');
+
+    await expect(auditor.audit([dependency('lodash', '4.17.20')])).resolves.toMatchObject({
+      advisoryCount: 0,
+      summary: { audited: 1, vulnerable: 0 }
+    });
+  });
+
+  it('retries a load that failed', async () => {
+    jest.spyOn(fs.promises, 'readdir').mockRejectedValueOnce(Object.assign(new Error('EACCES'), { code: 'EACCES' }));
+    advisory('GHSA-0005', [npm('ws', [{ introduced: '0' }, { fixed: '8.17.1' }])]);
+
+    await expect(auditor.audit([dependency('ws', '8.0.0')])).rejects.toThrow('EACCES');
+    await expect(auditor.audit([dependency('ws', '8.0.0')])).resolves.toMatchObject({ summary: { vulnerable: 1 } });
+  });
+});
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FiTerminal, FiPower, FiRefreshCw, FiMaximize2, FiMinimize2 } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { Terminal } from '@xterm/xterm';
+import { FitAddon } from '@xterm/addon-fit';
+import '@xterm/xterm/css/xterm.css';
+import { apiHelper } from '../services/api';
+
+const statusStyles = {
+  idle: { dot: 'bg-gray-500', label: 'Disconnected' },
+  connecting: { dot: 'bg-yellow-500 animate-pulse', label: 'Connecting...' },
+  connected: { dot: 'bg-green-500', label: 'Connected' },
+  closed: { dot: 'bg-red-500', label: 'Session ended' },
+};
+
+const ContainerTerminal = ({
+  containerId,
+  title = 'Container Terminal',
+  autoConnect = false
+}) => {
+  const [status, setStatus] = useState('idle');
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const containerRef = useRef(null);
+  const terminalRef = useRef(null);
+  const fitRef = useRef(null);
+  const socketRef = useRef(null);
+
+  const send = (message) => {
+    if (socketRef.current?.readyState === WebSocket.OPEN) {
+      socketRef.current.send(JSON.stringify(message));
+    }
+  };
+
+  // One xterm instance for the component's lifetime; sessions come and go
+  useEffect(() => {
+    const terminal = new Terminal({
+      cursorBlink: true,
+      fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+      fontSize: 13,
+      theme: { background: '#111827', foreground: '#e5e7eb' },
+    });
+    const fit = new FitAddon();
+    terminal.loadAddon(fit);
+    terminal.open(containerRef.current);
+    fit.fit();
+
+    terminal.onData((data) => send({ type: 'input', data }));
+    terminal.onResize(({ cols, rows }) => send({ type: 'resize', cols, rows }));
+
+    const observer = new ResizeObserver(() => fit.fit());
+    observer.observe(containerRef.current);
+
+    terminalRef.current = terminal;
+    fitRef.current = fit;
+
+    return () => {
+      observer.disconnect();
+      socketRef.current?.close();
+      terminal.dispose();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (autoConnect && containerId) connect();
+    return () => socketRef.current?.close();
+  }, [containerId]);
+
+  const connect = async () => {
+    const terminal = terminalRef.current;
+    if (!containerId || !terminal) return;
+
+    socketRef.current?.close();
+    terminal.reset();
+    terminal.writeln(`\x1b[90mConnecting to ${containerId}...\x1b[0m`);
+    setStatus('connecting');
+
+    let ticket;
+    try {
+      ({ data: { ticket } } = await apiHelper.post(`/v1/docker/containers/${containerId}/exec/ticket`));
+    } catch (error) {
+      const message = error.error || error.message || 'Failed to open terminal';
+      terminal.writeln(`\r\n\x1b[31m${message}\x1b[0m`);
+      toast.error(message);
+      setStatus('closed');
+      return;
+    }
+
+    const socket = new WebSocket(apiHelper.websocketUrl(`/v1/docker/containers/${containerId}/exec`, {
+      cols: terminal.cols,
+      rows: terminal.rows,
+      ticket,
+    }));
+    socketRef.current = socket;
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+
+      switch (message.type) {
+        case 'ready':
+          setStatus('connected');
+          terminal.focus();
+          break;
+        case 'output':
+          terminal.write(message.data);
+          break;
+        case 'exit':
+          terminal.writeln(`\r\n\x1b[90mProcess exited${message.exitCode !== null ? ` with code ${message.exitCode}` : ''}\x1b[0m`);
+          break;
+        case 'error':
+          terminal.writeln(`\r\n\x1b[31m${message.message}\x1b[0m`);
+          toast.error(message.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    socket.onclose = () => {
+      if (socketRef.current === socket) setStatus('closed');
+    };
+  };
+
+  const disconnect = () => {
+    socketRef.current?.close();
+    setStatus('closed');
+  };
+
+  const toggleFullscreen = () => {
+    setIsFullscreen(!isFullscreen);
+    setTimeout(() => fitRef.current?.fit(), 0);
+  };
+
+  const { dot, label } = statusStyles[status];
+
+  return (
+    <div className={`bg-gray-900 rounded-xl shadow-lg border border-gray-700 overflow-hidden ${isFullscreen ? 'fixed inset-4 z-50 flex flex-col' : ''}`}>
+      {/* Header */}
+      <div className="flex items-center justify-between bg-gray-800 px-4 py-3 border-b border-gray-700">
+        <div className="flex items-center">
+          <div className="p-2 bg-gray-700 rounded-lg mr-3">
+            <FiTerminal className="text-green-400" size={20} />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold text-white">{title}</h2>
+            <div className="flex items-center text-sm text-gray-400">
+              <span className={`w-2 h-2 rounded-full mr-2 ${dot}`}></span>
+              {label}{containerId ? ` · ${containerId}` : ''}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {status === 'connected' || status === 'connecting' ? (
+            <button
+              onClick={disconnect}
+              className="flex items-center px-3 py-2 bg-red-600 hover:bg-red-700 rounded-lg text-white text-sm"
+            >
+              <FiPower className="mr-2" size={14} />
+              Disconnect
+            </button>
+          ) : (
+            <button
+              onClick={connect}
+              disabled={!containerId}
+              className="flex items-center px-3 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded-lg text-white text-sm"
+            >
+              <FiRefreshCw className="mr-2" size={14} />
+              {status === 'closed' ? 'Reconnect' : 'Connect'}
+            </button>
+          )}
+          <button
+            onClick={toggleFullscreen}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-gray-300"
+            title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+          >
+            {isFullscreen ? <FiMinimize2 size={16} /> : <FiMaximize2 size={16} />}
+          </button>
+        </div>
+      </div>
+
+      {/* Terminal */}
+      <div className={`p-2 ${isFullscreen ? 'flex-1' : 'h-96'}`}>
+        <div ref={containerRef} className="h-full w-full" />
+      </div>
+    </div>
+  );
+};
+
+export default ContainerTerminal;
@@ -15,6 +15,7 @@ import {
 import { toast } from 'react-toastify';
 import LogsViewer from '../components/LogsViewer';
 import CodeViewer from '../components/CodeViewer';
+import ContainerTerminal from '../components/ContainerTerminal';
 
 const DeployApp = () => {
   const [deploymentType, setDeploymentType] = useState('docker');
@@ -26,6 +27,8 @@ const DeployApp = () => {
   ]);
 
   const [selectedDeployment, setSelectedDeployment] = useState(null);
+  const [containerInput, setContainerInput] = useState('');
+  const [terminalContainer, setTerminalContainer] = useState('');
   const [isDeploying, setIsDeploying] = useState(false);
 
   const deploymentTypes = [
@@ -286,6 +289,35 @@ const DeployApp = () => {
         />
       </div>
 
+      {/* Container Terminal */}
+      <div className="mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-white">Container Shell</h2>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setTerminalContainer(containerInput.trim());
+            }}
+            className="flex items-center space-x-2"
+          >
+            <input
+              type="text"
+              placeholder="Container ID or name"
+              value={containerInput}
+              onChange={(e) => setContainerInput(e.target.value)}
+              className="px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm w-56"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-white text-sm"
+            >
+              Open
+            </button>
+          </form>
+        </div>
+        <ContainerTerminal containerId={terminalContainer} autoConnect={true} />
+      </div>
+
       {/* Deployment Configuration Preview */}
       <div>
         <h2 className="text-xl font-bold text-white mb-4">Deployment Configuration</h2>
@@ -119,6 +119,17 @@ export const apiHelper = {
     });
   },
 
+  // WebSocket URL for an API endpoint; browsers cannot set headers on the upgrade, so pass a ticket in params
+  websocketUrl(endpoint, params = {}) {
+    const url = new URL(`${api.defaults.baseURL}${endpoint}`, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+    return url.toString();
+  },
+
   // Set auth token
   setAuthToken(token) {
     if (token) {